@@ -7,11 +7,20 @@
 import {
   COMBAT_PHASE,
   ACTION_STATUS,
+  RANGE_ENFORCEMENT,
   FLAG_SCOPE,
   COMBATANT_FLAGS
 } from "./combat-phases.mjs";
 
-import { broadcastManeuverRevealed } from "./combat-socket.mjs";
+import {
+  getRangeEnforcement,
+  getCombatantToken,
+  checkManeuverReach,
+  getApproachPath,
+  moveTokenAlongPath
+} from "./combat-range.mjs";
+
+import { broadcastManeuverRevealed, requestResolveManeuver } from "./combat-socket.mjs";
 import { StreetFighterRollDialog, executeRoll } from "../dice/roll-dialog.mjs";
 import { prepareManeuverRollData } from "../helpers/maneuver-calculator.mjs";
 
@@ -55,9 +64,11 @@ export class ActionTurnDialog extends foundry.applications.api.HandlebarsApplica
     },
     actions: {
       revealManeuver: ActionTurnDialog._onRevealManeuver,
+      undoReveal: ActionTurnDialog._onUndoReveal,
       skipTurn: ActionTurnDialog._onSkipTurn,
       toggleNotes: ActionTurnDialog._onToggleNotes,
-      rollManeuver: ActionTurnDialog._onRollManeuver
+      rollManeuver: ActionTurnDialog._onRollManeuver,
+      resolveManeuver: ActionTurnDialog._onResolveManeuver
     }
   };
 
@@ -80,15 +91,25 @@ export class ActionTurnDialog extends foundry.applications.api.HandlebarsApplica
     const maneuver = this.combatant.selectedManeuver;
     const actionStatus = this.combatant.actionStatus;
     const isRevealed = this.combatant.maneuverRevealed;
+    const resolvedHits = this.combatant.comboHits.length;
 
     return {
       combatant: this.combatant,
       maneuver: maneuver,
       hasManeuver: !!maneuver,
+      comboHits: maneuver?.combo?.hits.map((hit, index) => ({
+        ...hit,
+        isResolved: index < resolvedHits,
+        isNext: index === resolvedHits
+      })) ?? null,
+      nextComboHit: maneuver?.combo ? resolvedHits + 1 : null,
+      comboHitCount: maneuver?.combo?.hits.length ?? 0,
       isRevealed: isRevealed,
       actionStatus: actionStatus,
       canReveal: actionStatus === ACTION_STATUS.ACTING && !isRevealed,
       canSkip: actionStatus === ACTION_STATUS.ACTING || actionStatus === ACTION_STATUS.REVEALED,
+      canResolve: isRevealed && !this.combatant.attackResolved,
+      canUndoReveal: this.combatant.canUndoReveal,
       statusLabel: this._getStatusLabel(actionStatus)
     };
   }
@@ -159,13 +180,86 @@ export class ActionTurnDialog extends foundry.applications.api.HandlebarsApplica
       return;
     }
 
-    await this.combatant.revealManeuver();
+    const range = await this._checkRange(maneuver);
+    if (range === false) return;
+
+    await this.combatant.revealManeuver({ range });
+    if (!this.combatant.maneuverRevealed) return;
 
     broadcastManeuverRevealed(this.combat, this.combatant, maneuver.name);
 
     this.render();
   }
 
+  /**
+   * Handle taking back the revealed maneuver
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {ActionTurnDialog}
+   */
+  static async _onUndoReveal(event, target) {
+    event.preventDefault();
+
+    await this.combatant.undoReveal();
+    this.render();
+  }
+
+  /**
+   * Measure the distance to the current target before revealing
+   * Offers to move the token into striking distance when the maneuver's movement allows it
+   * @param {SelectedManeuver} maneuver - The maneuver about to be revealed
+   * @returns {Promise<ReachCheck|null|false>} The reach check, null when not measured, or false to cancel the reveal
+   * @private
+   */
+  async _checkRange(maneuver) {
+    const enforcement = getRangeEnforcement();
+    if (enforcement === RANGE_ENFORCEMENT.OFF) return null;
+
+    const token = getCombatantToken(this.combatant);
+    const targetToken = game.user.targets.first();
+    if (!token || !targetToken || targetToken === token) return null;
+
+    const range = checkManeuverReach(token, targetToken, maneuver.movement);
+
+    if (!range.inReach) {
+      const message = game.i18n.format("STREET_FIGHTER.Combat.Range.OutOfReach", {
+        name: targetToken.name,
+        distance: range.distance,
+        reach: range.reach
+      });
+
+      if (enforcement === RANGE_ENFORCEMENT.BLOCK) {
+        ui.notifications.warn(message);
+        return false;
+      }
+
+      const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: { title: game.i18n.localize("STREET_FIGHTER.Combat.Range.OutOfReachTitle") },
+        content: `<p>${message}</p><p>${game.i18n.localize("STREET_FIGHTER.Combat.Range.RevealAnyway")}</p>`
+      });
+      return confirmed ? range : false;
+    }
+
+    if (range.stepsNeeded > 0) {
+      const move = await foundry.applications.api.DialogV2.confirm({
+        window: { title: game.i18n.localize("STREET_FIGHTER.Combat.Range.MoveTitle") },
+        content: game.i18n.format("STREET_FIGHTER.Combat.Range.MoveConfirm", {
+          name: targetToken.name,
+          distance: range.distance,
+          steps: range.stepsNeeded
+        })
+      });
+
+      if (move) {
+        const path = getApproachPath(token, targetToken, range.movement);
+        await moveTokenAlongPath(token, path);
+        return { ...range, moved: path.length };
+      }
+    }
+
+    return range;
+  }
+
   /**
    * Handle skipping the turn
    * @param {PointerEvent} event
@@ -218,6 +312,24 @@ export class ActionTurnDialog extends foundry.applications.api.HandlebarsApplica
     }
   }
 
+  /**
+   * Handle resolving the maneuver against the current target
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {ActionTurnDialog}
+   */
+  static async _onResolveManeuver(event, target) {
+    event.preventDefault();
+
+    const targetToken = game.user.targets.first();
+    if (!targetToken) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.NoTargetSelected"));
+      return;
+    }
+
+    requestResolveManeuver(this.combat, this.combatant, targetToken.id);
+  }
+
   /**
    * Handle toggling the notes accordion
    * @param {PointerEvent} event
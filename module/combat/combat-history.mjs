@@ -0,0 +1,196 @@
+/**
+ * Street Fighter Combat History
+ * Snapshots combat state before each transition so the GM can undo or rewind it
+ * @author Kirlian Silvestre
+ */
+
+import {
+  FLAG_SCOPE,
+  COMBAT_FLAGS,
+  COMBAT_HISTORY_LIMIT,
+  getDefaultCombatFlags,
+  getDefaultCombatantFlags
+} from "./combat-phases.mjs";
+
+/**
+ * Actor resources whose current value is captured in a snapshot
+ * @constant {string[]}
+ */
+const SNAPSHOT_RESOURCES = ["health", "chi", "willpower", "super"];
+
+/**
+ * State of one combatant and its actor at the time of a snapshot
+ * @typedef {object} CombatantSnapshot
+ * @property {object} flags - The combatant's street-fighter flags
+ * @property {Object<string, number>} resources - Current value of each actor resource
+ * @property {{x: number, y: number}|null} token - Position of the combatant's token, null without one
+ */
+
+/**
+ * Combat state captured before a transition
+ * @typedef {object} CombatSnapshot
+ * @property {string} id - Snapshot ID
+ * @property {string} label - Localization key naming the transition that followed
+ * @property {boolean} turnStart - Whether the snapshot marks the start of a turn's execution
+ * @property {number} round - Combat round
+ * @property {number|null} turn - Foundry turn index
+ * @property {object} combat - The combat's street-fighter flags, without the history and log
+ * @property {number} logLength - Combat log entries recorded before the snapshot
+ * @property {Object<string, CombatantSnapshot>} combatants - Combatant state keyed by combatant ID
+ * @property {Object<string, Object<string, number>>} actors - Resources of the other actors the transition
+ *   affects, such as a target outside the combat, keyed by actor UUID
+ */
+
+/**
+ * Get a combat's snapshot history, oldest first
+ * @param {Combat} combat
+ * @returns {CombatSnapshot[]}
+ */
+export function getCombatHistory(combat) {
+  return combat.getFlag(FLAG_SCOPE, COMBAT_FLAGS.HISTORY) ?? [];
+}
+
+/**
+ * Find the snapshot taken when the current round's execution phase started
+ * @param {Combat} combat
+ * @returns {number} Index in the history, or -1
+ */
+export function findTurnStartIndex(combat) {
+  return getCombatHistory(combat).findLastIndex(s => s.turnStart && s.round === combat.round);
+}
+
+/**
+ * Read the current value of each snapshot resource of an actor
+ * @param {Actor} actor
+ * @returns {Object<string, number>}
+ * @private
+ */
+function _captureResources(actor) {
+  const resources = {};
+  for (const key of SNAPSHOT_RESOURCES) {
+    const value = actor?.system.resources?.[key]?.value;
+    if (value !== undefined) resources[key] = value;
+  }
+  return resources;
+}
+
+/**
+ * Write snapshot resource values back to an actor
+ * @param {Actor} actor
+ * @param {Object<string, number>} resources
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _restoreResources(actor, resources) {
+  const updates = Object.fromEntries(
+    Object.entries(resources).map(([key, value]) => [`system.resources.${key}.value`, value])
+  );
+  if (actor && Object.keys(updates).length) await actor.update(updates);
+}
+
+/**
+ * Capture the current combat, combatant flags, combatant resources and token positions
+ * @param {Combat} combat
+ * @param {string} label - Localization key naming the transition about to happen
+ * @param {object} [options]
+ * @param {boolean} [options.turnStart] - Mark the snapshot as the start of the turn
+ * @param {Actor[]} [options.actors] - Actors outside the combat the transition affects
+ * @returns {CombatSnapshot}
+ */
+export function captureSnapshot(combat, label, { turnStart = false, actors = [] } = {}) {
+  const combatFlags = foundry.utils.deepClone(combat.flags[FLAG_SCOPE] ?? {});
+  const log = combatFlags[COMBAT_FLAGS.LOG] ?? [];
+  delete combatFlags[COMBAT_FLAGS.HISTORY];
+  delete combatFlags[COMBAT_FLAGS.LOG];
+
+  const combatants = {};
+  for (const combatant of combat.combatants) {
+    const token = combatant.token;
+    combatants[combatant.id] = {
+      flags: foundry.utils.deepClone(combatant.flags[FLAG_SCOPE] ?? {}),
+      resources: _captureResources(combatant.actor),
+      token: token ? { x: token.x, y: token.y } : null
+    };
+  }
+
+  return {
+    id: foundry.utils.randomID(),
+    label,
+    turnStart,
+    round: combat.round,
+    turn: combat.turn,
+    combat: combatFlags,
+    logLength: log.length,
+    combatants,
+    actors: Object.fromEntries(actors.map(actor => [actor.uuid, _captureResources(actor)]))
+  };
+}
+
+/**
+ * Push a snapshot of the combat onto its history, dropping the oldest past the limit
+ * Only the GM records history, since only the GM runs combat transitions
+ * @param {Combat} combat
+ * @param {string} label - Localization key naming the transition about to happen
+ * @param {object} [options]
+ * @param {boolean} [options.turnStart] - Mark the snapshot as the start of the turn
+ * @param {Actor[]} [options.actors] - Actors outside the combat the transition affects
+ * @returns {Promise<void>}
+ */
+export async function recordSnapshot(combat, label, options = {}) {
+  if (!game.user.isGM) return;
+
+  const history = [...getCombatHistory(combat), captureSnapshot(combat, label, options)];
+  await combat.setFlag(FLAG_SCOPE, COMBAT_FLAGS.HISTORY, history.slice(-COMBAT_HISTORY_LIMIT));
+}
+
+/**
+ * Restore a snapshot and truncate the history to the snapshots before it
+ * Combat log entries recorded since the snapshot are dropped, as their events no longer happened.
+ * Flags missing from the snapshot fall back to their defaults, so state added after it is cleared.
+ * Combatants added since the snapshot are left as they are, and combatant tokens go back to where they stood
+ * @param {Combat} combat
+ * @param {number} index - Index of the snapshot in the history
+ * @returns {Promise<CombatSnapshot|null>} The restored snapshot
+ */
+export async function restoreSnapshot(combat, index) {
+  const history = getCombatHistory(combat);
+  const snapshot = history[index];
+  if (!snapshot) return null;
+
+  await combat.update({
+    round: snapshot.round,
+    turn: snapshot.turn,
+    [`flags.${FLAG_SCOPE}`]: {
+      ...getDefaultCombatFlags(),
+      ...snapshot.combat,
+      [COMBAT_FLAGS.HISTORY]: history.slice(0, index),
+      [COMBAT_FLAGS.LOG]: (combat.getFlag(FLAG_SCOPE, COMBAT_FLAGS.LOG) ?? []).slice(0, snapshot.logLength)
+    }
+  }, { turnEvents: false });
+
+  const combatantUpdates = [];
+  for (const [id, state] of Object.entries(snapshot.combatants)) {
+    const combatant = combat.combatants.get(id);
+    if (!combatant) continue;
+
+    combatantUpdates.push({
+      _id: id,
+      [`flags.${FLAG_SCOPE}`]: { ...getDefaultCombatantFlags(), ...state.flags }
+    });
+
+    await _restoreResources(combatant.actor, state.resources);
+
+    const token = combatant.token;
+    if (token && state.token && (token.x !== state.token.x || token.y !== state.token.y)) {
+      await token.update(state.token);
+    }
+  }
+  if (combatantUpdates.length) await combat.updateEmbeddedDocuments("Combatant", combatantUpdates);
+
+  for (const [uuid, resources] of Object.entries(snapshot.actors ?? {})) {
+    await _restoreResources(fromUuidSync(uuid), resources);
+  }
+
+  combat.setupTurns();
+  return snapshot;
+}
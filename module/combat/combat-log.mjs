@@ -0,0 +1,505 @@
+/**
+ * Street Fighter Combat Log
+ * Records what happens in a fight and turns it into a round-by-round journal and exports
+ * @author Kirlian Silvestre
+ */
+
+import { FLAG_SCOPE, COMBAT_FLAGS, SF_HOOKS } from "./combat-phases.mjs";
+import { requestLogEntry } from "./combat-socket.mjs";
+
+/**
+ * Journal entry flag holding the raw log of a finished combat
+ * @constant {string}
+ */
+export const COMBAT_LOG_FLAG = "combatLog";
+
+/**
+ * Kinds of event recorded in the log
+ * @enum {string}
+ */
+export const COMBAT_LOG_EVENT = Object.freeze({
+  PHASE: "phase",
+  REVEAL: "reveal",
+  INTERRUPTION: "interruption",
+  COMPLETED: "completed",
+  DAMAGE: "damage",
+  SPENT: "spent"
+});
+
+/**
+ * Formats a log can be exported to
+ * @enum {string}
+ */
+export const COMBAT_LOG_FORMAT = Object.freeze({
+  JSON: "json",
+  MARKDOWN: "markdown"
+});
+
+/**
+ * @typedef {object} CombatLogEntry
+ * @property {string} type - Event kind from COMBAT_LOG_EVENT
+ * @property {string} time - ISO timestamp
+ * @property {number} round - Combat round
+ * @property {string} phase - Combat phase when the event happened
+ * @property {string|null} combatantId - Acting combatant
+ * @property {string|null} name - Acting combatant's name
+ * @property {string|null} maneuver - Maneuver, or combo hit, used
+ * @property {number|null} speed - Speed of the acting combatant's maneuver
+ * @property {string|null} targetId - Combatant hit or interrupted
+ * @property {string|null} target - Name of the fighter hit or interrupted
+ * @property {number|null} damage - Health levels of damage dealt
+ * @property {number|null} healthAfter - Target health after the damage
+ * @property {boolean} dizzied - Whether the damage dizzied the target
+ * @property {number} chi - Chi spent
+ * @property {number} willpower - Willpower spent
+ */
+
+/**
+ * @typedef {object} CombatLog
+ * @property {string} combatId - ID of the logged combat
+ * @property {string} scene - Name of the combat's scene
+ * @property {string} date - ISO timestamp of when the combat ended
+ * @property {number} rounds - Rounds fought
+ * @property {Array<{id: string, name: string}>} combatants - Fighters in the combat
+ * @property {CombatLogEntry[]} entries - Events in the order they happened
+ */
+
+/**
+ * Pending log writes, chained so events fired together are not lost to each other
+ * @type {Promise<void>}
+ */
+let _pendingWrite = Promise.resolve();
+
+/* -------------------------------------------- */
+/*  Recording                                   */
+/* -------------------------------------------- */
+
+/**
+ * Get the events logged so far in a combat
+ * @param {Combat} combat
+ * @returns {CombatLogEntry[]}
+ */
+export function getCombatLog(combat) {
+  return combat.getFlag(FLAG_SCOPE, COMBAT_FLAGS.LOG) ?? [];
+}
+
+/**
+ * Build a log entry stamped with the combat's current round and phase
+ * @param {Combat} combat
+ * @param {string} type - Event kind from COMBAT_LOG_EVENT
+ * @param {Partial<CombatLogEntry>} data
+ * @returns {CombatLogEntry}
+ */
+export function createLogEntry(combat, type, data = {}) {
+  return {
+    type,
+    time: new Date().toISOString(),
+    round: combat.round,
+    phase: combat.phase,
+    combatantId: null,
+    name: null,
+    maneuver: null,
+    speed: null,
+    targetId: null,
+    target: null,
+    damage: null,
+    healthAfter: null,
+    dizzied: false,
+    chi: 0,
+    willpower: 0,
+    ...data
+  };
+}
+
+/**
+ * Append an entry to a combat's log
+ * Only the GM can update the combat, so other clients forward their events to the GM
+ * @param {Combat} combat
+ * @param {CombatLogEntry} entry
+ * @returns {Promise<void>}
+ */
+export function appendLogEntry(combat, entry) {
+  if (!game.user.isGM) {
+    requestLogEntry(combat, entry);
+    return Promise.resolve();
+  }
+
+  _pendingWrite = _pendingWrite
+    .then(() => combat.setFlag(FLAG_SCOPE, COMBAT_FLAGS.LOG, [...getCombatLog(combat), entry]))
+    .catch(error => console.error("Street Fighter | Failed to write combat log entry", error));
+  return _pendingWrite;
+}
+
+/**
+ * Log a combat event if the combat is still running
+ * @param {Combat} combat
+ * @param {string} type - Event kind from COMBAT_LOG_EVENT
+ * @param {Partial<CombatLogEntry>} data
+ * @private
+ */
+function _log(combat, type, data) {
+  if (!combat?.started || !game.combats.has(combat.id)) return;
+  appendLogEntry(combat, createLogEntry(combat, type, data));
+}
+
+/**
+ * Describe a combatant as the acting party of a log entry
+ * @param {Combatant} combatant
+ * @returns {Partial<CombatLogEntry>}
+ * @private
+ */
+function _actor(combatant) {
+  return {
+    combatantId: combatant.id,
+    name: combatant.name,
+    speed: combatant.selectedManeuver?.speed ?? null
+  };
+}
+
+/* -------------------------------------------- */
+/*  Hook Handlers                               */
+/* -------------------------------------------- */
+
+/**
+ * @param {Combat} combat
+ * @param {string} phase
+ * @private
+ */
+function _onPhaseChanged(combat, phase) {
+  _log(combat, COMBAT_LOG_EVENT.PHASE, { phase });
+}
+
+/**
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @param {SelectedManeuver} maneuver
+ * @private
+ */
+function _onManeuverRevealed(combat, combatant, maneuver) {
+  _log(combat, COMBAT_LOG_EVENT.REVEAL, { ..._actor(combatant), maneuver: maneuver?.name ?? null });
+}
+
+/**
+ * @param {Combat} combat
+ * @param {Combatant} interruptor
+ * @param {Combatant} interrupted
+ * @private
+ */
+function _onInterruption(combat, interruptor, interrupted) {
+  _log(combat, COMBAT_LOG_EVENT.INTERRUPTION, {
+    ..._actor(interruptor),
+    maneuver: interruptor.selectedManeuver?.name ?? null,
+    targetId: interrupted.id,
+    target: interrupted.name
+  });
+}
+
+/**
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @private
+ */
+function _onActionCompleted(combat, combatant) {
+  _log(combat, COMBAT_LOG_EVENT.COMPLETED, { ..._actor(combatant), maneuver: combatant.selectedManeuver?.name ?? null });
+}
+
+/**
+ * @param {Combat} combat
+ * @param {Combatant} attacker
+ * @param {Actor} targetActor
+ * @param {object} resolution
+ * @private
+ */
+function _onDamageApplied(combat, attacker, targetActor, resolution) {
+  const { combo } = resolution;
+  _log(combat, COMBAT_LOG_EVENT.DAMAGE, {
+    ..._actor(attacker),
+    maneuver: combo ? `${resolution.maneuver.name} (${combo.hit}/${combo.total})` : resolution.maneuver?.name ?? null,
+    targetId: combat.combatants.find(c => c.tokenId === resolution.targetTokenId)?.id ?? null,
+    target: targetActor.name,
+    damage: resolution.damage,
+    healthAfter: resolution.healthAfter,
+    dizzied: resolution.dizzied
+  });
+}
+
+/**
+ * Log chi and willpower spent by an actor fighting in a running combat
+ * @param {Actor} actor
+ * @param {{chi: number, willpower: number}} spent
+ * @private
+ */
+function _onResourcesSpent(actor, { chi = 0, willpower = 0 }) {
+  for (const combat of game.combats.filter(c => c.started)) {
+    const combatant = combat.combatants.find(c => c.actor?.uuid === actor.uuid);
+    if (combatant) _log(combat, COMBAT_LOG_EVENT.SPENT, { ..._actor(combatant), chi, willpower });
+  }
+}
+
+/**
+ * Write the log of an ended combat to a journal entry
+ * @param {Combat} combat
+ * @param {object} options
+ * @param {string} userId
+ * @private
+ */
+async function _onDeleteCombat(combat, options, userId) {
+  if (game.user.id !== userId || !game.user.isGM) return;
+  if (!game.settings.get("street-fighter", "combatLogJournal")) return;
+
+  // Let the entries still being written land before reading the log
+  await _pendingWrite;
+  const entries = getCombatLog(combat);
+  if (!entries.length) return;
+
+  const journal = await createCombatLogJournal(buildCombatLog(combat, entries));
+  ui.notifications.info(game.i18n.format("STREET_FIGHTER.CombatLog.Created", { name: journal.name }));
+}
+
+/**
+ * Add export controls to the header of combat log journals
+ * @param {JournalEntrySheet} app
+ * @param {object[]} controls
+ * @private
+ */
+function _onGetJournalHeaderControls(app, controls) {
+  const log = app.document?.getFlag(FLAG_SCOPE, COMBAT_LOG_FLAG);
+  if (!log) return;
+
+  controls.push(
+    {
+      icon: "fas fa-file-code",
+      label: "STREET_FIGHTER.CombatLog.ExportJson",
+      action: "exportCombatLogJson",
+      onClick: () => exportCombatLog(log, COMBAT_LOG_FORMAT.JSON)
+    },
+    {
+      icon: "fas fa-file-lines",
+      label: "STREET_FIGHTER.CombatLog.ExportMarkdown",
+      action: "exportCombatLogMarkdown",
+      onClick: () => exportCombatLog(log, COMBAT_LOG_FORMAT.MARKDOWN)
+    }
+  );
+}
+
+/**
+ * Register combat log hooks
+ */
+export function registerCombatLogHooks() {
+  Hooks.on(SF_HOOKS.PHASE_CHANGED, _onPhaseChanged);
+  Hooks.on(SF_HOOKS.MANEUVER_REVEALED, _onManeuverRevealed);
+  Hooks.on(SF_HOOKS.INTERRUPTION, _onInterruption);
+  Hooks.on(SF_HOOKS.ACTION_COMPLETED, _onActionCompleted);
+  Hooks.on(SF_HOOKS.DAMAGE_APPLIED, _onDamageApplied);
+  Hooks.on(SF_HOOKS.RESOURCES_SPENT, _onResourcesSpent);
+  Hooks.on("deleteCombat", _onDeleteCombat);
+  Hooks.on("getHeaderControlsJournalEntrySheet", _onGetJournalHeaderControls);
+}
+
+/* -------------------------------------------- */
+/*  Reports                                     */
+/* -------------------------------------------- */
+
+/**
+ * Collect a combat's log with the details needed to report on it after it is deleted
+ * @param {Combat} combat
+ * @param {CombatLogEntry[]} [entries] - Entries to report, defaults to the combat's log
+ * @returns {CombatLog}
+ */
+export function buildCombatLog(combat, entries = getCombatLog(combat)) {
+  return {
+    combatId: combat.id,
+    scene: combat.scene?.name ?? "",
+    date: new Date().toISOString(),
+    rounds: combat.round,
+    combatants: combat.combatants.map(c => ({ id: c.id, name: c.name })),
+    entries
+  };
+}
+
+/**
+ * Group log entries by round
+ * @param {CombatLog} log
+ * @returns {Array<{round: number, entries: CombatLogEntry[]}>}
+ */
+export function groupLogByRound(log) {
+  const rounds = new Map();
+  for (const entry of log.entries) {
+    if (!rounds.has(entry.round)) rounds.set(entry.round, []);
+    rounds.get(entry.round).push(entry);
+  }
+  return [...rounds.entries()].sort(([a], [b]) => a - b).map(([round, entries]) => ({ round, entries }));
+}
+
+/**
+ * Total each fighter's actions, damage and spending over the combat
+ * @param {CombatLog} log
+ * @returns {Array<{name: string, actions: number, damageDealt: number, damageTaken: number, chi: number, willpower: number}>}
+ */
+export function summarizeCombatLog(log) {
+  const totals = new Map(log.combatants.map(c => [c.id, {
+    name: c.name, actions: 0, damageDealt: 0, damageTaken: 0, chi: 0, willpower: 0
+  }]));
+
+  for (const entry of log.entries) {
+    const total = totals.get(entry.combatantId);
+    if (!total) continue;
+
+    if (entry.type === COMBAT_LOG_EVENT.COMPLETED) total.actions += 1;
+    if (entry.type === COMBAT_LOG_EVENT.SPENT) {
+      total.chi += entry.chi;
+      total.willpower += entry.willpower;
+    }
+    if (entry.type === COMBAT_LOG_EVENT.DAMAGE) {
+      total.damageDealt += entry.damage ?? 0;
+      const target = totals.get(entry.targetId);
+      if (target) target.damageTaken += entry.damage ?? 0;
+    }
+  }
+
+  return [...totals.values()];
+}
+
+/**
+ * Describe a log entry in a sentence
+ * @param {CombatLogEntry} entry
+ * @returns {string}
+ */
+export function describeLogEntry(entry) {
+  const i18n = game.i18n;
+  switch (entry.type) {
+    case COMBAT_LOG_EVENT.PHASE:
+      return i18n.format("STREET_FIGHTER.CombatLog.Events.Phase", {
+        phase: i18n.localize(`STREET_FIGHTER.Combat.Phase.${entry.phase.capitalize()}`)
+      });
+    case COMBAT_LOG_EVENT.SPENT:
+      return i18n.format("STREET_FIGHTER.CombatLog.Events.Spent", {
+        name: entry.name,
+        costs: [
+          entry.chi ? `${entry.chi} ${i18n.localize("STREET_FIGHTER.Resources.chi")}` : null,
+          entry.willpower ? `${entry.willpower} ${i18n.localize("STREET_FIGHTER.Resources.willpower")}` : null
+        ].filter(Boolean).join(", ")
+      });
+    case COMBAT_LOG_EVENT.DAMAGE:
+      return i18n.format(`STREET_FIGHTER.CombatLog.Events.${entry.dizzied ? "DamageDizzy" : "Damage"}`, entry);
+    case COMBAT_LOG_EVENT.REVEAL:
+      return i18n.format("STREET_FIGHTER.CombatLog.Events.Reveal", entry);
+    case COMBAT_LOG_EVENT.INTERRUPTION:
+      return i18n.format("STREET_FIGHTER.CombatLog.Events.Interruption", entry);
+    case COMBAT_LOG_EVENT.COMPLETED:
+      return i18n.format("STREET_FIGHTER.CombatLog.Events.Completed", entry);
+    default:
+      return entry.type;
+  }
+}
+
+/**
+ * Get a log's report title
+ * @param {CombatLog} log
+ * @returns {string}
+ * @private
+ */
+function _getLogTitle(log) {
+  return game.i18n.format("STREET_FIGHTER.CombatLog.Title", {
+    scene: log.scene || game.i18n.localize("STREET_FIGHTER.CombatLog.NoScene"),
+    date: new Date(log.date).toLocaleString(game.i18n.lang)
+  });
+}
+
+/**
+ * Get the localized column headings of a round table
+ * @returns {string[]}
+ * @private
+ */
+function _getColumns() {
+  return ["Combatant", "Event", "Speed", "Damage"].map(c => game.i18n.localize(`STREET_FIGHTER.CombatLog.Columns.${c}`));
+}
+
+/**
+ * Create a journal entry with a summary page and one page per round
+ * @param {CombatLog} log
+ * @returns {Promise<JournalEntry>}
+ */
+export async function createCombatLogJournal(log) {
+  const escape = Handlebars.Utils.escapeExpression;
+  const i18n = game.i18n;
+
+  const table = (headings, rows) => `<table><thead><tr>${headings.map(h => `<th>${escape(h)}</th>`).join("")}</tr></thead>`
+    + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell ?? "")}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+
+  const summary = summarizeCombatLog(log);
+  const pages = [{
+    name: i18n.localize("STREET_FIGHTER.CombatLog.Summary"),
+    type: "text",
+    text: {
+      content: `<p>${escape(i18n.format("STREET_FIGHTER.CombatLog.RoundsFought", { count: log.rounds }))}</p>`
+        + table(
+          ["Combatant", "Actions", "DamageDealt", "DamageTaken", "Chi", "Willpower"]
+            .map(c => i18n.localize(`STREET_FIGHTER.CombatLog.Columns.${c}`)),
+          summary.map(t => [t.name, t.actions, t.damageDealt, t.damageTaken, t.chi, t.willpower])
+        )
+    }
+  }];
+
+  for (const { round, entries } of groupLogByRound(log)) {
+    pages.push({
+      name: i18n.format("STREET_FIGHTER.CombatLog.Round", { round }),
+      type: "text",
+      text: {
+        content: table(_getColumns(), entries.map(e => [e.name, describeLogEntry(e), e.speed, e.damage]))
+      }
+    });
+  }
+
+  return JournalEntry.create({
+    name: _getLogTitle(log),
+    pages,
+    flags: { [FLAG_SCOPE]: { [COMBAT_LOG_FLAG]: log } }
+  });
+}
+
+/**
+ * Render a log as a Markdown report
+ * @param {CombatLog} log
+ * @returns {string}
+ */
+export function formatCombatLogMarkdown(log) {
+  const i18n = game.i18n;
+  const cell = value => String(value ?? "").replace(/\|/g, "\\|");
+  const row = cells => `| ${cells.map(cell).join(" | ")} |`;
+  const table = (headings, rows) => [row(headings), row(headings.map(() => "---")), ...rows.map(row)].join("\n");
+
+  const sections = [
+    `# ${_getLogTitle(log)}`,
+    i18n.format("STREET_FIGHTER.CombatLog.RoundsFought", { count: log.rounds }),
+    `## ${i18n.localize("STREET_FIGHTER.CombatLog.Summary")}`,
+    table(
+      ["Combatant", "Actions", "DamageDealt", "DamageTaken", "Chi", "Willpower"]
+        .map(c => i18n.localize(`STREET_FIGHTER.CombatLog.Columns.${c}`)),
+      summarizeCombatLog(log).map(t => [t.name, t.actions, t.damageDealt, t.damageTaken, t.chi, t.willpower])
+    )
+  ];
+
+  for (const { round, entries } of groupLogByRound(log)) {
+    sections.push(
+      `## ${i18n.format("STREET_FIGHTER.CombatLog.Round", { round })}`,
+      table(_getColumns(), entries.map(e => [e.name, describeLogEntry(e), e.speed, e.damage]))
+    );
+  }
+
+  return `${sections.join("\n\n")}\n`;
+}
+
+/**
+ * Download a combat log as JSON or Markdown
+ * @param {CombatLog} log
+ * @param {string} format - Format from COMBAT_LOG_FORMAT
+ */
+export function exportCombatLog(log, format = COMBAT_LOG_FORMAT.JSON) {
+  const filename = `combat-log-${log.date.slice(0, 10)}-${log.combatId}`;
+  if (format === COMBAT_LOG_FORMAT.MARKDOWN) {
+    foundry.utils.saveDataToFile(formatCombatLogMarkdown(log), "text/markdown", `${filename}.md`);
+  } else {
+    foundry.utils.saveDataToFile(JSON.stringify(log, null, 2), "application/json", `${filename}.json`);
+  }
+}
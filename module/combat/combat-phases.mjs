@@ -36,6 +36,60 @@ export const ACTION_STATUS = Object.freeze({
   SKIPPED: "skipped"
 });
 
+/**
+ * Active defense types a combatant can register for the rest of a turn
+ * @enum {string}
+ */
+export const ACTIVE_DEFENSE = Object.freeze({
+  BLOCK: "block",
+  DODGE: "dodge"
+});
+
+/**
+ * Position states a combatant can be in
+ * @enum {string}
+ */
+export const POSITION_STATE = Object.freeze({
+  STANDING: "standing",
+  KNOCKED_DOWN: "knockedDown",
+  AERIAL: "aerial",
+  CROUCHING: "crouching"
+});
+
+/**
+ * Speed penalty for a fighter getting up after a knockdown
+ * @constant {number}
+ */
+export const KNOCKDOWN_SPEED_PENALTY = -2;
+
+/**
+ * How maneuvers aimed at targets out of reach are handled
+ * @enum {string}
+ */
+export const RANGE_ENFORCEMENT = Object.freeze({
+  OFF: "off",
+  WARN: "warn",
+  BLOCK: "block"
+});
+
+/**
+ * Distance, in hexes, at which a fighter can strike after moving
+ * @constant {number}
+ */
+export const MANEUVER_REACH = 1;
+
+/**
+ * Willpower spent to abort a pending maneuver into a block
+ * @constant {number}
+ */
+export const ABORT_TO_BLOCK_WILLPOWER_COST = 1;
+
+/**
+ * Most combat state snapshots kept for undo and rewind
+ * @constant {number}
+ */
+export const COMBAT_HISTORY_LIMIT = 30;
+
 /**
  * Socket event names for combat communication
  * @enum {string}
@@ -47,7 +101,11 @@ export const SOCKET_EVENTS = Object.freeze({
   PHASE_CHANGED: "streetfighter.combat.phaseChanged",
   REQUEST_INTERRUPTION: "streetfighter.combat.requestInterruption",
   REQUEST_COMPLETE_ACTION: "streetfighter.combat.requestCompleteAction",
-  REQUEST_SKIP_ACTION: "streetfighter.combat.requestSkipAction"
+  REQUEST_SKIP_ACTION: "streetfighter.combat.requestSkipAction",
+  REQUEST_RESOLVE_MANEUVER: "streetfighter.combat.requestResolveManeuver",
+  REQUEST_ABORT_TO_BLOCK: "streetfighter.combat.requestAbortToBlock",
+  STATE_RESTORED: "streetfighter.combat.stateRestored",
+  REQUEST_LOG_ENTRY: "streetfighter.combat.requestLogEntry"
 });
 
 /**
@@ -62,7 +120,14 @@ export const SF_HOOKS = Object.freeze({
   INTERRUPTION: "streetfighter.interruption",
   ACTION_COMPLETED: "streetfighter.actionCompleted",
   TURN_STARTED: "streetfighter.turnStarted",
-  TURN_ENDED: "streetfighter.turnEnded"
+  TURN_ENDED: "streetfighter.turnEnded",
+  DAMAGE_APPLIED: "streetfighter.damageApplied",
+  KNOCKED_OUT: "streetfighter.knockedOut",
+  DEFENSE_REGISTERED: "streetfighter.defenseRegistered",
+  DIZZIED: "streetfighter.dizzied",
+  POSITION_CHANGED: "streetfighter.positionChanged",
+  STATE_RESTORED: "streetfighter.stateRestored",
+  RESOURCES_SPENT: "streetfighter.resourcesSpent"
 });
 
 /**
@@ -79,7 +144,10 @@ export const COMBAT_FLAGS = Object.freeze({
   PHASE: "phase",
   CURRENT_ACTING_ID: "currentActingCombatantId",
   INTERRUPTION_STACK: "interruptionStack",
-  TURN_STARTED: "turnStarted"
+  TURN_STARTED: "turnStarted",
+  HISTORY: "history",
+  LOG: "log",
+  SEED: "seed"
 });
 
 /**
@@ -91,7 +159,14 @@ export const COMBATANT_FLAGS = Object.freeze({
   SELECTION_STATUS: "selectionStatus",
   ACTION_STATUS: "actionStatus",
   MANEUVER_REVEALED: "maneuverRevealed",
-  INTERRUPTED_BY_ID: "interruptedById"
+  INTERRUPTED_BY_ID: "interruptedById",
+  ATTACK_RESOLVED: "attackResolved",
+  ACTIVE_DEFENSE: "activeDefense",
+  DIZZY: "dizzy",
+  POSITION: "position",
+  COMBO_HITS: "comboHits",
+  REVEAL_RECORD: "revealRecord",
+  ROLL_COUNT: "rollCount"
 });
 
 /**
@@ -103,7 +178,10 @@ export function getDefaultCombatFlags() {
     [COMBAT_FLAGS.PHASE]: COMBAT_PHASE.SETUP,
     [COMBAT_FLAGS.CURRENT_ACTING_ID]: null,
     [COMBAT_FLAGS.INTERRUPTION_STACK]: [],
-    [COMBAT_FLAGS.TURN_STARTED]: false
+    [COMBAT_FLAGS.TURN_STARTED]: false,
+    [COMBAT_FLAGS.HISTORY]: [],
+    [COMBAT_FLAGS.LOG]: [],
+    [COMBAT_FLAGS.SEED]: null
   };
 }
 
@@ -117,7 +195,14 @@ export function getDefaultCombatantFlags() {
     [COMBATANT_FLAGS.SELECTION_STATUS]: SELECTION_STATUS.PENDING,
     [COMBATANT_FLAGS.ACTION_STATUS]: ACTION_STATUS.PENDING,
     [COMBATANT_FLAGS.MANEUVER_REVEALED]: false,
-    [COMBATANT_FLAGS.INTERRUPTED_BY_ID]: null
+    [COMBATANT_FLAGS.INTERRUPTED_BY_ID]: null,
+    [COMBATANT_FLAGS.ATTACK_RESOLVED]: false,
+    [COMBATANT_FLAGS.ACTIVE_DEFENSE]: null,
+    [COMBATANT_FLAGS.DIZZY]: null,
+    [COMBATANT_FLAGS.POSITION]: null,
+    [COMBATANT_FLAGS.COMBO_HITS]: [],
+    [COMBATANT_FLAGS.REVEAL_RECORD]: null,
+    [COMBATANT_FLAGS.ROLL_COUNT]: 0
   };
 }
 
@@ -134,6 +219,26 @@ export function getDefaultCombatantFlags() {
  * @property {number} damage - Calculated damage value
  * @property {number} movement - Calculated movement value
  * @property {string} category - Maneuver category (punch, kick, etc.)
+ * @property {ComboSelection|null} combo - Combo executed as the turn's action, null for a single maneuver
+ */
+
+/**
+ * One maneuver of a combo, with its stats calculated at selection
+ * @typedef {object} ComboHit
+ * @property {string} itemId - The maneuver item ID
+ * @property {string} sourceId - The maneuver source ID, as stored in the actor's combo list
+ * @property {string} name - The maneuver name
+ * @property {number} damage - Calculated damage value
+ * @property {number} movement - Calculated movement value
+ * @property {string} category - Maneuver category
+ */
+
+/**
+ * Combo selected as the turn's action
+ * @typedef {object} ComboSelection
+ * @property {number} index - Index of the combo in the actor's combo list
+ * @property {boolean} isDizzy - Whether the combo dizzies the target when every hit connects
+ * @property {ComboHit[]} hits - Maneuvers in execution order
  */
 
 /**
@@ -143,11 +248,13 @@ export function getDefaultCombatantFlags() {
  * @param {number} speed - Base speed value
  * @param {number} wits - Character's wits value
  * @param {number} perception - Character's perception value
+ * @param {Function} [random] - Random source returning [0, 1), Math.random by default;
+ *   combats pass the combatant's seeded tiebreaker stream
  * @returns {number} Composite speed value
  */
-export function calculateSpeedTiebreaker(speed, wits, perception) {
-  const random = Math.floor(Math.random() * 9) + 1;
-  return speed + (wits * 0.1) + (perception * 0.01) + (random * 0.001);
+export function calculateSpeedTiebreaker(speed, wits, perception, random = Math.random) {
+  const roll = Math.floor(random() * 9) + 1;
+  return speed + (wits * 0.1) + (perception * 0.01) + (roll * 0.001);
 }
 
 /**
@@ -163,9 +270,10 @@ export function calculateSpeedTiebreaker(speed, wits, perception) {
  * @param {number} params.chiCost - Chi cost
  * @param {number} params.willpowerCost - Willpower cost
  * @param {string} params.notes - Maneuver notes
+ * @param {ComboSelection} [params.combo] - Combo executed as the turn's action
  * @returns {SelectedManeuver}
  */
-export function createSelectedManeuver({ itemId, name, speed, speedTiebreaker, damage, movement, category, chiCost, willpowerCost, notes }) {
+export function createSelectedManeuver({ itemId, name, speed, speedTiebreaker, damage, movement, category, chiCost, willpowerCost, notes, combo }) {
   return Object.freeze({
     itemId,
     name,
@@ -176,10 +284,121 @@ export function createSelectedManeuver({ itemId, name, speed, speedTiebreaker, d
     category,
     chiCost: chiCost || 0,
     willpowerCost: willpowerCost || 0,
-    notes: notes || ""
+    notes: notes || "",
+    combo: combo ?? null
   });
 }
 
+/**
+ * Gets the hit to resolve next for a selected maneuver
+ * A single maneuver is its own hit; a combo resolves its maneuvers one at a time
+ * @param {SelectedManeuver} maneuver - The selected maneuver
+ * @param {number} resolvedHits - Hits of the combo already resolved this turn
+ * @returns {{itemId: string, name: string, damage: number, movement: number, category: string}|null} Null once every hit is resolved
+ */
+export function getNextHit(maneuver, resolvedHits = 0) {
+  if (!maneuver) return null;
+  if (!maneuver.combo) return resolvedHits === 0 ? maneuver : null;
+  return maneuver.combo.hits[resolvedHits] ?? null;
+}
+
+/**
+ * What revealing a maneuver changed, kept so the reveal can be refunded or undone
+ * @typedef {object} RevealRecord
+ * @property {number} chi - Chi spent on the maneuver
+ * @property {number} willpower - Willpower spent on the maneuver
+ * @property {{state: string, round: number}|null} positionState - Position before the reveal
+ */
+
+/**
+ * Calculates the damage dice pool for a hit
+ * The target's soak is subtracted from the maneuver damage, but a hit
+ * always rolls at least one die
+ * @param {number} damage - Calculated maneuver damage
+ * @param {number} soak - Target's effective soak
+ * @returns {number} Number of damage dice to roll
+ */
+export function calculateDamagePool(damage, soak) {
+  return Math.max(1, (damage || 0) - (soak || 0));
+}
+
+/**
+ * Active defense data structure
+ * @typedef {object} ActiveDefense
+ * @property {string} type - Defense type from ACTIVE_DEFENSE
+ * @property {string} maneuverName - Name of the defensive maneuver
+ * @property {number} soakBonus - Soak added against incoming damage (block)
+ * @property {number} negatedSuccesses - Damage successes negated per hit (dodge)
+ * @property {boolean} aborted - Whether the defense came from aborting to a block
+ */
+
+/**
+ * Determines which active defense a maneuver grants, if any
+ * Block category maneuvers block; athletics dodges negate hits
+ * @param {string} category - Maneuver category
+ * @param {string} sourceId - Maneuver source ID
+ * @returns {string|null} Defense type from ACTIVE_DEFENSE
+ */
+export function getActiveDefenseType(category, sourceId) {
+  const categoryKey = (category || "").toLowerCase();
+  if (categoryKey === ACTIVE_DEFENSE.BLOCK) return ACTIVE_DEFENSE.BLOCK;
+  if (categoryKey === "athletics" && (sourceId || "").toLowerCase() === ACTIVE_DEFENSE.DODGE) {
+    return ACTIVE_DEFENSE.DODGE;
+  }
+  return null;
+}
+
+/**
+ * Applies an active defense to the target's soak
+ * @param {number} soak - Target's effective soak
+ * @param {ActiveDefense|null} defense - Target's active defense
+ * @returns {number}
+ */
+export function applyDefenseToSoak(soak, defense) {
+  return (soak || 0) + (defense?.soakBonus || 0);
+}
+
+/**
+ * Applies an active defense to the damage successes of a hit
+ * @param {number} successes - Damage successes rolled
+ * @param {ActiveDefense|null} defense - Target's active defense
+ * @returns {number}
+ */
+export function applyDefenseToSuccesses(successes, defense) {
+  return Math.max(0, (successes || 0) - (defense?.negatedSuccesses || 0));
+}
+
+/**
+ * Gets the farthest distance, in hexes, a maneuver can hit
+ * A fighter moves up to the maneuver's movement and then strikes an adjacent hex
+ * @param {number} movement - Movement allowance of the maneuver
+ * @returns {number}
+ */
+export function getManeuverReach(movement) {
+  return Math.max(0, movement || 0) + MANEUVER_REACH;
+}
+
+/**
+ * Gets the speed modifier a fighter suffers from its position
+ * @param {string} position - Position state from POSITION_STATE
+ * @returns {number}
+ */
+export function getPositionSpeedModifier(position) {
+  return position === POSITION_STATE.KNOCKED_DOWN ? KNOCKDOWN_SPEED_PENALTY : 0;
+}
+
+/**
+ * Checks if a maneuver can be used against a target in a given position
+ * @param {object} positionRules - The maneuver's position rules
+ * @param {string[]} [positionRules.unusableAgainst] - Target positions the maneuver cannot hit
+ * @param {string|null} targetPosition - Target's position state
+ * @returns {boolean}
+ */
+export function isManeuverUsableAgainst(positionRules, targetPosition) {
+  if (!targetPosition) return true;
+  return !(positionRules?.unusableAgainst ?? []).includes(targetPosition);
+}
+
 /**
  * Checks if a combatant can interrupt another based on speed tiebreaker
  * Uses the composite speed value that includes tiebreaker criteria
@@ -0,0 +1,90 @@
+/**
+ * Street Fighter Combat Random
+ * Seeded random streams for a fight, so its ordering and dice can be reproduced
+ * @author Kirlian Silvestre
+ */
+
+import { FLAG_SCOPE, COMBAT_FLAGS, COMBATANT_FLAGS } from "./combat-phases.mjs";
+import { createSeededRandom } from "../helpers/random.mjs";
+
+/**
+ * Create a new seed for a combat
+ * @returns {string}
+ */
+export function createCombatSeed() {
+  return foundry.utils.randomID(16);
+}
+
+/**
+ * Get the seed every random stream of a combat derives from
+ * Combats created before seeds were stored fall back to their ID
+ * @param {Combat} combat
+ * @returns {string}
+ */
+export function getCombatSeed(combat) {
+  return combat.getFlag(FLAG_SCOPE, COMBAT_FLAGS.SEED) ?? combat.id;
+}
+
+/**
+ * Build the key of a random stream, unique to the combat's seed and round
+ * @param {Combat} combat
+ * @param {...string|number} parts - What the stream is used for
+ * @returns {string}
+ */
+export function getStreamKey(combat, ...parts) {
+  return [getCombatSeed(combat), combat.round, ...parts].join(":");
+}
+
+/**
+ * Random source for a combatant's speed tiebreaker this round
+ * Keyed by combatant, so the order in which fighters select does not change it
+ * @param {Combatant} combatant
+ * @returns {import("../helpers/random.mjs").RandomSource}
+ */
+export function getTiebreakerRandom(combatant) {
+  return createSeededRandom(getStreamKey(combatant.parent, "tiebreaker", combatant.id));
+}
+
+/**
+ * Random source for the fighter brain's picks this round
+ * @param {Combat} combat
+ * @returns {import("../helpers/random.mjs").RandomSource}
+ */
+export function getSelectionRandom(combat) {
+  return createSeededRandom(getStreamKey(combat, "selection"));
+}
+
+/**
+ * Random source for a combatant's next dice pool
+ * Each roll of the round gets its own stream, numbered by a counter on the combatant.
+ * The counter is part of the combatant's flags, so undo and rewind take it back with the rest of the state
+ * @param {Combatant} combatant
+ * @returns {Promise<import("../helpers/random.mjs").RandomSource>}
+ */
+export async function nextDiceRandom(combatant) {
+  const count = combatant.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.ROLL_COUNT) ?? 0;
+  await combatant.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ROLL_COUNT, count + 1);
+  return createSeededRandom(getStreamKey(combatant.parent, "dice", combatant.id, count));
+}
+
+/**
+ * Find the combatant an actor rolls as in the active, started combat
+ * Only combatants the current user can update are returned, since rolling advances their counter
+ * @param {Actor} actor
+ * @returns {Combatant|null}
+ */
+export function findRollingCombatant(actor) {
+  const combat = game.combat;
+  if (!actor || !combat?.started) return null;
+  return combat.combatants.find(c => c.actor === actor && c.isOwner) ?? null;
+}
+
+/**
+ * Random source for an actor's dice pool, seeded when the actor is fighting
+ * @param {Actor} actor
+ * @returns {Promise<import("../helpers/random.mjs").RandomSource|null>} Null outside combat
+ */
+export async function getActorDiceRandom(actor) {
+  const combatant = findRollingCombatant(actor);
+  return combatant ? nextDiceRandom(combatant) : null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Street Fighter Combat Range
+ * Measures hex distance between combatant tokens and enforces maneuver reach
+ * @author Kirlian Silvestre
+ */
+
+import { RANGE_ENFORCEMENT, MANEUVER_REACH, getManeuverReach } from "./combat-phases.mjs";
+
+/**
+ * @typedef {object} ReachCheck
+ * @property {number} distance - Distance to the target, in hexes
+ * @property {number} movement - Movement allowance of the maneuver, in hexes
+ * @property {number} reach - Farthest distance the maneuver can hit
+ * @property {boolean} inReach - Whether the target can be hit
+ * @property {number} stepsNeeded - Hexes the attacker must move to engage the target
+ */
+
+/**
+ * Get the configured range enforcement mode
+ * @returns {string} One of RANGE_ENFORCEMENT
+ */
+export function getRangeEnforcement() {
+  return game.settings.get("street-fighter", "maneuverRangeEnforcement");
+}
+
+/**
+ * Get the placed token of a combatant on the viewed scene
+ * @param {Combatant} combatant - The combatant
+ * @returns {Token|null}
+ */
+export function getCombatantToken(combatant) {
+  const token = combatant?.token?.object;
+  return token?.scene === canvas.scene ? token : null;
+}
+
+/**
+ * Measure the distance between two tokens in grid spaces
+ * @param {Token} token - The origin token
+ * @param {Token} targetToken - The destination token
+ * @returns {number}
+ */
+export function measureHexDistance(token, targetToken) {
+  return canvas.grid.measurePath([token.center, targetToken.center]).spaces;
+}
+
+/**
+ * Check whether a target is within reach of a maneuver
+ * @param {Token} token - The attacker's token
+ * @param {Token} targetToken - The target's token
+ * @param {number} movement - Movement allowance of the maneuver
+ * @returns {ReachCheck}
+ */
+export function checkManeuverReach(token, targetToken, movement) {
+  const distance = measureHexDistance(token, targetToken);
+  const reach = getManeuverReach(movement);
+
+  return {
+    distance,
+    movement: Math.max(0, movement ?? 0),
+    reach,
+    inReach: distance <= reach,
+    stepsNeeded: Math.max(0, distance - MANEUVER_REACH)
+  };
+}
+
+/**
+ * Get the path a token follows to close in on a target, limited by a movement allowance
+ * The path stops once the target is within striking distance
+ * @param {Token} token - The moving token
+ * @param {Token} targetToken - The token to approach
+ * @param {number} movement - Movement allowance, in hexes
+ * @returns {Array<{x: number, y: number}>} Top-left waypoints, excluding the starting space
+ */
+export function getApproachPath(token, targetToken, movement) {
+  const grid = canvas.grid;
+  const offsets = grid.getDirectPath([grid.getOffset(token.center), grid.getOffset(targetToken.center)]);
+
+  // Drop the starting space and the spaces within striking distance of the target
+  const steps = offsets.slice(1, Math.max(1, offsets.length - MANEUVER_REACH));
+  return steps.slice(0, Math.max(0, movement)).map(offset => grid.getTopLeftPoint(offset));
+}
+
+/**
+ * Move a token along a path of waypoints
+ * @param {Token} token - The token to move
+ * @param {Array<{x: number, y: number}>} path - Top-left waypoints
+ * @returns {Promise<boolean>} Whether the token moved
+ */
+export async function moveTokenAlongPath(token, path) {
+  if (!path.length) return false;
+  return token.document.move(path);
+}
@@ -52,6 +52,18 @@ function handleSocketMessage(data) {
     case SOCKET_EVENTS.REQUEST_SKIP_ACTION:
       handleRequestSkipAction(payload);
       break;
+    case SOCKET_EVENTS.REQUEST_RESOLVE_MANEUVER:
+      handleRequestResolveManeuver(payload);
+      break;
+    case SOCKET_EVENTS.REQUEST_ABORT_TO_BLOCK:
+      handleRequestAbortToBlock(payload);
+      break;
+    case SOCKET_EVENTS.STATE_RESTORED:
+      handleStateRestoredEvent(payload);
+      break;
+    case SOCKET_EVENTS.REQUEST_LOG_ENTRY:
+      handleRequestLogEntry(payload);
+      break;
     default:
       console.warn(`Street Fighter | Unknown socket event type: ${type}`);
   }
@@ -139,6 +151,31 @@ function handlePhaseChangedEvent(payload) {
   ui.combat?.render();
 }
 
+/**
+ * Handles combat state restored by an undo or rewind
+ * Turn dialogs of combatants no longer acting close themselves on the combat update;
+ * the panel is reopened for whoever is acting in the restored state
+ * @param {object} payload - Restore data
+ * @param {string} payload.combatId - Combat document ID
+ */
+function handleStateRestoredEvent(payload) {
+  const { combatId } = payload;
+
+  const combat = game.combats.get(combatId);
+  if (!combat) return;
+
+  const combatant = combat.currentActingCombatant;
+  if (combatant) {
+    const shouldShowToPlayer = combatant.isOwner && !game.user.isGM;
+    const shouldShowToGMForNPC = game.user.isGM && combatant.isNPC;
+    if (shouldShowToPlayer || shouldShowToGMForNPC) {
+      showActionTurnPanel(combat, combatant);
+    }
+  }
+
+  ui.combat?.render();
+}
+
 /**
  * Shows a large combat notification to all players
  * @param {string} message - Notification message
@@ -227,6 +264,56 @@ async function handleRequestSkipAction(payload) {
   await combat.skipCurrentAction();
 }
 
+/**
+ * Handles a player request to resolve their maneuver against a target (GM executes)
+ * @param {object} payload - Request data
+ * @param {string} payload.combatId - Combat ID
+ * @param {string} payload.attackerId - Attacking combatant ID
+ * @param {string} payload.targetTokenId - Targeted token ID
+ */
+async function handleRequestResolveManeuver(payload) {
+  if (!game.user.isGM) return;
+
+  const { combatId, attackerId, targetTokenId } = payload;
+  const combat = game.combats.get(combatId);
+  if (!combat) return;
+
+  await combat.resolveManeuver(targetTokenId, { attackerId });
+}
+
+/**
+ * Handles a player request to abort their maneuver into a block (GM executes)
+ * @param {object} payload - Request data
+ * @param {string} payload.combatId - Combat ID
+ * @param {string} payload.combatantId - Aborting combatant ID
+ */
+async function handleRequestAbortToBlock(payload) {
+  if (!game.user.isGM) return;
+
+  const { combatId, combatantId } = payload;
+  const combat = game.combats.get(combatId);
+  if (!combat) return;
+
+  await combat.abortToBlock(combatantId);
+}
+
+/**
+ * Handles a player's combat log entry (GM records it)
+ * @param {object} payload - Request data
+ * @param {string} payload.combatId - Combat ID
+ * @param {object} payload.entry - Log entry to append
+ */
+async function handleRequestLogEntry(payload) {
+  if (!game.user.isGM) return;
+
+  const { combatId, entry } = payload;
+  const combat = game.combats.get(combatId);
+  if (!combat) return;
+
+  const { appendLogEntry } = await import("./combat-log.mjs");
+  await appendLogEntry(combat, entry);
+}
+
 /**
  * Request an interruption (for players to call)
  * @param {Combat} combat - The combat document
@@ -283,6 +370,54 @@ export function requestSkipAction(combat) {
   }
 }
 
+/**
+ * Request to resolve a maneuver against a target (for players to call)
+ * Damage is applied by the GM since players cannot update other actors
+ * @param {Combat} combat - The combat document
+ * @param {Combatant} attacker - The attacking combatant
+ * @param {string} targetTokenId - The targeted token ID
+ */
+export function requestResolveManeuver(combat, attacker, targetTokenId) {
+  if (game.user.isGM) {
+    combat.resolveManeuver(targetTokenId, { attackerId: attacker.id });
+  } else {
+    console.log("Street Fighter | Player sending resolve maneuver request");
+    game.socket.emit(SOCKET_NAMESPACE, {
+      type: SOCKET_EVENTS.REQUEST_RESOLVE_MANEUVER,
+      payload: { combatId: combat.id, attackerId: attacker.id, targetTokenId }
+    });
+  }
+}
+
+/**
+ * Request to abort a pending maneuver into a block (for players to call)
+ * @param {Combat} combat - The combat document
+ * @param {string} combatantId - The aborting combatant ID
+ */
+export function requestAbortToBlock(combat, combatantId) {
+  if (game.user.isGM) {
+    combat.abortToBlock(combatantId);
+  } else {
+    console.log("Street Fighter | Player sending abort to block request for", combatantId);
+    game.socket.emit(SOCKET_NAMESPACE, {
+      type: SOCKET_EVENTS.REQUEST_ABORT_TO_BLOCK,
+      payload: { combatId: combat.id, combatantId }
+    });
+  }
+}
+
+/**
+ * Send a combat log entry to the GM to record (for players to call)
+ * @param {Combat} combat - The combat document
+ * @param {object} entry - Log entry to append
+ */
+export function requestLogEntry(combat, entry) {
+  game.socket.emit(SOCKET_NAMESPACE, {
+    type: SOCKET_EVENTS.REQUEST_LOG_ENTRY,
+    payload: { combatId: combat.id, entry }
+  });
+}
+
 /**
  * Broadcasts an interruption event
  * @param {Combat} combat - The combat document
@@ -335,3 +470,13 @@ export function broadcastPhaseChanged(combat, phase) {
     combatId: combat.id
   });
 }
+
+/**
+ * Broadcasts that combat state was restored by an undo or rewind
+ * @param {Combat} combat - The combat document
+ */
+export function broadcastStateRestored(combat) {
+  emitCombatEvent(SOCKET_EVENTS.STATE_RESTORED, {
+    combatId: combat.id
+  });
+}
@@ -8,6 +8,9 @@ import {
   COMBAT_PHASE,
   SELECTION_STATUS,
   ACTION_STATUS,
+  ACTIVE_DEFENSE,
+  POSITION_STATE,
+  ABORT_TO_BLOCK_WILLPOWER_COST,
   FLAG_SCOPE,
   COMBAT_FLAGS,
   COMBATANT_FLAGS
@@ -15,7 +18,8 @@ import {
 
 import { ManeuverSelectionDialog } from "./maneuver-selection-dialog.mjs";
 import { ActionTurnDialog } from "./action-turn-dialog.mjs";
-import { requestInterruption, requestCompleteAction } from "./combat-socket.mjs";
+import { autoSelectForNPCs } from "./fighter-brain.mjs";
+import { requestInterruption, requestCompleteAction, requestAbortToBlock } from "./combat-socket.mjs";
 
 /**
  * Street Fighter Combat Tracker Application
@@ -29,10 +33,15 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
     actions: {
       startTurn: StreetFighterCombatTracker._onStartTurn,
       startExecution: StreetFighterCombatTracker._onStartExecution,
+      autoSelectNPCs: StreetFighterCombatTracker._onAutoSelectNPCs,
       nextTurn: StreetFighterCombatTracker._onNextTurn,
+      undoLastAction: StreetFighterCombatTracker._onUndoLastAction,
+      rewindTurn: StreetFighterCombatTracker._onRewindTurn,
+      replayRound: StreetFighterCombatTracker._onReplayRound,
       openManeuverSelection: StreetFighterCombatTracker._onOpenManeuverSelection,
       openTurnDialog: StreetFighterCombatTracker._onOpenTurnDialog,
       interrupt: StreetFighterCombatTracker._onInterrupt,
+      abortToBlock: StreetFighterCombatTracker._onAbortToBlock,
       completeAction: StreetFighterCombatTracker._onCompleteAction,
       revealManeuver: StreetFighterCombatTracker._onRevealManeuver,
       createCombat: StreetFighterCombatTracker._onCreateCombat,
@@ -85,6 +94,8 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
         allSelectionsComplete: false,
         allActionsComplete: false,
         currentActingId: null,
+        canUndo: false,
+        canRewindTurn: false,
         isGM: isGM
       };
       return context;
@@ -102,6 +113,8 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
       allSelectionsComplete: combat.allSelectionsComplete,
       allActionsComplete: combat.allActionsComplete,
       currentActingId: combat.currentActingCombatantId,
+      canUndo: isGM && combat.canUndo,
+      canRewindTurn: isGM && combat.canRewindTurn,
       isGM: isGM
     };
 
@@ -205,10 +218,12 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
       const shouldHideFromGM = isGM && hidePlayerManeuversFromGM && isOnlinePlayerCombatant && !combatant.maneuverRevealed;
 
       const isDefeated = combatant.isDefeated;
+      const losesTurnToDizzy = combatant.losesTurnToDizzy;
 
       const canOpenManeuverDialog = phase === COMBAT_PHASE.SELECTION &&
         selectionStatus !== SELECTION_STATUS.READY &&
         !isDefeated &&
+        !losesTurnToDizzy &&
         (isOwner || (isGM && isNPC));
 
       const canInterrupt = phase === COMBAT_PHASE.EXECUTION &&
@@ -218,8 +233,19 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
         combatant.canInterrupt(currentActing) &&
         (isOwner || isGM);
 
+      const canAbortToBlock = phase === COMBAT_PHASE.EXECUTION &&
+        currentActing &&
+        combatant.id !== currentActingId &&
+        actionStatus === ACTION_STATUS.PENDING &&
+        !isDefeated &&
+        (combatant.actor?.system.resources?.willpower?.value ?? 0) >= ABORT_TO_BLOCK_WILLPOWER_COST &&
+        (isOwner || isGM);
+
+      const activeDefense = combatant.activeDefense;
+
       const showManeuverButton = phase === COMBAT_PHASE.SELECTION &&
         !isDefeated &&
+        !losesTurnToDizzy &&
         (isOwner || (isGM && isNPC));
 
       return {
@@ -238,12 +264,27 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
           speed: (phase === COMBAT_PHASE.EXECUTION || !shouldHideFromGM) ? (selectedManeuver?.speed ?? null) : null,
           canOpenManeuverDialog,
           canInterrupt,
+          canAbortToBlock,
+          activeDefense,
+          defenseIcon: this._getDefenseIcon(activeDefense),
+          defenseLabel: this._getDefenseLabel(activeDefense),
           showManeuverButton,
+          isDizzied: combatant.isDizzied,
+          losesTurnToDizzy,
+          position: combatant.position,
+          positionIcon: this._getPositionIcon(combatant.position),
+          positionLabel: game.i18n.localize(CONFIG.STREET_FIGHTER.positionStates[combatant.position]),
           isOwner,
           isNPC,
+          // Mooks have no sheet worth opening mid-fight, so their health shows in the tracker
+          npcHealth: (isGM && combatant.actor?.type === "npc") ? combatant.actor.system.resources.health : null,
           shouldHideFromGM,
-          statusIcon: this._getStatusIcon(phase, selectionStatus, actionStatus, combatant.id === currentActingId),
-          statusLabel: this._getStatusLabel(phase, selectionStatus, actionStatus)
+          statusIcon: losesTurnToDizzy
+            ? "fas fa-star sf-status-dizzy"
+            : this._getStatusIcon(phase, selectionStatus, actionStatus, combatant.id === currentActingId),
+          statusLabel: losesTurnToDizzy
+            ? game.i18n.localize("STREET_FIGHTER.Combat.Status.Dizzy")
+            : this._getStatusLabel(phase, selectionStatus, actionStatus)
         }
       };
     });
@@ -292,6 +333,51 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
     return "fas fa-circle sf-status-setup";
   }
 
+  /**
+   * Get icon class for a combatant's active defense
+   * @param {ActiveDefense|null} defense
+   * @returns {string}
+   * @private
+   */
+  _getDefenseIcon(defense) {
+    if (!defense) return "";
+    return defense.type === ACTIVE_DEFENSE.BLOCK
+      ? "fas fa-shield-alt sf-defense-block"
+      : "fas fa-running sf-defense-dodge";
+  }
+
+  /**
+   * Get icon class for a combatant's position (none while standing)
+   * @param {string} position
+   * @returns {string}
+   * @private
+   */
+  _getPositionIcon(position) {
+    switch (position) {
+      case POSITION_STATE.KNOCKED_DOWN:
+        return "fas fa-person-falling sf-position-knocked-down";
+      case POSITION_STATE.AERIAL:
+        return "fas fa-angles-up sf-position-aerial";
+      case POSITION_STATE.CROUCHING:
+        return "fas fa-angles-down sf-position-crouching";
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Get tooltip label for a combatant's active defense
+   * @param {ActiveDefense|null} defense
+   * @returns {string}
+   * @private
+   */
+  _getDefenseLabel(defense) {
+    if (!defense) return "";
+    return defense.type === ACTIVE_DEFENSE.BLOCK
+      ? game.i18n.format("STREET_FIGHTER.Combat.Defense.BlockActive", { bonus: defense.soakBonus })
+      : game.i18n.format("STREET_FIGHTER.Combat.Defense.DodgeActive", { count: defense.negatedSuccesses });
+  }
+
   /**
    * Get status label for a combatant
    * @param {string} phase
@@ -354,6 +440,25 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
     await combat.startExecutionPhase();
   }
 
+  /**
+   * Handle letting the fighter brain select maneuvers for every NPC still choosing
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {StreetFighterCombatTracker}
+   */
+  static async _onAutoSelectNPCs(event, target) {
+    event.preventDefault();
+    const combat = this.viewed;
+    if (!combat || !game.user.isGM) return;
+
+    const selected = await autoSelectForNPCs(combat);
+    if (!selected.length) {
+      ui.notifications.info(game.i18n.localize("STREET_FIGHTER.Ai.NoneSelected"));
+      return;
+    }
+    ui.notifications.info(game.i18n.format("STREET_FIGHTER.Ai.Selected", { count: selected.length }));
+  }
+
   /**
    * Handle advancing to the next turn
    * @param {PointerEvent} event
@@ -368,6 +473,62 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
     await combat.advanceToNextTurn();
   }
 
+  /**
+   * Handle undoing the last combat transition
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {StreetFighterCombatTracker}
+   */
+  static async _onUndoLastAction(event, target) {
+    event.preventDefault();
+    const combat = this.viewed;
+    if (!combat || !game.user.isGM) return;
+
+    await combat.undoLastAction();
+  }
+
+  /**
+   * Handle rewinding the current round to the start of its execution phase
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {StreetFighterCombatTracker}
+   */
+  static async _onRewindTurn(event, target) {
+    event.preventDefault();
+    const combat = this.viewed;
+    if (!combat || !game.user.isGM) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STREET_FIGHTER.Combat.History.RewindTitle") },
+      content: game.i18n.localize("STREET_FIGHTER.Combat.History.RewindConfirm")
+    });
+
+    if (confirmed) {
+      await combat.rewindToTurnStart();
+    }
+  }
+
+  /**
+   * Handle replaying the current round from the start of its execution phase
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {StreetFighterCombatTracker}
+   */
+  static async _onReplayRound(event, target) {
+    event.preventDefault();
+    const combat = this.viewed;
+    if (!combat || !game.user.isGM) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STREET_FIGHTER.Combat.History.ReplayTitle") },
+      content: game.i18n.localize("STREET_FIGHTER.Combat.History.ReplayConfirm")
+    });
+
+    if (confirmed) {
+      await combat.replayRound();
+    }
+  }
+
   /**
    * Handle opening the maneuver selection dialog
    * @param {PointerEvent} event
@@ -453,6 +614,41 @@ export class StreetFighterCombatTracker extends foundry.applications.sidebar.tab
     }
   }
 
+  /**
+   * Handle aborting a pending maneuver into a block
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {StreetFighterCombatTracker}
+   */
+  static async _onAbortToBlock(event, target) {
+    event.preventDefault();
+    const combat = this.viewed;
+    if (!combat) return;
+
+    const combatantId = target.closest("[data-combatant-id]")?.dataset.combatantId;
+    if (!combatantId) return;
+
+    const combatant = combat.combatants.get(combatantId);
+    if (!combatant) return;
+
+    if (!combatant.isOwner && !game.user.isGM) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.NotYourCombatant"));
+      return;
+    }
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STREET_FIGHTER.Combat.Defense.AbortTitle") },
+      content: game.i18n.format("STREET_FIGHTER.Combat.Defense.AbortConfirm", {
+        name: combatant.name,
+        cost: ABORT_TO_BLOCK_WILLPOWER_COST
+      })
+    });
+
+    if (confirmed) {
+      requestAbortToBlock(combat, combatantId);
+    }
+  }
+
   /**
    * Handle completing the current action
    * @param {PointerEvent} event
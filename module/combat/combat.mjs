@@ -9,19 +9,39 @@ import {
   COMBAT_PHASE,
   SELECTION_STATUS,
   ACTION_STATUS,
+  ACTIVE_DEFENSE,
+  POSITION_STATE,
+  RANGE_ENFORCEMENT,
+  ABORT_TO_BLOCK_WILLPOWER_COST,
   FLAG_SCOPE,
   COMBAT_FLAGS,
   COMBATANT_FLAGS,
   SF_HOOKS,
   getDefaultCombatFlags,
   getDefaultCombatantFlags,
-  sortByInitiative
+  sortByInitiative,
+  calculateDamagePool,
+  getActiveDefenseType,
+  applyDefenseToSoak,
+  applyDefenseToSuccesses,
+  getNextHit,
+  isManeuverUsableAgainst,
+  calculateSpeedTiebreaker
 } from "./combat-phases.mjs";
 
+import { getRangeEnforcement, getCombatantToken, checkManeuverReach } from "./combat-range.mjs";
+import { getCombatHistory, findTurnStartIndex, recordSnapshot, restoreSnapshot } from "./combat-history.mjs";
+import { createCombatSeed, getCombatSeed, getTiebreakerRandom, nextDiceRandom } from "./combat-random.mjs";
+
+import { DIFFICULTY } from "../config/constants.mjs";
+import { rollDicePool } from "../dice/roll-dialog.mjs";
+import { calculateManeuverStats, getCharacterStatsForManeuver } from "../helpers/maneuver-calculator.mjs";
+
 import {
   broadcastPhaseChanged,
   broadcastTurnStarted,
-  broadcastInterruption
+  broadcastInterruption,
+  broadcastStateRestored
 } from "./combat-socket.mjs";
 
 export class StreetFighterCombat extends Combat {
@@ -78,7 +98,7 @@ export class StreetFighterCombat extends Combat {
   get allSelectionsComplete() {
     if (!this.combatants?.size) return false;
     return Array.from(this.combatants).every(c => {
-      if (c.isDefeated) return true;
+      if (c.isDefeated || c.losesTurnToDizzy) return true;
       const status = c.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.SELECTION_STATUS);
       return status === SELECTION_STATUS.READY;
     });
@@ -104,7 +124,7 @@ export class StreetFighterCombat extends Combat {
   get combatantsByInitiative() {
     if (!this.combatants?.size) return [];
     const combatantsWithSpeed = Array.from(this.combatants)
-      .filter(c => !c.isDefeated)
+      .filter(c => !c.isDefeated && !c.losesTurnToDizzy)
       .map(c => ({
         combatant: c,
         speed: c.selectedManeuverSpeed ?? 999,
@@ -115,6 +135,30 @@ export class StreetFighterCombat extends Combat {
     return sortByInitiative(combatantsWithSpeed).map(item => item.combatant);
   }
 
+  /**
+   * Get the seed this combat's tiebreakers and dice are drawn from
+   * @returns {string}
+   */
+  get seed() {
+    return getCombatSeed(this);
+  }
+
+  /**
+   * Check if there is a recorded transition to undo
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return getCombatHistory(this).length > 0;
+  }
+
+  /**
+   * Check if the current round's execution phase can be rewound to its start
+   * @returns {boolean}
+   */
+  get canRewindTurn() {
+    return findTurnStartIndex(this) >= 0;
+  }
+
   /* -------------------------------------------- */
   /*  Lifecycle Methods                           */
   /* -------------------------------------------- */
@@ -124,6 +168,7 @@ export class StreetFighterCombat extends Combat {
     await super._preCreate(data, options, user);
 
     const flags = getDefaultCombatFlags();
+    flags[COMBAT_FLAGS.SEED] = this.flags?.[FLAG_SCOPE]?.[COMBAT_FLAGS.SEED] ?? createCombatSeed();
     this.updateSource({ [`flags.${FLAG_SCOPE}`]: flags });
   }
 
@@ -191,10 +236,12 @@ export class StreetFighterCombat extends Combat {
 
   /**
    * Initialize combat flags for a new combat
+   * The seed chosen at creation is kept, so a fight can be set up with a known seed
    * @private
    */
   async _initializeCombatFlags() {
     const flags = getDefaultCombatFlags();
+    flags[COMBAT_FLAGS.SEED] = this.getFlag(FLAG_SCOPE, COMBAT_FLAGS.SEED) ?? createCombatSeed();
     await this.update({ [`flags.${FLAG_SCOPE}`]: flags });
 
     for (const combatant of this.combatants) {
@@ -255,12 +302,21 @@ export class StreetFighterCombat extends Combat {
       return this;
     }
 
+    await recordSnapshot(this, "STREET_FIGHTER.Combat.History.StartExecution", { turnStart: true });
+
     const previousPhase = this.phase;
 
+    // Dizzied combatants lose this round's action
+    for (const combatant of this.combatants) {
+      if (combatant.losesTurnToDizzy) {
+        await combatant.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTION_STATUS, ACTION_STATUS.SKIPPED);
+      }
+    }
+
     // Pre-calculate the first combatant before changing phase
     // This ensures currentActingId is set atomically with the phase change
     const combatantsWithSpeed = Array.from(this.combatants)
-      .filter(c => !c.isDefeated)
+      .filter(c => !c.isDefeated && !c.losesTurnToDizzy)
       .map(c => ({
         combatant: c,
         speed: c.selectedManeuverSpeed ?? 999,
@@ -327,11 +383,17 @@ export class StreetFighterCombat extends Combat {
       return this;
     }
 
+    await recordSnapshot(this, "STREET_FIGHTER.Combat.History.NextTurn");
+
     // Dispatch Foundry lifecycle hook for round end
     const roundContext = { round: this.round, skipped: false };
     await this._onEndRound(roundContext);
 
-    await this.nextRound();
+    // Advance the round without Foundry's turn events, which would end the round a second time
+    const updateData = { round: this.round + 1, turn: 0 };
+    const updateOptions = { direction: 1, turnEvents: false };
+    Hooks.callAll("combatRound", this, updateData, updateOptions);
+    await this.update(updateData, updateOptions);
     await this.startSelectionPhase();
 
     return this;
@@ -414,6 +476,8 @@ export class StreetFighterCombat extends Combat {
       return this;
     }
 
+    await recordSnapshot(this, "STREET_FIGHTER.Combat.History.Interruption");
+
     const stack = [...this.interruptionStack, interrupted.id];
     await this.setFlag(FLAG_SCOPE, COMBAT_FLAGS.INTERRUPTION_STACK, stack);
 
@@ -439,6 +503,8 @@ export class StreetFighterCombat extends Combat {
     const current = this.currentActingCombatant;
     if (!current) return this;
 
+    await recordSnapshot(this, "STREET_FIGHTER.Combat.History.CompleteAction");
+
     const currentTurn = this.turn;
 
     // Auto-reveal maneuver if not already revealed
@@ -446,14 +512,7 @@ export class StreetFighterCombat extends Combat {
       await current.revealManeuver();
     }
 
-    await current.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTION_STATUS, ACTION_STATUS.COMPLETED);
-
-    // Dispatch end turn event for the completing combatant
-    const endContext = { round: this.round, turn: currentTurn, skipped: false };
-    await this._onEndTurn(current, endContext);
-
-    // Dispatch Street Fighter specific action completed hook
-    Hooks.callAll(SF_HOOKS.ACTION_COMPLETED, this, current);
+    await this._completeAction(current, currentTurn);
 
     const stack = this.interruptionStack;
     if (stack.length > 0) {
@@ -473,16 +532,38 @@ export class StreetFighterCombat extends Combat {
     return this;
   }
 
+  /**
+   * Mark a combatant's action completed, ending its turn and dispatching the completion hook
+   * @param {Combatant} combatant - The combatant whose action is completed
+   * @param {number} turn - The combatant's turn index
+   * @private
+   */
+  async _completeAction(combatant, turn) {
+    await combatant.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTION_STATUS, ACTION_STATUS.COMPLETED);
+
+    // Dispatch end turn event for the completing combatant
+    const endContext = { round: this.round, turn, skipped: false };
+    await this._onEndTurn(combatant, endContext);
+
+    // Dispatch Street Fighter specific action completed hook
+    Hooks.callAll(SF_HOOKS.ACTION_COMPLETED, this, combatant);
+  }
+
   /**
    * Skip the current combatant's action
+   * Chi and willpower spent on a revealed maneuver are refunded
    * @returns {Promise<Combat>}
    */
   async skipCurrentAction() {
     const current = this.currentActingCombatant;
     if (!current) return this;
 
+    await recordSnapshot(this, "STREET_FIGHTER.Combat.History.SkipAction");
+
     const currentTurn = this.turn;
 
+    await current.refundReveal();
+
     await current.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTION_STATUS, ACTION_STATUS.SKIPPED);
 
     // Dispatch end turn event for the skipped combatant
@@ -514,6 +595,408 @@ export class StreetFighterCombat extends Combat {
     await this.setFlag(FLAG_SCOPE, COMBAT_FLAGS.CURRENT_ACTING_ID, null);
   }
 
+  /* -------------------------------------------- */
+  /*  Damage Resolution                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Resolve a combatant's maneuver against a target (GM action)
+   * Rolls the maneuver damage minus the target's soak, applies the successes
+   * to the target's health and posts a single resolution card to chat.
+   * A combo resolves one hit per call, in order; when its last hit connects after
+   * every earlier one did, a dizzy combo from the attacker's list dizzies the target.
+   * Only the acting combatant can resolve, and only during the execution phase
+   * @param {string} targetTokenId - The targeted token ID
+   * @param {object} [options]
+   * @param {string} [options.attackerId] - Attacking combatant ID (defaults to the acting combatant)
+   * @param {number} [options.difficulty] - Damage roll difficulty
+   * @returns {Promise<object|null>} Resolution data, or null if nothing was resolved
+   */
+  async resolveManeuver(targetTokenId, { attackerId = null, difficulty = DIFFICULTY.default } = {}) {
+    if (!game.user.isGM) return null;
+
+    const attacker = attackerId ? this.combatants.get(attackerId) : this.currentActingCombatant;
+    if (!attacker) return null;
+
+    // Hits land only on the attacker's own turn, so a stray request cannot resolve out of turn
+    if (this.phase !== COMBAT_PHASE.EXECUTION || attacker.id !== this.currentActingCombatantId) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.NotActingCombatant"));
+      return null;
+    }
+
+    const maneuver = attacker.selectedManeuver;
+    if (!maneuver) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.NoManeuverSelected"));
+      return null;
+    }
+
+    const comboHits = attacker.comboHits;
+    const hit = getNextHit(maneuver, comboHits.length);
+    if (attacker.attackResolved || !hit) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.AttackAlreadyResolved"));
+      return null;
+    }
+
+    const target = this._getResolutionTarget(targetTokenId);
+    if (!target) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.NoTargetSelected"));
+      return null;
+    }
+
+    if (!this._isTargetInReach(attacker, targetTokenId, hit)) return null;
+
+    const positionRules = attacker.actor?.items.get(hit.itemId)?.system.positionRules;
+    const targetPosition = target.combatant?.position ?? null;
+    if (!isManeuverUsableAgainst(positionRules, targetPosition)) {
+      ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Position.CannotHit", {
+        maneuver: hit.name,
+        position: game.i18n.localize(CONFIG.STREET_FIGHTER.positionStates[targetPosition])
+      }));
+      return null;
+    }
+
+    await recordSnapshot(this, "STREET_FIGHTER.Combat.History.ResolveManeuver", {
+      actors: target.combatant ? [] : [target.actor]
+    });
+
+    // Auto-reveal maneuver if not already revealed
+    if (!attacker.maneuverRevealed) {
+      await attacker.revealManeuver();
+      if (!attacker.maneuverRevealed) return null;
+    }
+
+    const combo = maneuver.combo;
+    const isLastHit = !combo || comboHits.length === combo.hits.length - 1;
+    const comboDizzy = !!combo && isLastHit && comboHits.every(Boolean)
+      && !!attacker.actor?.findDizzyCombo(combo.hits.map(h => h.sourceId));
+
+    const defense = target.combatant?.activeDefense ?? null;
+    const baseSoak = target.actor.getEffectiveSoak();
+    const soak = applyDefenseToSoak(baseSoak, defense);
+    const dicePool = calculateDamagePool(hit.damage, soak);
+    const rollResult = await rollDicePool(dicePool, difficulty, { random: await nextDiceRandom(attacker) });
+    const damage = applyDefenseToSuccesses(rollResult.finalSuccesses, defense);
+
+    const healthBefore = target.actor.system.resources.health.value;
+    const wasDizzied = target.combatant?.isDizzied ?? false;
+    if (damage > 0) {
+      await target.actor.applyDamage(damage, { dizzy: comboDizzy });
+    }
+    const healthAfter = target.actor.system.resources.health.value;
+    const dizzied = !wasDizzied && (target.combatant?.isDizzied ?? false);
+
+    // Sweeps, throws and the like leave the target in a new position on a hit
+    const inflictedPosition = damage > 0 ? (positionRules?.targetPosition || null) : null;
+    if (inflictedPosition && target.combatant) {
+      await target.combatant.setPosition(inflictedPosition);
+    }
+
+    if (combo) {
+      await attacker.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.COMBO_HITS, [...comboHits, damage > 0]);
+    }
+    if (isLastHit) {
+      await attacker.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ATTACK_RESOLVED, true);
+    }
+
+    const resolution = {
+      attackerId: attacker.id,
+      targetTokenId: target.tokenId,
+      targetActorId: target.actor.id,
+      maneuver: hit,
+      maneuverDamage: hit.damage,
+      combo: combo ? { name: maneuver.name, hit: comboHits.length + 1, total: combo.hits.length, dizzy: comboDizzy && damage > 0 } : null,
+      soak,
+      defense,
+      dicePool,
+      difficulty,
+      rolledSuccesses: rollResult.finalSuccesses,
+      negatedSuccesses: rollResult.finalSuccesses - damage,
+      damage,
+      healthBefore,
+      healthAfter,
+      dizzied,
+      inflictedPosition,
+    };
+
+    // Dispatch Street Fighter specific damage applied hook
+    Hooks.callAll(SF_HOOKS.DAMAGE_APPLIED, this, attacker, target.actor, resolution);
+
+    await this._postResolutionToChat(attacker, target, resolution, rollResult);
+
+    return resolution;
+  }
+
+  /**
+   * Find the actor targeted by a token, preferring combatants in this combat
+   * @param {string} tokenId - The targeted token ID
+   * @returns {{actor: Actor, name: string, tokenId: string, combatant: Combatant|null}|null}
+   * @private
+   */
+  _getResolutionTarget(tokenId) {
+    if (!tokenId) return null;
+
+    const combatant = this.combatants.find(c => c.tokenId === tokenId);
+    if (combatant?.actor) {
+      return { actor: combatant.actor, name: combatant.name, tokenId, combatant };
+    }
+
+    const token = canvas.tokens?.get(tokenId);
+    if (token?.actor) {
+      return { actor: token.actor, name: token.name, tokenId, combatant: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the target is within reach of the attacker's maneuver when range is strictly enforced
+   * Tokens that are not on the viewed scene cannot be measured and are let through
+   * @param {Combatant} attacker - The attacking combatant
+   * @param {string} targetTokenId - Token ID of the target
+   * @param {SelectedManeuver|ComboHit} maneuver - The attacker's maneuver, or the combo hit being resolved
+   * @returns {boolean}
+   * @private
+   */
+  _isTargetInReach(attacker, targetTokenId, maneuver) {
+    if (getRangeEnforcement() !== RANGE_ENFORCEMENT.BLOCK) return true;
+
+    const token = getCombatantToken(attacker);
+    const targetToken = canvas.tokens?.get(targetTokenId);
+    if (!token || !targetToken) return true;
+
+    const range = checkManeuverReach(token, targetToken, maneuver.movement);
+    if (!range.inReach) {
+      ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Combat.Range.OutOfReach", {
+        name: targetToken.name,
+        distance: range.distance,
+        reach: range.reach
+      }));
+    }
+    return range.inReach;
+  }
+
+  /**
+   * Post the damage resolution card to chat
+   * @param {Combatant} attacker - The attacking combatant
+   * @param {object} target - The resolved target
+   * @param {object} resolution - Resolution data
+   * @param {object} rollResult - Result from rollDicePool
+   * @private
+   */
+  async _postResolutionToChat(attacker, target, resolution, rollResult) {
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "systems/street-fighter/templates/chat/damage-resolution-card.hbs",
+      {
+        attackerName: attacker.name,
+        targetName: target.name,
+        ...resolution,
+        inflictedPositionLabel: resolution.inflictedPosition
+          ? game.i18n.localize(CONFIG.STREET_FIGHTER.positionStates[resolution.inflictedPosition])
+          : null,
+        diceResults: rollResult.diceResults,
+        onesRemoved: rollResult.onesRemoved,
+        resultType: resolution.damage > 0 ? "success" : (rollResult.isCriticalFailure ? "criticalFailure" : "failure"),
+        isCriticalFailure: rollResult.isCriticalFailure,
+      }
+    );
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: attacker.actor, token: attacker.token }),
+      content,
+      rolls: [rollResult.roll],
+      sound: CONFIG.sounds.dice,
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Active Defenses                             */
+  /* -------------------------------------------- */
+
+  /**
+   * Get the active defense registered by the combatant controlling a token
+   * @param {string} tokenId - The token ID
+   * @returns {ActiveDefense|null}
+   */
+  getActiveDefense(tokenId) {
+    if (!tokenId) return null;
+    return this.combatants.find(c => c.tokenId === tokenId)?.activeDefense ?? null;
+  }
+
+  /**
+   * Abort a pending maneuver into a block by spending willpower (GM action)
+   * The block replaces the selected maneuver, protects the combatant immediately
+   * and uses up their action for the turn
+   * @param {string} combatantId - The aborting combatant ID
+   * @returns {Promise<Combat>}
+   */
+  async abortToBlock(combatantId) {
+    const combatant = this.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    if (!actor) return this;
+
+    if (this.phase !== COMBAT_PHASE.EXECUTION ||
+        combatant.actionStatus !== ACTION_STATUS.PENDING ||
+        combatant.isDefeated) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.Defense.CannotAbort"));
+      return this;
+    }
+
+    const blockManeuver = actor.items.find(i =>
+      i.type === "specialManeuver" &&
+      getActiveDefenseType(i.system.category, i.system.sourceId) === ACTIVE_DEFENSE.BLOCK
+    );
+    if (!blockManeuver) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.Defense.NoBlockManeuver"));
+      return this;
+    }
+
+    // Checked before recording, so a refused abort leaves nothing to undo
+    if ((actor.system.resources.willpower?.value ?? 0) < ABORT_TO_BLOCK_WILLPOWER_COST) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Notifications.NotEnoughWillpower"));
+      return this;
+    }
+
+    await recordSnapshot(this, "STREET_FIGHTER.Combat.History.AbortToBlock");
+
+    const spent = await actor.spendWillpower(ABORT_TO_BLOCK_WILLPOWER_COST);
+    if (!spent) return this;
+
+    const stats = calculateManeuverStats(actor, blockManeuver);
+    await combatant.selectManeuver({
+      itemId: blockManeuver.id,
+      name: stats.name,
+      speed: stats.calculatedSpeed,
+      damage: stats.calculatedDamage,
+      movement: stats.calculatedMovement,
+      category: stats.category,
+      chiCost: stats.chiCost,
+      willpowerCost: stats.willpowerCost,
+      notes: stats.notes
+    });
+
+    await combatant.revealManeuver({ aborted: true });
+    await this._completeAction(combatant, this.turns.findIndex(c => c.id === combatant.id));
+
+    return this;
+  }
+
+  /* -------------------------------------------- */
+  /*  History                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Undo the last recorded transition, restoring flags and resources from before it (GM action)
+   * @returns {Promise<Combat>}
+   */
+  async undoLastAction() {
+    if (!game.user.isGM) return this;
+
+    const history = getCombatHistory(this);
+    if (!history.length) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.History.NothingToUndo"));
+      return this;
+    }
+
+    const snapshot = await restoreSnapshot(this, history.length - 1);
+    this._onStateRestored(snapshot, "STREET_FIGHTER.Combat.History.Undone");
+    return this;
+  }
+
+  /**
+   * Rewind the current round to the start of its execution phase (GM action)
+   * Every action taken since is undone, keeping the maneuvers selected for the turn
+   * @returns {Promise<Combat>}
+   */
+  async rewindToTurnStart() {
+    if (!game.user.isGM) return this;
+
+    const index = findTurnStartIndex(this);
+    if (index < 0) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.History.NoTurnStart"));
+      return this;
+    }
+
+    const snapshot = await restoreSnapshot(this, index);
+    this._onStateRestored(snapshot, "STREET_FIGHTER.Combat.History.Rewound");
+    return this;
+  }
+
+  /**
+   * Replay the current round from the start of its execution phase (GM action)
+   * Like a rewind, but every speed tiebreaker is rolled again from the combat's seed and the
+   * resulting order is posted for the GM. Dice counters are restored with the rest of the state,
+   * so taking the same actions again rolls the same dice
+   * @returns {Promise<Combat>}
+   */
+  async replayRound() {
+    if (!game.user.isGM) return this;
+
+    const index = findTurnStartIndex(this);
+    if (index < 0) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.History.NoTurnStart"));
+      return this;
+    }
+
+    const snapshot = await restoreSnapshot(this, index);
+
+    for (const combatant of this.combatants) {
+      const maneuver = combatant.selectedManeuver;
+      if (!maneuver || !combatant.actor) continue;
+
+      const { findTraitValue } = getCharacterStatsForManeuver(combatant.actor);
+      const speedTiebreaker = calculateSpeedTiebreaker(
+        maneuver.speed, findTraitValue("wits"), findTraitValue("perception"), getTiebreakerRandom(combatant)
+      );
+      if (speedTiebreaker !== maneuver.speedTiebreaker) {
+        await combatant.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.SELECTED_MANEUVER, { ...maneuver, speedTiebreaker });
+      }
+    }
+    this.setupTurns();
+
+    this._onStateRestored(snapshot, "STREET_FIGHTER.Combat.History.Replayed");
+    await this._postReplayToChat();
+    return this;
+  }
+
+  /**
+   * Whisper the regenerated turn order of a replayed round to the GM
+   * @private
+   */
+  async _postReplayToChat() {
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "systems/street-fighter/templates/chat/round-replay-card.hbs",
+      {
+        round: this.round,
+        seed: this.seed,
+        order: this.combatantsByInitiative.map(c => ({
+          name: c.name,
+          maneuver: c.selectedManeuver?.name ?? "",
+          speed: c.selectedManeuverSpeed,
+          speedTiebreaker: c.selectedManeuverSpeedTiebreaker?.toFixed(3)
+        }))
+      }
+    );
+
+    await ChatMessage.create({ content, whisper: ChatMessage.getWhisperRecipients("GM") });
+  }
+
+  /**
+   * Notify hooks, the GM and connected clients that combat state was restored
+   * @param {import("./combat-history.mjs").CombatSnapshot} snapshot - The restored snapshot
+   * @param {string} message - Localization key of the GM notification
+   * @private
+   */
+  _onStateRestored(snapshot, message) {
+    const action = game.i18n.localize(snapshot.label);
+
+    // Dispatch Street Fighter specific state restored hook
+    Hooks.callAll(SF_HOOKS.STATE_RESTORED, this, snapshot);
+
+    broadcastStateRestored(this);
+
+    ui.notifications.info(game.i18n.format(message, { action }));
+  }
+
   /* -------------------------------------------- */
   /*  Helper Methods                              */
   /* -------------------------------------------- */
@@ -595,15 +1078,27 @@ export class StreetFighterCombat extends Combat {
   /**
    * A workflow that occurs at the end of each Combat Round.
    * Called when all combatants have completed their actions.
-   * Handles Chi regeneration and other end-of-round effects.
+   * Handles Chi regeneration, dizziness recovery, position recovery and other end-of-round effects.
    * @override
    * @param {object} context - Context data for the round
    * @returns {Promise<void>}
    * @protected
    */
   async _onEndRound(context) {
-    // Street Fighter specific: Chi regeneration
     for (const combatant of this.combatants) {
+      // Street Fighter specific: dizziness wears off once the lost round is over
+      if (combatant.losesTurnToDizzy) {
+        await combatant.clearDizzy();
+      }
+
+      // Street Fighter specific: fighters land and stand up; a knocked down
+      // fighter only gets up after the round spent at the speed penalty
+      const positionState = combatant.positionState;
+      if (positionState && (positionState.state !== POSITION_STATE.KNOCKED_DOWN || positionState.round < this.round)) {
+        await combatant.setPosition(POSITION_STATE.STANDING);
+      }
+
+      // Street Fighter specific: Chi regeneration
       const actor = combatant.actor;
       if (!actor) continue;
 
@@ -8,13 +8,21 @@
 import {
   SELECTION_STATUS,
   ACTION_STATUS,
+  ACTIVE_DEFENSE,
+  POSITION_STATE,
   FLAG_SCOPE,
   COMBATANT_FLAGS,
   SF_HOOKS,
   getDefaultCombatantFlags,
   createSelectedManeuver,
-  canInterrupt
+  canInterrupt,
+  getActiveDefenseType
 } from "./combat-phases.mjs";
+import { nextDiceRandom } from "./combat-random.mjs";
+
+import { DIFFICULTY } from "../config/constants.mjs";
+import { rollDicePool } from "../dice/roll-dialog.mjs";
+import { getCharacterStatsForManeuver } from "../helpers/maneuver-calculator.mjs";
 
 export class StreetFighterCombatant extends Combatant {
 
@@ -78,6 +86,93 @@ export class StreetFighterCombatant extends Combatant {
     return this.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.INTERRUPTED_BY_ID) ?? null;
   }
 
+  /**
+   * Check if this combatant's attack has already been resolved this turn
+   * @returns {boolean}
+   */
+  get attackResolved() {
+    return this.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.ATTACK_RESOLVED) ?? false;
+  }
+
+  /**
+   * Get the active defense registered for this turn
+   * @returns {ActiveDefense|null}
+   */
+  get activeDefense() {
+    return this.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTIVE_DEFENSE) ?? null;
+  }
+
+  /**
+   * Get whether each combo hit resolved this turn connected, in execution order
+   * @returns {boolean[]}
+   */
+  get comboHits() {
+    return this.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.COMBO_HITS) ?? [];
+  }
+
+  /**
+   * Get what the reveal of this turn's maneuver spent and changed
+   * @returns {RevealRecord|null}
+   */
+  get revealRecord() {
+    return this.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.REVEAL_RECORD) ?? null;
+  }
+
+  /**
+   * Check if the reveal can still be taken back (no hit has been resolved yet)
+   * @returns {boolean}
+   */
+  get canUndoReveal() {
+    return this.maneuverRevealed
+      && !this.attackResolved
+      && this.comboHits.length === 0
+      && !this.activeDefense?.aborted;
+  }
+
+  /**
+   * Get the dizzy state, recording the round in which the combatant was dizzied
+   * @returns {{round: number}|null}
+   */
+  get dizzy() {
+    return this.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.DIZZY) ?? null;
+  }
+
+  /**
+   * Check if this combatant is dizzied
+   * @returns {boolean}
+   */
+  get isDizzied() {
+    return this.dizzy !== null;
+  }
+
+  /**
+   * Check if this combatant loses the current round to dizziness
+   * A dizzied combatant keeps any action left in the round it was dizzied
+   * and loses the selection of the following round
+   * @returns {boolean}
+   */
+  get losesTurnToDizzy() {
+    const dizzy = this.dizzy;
+    if (!dizzy) return false;
+    return dizzy.round < (this.parent?.round ?? 0);
+  }
+
+  /**
+   * Get the position state, recording the round in which it was taken
+   * @returns {{state: string, round: number}|null}
+   */
+  get positionState() {
+    return this.getFlag(FLAG_SCOPE, COMBATANT_FLAGS.POSITION) ?? null;
+  }
+
+  /**
+   * Get the current position (standing when none was set)
+   * @returns {string}
+   */
+  get position() {
+    return this.positionState?.state ?? POSITION_STATE.STANDING;
+  }
+
   /**
    * Check if this combatant has completed their selection
    * @returns {boolean}
@@ -150,6 +245,55 @@ export class StreetFighterCombatant extends Combatant {
     await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTION_STATUS, ACTION_STATUS.PENDING);
     await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.MANEUVER_REVEALED, false);
     await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.INTERRUPTED_BY_ID, null);
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ATTACK_RESOLVED, false);
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTIVE_DEFENSE, null);
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.COMBO_HITS, []);
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.REVEAL_RECORD, null);
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ROLL_COUNT, 0);
+    return this;
+  }
+
+  /**
+   * Mark this combatant as dizzied in the current round
+   * Does nothing if the combatant is already dizzied
+   * @returns {Promise<Combatant>}
+   */
+  async setDizzy() {
+    if (this.isDizzied) return this;
+
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.DIZZY, { round: this.parent?.round ?? 0 });
+
+    // Dispatch Street Fighter specific dizzied hook
+    Hooks.callAll(SF_HOOKS.DIZZIED, this.parent, this);
+
+    return this;
+  }
+
+  /**
+   * Clear the dizzy state
+   * @returns {Promise<Combatant>}
+   */
+  async clearDizzy() {
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.DIZZY, null);
+    return this;
+  }
+
+  /**
+   * Set the position state for this combatant
+   * @param {string} state - Position state from POSITION_STATE
+   * @returns {Promise<Combatant>}
+   */
+  async setPosition(state) {
+    const previous = this.position;
+    const positionState = state === POSITION_STATE.STANDING
+      ? null
+      : { state, round: this.parent?.round ?? 0 };
+
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.POSITION, positionState);
+
+    // Dispatch Street Fighter specific position changed hook
+    Hooks.callAll(SF_HOOKS.POSITION_CHANGED, this.parent, this, state, previous);
+
     return this;
   }
 
@@ -166,6 +310,7 @@ export class StreetFighterCombatant extends Combatant {
    * @param {number} maneuverData.damage - Calculated damage value
    * @param {number} maneuverData.movement - Calculated movement value
    * @param {string} maneuverData.category - Maneuver category
+   * @param {ComboSelection} [maneuverData.combo] - Combo executed as the turn's action
    * @returns {Promise<Combatant>}
    */
   async selectManeuver(maneuverData) {
@@ -196,30 +341,157 @@ export class StreetFighterCombatant extends Combatant {
 
   /**
    * Reveal the selected maneuver to all players
+   * The maneuver's chi and willpower are spent together; a fighter who can no longer
+   * pay for it cannot reveal it
+   * @param {object} [options]
+   * @param {boolean} [options.aborted] - Whether the maneuver comes from aborting to a block
+   * @param {ReachCheck|null} [options.range] - Distance to the target measured before revealing
    * @returns {Promise<Combatant>}
    */
-  async revealManeuver() {
+  async revealManeuver({ aborted = false, range = null } = {}) {
     if (!this.selectedManeuver) {
       ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.NoManeuverSelected"));
       return this;
     }
 
+    const { chiCost = 0, willpowerCost = 0 } = this.selectedManeuver;
+    if (chiCost || willpowerCost) {
+      const paid = await this.actor?.spendResources({ chi: chiCost, willpower: willpowerCost });
+      if (!paid) {
+        ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Combat.CannotPayReveal", {
+          name: this.name,
+          maneuver: this.selectedManeuver.name
+        }));
+        return this;
+      }
+    }
+
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.REVEAL_RECORD, {
+      chi: chiCost,
+      willpower: willpowerCost,
+      positionState: this.positionState
+    });
     await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.MANEUVER_REVEALED, true);
     await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTION_STATUS, ACTION_STATUS.REVEALED);
 
+    // Defensive maneuvers protect the combatant for the rest of the turn
+    const activeDefense = await this.registerActiveDefense({ aborted });
+
+    // Jumps, crouching maneuvers and the like move the fighter into a new position
+    const selfPosition = this.actor?.items.get(this.selectedManeuver.itemId)?.system.positionRules?.selfPosition;
+    if (selfPosition) {
+      await this.setPosition(selfPosition);
+    }
+
     // Dispatch Street Fighter specific maneuver revealed hook
     Hooks.callAll(SF_HOOKS.MANEUVER_REVEALED, this.parent, this, this.selectedManeuver);
 
-    await this._postManeuverToChat();
+    await this._postManeuverToChat(activeDefense, range);
+
+    return this;
+  }
+
+  /**
+   * Give back the chi and willpower spent on this turn's reveal
+   * @returns {Promise<{chi: number, willpower: number}|null>} The refunded amounts, or null if nothing was spent
+   */
+  async refundReveal() {
+    const record = this.revealRecord;
+    if (!record || (!record.chi && !record.willpower)) return null;
+
+    await this.actor?.restoreResources({ chi: record.chi, willpower: record.willpower });
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.REVEAL_RECORD, { ...record, chi: 0, willpower: 0 });
+
+    return { chi: record.chi, willpower: record.willpower };
+  }
+
+  /**
+   * Take back a revealed maneuver before any of its hits is resolved
+   * Refunds its costs, drops the defense it registered and restores the previous position
+   * @returns {Promise<Combatant>}
+   */
+  async undoReveal() {
+    if (!this.canUndoReveal) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combat.CannotUndoReveal"));
+      return this;
+    }
+
+    const record = this.revealRecord;
+    const refunded = await this.refundReveal();
+
+    // Restore the exact earlier position, including the round it was taken in
+    const previous = this.position;
+    if (record && (record.positionState?.state ?? POSITION_STATE.STANDING) !== previous) {
+      await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.POSITION, record.positionState);
+      Hooks.callAll(SF_HOOKS.POSITION_CHANGED, this.parent, this, this.position, previous);
+    }
+
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTIVE_DEFENSE, null);
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.REVEAL_RECORD, null);
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.MANEUVER_REVEALED, false);
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTION_STATUS, ACTION_STATUS.ACTING);
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this.actor, token: this.token }),
+      content: `<p>${game.i18n.format("STREET_FIGHTER.Combat.RevealUndone", {
+        name: this.name,
+        maneuver: this.selectedManeuver?.name ?? ""
+      })}${refunded ? ` ${game.i18n.format("STREET_FIGHTER.Combat.CostsRefunded", refunded)}` : ""}</p>`
+    });
 
     return this;
   }
 
+  /**
+   * Register the selected maneuver as an active defense, if it is defensive
+   * A block adds the Block technique to soak; a dodge rolls Dexterity + Athletics
+   * and each success negates one damage success of every incoming hit
+   * @param {object} [options]
+   * @param {boolean} [options.aborted] - Whether the defense comes from aborting to a block
+   * @returns {Promise<ActiveDefense|null>} The registered defense, or null for non-defensive maneuvers
+   */
+  async registerActiveDefense({ aborted = false } = {}) {
+    const maneuver = this.selectedManeuver;
+    const actor = this.actor;
+    if (!maneuver || !actor) return null;
+
+    const sourceId = actor.items.get(maneuver.itemId)?.system.sourceId;
+    const type = getActiveDefenseType(maneuver.category, sourceId);
+    if (!type) return null;
+
+    const characterStats = getCharacterStatsForManeuver(actor);
+    const defense = {
+      type,
+      maneuverName: maneuver.name,
+      soakBonus: 0,
+      negatedSuccesses: 0,
+      aborted
+    };
+
+    if (type === ACTIVE_DEFENSE.BLOCK) {
+      defense.soakBonus = characterStats.techniques[ACTIVE_DEFENSE.BLOCK]?.value ?? 0;
+    } else {
+      const dodgeRoll = await rollDicePool(characterStats.dexterity + characterStats.athletics, DIFFICULTY.default, {
+        random: await nextDiceRandom(this)
+      });
+      defense.negatedSuccesses = dodgeRoll.finalSuccesses;
+    }
+
+    await this.setFlag(FLAG_SCOPE, COMBATANT_FLAGS.ACTIVE_DEFENSE, defense);
+
+    // Dispatch Street Fighter specific defense registered hook
+    Hooks.callAll(SF_HOOKS.DEFENSE_REGISTERED, this.parent, this, defense);
+
+    return defense;
+  }
+
   /**
    * Post the revealed maneuver to chat
+   * @param {ActiveDefense|null} [activeDefense] - Defense registered by the maneuver
+   * @param {ReachCheck|null} [range] - Distance to the target measured before revealing
    * @private
    */
-  async _postManeuverToChat() {
+  async _postManeuverToChat(activeDefense = null, range = null) {
     const maneuver = this.selectedManeuver;
     if (!maneuver) return;
 
@@ -230,6 +502,9 @@ export class StreetFighterCombatant extends Combatant {
         {
           combatantName: this.name,
           maneuver: maneuver,
+          activeDefense,
+          range,
+          spent: this.revealRecord,
           actorId: this.actor?.id,
           tokenId: this.token?.id
         }
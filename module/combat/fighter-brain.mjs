@@ -0,0 +1,265 @@
+/**
+ * Street Fighter Fighter Brain
+ * Picks maneuvers for GM-controlled combatants during the selection phase
+ * @author Kirlian Silvestre
+ */
+
+import { COMBAT_PHASE, SELECTION_STATUS, getActiveDefenseType } from "./combat-phases.mjs";
+import { getCombatantToken, measureHexDistance, checkManeuverReach } from "./combat-range.mjs";
+import { getSelectionRandom, getTiebreakerRandom } from "./combat-random.mjs";
+import {
+  prepareActorManeuvers,
+  canAffordManeuver,
+  buildManeuverSelection,
+} from "../helpers/maneuver-calculator.mjs";
+
+/**
+ * Aggression profiles a GM-controlled fighter can be given
+ * @enum {string}
+ */
+export const AGGRESSION = Object.freeze({
+  DEFENSIVE: "defensive",
+  BALANCED: "balanced",
+  AGGRESSIVE: "aggressive"
+});
+
+/**
+ * How much each aggression profile values damage, speed, defense and resource cost
+ * @constant {Object<string, {damage: number, speed: number, defense: number, cost: number}>}
+ */
+export const AGGRESSION_WEIGHTS = Object.freeze({
+  [AGGRESSION.DEFENSIVE]: { damage: 0.6, speed: 1, defense: 2.5, cost: 1.5 },
+  [AGGRESSION.BALANCED]: { damage: 1, speed: 0.75, defense: 1, cost: 1 },
+  [AGGRESSION.AGGRESSIVE]: { damage: 1.5, speed: 0.5, defense: 0.2, cost: 0.5 }
+});
+
+/**
+ * Score subtracted from attacks that cannot reach the opponent this turn
+ * @constant {number}
+ */
+const OUT_OF_REACH_PENALTY = 5;
+
+/**
+ * Largest random amount added to a score, so the same fighter does not always pick the same maneuver
+ * @constant {number}
+ */
+const SCORE_JITTER = 1.5;
+
+/**
+ * A maneuver the brain can choose from
+ * @typedef {object} BrainCandidate
+ * @property {ManeuverStats} stats - The maneuver's calculated stats
+ * @property {string|null} defense - Active defense the maneuver grants, from ACTIVE_DEFENSE
+ * @property {boolean|null} inReach - Whether the opponent is in reach, or null when unknown
+ */
+
+/**
+ * What the brain knows about the fight
+ * @typedef {object} BrainSituation
+ * @property {number} health - Own health, as a fraction of maximum
+ * @property {number|null} opponentHealth - Opponent's health as a fraction of maximum, or null without an opponent
+ * @property {number} chi - Own current chi
+ * @property {number} willpower - Own current willpower
+ */
+
+/**
+ * Get a fighter's aggression profile
+ * @param {Actor} actor
+ * @returns {string} One of AGGRESSION
+ */
+export function getAggression(actor) {
+  const aggression = actor?.system.ai?.aggression;
+  return Object.values(AGGRESSION).includes(aggression) ? aggression : AGGRESSION.BALANCED;
+}
+
+/**
+ * Score a maneuver for a situation, before any randomness
+ * Attacks are worth more against a weakened opponent, defenses more when hurt
+ * @param {BrainCandidate} candidate
+ * @param {BrainSituation} situation
+ * @param {{damage: number, speed: number, defense: number, cost: number}} weights
+ * @returns {number} Higher is better; -Infinity when the maneuver cannot be used
+ */
+export function scoreManeuver(candidate, situation, weights) {
+  const { stats, defense, inReach } = candidate;
+  if (!stats.isUsableAgainstTarget) return -Infinity;
+
+  // Faster maneuvers can interrupt slower ones
+  let score = weights.speed * stats.calculatedSpeed;
+
+  if (defense) {
+    score += weights.defense * (2 + 4 * (1 - situation.health));
+  } else {
+    const finishing = situation.opponentHealth === null ? 0 : 1 - situation.opponentHealth;
+    score += weights.damage * stats.calculatedDamage * (1 + finishing);
+    if (inReach === false) score -= OUT_OF_REACH_PENALTY;
+  }
+
+  const cost = (stats.chiCost / (situation.chi + 1)) + (stats.willpowerCost / (situation.willpower + 1));
+  score -= weights.cost * cost * 2;
+
+  return score;
+}
+
+/**
+ * Decides which maneuver a fighter selects
+ * Replace CONFIG.STREET_FIGHTER.fighterBrain with a subclass to change how GM-controlled fighters think
+ */
+export class FighterBrain {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.aggression] - One of AGGRESSION
+   * @param {import("../helpers/random.mjs").RandomSource} [options.random] - Random source for scoring jitter
+   */
+  constructor({ aggression = AGGRESSION.BALANCED, random = Math.random } = {}) {
+    this.aggression = aggression;
+    this.random = random;
+  }
+
+  /**
+   * Weights for this brain's aggression profile
+   * @type {{damage: number, speed: number, defense: number, cost: number}}
+   */
+  get weights() {
+    return AGGRESSION_WEIGHTS[this.aggression] ?? AGGRESSION_WEIGHTS[AGGRESSION.BALANCED];
+  }
+
+  /**
+   * Pick the best scoring candidate
+   * Every candidate draws from the random source in order, so a seeded source gives the same pick
+   * @param {BrainCandidate[]} candidates
+   * @param {BrainSituation} situation
+   * @returns {BrainCandidate|null}
+   */
+  chooseManeuver(candidates, situation) {
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const candidate of candidates) {
+      const score = scoreManeuver(candidate, situation, this.weights) + this.random() * SCORE_JITTER;
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+}
+
+/**
+ * Find the combatant a fighter is most likely fighting
+ * Prefers the nearest standing combatant on another side, by token disposition
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @returns {Combatant|null}
+ */
+export function findOpponent(combat, combatant) {
+  const others = combat.combatants.filter(c => c.id !== combatant.id && c.actor && !c.isDefeated);
+  const disposition = combatant.token?.disposition;
+  const enemies = others.filter(c => c.token?.disposition !== disposition);
+  const pool = enemies.length ? enemies : others;
+
+  const token = getCombatantToken(combatant);
+  if (!token) return pool[0] ?? null;
+
+  const distance = c => {
+    const other = getCombatantToken(c);
+    return other ? measureHexDistance(token, other) : Infinity;
+  };
+  return pool.reduce((nearest, c) => (!nearest || distance(c) < distance(nearest) ? c : nearest), null);
+}
+
+/**
+ * Get a health fraction for an actor
+ * @param {Actor} actor
+ * @returns {number}
+ * @private
+ */
+function _healthFraction(actor) {
+  const health = actor?.system.resources?.health;
+  if (!health?.max) return 1;
+  return Math.clamp(health.value / health.max, 0, 1);
+}
+
+/**
+ * Gather the affordable maneuvers and the situation a combatant selects in
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @returns {{candidates: BrainCandidate[], situation: BrainSituation}}
+ */
+export function buildBrainContext(combat, combatant) {
+  const actor = combatant.actor;
+  const opponent = findOpponent(combat, combatant);
+  const token = getCombatantToken(combatant);
+  const opponentToken = opponent ? getCombatantToken(opponent) : null;
+
+  const maneuvers = prepareActorManeuvers(actor, {
+    positions: { position: combatant.position, targetPosition: opponent?.position ?? null }
+  });
+
+  const candidates = maneuvers
+    .filter(stats => canAffordManeuver(actor, stats))
+    .map(stats => ({
+      stats,
+      defense: getActiveDefenseType(stats.category, stats.system.sourceId),
+      inReach: token && opponentToken ? checkManeuverReach(token, opponentToken, stats.calculatedMovement).inReach : null
+    }));
+
+  return {
+    candidates,
+    situation: {
+      health: _healthFraction(actor),
+      opponentHealth: opponent ? _healthFraction(opponent.actor) : null,
+      chi: actor.system.resources?.chi?.value ?? 0,
+      willpower: actor.system.resources?.willpower?.value ?? 0
+    }
+  };
+}
+
+/**
+ * Let the fighter brain select a maneuver for a combatant
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @param {object} [options]
+ * @param {import("../helpers/random.mjs").RandomSource} [options.random] - Random source for the choice;
+ *   the tiebreaker is rolled from the combatant's seeded stream, as for players
+ * @returns {Promise<ManeuverStats|null>} The selected maneuver, or null if none could be chosen
+ */
+export async function autoSelectManeuver(combat, combatant, { random = Math.random } = {}) {
+  const actor = combatant.actor;
+  if (!actor) return null;
+
+  const Brain = CONFIG.STREET_FIGHTER.fighterBrain ?? FighterBrain;
+  const brain = new Brain({ aggression: getAggression(actor), random });
+  const { candidates, situation } = buildBrainContext(combat, combatant);
+  const choice = brain.chooseManeuver(candidates, situation);
+  if (!choice) return null;
+
+  await combatant.selectManeuver(buildManeuverSelection(actor, choice.stats, { random: getTiebreakerRandom(combatant) }));
+  return choice.stats;
+}
+
+/**
+ * Select maneuvers for every GM-controlled combatant still choosing this round
+ * The default random source is seeded from the combat's seed and round, so the same state gives the same picks
+ * @param {Combat} combat
+ * @param {object} [options]
+ * @param {import("../helpers/random.mjs").RandomSource} [options.random]
+ * @returns {Promise<Combatant[]>} Combatants that had a maneuver selected
+ */
+export async function autoSelectForNPCs(combat, { random } = {}) {
+  if (!game.user.isGM || combat.phase !== COMBAT_PHASE.SELECTION) return [];
+
+  random ??= getSelectionRandom(combat);
+  const selected = [];
+
+  for (const combatant of combat.combatants) {
+    if (!combatant.isNPC || combatant.isDefeated || combatant.losesTurnToDizzy) continue;
+    if (combatant.selectionStatus === SELECTION_STATUS.READY) continue;
+
+    if (await autoSelectManeuver(combat, combatant, { random })) selected.push(combatant);
+  }
+
+  return selected;
+}
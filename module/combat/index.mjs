@@ -10,11 +10,38 @@ export { StreetFighterCombatTracker } from "./combat-tracker.mjs";
 export { ManeuverSelectionDialog } from "./maneuver-selection-dialog.mjs";
 export { ActionTurnDialog } from "./action-turn-dialog.mjs";
 export { registerCombatSockets } from "./combat-socket.mjs";
+export {
+  COMBAT_LOG_EVENT,
+  COMBAT_LOG_FORMAT,
+  getCombatLog,
+  buildCombatLog,
+  createCombatLogJournal,
+  formatCombatLogMarkdown,
+  exportCombatLog
+} from "./combat-log.mjs";
+export {
+  AGGRESSION,
+  AGGRESSION_WEIGHTS,
+  FighterBrain,
+  scoreManeuver,
+  autoSelectManeuver,
+  autoSelectForNPCs
+} from "./fighter-brain.mjs";
+export {
+  getCombatSeed,
+  getTiebreakerRandom,
+  getSelectionRandom,
+  nextDiceRandom
+} from "./combat-random.mjs";
+export { checkManeuverReach, getApproachPath, moveTokenAlongPath } from "./combat-range.mjs";
 
 export {
   COMBAT_PHASE,
   SELECTION_STATUS,
   ACTION_STATUS,
+  ACTIVE_DEFENSE,
+  POSITION_STATE,
+  RANGE_ENFORCEMENT,
   SOCKET_EVENTS,
   FLAG_SCOPE,
   COMBAT_FLAGS,
@@ -23,6 +50,13 @@ export {
   getDefaultCombatantFlags,
   createSelectedManeuver,
   calculateSpeedTiebreaker,
+  calculateDamagePool,
+  getActiveDefenseType,
+  applyDefenseToSoak,
+  applyDefenseToSuccesses,
+  getManeuverReach,
+  getPositionSpeedModifier,
+  isManeuverUsableAgainst,
   canInterrupt,
   sortByInitiative
 } from "./combat-phases.mjs";
@@ -5,12 +5,14 @@
  */
 
 import { COMBAT_PHASE, FLAG_SCOPE, COMBAT_FLAGS, calculateSpeedTiebreaker } from "./combat-phases.mjs";
+import { getTiebreakerRandom } from "./combat-random.mjs";
 import {
   calculateManeuverStats,
   getCharacterStatsForManeuver,
   canAffordManeuver,
+  getCombatPositions,
+  buildManeuverSelection,
 } from "../helpers/maneuver-calculator.mjs";
-import { getEffectiveTraitValue } from "../helpers/effect-helpers.mjs";
 
 /**
  * Dialog for selecting a maneuver during combat selection phase
@@ -48,6 +50,7 @@ export class ManeuverSelectionDialog extends foundry.applications.api.Handlebars
     },
     actions: {
       selectManeuver: ManeuverSelectionDialog._onSelectManeuver,
+      selectCombo: ManeuverSelectionDialog._onSelectCombo,
       toggleNotes: ManeuverSelectionDialog._onToggleNotes
     }
   };
@@ -74,6 +77,7 @@ export class ManeuverSelectionDialog extends foundry.applications.api.Handlebars
     }
 
     const maneuvers = this._prepareManeuvers(actor);
+    const combos = this._prepareCombos(actor, maneuvers);
     const currentSelection = this.combatant.selectedManeuver;
 
     return {
@@ -81,8 +85,12 @@ export class ManeuverSelectionDialog extends foundry.applications.api.Handlebars
       actor: actor,
       maneuvers: maneuvers,
       hasManeuvers: maneuvers.length > 0,
+      combos: combos,
+      hasCombos: combos.length > 0,
       currentSelection: currentSelection,
-      currentSelectionId: currentSelection?.itemId ?? null
+      currentSelectionId: currentSelection?.combo ? null : currentSelection?.itemId ?? null,
+      currentComboIndex: currentSelection?.combo?.index ?? null,
+      positionSpeedModifier: maneuvers[0]?.positionSpeedModifier ?? 0
     };
   }
 
@@ -95,9 +103,10 @@ export class ManeuverSelectionDialog extends foundry.applications.api.Handlebars
   _prepareManeuvers(actor) {
     const maneuvers = actor.items.filter(item => item.type === "specialManeuver");
     const characterStats = getCharacterStatsForManeuver(actor);
+    const positions = this._getPositions(actor);
 
     const prepared = maneuvers.map(maneuver => {
-      const data = calculateManeuverStats(actor, maneuver, { characterStats });
+      const data = calculateManeuverStats(actor, maneuver, { characterStats, positions });
       return {
         ...data,
         canAfford: canAffordManeuver(actor, maneuver)
@@ -108,6 +117,60 @@ export class ManeuverSelectionDialog extends foundry.applications.api.Handlebars
     return prepared.sort((a, b) => a.calculatedSpeed - b.calculatedSpeed);
   }
 
+  /**
+   * Prepare the actor's combos that can be executed as this turn's action
+   * A combo is offered only while the fighter knows all its maneuvers and can pay for all of them;
+   * it goes at the speed of its first maneuver
+   * @param {Actor} actor - The actor
+   * @param {object[]} maneuvers - Maneuvers prepared by _prepareManeuvers
+   * @returns {object[]}
+   * @private
+   */
+  _prepareCombos(actor, maneuvers) {
+    const combos = [];
+
+    for (const [index, combo] of (actor.system.combos ?? []).entries()) {
+      const hits = (combo.maneuverIds ?? []).map(id =>
+        maneuvers.find(m => m.id === id || m.system.sourceId === id)
+      );
+      if (hits.length < 2 || hits.some(hit => !hit)) continue;
+
+      const chiCost = hits.reduce((total, hit) => total + hit.chiCost, 0);
+      const willpowerCost = hits.reduce((total, hit) => total + hit.willpowerCost, 0);
+      if (!canAffordManeuver(actor, { chiCost, willpowerCost })) continue;
+
+      combos.push({
+        index,
+        name: hits.map(hit => hit.name).join(" → "),
+        isDizzy: !!combo.isDizzy,
+        hits,
+        speed: hits[0].calculatedSpeed,
+        chiCost,
+        willpowerCost,
+        isUsableAgainstTarget: hits.every(hit => hit.isUsableAgainstTarget)
+      });
+    }
+
+    return combos;
+  }
+
+  /**
+   * Get the combatant's own position and its current target's position in this combat
+   * @param {Actor} actor - The actor
+   * @returns {{position: string, targetPosition: string|null}}
+   * @private
+   */
+  _getPositions(actor) {
+    const positions = getCombatPositions(actor);
+    const targetToken = game.user.targets.first();
+    const targetCombatant = targetToken ? this.combat.combatants.find(c => c.tokenId === targetToken.id) : null;
+
+    return {
+      position: this.combatant.position,
+      targetPosition: targetCombatant?.position ?? positions.targetPosition,
+    };
+  }
+
   /**
    * Handle maneuver selection
    * @param {PointerEvent} event
@@ -131,36 +194,88 @@ export class ManeuverSelectionDialog extends foundry.applications.api.Handlebars
       return;
     }
 
-    const preparedManeuver = calculateManeuverStats(actor, maneuver);
+    const preparedManeuver = calculateManeuverStats(actor, maneuver, { positions: this._getPositions(actor) });
 
-    // Get wits and perception for tiebreaker calculation
-    const findTraitValue = (sourceId) => {
-      if (!sourceId) return 0;
-      const item = actor.items.find(i => i.system.sourceId === sourceId);
-      if (!item) return 0;
-      const baseValue = item.system.value || 0;
-      const effective = getEffectiveTraitValue(actor, sourceId, baseValue);
-      return effective.value;
-    };
-    const wits = findTraitValue("wits");
-    const perception = findTraitValue("perception");
-    const speedTiebreaker = calculateSpeedTiebreaker(preparedManeuver.calculatedSpeed, wits, perception);
+    if (!preparedManeuver.isUsableAgainstTarget) {
+      ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Position.CannotHit", {
+        maneuver: maneuver.name,
+        position: game.i18n.localize(CONFIG.STREET_FIGHTER.positionStates[preparedManeuver.targetPosition])
+      }));
+      return;
+    }
+
+    await this.combatant.selectManeuver(buildManeuverSelection(actor, preparedManeuver, { random: getTiebreakerRandom(this.combatant) }));
+
+    ui.notifications.info(game.i18n.format("STREET_FIGHTER.Combat.ManeuverSelected", {
+      name: maneuver.name
+    }));
+
+    ui.combat?.render();
+
+    await this.close();
+  }
+
+  /**
+   * Handle combo selection
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {ManeuverSelectionDialog}
+   */
+  static async _onSelectCombo(event, target) {
+    event.preventDefault();
+
+    const actor = this.combatant.actor;
+    if (!actor) return;
+
+    const index = Number(target.dataset.comboIndex);
+    const combo = this._prepareCombos(actor, this._prepareManeuvers(actor)).find(c => c.index === index);
+    if (!combo) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Combo.Unavailable"));
+      return;
+    }
+
+    if (!combo.isUsableAgainstTarget) {
+      const blocked = combo.hits.find(hit => !hit.isUsableAgainstTarget);
+      ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Position.CannotHit", {
+        maneuver: blocked.name,
+        position: game.i18n.localize(CONFIG.STREET_FIGHTER.positionStates[blocked.targetPosition])
+      }));
+      return;
+    }
+
+    const [first] = combo.hits;
+    const { findTraitValue } = getCharacterStatsForManeuver(actor);
+    const speedTiebreaker = calculateSpeedTiebreaker(
+      combo.speed, findTraitValue("wits"), findTraitValue("perception"), getTiebreakerRandom(this.combatant)
+    );
 
     await this.combatant.selectManeuver({
-      itemId: maneuver.id,
-      name: maneuver.name,
-      speed: preparedManeuver.calculatedSpeed,
+      itemId: first.id,
+      name: combo.name,
+      speed: combo.speed,
       speedTiebreaker: speedTiebreaker,
-      damage: preparedManeuver.calculatedDamage,
-      movement: preparedManeuver.calculatedMovement,
-      category: preparedManeuver.category,
-      chiCost: preparedManeuver.chiCost,
-      willpowerCost: preparedManeuver.willpowerCost,
-      notes: preparedManeuver.notes
+      damage: first.calculatedDamage,
+      movement: first.calculatedMovement,
+      category: first.category,
+      chiCost: combo.chiCost,
+      willpowerCost: combo.willpowerCost,
+      notes: "",
+      combo: {
+        index: combo.index,
+        isDizzy: combo.isDizzy,
+        hits: combo.hits.map(hit => ({
+          itemId: hit.id,
+          sourceId: hit.system.sourceId || hit.id,
+          name: hit.name,
+          damage: hit.calculatedDamage,
+          movement: hit.calculatedMovement,
+          category: hit.category
+        }))
+      }
     });
 
     ui.notifications.info(game.i18n.format("STREET_FIGHTER.Combat.ManeuverSelected", {
-      name: maneuver.name
+      name: combo.name
     }));
 
     ui.combat?.render();
@@ -207,6 +322,12 @@ export class ManeuverSelectionDialog extends foundry.applications.api.Handlebars
       return null;
     }
 
+    // Dizzied combatants lose their next selection
+    if (combatant.losesTurnToDizzy) {
+      ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Combat.Dizzy.LosesSelection", { name: combatant.name }));
+      return null;
+    }
+
     const existingDialog = Object.values(ui.windows).find(
       w => w instanceof ManeuverSelectionDialog && w.combatant?.id === combatant.id
     );
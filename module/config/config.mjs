@@ -7,6 +7,7 @@
 export const STREET_FIGHTER = {
   actorTypes: {
     fighter: "STREET_FIGHTER.Actor.Types.fighter",
+    npc: "STREET_FIGHTER.Actor.Types.npc",
   },
 
   itemTypes: {
@@ -84,6 +85,21 @@ export const STREET_FIGHTER = {
     other: "STREET_FIGHTER.Maneuver.Categories.other",
   },
 
+  // Combatant position states (matches POSITION_STATE)
+  positionStates: {
+    standing: "STREET_FIGHTER.Position.States.standing",
+    knockedDown: "STREET_FIGHTER.Position.States.knockedDown",
+    aerial: "STREET_FIGHTER.Position.States.aerial",
+    crouching: "STREET_FIGHTER.Position.States.crouching",
+  },
+
+  // Aggression profiles for GM-controlled fighters (matches AGGRESSION)
+  aggressionProfiles: {
+    defensive: "STREET_FIGHTER.Ai.Aggression.defensive",
+    balanced: "STREET_FIGHTER.Ai.Aggression.balanced",
+    aggressive: "STREET_FIGHTER.Ai.Aggression.aggressive",
+  },
+
   // Trait types (attribute, ability, technique, background)
   traitTypes: {
     attribute: "STREET_FIGHTER.Trait.Types.attribute",
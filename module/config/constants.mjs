@@ -25,6 +25,48 @@ export const TRAIT_MIN_VALUES = {
   default: 0,
 };
 
+/**
+ * Experience point costs from the Street Fighter cost tables
+ * Raising a trait costs its current rating times the multiplier; buying it from zero costs newCost
+ * Special maneuvers cost their power point cost times the multiplier
+ */
+export const EXPERIENCE_COSTS = {
+  attribute: { multiplier: 4, newCost: 4 },
+  ability: { multiplier: 2, newCost: 3 },
+  technique: { multiplier: 3, newCost: 3 },
+  background: { multiplier: 2, newCost: 2 },
+  specialManeuver: { multiplier: 3 },
+  chi: { multiplier: 2, newCost: 2 },
+  willpower: { multiplier: 1, newCost: 1 },
+};
+
+/**
+ * Starting point allocations for new fighters
+ * Attributes and abilities are spent by priority (primary, secondary, tertiary)
+ */
+export const CREATION_POINTS = {
+  attributes: [7, 5, 3],
+  abilities: [11, 7, 4],
+  techniques: 8,
+  backgrounds: 5,
+  powerPoints: 5,
+  freebies: 15,
+  abilityMax: 3,
+};
+
+/**
+ * Freebie point cost per dot at character creation
+ */
+export const FREEBIE_COSTS = {
+  attribute: 5,
+  ability: 2,
+  technique: 5,
+  background: 1,
+  powerPoint: 4,
+  chi: 3,
+  willpower: 2,
+};
+
 /**
  * Difficulty constraints for rolls
  */
@@ -41,6 +83,7 @@ export const DIFFICULTY = {
 export const COMBAT_FORMULAS = {
   initiative: (wits, dexterity) => wits + dexterity,
   soak: (stamina) => stamina,
+  dizzyThreshold: (stamina) => stamina,
 };
 
 /**
@@ -12,6 +12,14 @@ export function registerSettings() {
     default: "",
   });
 
+  game.settings.register("street-fighter", "tournaments", {
+    name: "Tournaments",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => foundry.applications.instances.get("sf-tournament-manager")?.render(),
+  });
 
   game.settings.register("street-fighter", "onesRemoveSuccesses", {
     name: "STREET_FIGHTER.Settings.OnesRemoveSuccesses.Name",
@@ -45,6 +53,61 @@ export function registerSettings() {
     default: true,
   });
 
+  game.settings.register("street-fighter", "maneuverRangeEnforcement", {
+    name: "STREET_FIGHTER.Settings.ManeuverRangeEnforcement.Name",
+    hint: "STREET_FIGHTER.Settings.ManeuverRangeEnforcement.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      "off": "STREET_FIGHTER.Settings.ManeuverRangeEnforcement.Off",
+      "warn": "STREET_FIGHTER.Settings.ManeuverRangeEnforcement.Warn",
+      "block": "STREET_FIGHTER.Settings.ManeuverRangeEnforcement.Block",
+    },
+    default: "warn",
+  });
+
+  game.settings.register("street-fighter", "maneuverPrerequisiteEnforcement", {
+    name: "STREET_FIGHTER.Settings.ManeuverPrerequisiteEnforcement.Name",
+    hint: "STREET_FIGHTER.Settings.ManeuverPrerequisiteEnforcement.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      "off": "STREET_FIGHTER.Settings.ManeuverPrerequisiteEnforcement.Off",
+      "warn": "STREET_FIGHTER.Settings.ManeuverPrerequisiteEnforcement.Warn",
+      "block": "STREET_FIGHTER.Settings.ManeuverPrerequisiteEnforcement.Block",
+    },
+    default: "warn",
+  });
+
+  game.settings.register("street-fighter", "combatLogJournal", {
+    name: "STREET_FIGHTER.Settings.CombatLogJournal.Name",
+    hint: "STREET_FIGHTER.Settings.CombatLogJournal.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register("street-fighter", "experienceLedger", {
+    name: "STREET_FIGHTER.Settings.ExperienceLedger.Name",
+    hint: "STREET_FIGHTER.Settings.ExperienceLedger.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register("street-fighter", "characterCreationWizard", {
+    name: "STREET_FIGHTER.Settings.CharacterCreationWizard.Name",
+    hint: "STREET_FIGHTER.Settings.CharacterCreationWizard.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
   game.settings.register("street-fighter", "autoAddTraitsOnImport", {
     name: "STREET_FIGHTER.Settings.AutoAddTraitsOnImport.Name",
     hint: "STREET_FIGHTER.Settings.AutoAddTraitsOnImport.Hint",
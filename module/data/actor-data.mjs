@@ -0,0 +1,243 @@
+/**
+ * Street Fighter Actor Data Models
+ * Schemas, validation and derived data for fighter and NPC system data
+ * @author Kirlian Silvestre
+ */
+
+import { STREET_FIGHTER } from "../config/config.mjs";
+import { LEDGER_KIND, LEDGER_STATUS } from "../helpers/experience-ledger.mjs";
+
+/**
+ * Build a non-negative integer field
+ * @param {number} initial
+ * @param {object} [options] - Extra field options
+ * @returns {NumberField}
+ */
+function ratingField(initial, options = {}) {
+  return new foundry.data.fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial, ...options });
+}
+
+/**
+ * Build a resource field with a current and a maximum value
+ * @param {number} value - Initial current value
+ * @param {number} max - Initial maximum value
+ * @returns {SchemaField}
+ */
+function resourceField(value, max) {
+  return new foundry.data.fields.SchemaField({
+    value: ratingField(value),
+    max: ratingField(max),
+  });
+}
+
+/**
+ * Build a plain text field
+ * @returns {StringField}
+ */
+function textField() {
+  return new foundry.data.fields.StringField({ required: true, blank: true, initial: "" });
+}
+
+/**
+ * Build a rich text field, edited with ProseMirror and sanitized as HTML
+ * @returns {HTMLField}
+ */
+function htmlField() {
+  return new foundry.data.fields.HTMLField({ required: true, blank: true, initial: "" });
+}
+
+/**
+ * Replace a list that is not an array with an empty one
+ * @param {object} source
+ * @param {string} key
+ * @private
+ */
+function _ensureArray(source, key) {
+  if (key in source && !Array.isArray(source[key])) source[key] = [];
+}
+
+/* -------------------------------------------- */
+/*  Base Actor Data                             */
+/* -------------------------------------------- */
+
+/**
+ * Data shared by every actor type
+ * Derives the combat values read by the sheets and the combat engine
+ */
+export class StreetFighterActorData extends foundry.abstract.TypeDataModel {
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      resources: new fields.SchemaField({
+        health: resourceField(10, 10),
+      }),
+      biography: htmlField(),
+    };
+  }
+
+  /** @override */
+  prepareDerivedData() {
+    super.prepareDerivedData();
+
+    const actor = this.parent;
+
+    // Initiative = Wits + Dexterity, Soak = Stamina (not half)
+    this.combat = {
+      initiative: actor._getTraitValue("wits") + actor._getTraitValue("dexterity"),
+      soak: actor._getTraitValue("stamina"),
+    };
+  }
+}
+
+/* -------------------------------------------- */
+/*  Fighter Data                                */
+/* -------------------------------------------- */
+
+/**
+ * System data of a fighter, whose traits are embedded items
+ * Resource maximums come from the character data (imported or manual), not from attributes
+ */
+export class FighterData extends StreetFighterActorData {
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      ...super.defineSchema(),
+      importData: new fields.SchemaField({
+        isImported: new fields.BooleanField({ initial: false }),
+        characterId: textField(),
+        importedAt: textField(),
+        sourceVersion: textField(),
+      }),
+      profile: new fields.SchemaField({
+        characterName: textField(),
+        playerName: textField(),
+        chronicleName: textField(),
+        schoolName: textField(),
+        fightingTeam: textField(),
+        stable: textField(),
+        concept: textField(),
+        signature: textField(),
+      }),
+      resources: new fields.SchemaField({
+        health: resourceField(10, 10),
+        chi: resourceField(0, 10),
+        willpower: resourceField(0, 10),
+      }),
+      renown: new fields.SchemaField({
+        honor: new fields.SchemaField({ permanent: ratingField(0), temporary: ratingField(0) }),
+        glory: new fields.SchemaField({ permanent: ratingField(0), temporary: ratingField(0) }),
+      }),
+      experience: new fields.SchemaField({
+        total: ratingField(0),
+        spent: ratingField(0),
+        history: new fields.ArrayField(new fields.SchemaField({
+          id: new fields.StringField({ required: true, blank: false }),
+          date: textField(),
+          kind: new fields.StringField({ required: true, choices: Object.values(LEDGER_KIND) }),
+          itemId: new fields.StringField({ required: true, nullable: true, initial: null }),
+          resource: new fields.StringField({ required: true, nullable: true, initial: null }),
+          name: textField(),
+          from: ratingField(0),
+          to: ratingField(0),
+          cost: ratingField(0),
+          powerPoints: ratingField(null, { required: false, nullable: true }),
+          status: new fields.StringField({ required: true, choices: Object.values(LEDGER_STATUS), initial: LEDGER_STATUS.PENDING }),
+          userId: textField(),
+        })),
+      }),
+      powerPoints: new fields.SchemaField({
+        total: ratingField(5),
+      }),
+      divisionRecords: new fields.ArrayField(new fields.SchemaField({
+        divisionId: new fields.StringField({ required: true, blank: false }),
+        rank: textField(),
+        wins: ratingField(0),
+        draws: ratingField(0),
+        losses: ratingField(0),
+        knockouts: ratingField(0),
+      })),
+      sessionRecords: new fields.ArrayField(new fields.ObjectField()),
+      languages: new fields.ArrayField(new fields.StringField({ required: true, blank: false })),
+      combos: new fields.ArrayField(new fields.SchemaField({
+        id: textField(),
+        isDizzy: new fields.BooleanField({ initial: false }),
+        maneuverIds: new fields.ArrayField(new fields.StringField({ required: true, blank: false })),
+      })),
+      background: htmlField(),
+      motivations: htmlField(),
+      appearanceNotes: htmlField(),
+      equipment: textField(),
+    };
+  }
+
+  /**
+   * Clean list fields that Fighter Sheet exports or older worlds may store in other shapes
+   * @override
+   */
+  static migrateData(source) {
+    if (typeof source.languages === "string") {
+      source.languages = source.languages.split(",").map(s => s.trim()).filter(s => s);
+    }
+    for (const key of ["languages", "combos", "divisionRecords", "sessionRecords"]) _ensureArray(source, key);
+    if (source.experience) _ensureArray(source.experience, "history");
+
+    if (Array.isArray(source.combos)) {
+      source.combos = source.combos.filter(combo => combo && typeof combo === "object");
+      for (const combo of source.combos) _ensureArray(combo, "maneuverIds");
+    }
+
+    return super.migrateData(source);
+  }
+}
+
+/* -------------------------------------------- */
+/*  NPC Data                                    */
+/* -------------------------------------------- */
+
+/**
+ * System data of an NPC, whose traits are flat ratings
+ */
+export class NpcData extends StreetFighterActorData {
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      ...super.defineSchema(),
+      details: new fields.SchemaField({
+        type: textField(),
+        threat: ratingField(1, { min: 1 }),
+      }),
+      attributes: new fields.SchemaField({
+        strength: ratingField(2),
+        dexterity: ratingField(2),
+        stamina: ratingField(2),
+        charisma: ratingField(1),
+        manipulation: ratingField(1),
+        appearance: ratingField(1),
+        perception: ratingField(2),
+        intelligence: ratingField(1),
+        wits: ratingField(2),
+      }),
+      techniques: new fields.SchemaField({
+        punch: ratingField(1),
+        kick: ratingField(1),
+        block: ratingField(1),
+        grab: ratingField(0),
+        athletics: ratingField(1),
+        focus: ratingField(0),
+      }),
+      resources: new fields.SchemaField({
+        health: resourceField(5, 5),
+      }),
+      ai: new fields.SchemaField({
+        aggression: new fields.StringField({
+          required: true,
+          choices: Object.keys(STREET_FIGHTER.aggressionProfiles),
+          initial: "balanced",
+        }),
+      }),
+    };
+  }
+}
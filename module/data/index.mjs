@@ -0,0 +1,62 @@
+/**
+ * Street Fighter RPG System - Data Models Index
+ * @author Kirlian Silvestre
+ */
+
+import { FighterData, NpcData } from "./actor-data.mjs";
+import {
+  AttributeData,
+  AbilityData,
+  TechniqueData,
+  BackgroundData,
+  FightingStyleData,
+  SpecialManeuverData,
+  WeaponData,
+  DivisionData,
+  EquipmentData,
+} from "./item-data.mjs";
+
+export * from "./actor-data.mjs";
+export * from "./item-data.mjs";
+
+/**
+ * Register the system data models of every actor and item type
+ */
+export function registerDataModels() {
+  Object.assign(CONFIG.Actor.dataModels, {
+    fighter: FighterData,
+    npc: NpcData,
+  });
+
+  Object.assign(CONFIG.Item.dataModels, {
+    fightingStyle: FightingStyleData,
+    specialManeuver: SpecialManeuverData,
+    attribute: AttributeData,
+    ability: AbilityData,
+    technique: TechniqueData,
+    background: BackgroundData,
+    weapon: WeaponData,
+    division: DivisionData,
+    equipment: EquipmentData,
+  });
+}
+
+/**
+ * Clean and validate system data against its type's data model
+ * @param {string} documentName - "Actor" or "Item"
+ * @param {string} type - Document type
+ * @param {object} system - System data to check
+ * @param {string} [label] - Name used in the error message
+ * @returns {object} The cleaned system data
+ * @throws {Error} If the type is unknown or the data fails validation
+ */
+export function validateSystemData(documentName, type, system, label = type) {
+  const DataModel = CONFIG[documentName].dataModels[type];
+  if (!DataModel) throw new Error(`${label}: unknown ${documentName} type "${type}"`);
+
+  try {
+    return new DataModel(foundry.utils.deepClone(system ?? {})).toObject();
+  } catch (err) {
+    throw new Error(`${label}: ${err.message}`);
+  }
+}
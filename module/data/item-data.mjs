@@ -0,0 +1,227 @@
+/**
+ * Street Fighter Item Data Models
+ * Schemas and validation for every item type, matching the fslibrary domain structure
+ * @author Kirlian Silvestre
+ */
+
+import { STREET_FIGHTER } from "../config/config.mjs";
+
+/**
+ * Build a non-negative integer field
+ * @param {number|null} initial
+ * @param {object} [options] - Extra field options
+ * @returns {NumberField}
+ */
+function ratingField(initial, options = {}) {
+  return new foundry.data.fields.NumberField({ required: true, nullable: false, integer: true, min: 0, initial, ...options });
+}
+
+/**
+ * Build a plain text field
+ * @param {string} [initial]
+ * @returns {StringField}
+ */
+function textField(initial = "") {
+  return new foundry.data.fields.StringField({ required: true, blank: true, initial });
+}
+
+/**
+ * Build a field holding the sourceId of another library entry, or null
+ * @returns {StringField}
+ */
+function linkField() {
+  return new foundry.data.fields.StringField({ required: true, blank: true, nullable: true, initial: null });
+}
+
+/* -------------------------------------------- */
+/*  Base Item Data                              */
+/* -------------------------------------------- */
+
+/**
+ * Data shared by every item type
+ * The sourceId links the item to its library entry across worlds
+ */
+export class StreetFighterItemData extends foundry.abstract.TypeDataModel {
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      sourceId: textField(),
+      description: new fields.HTMLField({ required: true, blank: true, initial: "" }),
+    };
+  }
+}
+
+/**
+ * Data shared by the rollable trait types
+ */
+export class TraitData extends StreetFighterItemData {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      value: ratingField(0),
+      isOptional: new foundry.data.fields.BooleanField({ initial: false }),
+    };
+  }
+}
+
+/* -------------------------------------------- */
+/*  Traits                                      */
+/* -------------------------------------------- */
+
+export class AttributeData extends TraitData {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      category: new foundry.data.fields.StringField({
+        required: true,
+        choices: Object.keys(STREET_FIGHTER.attributeCategories),
+        initial: "physical",
+      }),
+      value: ratingField(1),
+    };
+  }
+}
+
+export class AbilityData extends TraitData {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      category: new foundry.data.fields.StringField({
+        required: true,
+        choices: Object.keys(STREET_FIGHTER.abilityCategories),
+        initial: "talents",
+      }),
+    };
+  }
+}
+
+export class TechniqueData extends TraitData {
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      ...super.defineSchema(),
+      isWeaponTechnique: new fields.BooleanField({ initial: false }),
+      isFirearmTechnique: new fields.BooleanField({ initial: false }),
+    };
+  }
+}
+
+export class BackgroundData extends TraitData {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      isOptional: new foundry.data.fields.BooleanField({ initial: true }),
+      isUnique: new foundry.data.fields.BooleanField({ initial: false }),
+    };
+  }
+}
+
+/* -------------------------------------------- */
+/*  Styles and Maneuvers                        */
+/* -------------------------------------------- */
+
+export class FightingStyleData extends StreetFighterItemData {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      initialChi: ratingField(3),
+      initialWillpower: ratingField(4),
+      motto: textField(),
+    };
+  }
+}
+
+export class SpecialManeuverData extends StreetFighterItemData {
+  /** @override */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    const positions = Object.keys(STREET_FIGHTER.positionStates);
+    const costsField = () => new fields.TypedObjectField(ratingField(null, { nullable: true }));
+
+    return {
+      ...super.defineSchema(),
+      category: textField("punch"),
+      prerequisites: new fields.ArrayField(new fields.SchemaField({
+        type: new fields.StringField({ required: true, blank: false }),
+        id: new fields.StringField({ required: true, blank: false }),
+        value: ratingField(null, { nullable: true }),
+      })),
+      defaultPowerPointCost: ratingField(0),
+      stylePowerPointCosts: costsField(),
+      backgroundPowerPointCosts: costsField(),
+      chiCost: ratingField(null, { nullable: true }),
+      willpowerCost: ratingField(null, { nullable: true }),
+      speedModifier: textField("+0"),
+      damageModifier: textField("+0"),
+      movementModifier: textField("+0"),
+      notes: textField(),
+      ruleSummary: textField(),
+      damageTraitOverride: linkField(),
+      damageAttributeOverride: linkField(),
+      speedTraitOverride: linkField(),
+      movementTraitOverride: linkField(),
+      positionRules: new fields.SchemaField({
+        selfPosition: new fields.StringField({ required: true, blank: true, choices: positions, initial: "" }),
+        targetPosition: new fields.StringField({ required: true, blank: true, choices: positions, initial: "" }),
+        unusableAgainst: new fields.ArrayField(new fields.StringField({ required: true, choices: positions })),
+      }),
+    };
+  }
+
+  /**
+   * Clean costs and prerequisites that libraries may store in other shapes
+   * @override
+   */
+  static migrateData(source) {
+    for (const key of ["chiCost", "willpowerCost"]) {
+      if (source[key] === "") source[key] = null;
+    }
+    if ("prerequisites" in source && !Array.isArray(source.prerequisites)) source.prerequisites = [];
+    if (Array.isArray(source.prerequisites)) {
+      source.prerequisites = source.prerequisites.filter(prereq => prereq?.id);
+    }
+    return super.migrateData(source);
+  }
+}
+
+/* -------------------------------------------- */
+/*  Equipment and Records                       */
+/* -------------------------------------------- */
+
+export class WeaponData extends StreetFighterItemData {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      techniqueId: textField(),
+      speed: textField(),
+      damage: textField(),
+      movement: textField(),
+      special: textField(),
+      isEquipped: new foundry.data.fields.BooleanField({ initial: false }),
+    };
+  }
+}
+
+export class DivisionData extends StreetFighterItemData {
+  /** @override */
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      rank: textField(),
+      wins: ratingField(0),
+      draws: ratingField(0),
+      losses: ratingField(0),
+      knockouts: ratingField(0),
+    };
+  }
+}
+
+export class EquipmentData extends StreetFighterItemData {}
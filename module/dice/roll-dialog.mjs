@@ -5,6 +5,8 @@
 
 import { DIFFICULTY, clampDifficulty } from "../config/constants.mjs";
 import { getEffectiveTraitValue } from "../helpers/effect-helpers.mjs";
+import { rollDie } from "../helpers/random.mjs";
+import { getActorDiceRandom } from "../combat/combat-random.mjs";
 
 const { DialogV2 } = foundry.applications.api;
 
@@ -81,15 +83,14 @@ export class StreetFighterRollDialog extends DialogV2 {
     const techniques = [];
     const backgrounds = [];
 
-    for (const item of actor.items) {
-      const sourceId = item.system.sourceId;
-      const baseValue = item.system.value || 0;
+    for (const item of actor.getTraits()) {
+      const sourceId = item.sourceId;
+      const baseValue = item.value;
       const effective = getEffectiveTraitValue(actor, sourceId, baseValue);
       
       const itemData = {
         id: item.id,
         name: item.name,
-        system: item.system,
         effectiveValue: effective.value,
         baseValue: baseValue,
         hasModifiers: effective.hasModifiers,
@@ -188,6 +189,18 @@ export class StreetFighterRollDialog extends DialogV2 {
       });
     }
 
+    // Add target's block as an additional negative modifier
+    if (options.targetDefense?.soakBonus > 0) {
+      const blockValue = -options.targetDefense.soakBonus;
+      fixedModifiers.push({
+        name: game.i18n.format("STREET_FIGHTER.Combat.Defense.TargetBlock", { name: options.targetName || "" }),
+        value: blockValue,
+        displayValue: `${blockValue}`,
+        checked: true,
+        isTargetDefense: true,
+      });
+    }
+
     return {
       actor,
       attributes,
@@ -222,15 +235,15 @@ export class StreetFighterRollDialog extends DialogV2 {
     
     // Add pre-selected traits
     if (options.selectedTraitId) {
-      const selectedItem = actor.items.get(options.selectedTraitId);
-      if (selectedItem?.system.sourceId) {
-        traitSourceIds.push(selectedItem.system.sourceId);
+      const selectedItem = actor.getTrait(options.selectedTraitId);
+      if (selectedItem?.sourceId) {
+        traitSourceIds.push(selectedItem.sourceId);
       }
     }
     if (options.preSelectedSecondTrait) {
-      const secondItem = actor.items.get(options.preSelectedSecondTrait);
-      if (secondItem?.system.sourceId) {
-        traitSourceIds.push(secondItem.system.sourceId);
+      const secondItem = actor.getTrait(options.preSelectedSecondTrait);
+      if (secondItem?.sourceId) {
+        traitSourceIds.push(secondItem.sourceId);
       }
     }
 
@@ -289,19 +302,19 @@ export class StreetFighterRollDialog extends DialogV2 {
       });
     }
 
-    const attribute = actor.items.get(attributeId);
-    const secondTrait = actor.items.get(secondTraitId);
+    const attribute = actor.getTrait(attributeId);
+    const secondTrait = actor.getTrait(secondTraitId);
 
     // Get effective values (with trait modifiers applied)
     let attributeValue = 0;
     if (attribute) {
-      const attrEffective = getEffectiveTraitValue(actor, attribute.system.sourceId, attribute.system.value || 0);
+      const attrEffective = getEffectiveTraitValue(actor, attribute.sourceId, attribute.value);
       attributeValue = attrEffective.value;
     }
     
     let secondTraitValue = 0;
     if (secondTrait) {
-      const traitEffective = getEffectiveTraitValue(actor, secondTrait.system.sourceId, secondTrait.system.value || 0);
+      const traitEffective = getEffectiveTraitValue(actor, secondTrait.sourceId, secondTrait.value);
       secondTraitValue = traitEffective.value;
     }
     
@@ -343,9 +356,11 @@ export class StreetFighterRollDialog extends DialogV2 {
     let targetTokenId = null;
     let targetActorId = null;
     let targetName = null;
+    let targetDefense = null;
     const isDamageRoll = options.isDamageRoll || false;
     
     if (isDamageRoll) {
+      targetDefense = options.targetDefense ?? null;
       const firstTarget = game.user.targets.first();
       if (firstTarget?.actor) {
         targetTokenId = firstTarget.id;
@@ -367,6 +382,7 @@ export class StreetFighterRollDialog extends DialogV2 {
       targetTokenId,
       targetActorId,
       targetName,
+      targetDefense,
       isDamageRoll,
     };
   }
@@ -396,14 +412,14 @@ export class StreetFighterRollDialog extends DialogV2 {
       
       const attrId = attributeSelect?.value;
       if (attrId) {
-        const attr = actor.items.get(attrId);
-        if (attr?.system.sourceId) sourceIds.push(attr.system.sourceId);
+        const attr = actor.getTrait(attrId);
+        if (attr?.sourceId) sourceIds.push(attr.sourceId);
       }
       
       const traitId = secondTraitSelect?.value;
       if (traitId) {
-        const trait = actor.items.get(traitId);
-        if (trait?.system.sourceId) sourceIds.push(trait.system.sourceId);
+        const trait = actor.getTrait(traitId);
+        if (trait?.sourceId) sourceIds.push(trait.sourceId);
       }
       
       return sourceIds;
@@ -513,6 +529,7 @@ export class StreetFighterRollDialog extends DialogV2 {
 
 /**
  * Execute a Street Fighter dice roll
+ * An actor fighting in the active combat rolls from its seeded combat stream
  * @param {object} rollData - Data from the roll dialog
  * @returns {Promise<void>}
  */
@@ -528,15 +545,90 @@ export async function executeRoll(rollData) {
     return;
   }
 
-  const { actor, attribute, secondTrait, difficulty, modifier, fixedModifiers, effectModifiers, dicePool, rollTitle, targetTokenId, targetActorId, targetName, isDamageRoll } = rollData;
+  const { actor, attribute, secondTrait, difficulty, modifier, fixedModifiers, effectModifiers, dicePool, rollTitle, targetTokenId, targetActorId, targetName, targetDefense, isDamageRoll } = rollData;
+
+  const rollResult = await rollDicePool(dicePool, difficulty, { random: await getActorDiceRandom(actor) });
+  const { roll, diceResults, successes, ones, onesRemoved, isCriticalFailure, onesRemoveSuccesses } = rollResult;
+  let { finalSuccesses, resultType, resultLabel } = rollResult;
+
+  // A dodging target negates damage successes
+  const dodgedSuccesses = isDamageRoll ? Math.min(finalSuccesses, targetDefense?.negatedSuccesses || 0) : 0;
+  if (dodgedSuccesses > 0) {
+    finalSuccesses -= dodgedSuccesses;
+    if (finalSuccesses > 0) {
+      resultLabel = game.i18n.format("STREET_FIGHTER.Roll.successCount", { count: finalSuccesses });
+    } else {
+      resultType = "failure";
+      resultLabel = game.i18n.localize("STREET_FIGHTER.Roll.failure");
+    }
+  }
 
+  // Build chat message content
+  const chatData = {
+    actor,
+    attribute,
+    secondTrait,
+    difficulty,
+    modifier,
+    fixedModifiers: fixedModifiers || [],
+    effectModifiers: effectModifiers || [],
+    hasModifiers: (fixedModifiers?.length > 0) || (effectModifiers?.length > 0),
+    dicePool,
+    diceResults,
+    successes,
+    ones,
+    onesRemoved,
+    dodgedSuccesses,
+    finalSuccesses,
+    resultType,
+    resultLabel,
+    onesRemoveSuccesses,
+    isCriticalFailure,
+    rollTitle: rollTitle || game.i18n.localize("STREET_FIGHTER.Roll.title"),
+    targetTokenId,
+    targetActorId,
+    targetName,
+    targetDefense,
+    isDamageRoll: isDamageRoll || false,
+    canApplyDamage: isDamageRoll && finalSuccesses > 0 && targetActorId,
+  };
+
+  const content = await foundry.applications.handlebars.renderTemplate(
+    "systems/street-fighter/templates/chat/roll-result.hbs",
+    chatData
+  );
+
+  // Create chat message
+  await ChatMessage.create({
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content,
+    rolls: [roll],
+    sound: CONFIG.sounds.dice,
+  });
+}
+
+/**
+ * Roll a pool of d10s and count successes using the system dice rules
+ * Applies the "ones remove successes" and critical failure world settings
+ * @param {number} dicePool - Number of dice to roll
+ * @param {number} difficulty - Minimum die result counted as a success
+ * @param {object} [options]
+ * @param {import("../helpers/random.mjs").RandomSource|null} [options.random] - Seeded source for the dice, Foundry's own randomness if omitted
+ * @returns {Promise<object>} The evaluated roll and its success breakdown
+ */
+export async function rollDicePool(dicePool, difficulty, { random = null } = {}) {
   // Get system settings
   const onesRemoveSuccesses = game.settings.get("street-fighter", "onesRemoveSuccesses");
   const criticalFailureRule = game.settings.get("street-fighter", "criticalFailureRule");
 
   // Roll the dice
-  const roll = new Roll(`${dicePool}d10`);
-  await roll.evaluate();
+  let roll;
+  if (random) {
+    roll = createSeededRoll(dicePool, random);
+  } else {
+    roll = new Roll(`${dicePool}d10`);
+    await roll.evaluate();
+  }
 
   // Process results
   const dice = roll.terms[0].results.map(r => r.result);
@@ -588,44 +680,42 @@ export async function executeRoll(rollData) {
     resultLabel = game.i18n.format("STREET_FIGHTER.Roll.successCount", { count: finalSuccesses });
   }
 
-  // Build chat message content
-  const chatData = {
-    actor,
-    attribute,
-    secondTrait,
-    difficulty,
-    modifier,
-    fixedModifiers: fixedModifiers || [],
-    effectModifiers: effectModifiers || [],
-    hasModifiers: (fixedModifiers?.length > 0) || (effectModifiers?.length > 0),
-    dicePool,
+  return {
+    roll,
     diceResults,
     successes,
     ones,
     onesRemoved,
     finalSuccesses,
+    isCriticalFailure,
     resultType,
     resultLabel,
     onesRemoveSuccesses,
-    isCriticalFailure,
-    rollTitle: rollTitle || game.i18n.localize("STREET_FIGHTER.Roll.title"),
-    targetTokenId,
-    targetActorId,
-    targetName,
-    isDamageRoll: isDamageRoll || false,
-    canApplyDamage: isDamageRoll && finalSuccesses > 0 && targetActorId,
   };
+}
 
-  const content = await foundry.applications.handlebars.renderTemplate(
-    "systems/street-fighter/templates/chat/roll-result.hbs",
-    chatData
-  );
-
-  // Create chat message
-  await ChatMessage.create({
-    speaker: ChatMessage.getSpeaker({ actor }),
-    content,
-    rolls: [roll],
-    sound: CONFIG.sounds.dice,
+/**
+ * Build an evaluated d10 pool roll from a seeded random source
+ * The roll carries its results like any evaluated Roll, so chat cards and dice animations show them
+ * @param {number} dicePool - Number of dice to roll
+ * @param {import("../helpers/random.mjs").RandomSource} random - Seeded random source
+ * @returns {Roll}
+ */
+export function createSeededRoll(dicePool, random) {
+  const results = Array.from({ length: dicePool }, () => ({ result: rollDie(10, random), active: true }));
+
+  return Roll.fromData({
+    class: "Roll",
+    formula: `${dicePool}d10`,
+    terms: [{
+      class: "Die",
+      number: dicePool,
+      faces: 10,
+      modifiers: [],
+      results,
+      evaluated: true,
+    }],
+    total: results.reduce((sum, r) => sum + r.result, 0),
+    evaluated: true,
   });
 }
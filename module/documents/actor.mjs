@@ -11,6 +11,15 @@ import {
   getRollModifiersForTraits,
 } from "../helpers/effect-helpers.mjs";
 import { addNonOptionalTraitsToActor } from "../helpers/utils.mjs";
+import { CharacterCreationWizard } from "../sheets/character-creation-wizard.mjs";
+import { COMBAT_FORMULAS } from "../config/constants.mjs";
+import { SF_HOOKS } from "../combat/combat-phases.mjs";
+
+/**
+ * Item types that hold a fighter's rollable traits
+ * @type {string[]}
+ */
+const TRAIT_ITEM_TYPES = ["attribute", "ability", "technique", "background"];
 
 export class StreetFighterActor extends Actor {
   /** @override */
@@ -36,6 +45,10 @@ export class StreetFighterActor extends Actor {
     if (game.settings.get("street-fighter", "autoAddTraitsOnManualCreate")) {
       await addNonOptionalTraitsToActor(this);
     }
+
+    if (game.settings.get("street-fighter", "characterCreationWizard")) {
+      new CharacterCreationWizard(this).render({ force: true });
+    }
   }
 
   /** @override */
@@ -45,6 +58,9 @@ export class StreetFighterActor extends Actor {
     if (game.user.id !== userId) return;
     if (collection !== "items") return;
 
+    // Imported characters already have their style's resources in the imported maximums
+    if (this.system.importData?.isImported) return;
+
     // Check if a fighting style was added
     const addedStyle = documents.find(doc => doc.type === "fightingStyle");
     if (addedStyle) {
@@ -59,6 +75,9 @@ export class StreetFighterActor extends Actor {
     if (game.user.id !== userId) return;
     if (collection !== "items") return;
 
+    // Removing the style of an imported character must not lower the imported maximums
+    if (this.system.importData?.isImported) return;
+
     // Check if a fighting style was removed
     const removedStyle = documents.find(doc => doc.type === "fightingStyle");
     if (removedStyle) {
@@ -116,27 +135,87 @@ export class StreetFighterActor extends Actor {
   prepareDerivedData() {
     super.prepareDerivedData();
 
-    const actorData = this;
-    const systemData = actorData.system;
-
-    this._prepareCommonData(systemData);
-
-    if (actorData.type === "fighter") {
-      this._prepareFighterData(systemData);
+    // Combat values (initiative, soak) are derived by the system data model
+    if (this.type === "fighter") {
+      this._prepareFighterData(this.system);
     }
   }
 
   /**
-   * Get trait value from embedded items by sourceId (base value without effects)
+   * Get trait value by sourceId (base value without effects)
+   * Fighters read it from embedded trait items, NPCs from their flat ratings
    * @param {string} sourceId - The sourceId of the trait
    * @returns {number} The trait value or 0 if not found
    * @private
    */
   _getTraitValue(sourceId) {
+    if (this.type === "npc") {
+      return this.system.attributes?.[sourceId] ?? this.system.techniques?.[sourceId] ?? 0;
+    }
     const item = this.items.find(i => i.system.sourceId === sourceId);
     return item?.system.value ?? 0;
   }
 
+  /**
+   * Get the rollable traits of this actor (base values without effects)
+   * Fighter traits are embedded items; NPC traits are flat ratings identified by their sourceId
+   * @returns {Array<{id: string, name: string, type: string, sourceId: string, value: number, isWeaponTechnique: boolean, isFirearmTechnique: boolean}>}
+   */
+  getTraits() {
+    if (this.type === "npc") return this._getNpcTraits();
+
+    return this.items
+      .filter(i => TRAIT_ITEM_TYPES.includes(i.type))
+      .map(i => ({
+        id: i.id,
+        name: i.name,
+        type: i.type,
+        sourceId: i.system.sourceId,
+        value: i.system.value || 0,
+        isWeaponTechnique: i.system.isWeaponTechnique || false,
+        isFirearmTechnique: i.system.isFirearmTechnique || false,
+      }));
+  }
+
+  /**
+   * Get a rollable trait by its id
+   * @param {string} traitId - Item ID for fighters, sourceId for NPCs
+   * @returns {object|null}
+   */
+  getTrait(traitId) {
+    if (!traitId) return null;
+    return this.getTraits().find(t => t.id === traitId) ?? null;
+  }
+
+  /**
+   * Build trait entries from an NPC's flat attribute and technique ratings
+   * @returns {Array<object>}
+   * @private
+   */
+  _getNpcTraits() {
+    const config = CONFIG.STREET_FIGHTER;
+    const attributeLabels = {
+      ...config.physicalAttributes,
+      ...config.socialAttributes,
+      ...config.mentalAttributes,
+    };
+
+    const toTrait = (type, ratings, labels) => Object.entries(ratings ?? {}).map(([sourceId, value]) => ({
+      id: sourceId,
+      name: game.i18n.localize(labels[sourceId] ?? sourceId),
+      type,
+      sourceId,
+      value: value || 0,
+      isWeaponTechnique: false,
+      isFirearmTechnique: false,
+    }));
+
+    return [
+      ...toTrait("attribute", this.system.attributes, attributeLabels),
+      ...toTrait("technique", this.system.techniques, config.techniques),
+    ];
+  }
+
   /**
    * Get effective trait value including active effect modifiers
    * @param {string} sourceId - The sourceId of the trait
@@ -179,28 +258,6 @@ export class StreetFighterActor extends Actor {
     return Math.max(0, applyModifiers(baseSoak, modifiers));
   }
 
-  /**
-   * Prepare common data for all actor types
-   * @param {object} systemData
-   * @private
-   */
-  _prepareCommonData(systemData) {
-    // Initialize combat object if it doesn't exist
-    if (!systemData.combat) {
-      systemData.combat = {};
-    }
-
-    // Get attribute values from embedded items
-    const wits = this._getTraitValue("wits");
-    const dexterity = this._getTraitValue("dexterity");
-    const stamina = this._getTraitValue("stamina");
-
-    // Initiative = Wits + Dexterity
-    systemData.combat.initiative = wits + dexterity;
-    // Soak = Stamina (not half)
-    systemData.combat.soak = stamina;
-  }
-
   /**
    * Prepare fighter-specific data
    * Note: health.max, chi.max, willpower.max come from character data (imported or manual)
@@ -223,9 +280,9 @@ export class StreetFighterActor extends Actor {
     const value = this._getTraitValue(attributeKey);
     if (value === 0) return null;
 
-    // Find the item to get its name
-    const item = this.items.find(i => i.system.sourceId === attributeKey);
-    const label = item?.name || attributeKey;
+    // Find the trait to get its name
+    const trait = this.getTraits().find(t => t.sourceId === attributeKey);
+    const label = trait?.name || attributeKey;
 
     const roll = new Roll(`${value}d10cs>=7`);
     await roll.evaluate();
@@ -240,14 +297,70 @@ export class StreetFighterActor extends Actor {
 
   /**
    * Apply damage to the actor
+   * A single hit dealing more damage than the actor's Stamina dizzies it
    * @param {number} amount - Amount of damage to apply
+   * @param {object} [options]
+   * @param {boolean} [options.dizzy] - Dizzy the actor regardless of damage (dizzy combos)
    * @returns {Promise<Actor>}
    */
-  async applyDamage(amount) {
+  async applyDamage(amount, { dizzy = false } = {}) {
     const currentHealth = this.system.resources.health.value;
     const newHealth = Math.max(0, currentHealth - amount);
 
-    return this.update({ "system.resources.health.value": newHealth });
+    const result = await this.update({ "system.resources.health.value": newHealth });
+
+    if (amount > 0 && (dizzy || this.isDizzyingDamage(amount))) {
+      await this.becomeDizzied();
+    }
+
+    // Fired for every source of damage, so a knockout is noticed whether or not a maneuver dealt it
+    if (currentHealth > 0 && newHealth === 0) {
+      Hooks.callAll(SF_HOOKS.KNOCKED_OUT, this);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a single hit is enough to dizzy this actor
+   * @param {number} damage - Damage dealt by one hit
+   * @returns {boolean}
+   */
+  isDizzyingDamage(damage) {
+    const stamina = this.getEffectiveTraitValue("stamina");
+    return damage > COMBAT_FORMULAS.dizzyThreshold(stamina);
+  }
+
+  /**
+   * Find a dizzy combo from the combo list matching a sequence of maneuvers
+   * @param {string[]} maneuverSourceIds - Maneuver source IDs in execution order
+   * @returns {object|null} The matching combo, or null
+   */
+  findDizzyCombo(maneuverSourceIds) {
+    const combos = this.system.combos ?? [];
+    return combos.find(combo =>
+      combo.isDizzy &&
+      combo.maneuverIds?.length === maneuverSourceIds.length &&
+      combo.maneuverIds.every((id, index) => id === maneuverSourceIds[index])
+    ) ?? null;
+  }
+
+  /**
+   * Dizzy this actor in every started combat it takes part in
+   * @returns {Promise<void>}
+   */
+  async becomeDizzied() {
+    const combatants = game.combats
+      .filter(combat => combat.started)
+      .flatMap(combat => combat.combatants.filter(c => c.actor?.uuid === this.uuid));
+
+    for (const combatant of combatants) {
+      if (combatant.isDizzied) continue;
+      await combatant.setDizzy();
+      ui.notifications.info(
+        game.i18n.format("STREET_FIGHTER.Combat.Dizzy.Dizzied", { name: combatant.name })
+      );
+    }
   }
 
   /**
@@ -269,14 +382,72 @@ export class StreetFighterActor extends Actor {
    * @returns {Promise<Actor|null>}
    */
   async spendChi(amount) {
-    const currentChi = this.system.resources.chi.value;
-    if (currentChi < amount) {
+    return this.spendResources({ chi: amount });
+  }
+
+  /**
+   * Spend willpower
+   * @param {number} amount - Amount of willpower to spend
+   * @returns {Promise<Actor|null>}
+   */
+  async spendWillpower(amount) {
+    return this.spendResources({ willpower: amount });
+  }
+
+  /**
+   * Spend chi and willpower in a single update
+   * Nothing is spent unless the actor can pay both
+   * @param {object} costs
+   * @param {number} [costs.chi] - Amount of chi to spend
+   * @param {number} [costs.willpower] - Amount of willpower to spend
+   * @returns {Promise<Actor|null>} Null if the actor cannot pay
+   */
+  async spendResources({ chi = 0, willpower = 0 } = {}) {
+    const currentChi = this.system.resources.chi?.value ?? 0;
+    const currentWillpower = this.system.resources.willpower?.value ?? 0;
+
+    if (currentChi < chi) {
       ui.notifications.warn(
         game.i18n.localize("STREET_FIGHTER.Notifications.NotEnoughChi")
       );
       return null;
     }
+    if (currentWillpower < willpower) {
+      ui.notifications.warn(
+        game.i18n.localize("STREET_FIGHTER.Notifications.NotEnoughWillpower")
+      );
+      return null;
+    }
+
+    const updates = {};
+    if (chi) updates["system.resources.chi.value"] = currentChi - chi;
+    if (willpower) updates["system.resources.willpower.value"] = currentWillpower - willpower;
+    if (foundry.utils.isEmpty(updates)) return this;
+
+    const result = await this.update(updates);
+
+    // Dispatch Street Fighter specific resources spent hook
+    Hooks.callAll(SF_HOOKS.RESOURCES_SPENT, this, { chi, willpower });
+
+    return result;
+  }
+
+  /**
+   * Give back chi and willpower, up to their effective maximums
+   * @param {object} amounts
+   * @param {number} [amounts.chi] - Amount of chi to restore
+   * @param {number} [amounts.willpower] - Amount of willpower to restore
+   * @returns {Promise<Actor>}
+   */
+  async restoreResources({ chi = 0, willpower = 0 } = {}) {
+    const updates = {};
+    for (const [resource, amount] of [["chi", chi], ["willpower", willpower]]) {
+      const current = this.system.resources[resource]?.value;
+      if (!amount || current === undefined) continue;
+      updates[`system.resources.${resource}.value`] = Math.min(this.getEffectiveResourceMax(resource), current + amount);
+    }
+    if (foundry.utils.isEmpty(updates)) return this;
 
-    return this.update({ "system.resources.chi.value": currentChi - amount });
+    return this.update(updates);
   }
 }
@@ -0,0 +1,405 @@
+/**
+ * Street Fighter Character Creation
+ * Starting point allocation rules and how a finished allocation is written to the actor
+ * @author Kirlian Silvestre
+ */
+
+import { CREATION_POINTS, FREEBIE_COSTS, getTraitMaxValue } from "../config/constants.mjs";
+import { resolvePowerPointCost } from "./power-points.mjs";
+import {
+  PREREQUISITE_ENFORCEMENT,
+  evaluatePrerequisites,
+  formatUnmetPrerequisites,
+  getPrerequisiteEnforcement
+} from "./prerequisites.mjs";
+
+/**
+ * Flag set on fighters once the creation wizard has been completed
+ * @constant {string}
+ */
+export const CREATION_COMPLETE_FLAG = "creationComplete";
+
+/**
+ * Trait types allocated during creation, in wizard order
+ * @constant {string[]}
+ */
+export const CREATION_TRAIT_TYPES = ["attribute", "ability", "technique", "background"];
+
+/**
+ * Priority slots for attributes and abilities
+ * @enum {number}
+ */
+export const PRIORITY = Object.freeze({
+  PRIMARY: 0,
+  SECONDARY: 1,
+  TERTIARY: 2
+});
+
+/**
+ * @typedef {object} CreationTrait
+ * @property {string} key - sourceId, or item ID when the trait has none
+ * @property {string|null} itemId - Embedded item already on the actor
+ * @property {string|null} worldItemId - World item to copy when the trait is not on the actor yet
+ * @property {string} name
+ * @property {string} type - Item type
+ * @property {string} category - Attribute or ability category
+ * @property {number} base - Free starting rating (1 for attributes)
+ * @property {number} dots - Dots bought with starting points
+ * @property {number} freebies - Dots bought with freebie points
+ */
+
+/**
+ * @typedef {object} CreationState
+ * @property {string} concept
+ * @property {string|null} styleId - World fighting style item ID
+ * @property {Object<string, number>} attributePriority - Attribute category to PRIORITY
+ * @property {Object<string, number>} abilityPriority - Ability category to PRIORITY
+ * @property {Object<string, CreationTrait>} traits - Traits keyed by CreationTrait.key
+ * @property {string[]} maneuverIds - World special maneuver item IDs
+ * @property {{chi: number, willpower: number, powerPoints: number}} freebies - Freebie dots outside traits
+ */
+
+/**
+ * Build the starting creation state for a fighter
+ * Traits already on the actor (the non-optional ones) come first, then optional world traits
+ * @param {Actor} actor
+ * @returns {CreationState}
+ */
+export function createCreationState(actor) {
+  const traits = {};
+
+  for (const item of actor.items) {
+    if (!CREATION_TRAIT_TYPES.includes(item.type)) continue;
+    const key = item.system.sourceId || item.id;
+    traits[key] = _createTrait(item, key, { itemId: item.id });
+  }
+
+  for (const item of game.items) {
+    if (!CREATION_TRAIT_TYPES.includes(item.type)) continue;
+    const key = item.system.sourceId || item.id;
+    if (traits[key]) continue;
+    traits[key] = _createTrait(item, key, { worldItemId: item.id });
+  }
+
+  return {
+    concept: actor.system.profile?.concept ?? "",
+    styleId: null,
+    attributePriority: { physical: PRIORITY.PRIMARY, social: PRIORITY.SECONDARY, mental: PRIORITY.TERTIARY },
+    abilityPriority: { talents: PRIORITY.PRIMARY, skills: PRIORITY.SECONDARY, knowledge: PRIORITY.TERTIARY },
+    traits,
+    maneuverIds: [],
+    freebies: { chi: 0, willpower: 0, powerPoints: 0 },
+  };
+}
+
+/**
+ * Create a trait entry for the creation state
+ * @param {Item} item
+ * @param {string} key
+ * @param {{itemId?: string, worldItemId?: string}} source
+ * @returns {CreationTrait}
+ * @private
+ */
+function _createTrait(item, key, { itemId = null, worldItemId = null }) {
+  return {
+    key,
+    itemId,
+    worldItemId,
+    name: item.name,
+    type: item.type,
+    category: item.system.category ?? "",
+    base: item.type === "attribute" ? 1 : 0,
+    dots: 0,
+    freebies: 0,
+  };
+}
+
+/**
+ * Get a trait's final rating
+ * @param {CreationTrait} trait
+ * @returns {number}
+ */
+export function getCreationTraitValue(trait) {
+  return trait.base + trait.dots + trait.freebies;
+}
+
+/* -------------------------------------------- */
+/*  Point Pools                                 */
+/* -------------------------------------------- */
+
+/**
+ * Get the world items chosen as style and maneuvers
+ * @param {CreationState} state
+ * @returns {{style: Item|null, maneuvers: Item[]}}
+ */
+export function getCreationChoices(state) {
+  return {
+    style: state.styleId ? game.items.get(state.styleId) ?? null : null,
+    maneuvers: state.maneuverIds.map(id => game.items.get(id)).filter(Boolean),
+  };
+}
+
+/**
+ * Get every point pool with its allowance and how much has been spent
+ * @param {CreationState} state
+ * @returns {Array<{id: string, label: string, allowed: number, spent: number}>}
+ */
+export function getCreationPools(state) {
+  const traits = Object.values(state.traits);
+  const sumDots = filter => traits.filter(filter).reduce((total, t) => total + t.dots, 0);
+  const pools = [];
+
+  for (const [category, priority] of Object.entries(state.attributePriority)) {
+    pools.push({
+      id: `attribute.${category}`,
+      label: `STREET_FIGHTER.Attributes.Categories.${category}`,
+      allowed: CREATION_POINTS.attributes[priority],
+      spent: sumDots(t => t.type === "attribute" && t.category === category),
+    });
+  }
+
+  for (const [category, priority] of Object.entries(state.abilityPriority)) {
+    pools.push({
+      id: `ability.${category}`,
+      label: `STREET_FIGHTER.Trait.Categories.${category}`,
+      allowed: CREATION_POINTS.abilities[priority],
+      spent: sumDots(t => t.type === "ability" && t.category === category),
+    });
+  }
+
+  pools.push({
+    id: "technique",
+    label: "STREET_FIGHTER.Item.Types.technique",
+    allowed: CREATION_POINTS.techniques,
+    spent: sumDots(t => t.type === "technique"),
+  });
+
+  pools.push({
+    id: "background",
+    label: "STREET_FIGHTER.Item.Types.background",
+    allowed: CREATION_POINTS.backgrounds,
+    spent: sumDots(t => t.type === "background"),
+  });
+
+  pools.push({
+    id: "powerPoints",
+    label: "STREET_FIGHTER.Creation.PowerPoints",
+    allowed: CREATION_POINTS.powerPoints + state.freebies.powerPoints,
+    spent: getSpentPowerPoints(state),
+  });
+
+  pools.push({
+    id: "freebies",
+    label: "STREET_FIGHTER.Creation.Freebies",
+    allowed: CREATION_POINTS.freebies,
+    spent: getSpentFreebies(state),
+  });
+
+  return pools;
+}
+
+/**
+ * Get the style and backgrounds that price maneuvers for the fighter being created
+ * @param {CreationState} state
+ * @returns {import("./power-points.mjs").CostContext}
+ */
+export function getCreationCostContext(state) {
+  const { style } = getCreationChoices(state);
+  return {
+    styleSourceId: style ? style.system.sourceId || style.id : null,
+    backgroundSourceIds: Object.values(state.traits)
+      .filter(t => t.type === "background" && getCreationTraitValue(t) > 0)
+      .map(t => t.key),
+  };
+}
+
+/**
+ * Get the power points spent on the chosen maneuvers at the chosen style's prices
+ * Maneuvers unavailable to the style count at no cost; validation reports them
+ * @param {CreationState} state
+ * @returns {number}
+ */
+export function getSpentPowerPoints(state) {
+  const { maneuvers } = getCreationChoices(state);
+  const context = getCreationCostContext(state);
+  return maneuvers.reduce((total, m) => total + (resolvePowerPointCost(m, context).cost ?? 0), 0);
+}
+
+/**
+ * Get the freebie points spent across traits, resources and power points
+ * @param {CreationState} state
+ * @returns {number}
+ */
+export function getSpentFreebies(state) {
+  const traitCost = Object.values(state.traits)
+    .reduce((total, t) => total + t.freebies * FREEBIE_COSTS[t.type], 0);
+
+  return traitCost
+    + state.freebies.chi * FREEBIE_COSTS.chi
+    + state.freebies.willpower * FREEBIE_COSTS.willpower
+    + state.freebies.powerPoints * FREEBIE_COSTS.powerPoint;
+}
+
+/* -------------------------------------------- */
+/*  Validation                                  */
+/* -------------------------------------------- */
+
+/**
+ * Check the chosen maneuvers' prerequisites against the ratings and maneuvers of the creation state
+ * @param {Actor} actor
+ * @param {CreationState} state
+ * @returns {Array<{maneuver: Item, unmet: import("./prerequisites.mjs").UnmetPrerequisite[]}>} Maneuvers with unmet prerequisites
+ */
+export function getUnmetCreationPrerequisites(actor, state) {
+  const { maneuvers } = getCreationChoices(state);
+  const traits = Object.values(state.traits)
+    .map(t => ({ sourceId: t.key, name: t.name, value: getCreationTraitValue(t) }));
+  const known = [
+    ...actor.items.filter(i => i.type === "specialManeuver"),
+    ...maneuvers
+  ].map(m => m.system.sourceId || m.id);
+
+  return maneuvers
+    .map(maneuver => {
+      const sourceId = maneuver.system.sourceId || maneuver.id;
+      const knownManeuvers = known.filter(id => id !== sourceId);
+      return { maneuver, unmet: evaluatePrerequisites(actor, maneuver, { traits, knownManeuvers }).unmet };
+    })
+    .filter(entry => entry.unmet.length);
+}
+
+/**
+ * Ask to finish a fighter whose maneuvers have unmet prerequisites when enforcement only warns
+ * Block mode is left to validateCreation, which refuses such a fighter
+ * @param {Actor} actor
+ * @param {CreationState} state
+ * @returns {Promise<boolean>} Whether the fighter may be finished
+ */
+export async function confirmCreationPrerequisites(actor, state) {
+  if (getPrerequisiteEnforcement() !== PREREQUISITE_ENFORCEMENT.WARN) return true;
+
+  const unmet = getUnmetCreationPrerequisites(actor, state);
+  if (!unmet.length) return true;
+
+  const escape = Handlebars.Utils.escapeExpression;
+  const items = unmet
+    .map(entry => `<li><strong>${escape(entry.maneuver.name)}</strong>: ${escape(formatUnmetPrerequisites(entry.unmet))}</li>`)
+    .join("");
+  return foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("STREET_FIGHTER.Prerequisite.UnmetTitle") },
+    content: `<p>${game.i18n.localize("STREET_FIGHTER.Creation.UnmetPrerequisites")}</p>`
+      + `<ul>${items}</ul><p>${game.i18n.localize("STREET_FIGHTER.Creation.FinishAnyway")}</p>`
+  });
+}
+
+/**
+ * Check a creation state against the starting point rules
+ * Maneuvers with unmet prerequisites are problems when prerequisites are enforced by blocking
+ * @param {CreationState} state
+ * @param {Actor} actor - The fighter being created
+ * @returns {string[]} Localized problems; empty when the fighter can be finished
+ */
+export function validateCreation(state, actor) {
+  const errors = [];
+  const i18n = game.i18n;
+
+  if (!state.concept.trim()) errors.push(i18n.localize("STREET_FIGHTER.Creation.Errors.NoConcept"));
+  if (!state.styleId) errors.push(i18n.localize("STREET_FIGHTER.Creation.Errors.NoStyle"));
+
+  for (const [group, priorities] of [["attributes", state.attributePriority], ["abilities", state.abilityPriority]]) {
+    const slots = Object.values(priorities).sort();
+    if (slots.some((slot, index) => slot !== index)) {
+      errors.push(i18n.localize(`STREET_FIGHTER.Creation.Errors.Priorities.${group}`));
+    }
+  }
+
+  for (const pool of getCreationPools(state)) {
+    const label = i18n.localize(pool.label);
+    const mustSpendAll = pool.id !== "powerPoints" && pool.id !== "freebies";
+
+    if (pool.spent > pool.allowed) {
+      errors.push(i18n.format("STREET_FIGHTER.Creation.Errors.Overspent", { pool: label, spent: pool.spent, allowed: pool.allowed }));
+    } else if (mustSpendAll && pool.spent < pool.allowed) {
+      errors.push(i18n.format("STREET_FIGHTER.Creation.Errors.Unspent", { pool: label, count: pool.allowed - pool.spent }));
+    }
+  }
+
+  const costContext = getCreationCostContext(state);
+  for (const maneuver of getCreationChoices(state).maneuvers) {
+    if (!resolvePowerPointCost(maneuver, costContext).available) {
+      errors.push(i18n.format("STREET_FIGHTER.PowerPoints.Unavailable", { name: maneuver.name }));
+    }
+  }
+
+  if (getPrerequisiteEnforcement() === PREREQUISITE_ENFORCEMENT.BLOCK) {
+    for (const { maneuver, unmet } of getUnmetCreationPrerequisites(actor, state)) {
+      errors.push(i18n.format("STREET_FIGHTER.Prerequisite.Blocked", {
+        actor: actor.name,
+        name: maneuver.name,
+        list: formatUnmetPrerequisites(unmet)
+      }));
+    }
+  }
+
+  for (const trait of Object.values(state.traits)) {
+    if (trait.type === "ability" && trait.base + trait.dots > CREATION_POINTS.abilityMax) {
+      errors.push(i18n.format("STREET_FIGHTER.Creation.Errors.AbilityMax", { name: trait.name, max: CREATION_POINTS.abilityMax }));
+    }
+    if (getCreationTraitValue(trait) > getTraitMaxValue(trait.type)) {
+      errors.push(i18n.format("STREET_FIGHTER.Creation.Errors.TraitMax", { name: trait.name, max: getTraitMaxValue(trait.type) }));
+    }
+  }
+
+  return errors;
+}
+
+/* -------------------------------------------- */
+/*  Apply                                       */
+/* -------------------------------------------- */
+
+/**
+ * Write a validated creation state to the actor
+ * The fighting style is added as an item so its chi and willpower are applied by the actor
+ * @param {Actor} actor
+ * @param {CreationState} state
+ * @returns {Promise<boolean>} False if the state is invalid
+ */
+export async function applyCreation(actor, state) {
+  if (validateCreation(state, actor).length) return false;
+
+  const traits = Object.values(state.traits);
+  const traitUpdates = traits
+    .filter(t => t.itemId)
+    .map(t => ({ _id: t.itemId, "system.value": getCreationTraitValue(t) }));
+  const traitsToCreate = traits
+    .filter(t => t.worldItemId && getCreationTraitValue(t) > 0)
+    .map(t => {
+      const data = game.items.get(t.worldItemId).toObject();
+      data.system.value = getCreationTraitValue(t);
+      return data;
+    });
+
+  if (traitUpdates.length) await actor.updateEmbeddedDocuments("Item", traitUpdates);
+  if (traitsToCreate.length) await actor.createEmbeddedDocuments("Item", traitsToCreate);
+
+  const { style, maneuvers } = getCreationChoices(state);
+
+  // Replace any style added by hand so its resources are not counted twice
+  const existingStyles = actor.items.filter(i => i.type === "fightingStyle").map(i => i.id);
+  if (existingStyles.length) await actor.deleteEmbeddedDocuments("Item", existingStyles);
+
+  // Start from the freebie dots; adding the style then grants its initial chi and willpower
+  await actor.update({
+    "system.profile.concept": state.concept.trim(),
+    "system.powerPoints.total": CREATION_POINTS.powerPoints + state.freebies.powerPoints,
+    "system.resources.chi.max": state.freebies.chi,
+    "system.resources.chi.value": state.freebies.chi,
+    "system.resources.willpower.max": state.freebies.willpower,
+    "system.resources.willpower.value": state.freebies.willpower,
+  });
+
+  await actor.createEmbeddedDocuments("Item", [style.toObject(), ...maneuvers.map(m => m.toObject())]);
+  await actor.setFlag("street-fighter", CREATION_COMPLETE_FLAG, true);
+
+  return true;
+}
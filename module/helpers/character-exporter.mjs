@@ -0,0 +1,219 @@
+/**
+ * Street Fighter Character Exporter
+ * Exports fighters to .fscharacters files in the format the character importer reads
+ * @author Kirlian Silvestre
+ */
+
+import { APPLIED_EFFECTS_FLAG, collectEffectGrants } from "./character-importer.mjs";
+
+/**
+ * Item types stored as trait values
+ * @type {string[]}
+ */
+const TRAIT_TYPES = ["attribute", "ability", "technique", "background"];
+
+/**
+ * Images that are never embedded in an export
+ * @type {string}
+ */
+const CORE_ICON_PATH = "icons/";
+
+/**
+ * Export fighters to a .fscharacters file
+ * @param {Actor[]} actors - Fighters to export
+ * @returns {Promise<object>} The exported data
+ */
+export async function exportCharacters(actors) {
+  const fighters = actors.filter(actor => actor.type === "fighter");
+  const data = await buildCharacterExport(fighters);
+
+  const filename = fighters.length === 1 ? fighters[0].name.slugify({ strict: true }) : "characters";
+  foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), "application/json", `${filename}.fscharacters`);
+  return data;
+}
+
+/**
+ * Build the contents of a .fscharacters file
+ * The file keeps the Fighter Sheet version imported characters came from, so a round trip leaves them unchanged
+ * @param {Actor[]} actors - Fighters to export
+ * @returns {Promise<{version: string, characters: object[]}>}
+ */
+export async function buildCharacterExport(actors) {
+  const sourceVersion = actors.find(actor => actor.system.importData?.isImported)?.system.importData.sourceVersion;
+  const characters = [];
+  for (const actor of actors) {
+    characters.push(await buildCharacterData(actor));
+  }
+  return { version: sourceVersion || game.system.version, characters };
+}
+
+/**
+ * Build the exported data of a single fighter
+ * Mirrors buildActorSystemData and buildEmbeddedItems of the character importer
+ * @param {Actor} actor - The fighter to export
+ * @returns {Promise<object>}
+ */
+export async function buildCharacterData(actor) {
+  const system = actor.system;
+  const appliedEffectGroups = foundry.utils.deepClone(actor.getFlag("street-fighter", APPLIED_EFFECTS_FLAG) ?? []);
+  const { traitBonuses, grantedManeuverIds } = collectEffectGrants(appliedEffectGroups);
+
+  const charData = {
+    characterId: system.importData?.characterId || actor.id,
+    name: actor.name,
+    characterName: system.profile.characterName || actor.name,
+    playerName: system.profile.playerName,
+    chronicleName: system.profile.chronicleName,
+    schoolName: system.profile.schoolName,
+    fightingTeam: system.profile.fightingTeam,
+    stable: system.profile.stable,
+    concept: system.profile.concept,
+    signature: system.profile.signature,
+    health: system.resources.health.max,
+    chi: system.resources.chi.max,
+    willpower: system.resources.willpower.max,
+    permanentHonor: system.renown.honor.permanent,
+    temporaryHonor: system.renown.honor.temporary,
+    permanentGlory: system.renown.glory.permanent,
+    temporaryGlory: system.renown.glory.temporary,
+    experienceTotal: system.experience.total,
+    experienceSpent: system.experience.spent,
+    styleId: actor.items.find(i => i.type === "fightingStyle")?.system.sourceId || null,
+    traitValues: {},
+    specialManeuverIds: [],
+    selectedWeaponIds: [],
+    divisionRecords: _exportDivisionRecords(actor),
+    sessionRecords: foundry.utils.deepClone(system.sessionRecords ?? []),
+    languages: [...(system.languages ?? [])],
+    combos: foundry.utils.deepClone(system.combos ?? []),
+    appliedEffectGroups,
+    background: system.background,
+    motivations: system.motivations,
+    appearance: system.appearanceNotes,
+    equipment: system.equipment,
+  };
+
+  for (const item of actor.items) {
+    const sourceId = item.system.sourceId;
+    if (!sourceId) continue;
+
+    // Trait values are exported without the bonuses the importer adds from effect groups
+    if (TRAIT_TYPES.includes(item.type)) {
+      charData.traitValues[sourceId] = (item.system.value ?? 0) - (traitBonuses.get(sourceId) || 0);
+    } else if (item.type === "specialManeuver" && !grantedManeuverIds.includes(sourceId)) {
+      charData.specialManeuverIds.push(sourceId);
+    } else if (item.type === "weapon") {
+      charData.selectedWeaponIds.push(sourceId);
+    }
+  }
+
+  const imageBase64 = await _encodeImage(actor.img);
+  if (imageBase64) charData.imageBase64 = imageBase64;
+
+  return charData;
+}
+
+/**
+ * Merge the fighter's division records with the records kept on its division items
+ * Division items are updated during play, so their values win
+ * @param {Actor} actor
+ * @returns {object[]}
+ * @private
+ */
+function _exportDivisionRecords(actor) {
+  const records = new Map((actor.system.divisionRecords ?? []).map(record => [record.divisionId, { ...record }]));
+
+  for (const division of actor.items.filter(i => i.type === "division")) {
+    const { sourceId, rank, wins, draws, losses, knockouts } = division.system;
+    if (!sourceId) continue;
+    records.set(sourceId, { divisionId: sourceId, rank, wins, draws, losses, knockouts });
+  }
+
+  return Array.from(records.values());
+}
+
+/**
+ * Encode an actor image as base64, the way Fighter Sheet stores portraits
+ * @param {string|null} img - Image path or data URL
+ * @returns {Promise<string|null>} Base64 data, or null for core icons and unreadable images
+ * @private
+ */
+async function _encodeImage(img) {
+  if (!img || img.startsWith(CORE_ICON_PATH)) return null;
+  if (img.startsWith("data:")) return img.split(",")[1] ?? null;
+
+  try {
+    const response = await fetch(img);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  } catch (e) {
+    console.warn(`Street Fighter | Could not embed image ${img}:`, e);
+    return null;
+  }
+}
+
+/**
+ * Export a single fighter from its sheet
+ * @param {Actor} actor - The fighter to export
+ */
+export async function exportCharacter(actor) {
+  await exportCharacters([actor]);
+  ui.notifications.info(game.i18n.format("STREET_FIGHTER.Character.exportSuccess", { name: actor.name }));
+}
+
+/**
+ * Show the character export dialog, listing every fighter in the world
+ */
+export async function showCharacterExportDialog() {
+  const { DialogV2 } = foundry.applications.api;
+
+  const fighters = game.actors.filter(actor => actor.type === "fighter");
+  if (!fighters.length) {
+    ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Character.exportNone"));
+    return;
+  }
+
+  const options = fighters.map(actor => `
+    <label class="sf-export-option">
+      <input type="checkbox" name="actorIds" value="${actor.id}" checked />
+      ${actor.name}
+    </label>
+  `).join("");
+
+  const content = `
+    <form class="sf-export-dialog">
+      <p class="hint">${game.i18n.localize("STREET_FIGHTER.Character.exportHint")}</p>
+      <div class="sf-export-options">${options}</div>
+    </form>
+  `;
+
+  await DialogV2.prompt({
+    window: {
+      title: game.i18n.localize("STREET_FIGHTER.Character.export"),
+      icon: "fas fa-file-export",
+    },
+    content,
+    ok: {
+      label: game.i18n.localize("STREET_FIGHTER.Character.export"),
+      icon: "fas fa-file-export",
+      callback: async (event, button) => {
+        const selected = Array.from(button.form.querySelectorAll('input[name="actorIds"]:checked'))
+          .map(input => game.actors.get(input.value))
+          .filter(Boolean);
+        if (!selected.length) {
+          ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Character.exportNone"));
+          return;
+        }
+
+        await exportCharacters(selected);
+        ui.notifications.info(game.i18n.format("STREET_FIGHTER.Character.exportCount", { count: selected.length }));
+      },
+    },
+    rejectClose: false,
+  });
+}
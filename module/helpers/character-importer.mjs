@@ -4,15 +4,29 @@
  * @author Kirlian Silvestre
  */
 
-import { findWorldItemBySourceId, addNonOptionalTraitsToActor } from "./utils.mjs";
+import { findWorldItemBySourceId, getItemSourceData, addNonOptionalTraitsToActor } from "./utils.mjs";
+import { validateSystemData } from "../data/index.mjs";
+import { findImportedActor, diffCharacter, applyCharacterChanges, promptCharacterChanges } from "./character-reimport.mjs";
+import { ImportTransaction, validateCharacterData, getReportErrors, confirmImportReport } from "./import-validation.mjs";
+
+/**
+ * Actor flag keeping the applied effect groups of an imported character, so it can be exported again
+ * @type {string}
+ */
+export const APPLIED_EFFECTS_FLAG = "appliedEffectGroups";
 
 /**
  * Import characters from a .fscharacters file
+ * Characters imported before are updated in place, after previewing the changes.
+ * The file is validated first; if any character then fails, the whole import is rolled back
  * @param {File} file - The file to import
  * @param {Folder} folder - Optional folder to place characters in
- * @returns {Promise<{success: boolean, counts: object, errors: string[]}>}
+ * @param {object} [options]
+ * @param {boolean} [options.preview=true] - Let the user choose the changes to re-imported characters; apply the default choices when false
+ * @param {boolean} [options.dryRun=false] - Only validate the file and report
+ * @returns {Promise<{success: boolean, counts: object, errors: string[], report?: ImportReport, rolledBack?: boolean}>}
  */
-export async function importCharacters(file, folder = null) {
+export async function importCharacters(file, folder = null, { preview = true, dryRun = false } = {}) {
   const errors = [];
   const counts = {
     imported: 0,
@@ -20,113 +34,139 @@ export async function importCharacters(file, folder = null) {
     skipped: 0,
   };
 
+  let data;
   try {
     const text = await file.text();
-    const data = JSON.parse(text);
+    data = JSON.parse(text);
+  } catch (e) {
+    errors.push(`Failed to parse file: ${e.message}`);
+    return { success: false, counts, errors };
+  }
 
-    if (!data.characters || !Array.isArray(data.characters)) {
-      errors.push("Invalid file format: missing characters array");
-      return { success: false, counts, errors };
-    }
+  const report = validateCharacterData(data, { name: file.name });
+  if (dryRun || !report.valid) {
+    return { success: report.valid, counts, errors: getReportErrors(report), report };
+  }
 
-    const version = data.version || "unknown";
+  const version = data.version || "unknown";
+  const transaction = new ImportTransaction();
 
-    for (const charData of data.characters) {
-      try {
-        const result = await importSingleCharacter(charData, version, folder);
-        if (result.isUpdate) {
-          counts.updated++;
-        } else {
-          counts.imported++;
-        }
-      } catch (e) {
-        errors.push(`Character ${charData.name || charData.characterId}: ${e.message}`);
+  for (const charData of data.characters) {
+    try {
+      const result = await importSingleCharacter(charData, version, folder, { preview, transaction });
+      if (result.isSkipped) {
+        counts.skipped++;
+      } else if (result.isUpdate) {
+        counts.updated++;
+      } else {
+        counts.imported++;
       }
+    } catch (e) {
+      errors.push(`Character ${charData.name || charData.characterId}: ${e.message}`);
     }
+  }
 
-    return { success: true, counts, errors };
-  } catch (e) {
-    errors.push(`Failed to parse file: ${e.message}`);
-    return { success: false, counts, errors };
+  if (errors.length) {
+    errors.push(...await transaction.rollback());
+    return { success: false, counts: { imported: 0, updated: 0, skipped: 0 }, errors, report, rolledBack: true };
   }
+
+  return { success: true, counts, errors, report };
 }
 
 /**
  * Import a single character from exported data
- * If a character with the same name exists, update it instead of creating new
+ * If the character was imported before, update that actor instead of creating a new one
  * @param {object} charData - Character data from export
  * @param {string} version - Export version
  * @param {Folder} folder - Optional folder
- * @returns {Promise<{actor: Actor, isUpdate: boolean}>}
+ * @param {object} options
+ * @param {boolean} options.preview - Let the user choose the changes to apply to an existing actor
+ * @param {ImportTransaction} options.transaction - Import recording the actors it creates and changes
+ * @returns {Promise<{actor: Actor, isUpdate: boolean, isSkipped: boolean}>}
  */
-async function importSingleCharacter(charData, version, folder) {
+async function importSingleCharacter(charData, version, folder, { preview, transaction }) {
   const characterName = charData.name || charData.characterName || "Unnamed Fighter";
-  
-  // Check if actor with same name already exists
-  const existingActor = game.actors.find(a => a.name === characterName);
-  
+
+  // Build and validate everything first, so a malformed character never produces a half-imported actor
+  const systemData = buildActorSystemData(charData, version);
+  const itemsToCreate = buildEmbeddedItems(charData);
+
+  const existingActor = findImportedActor(charData);
   if (existingActor) {
-    // Update existing actor, preserving current resource values
-    const currentSystem = existingActor.system;
-    const newSystemData = buildActorSystemData(charData, version);
-    
-    // Preserve current resource values from the existing character (clamped to new max)
-    newSystemData.resources.health.value = Math.min(
-      currentSystem.resources?.health?.value ?? newSystemData.resources.health.max,
-      newSystemData.resources.health.max
-    );
-    newSystemData.resources.chi.value = Math.min(
-      currentSystem.resources?.chi?.value ?? newSystemData.resources.chi.max,
-      newSystemData.resources.chi.max
-    );
-    newSystemData.resources.willpower.value = Math.min(
-      currentSystem.resources?.willpower?.value ?? newSystemData.resources.willpower.max,
-      newSystemData.resources.willpower.max
-    );
-    
-    // Update actor data
-    await existingActor.update({
-      img: charData.imageBase64 ? `data:image/png;base64,${charData.imageBase64}` : existingActor.img,
-      system: newSystemData,
-    });
-    
-    // Remove all existing embedded items and re-add them
-    const existingItemIds = existingActor.items.map(i => i.id);
-    if (existingItemIds.length > 0) {
-      await existingActor.deleteEmbeddedDocuments("Item", existingItemIds);
-    }
-    
-    // Add embedded items (special maneuvers, weapons, etc.)
-    await addEmbeddedItems(existingActor, charData);
-    
-    return { actor: existingActor, isUpdate: true };
+    transaction.snapshot(existingActor);
+    const isApplied = await reimportCharacter(existingActor, charData, systemData, itemsToCreate, { preview });
+    return { actor: existingActor, isUpdate: isApplied, isSkipped: !isApplied };
   }
-  
+
   // Create new actor
   const actorData = {
     name: characterName,
     type: "fighter",
     folder: folder?.id || null,
     img: charData.imageBase64 ? `data:image/png;base64,${charData.imageBase64}` : null,
-    system: buildActorSystemData(charData, version),
+    system: systemData,
+    flags: {
+      "street-fighter": { [APPLIED_EFFECTS_FLAG]: charData.appliedEffectGroups || [] },
+    },
   };
 
-  const actor = await Actor.create(actorData);
+  const actor = transaction.track(await Actor.create(actorData));
 
   // Add embedded items (special maneuvers, weapons, etc.)
-  await addEmbeddedItems(actor, charData);
+  await addEmbeddedItems(actor, itemsToCreate);
 
-  return { actor, isUpdate: false };
+  return { actor, isUpdate: false, isSkipped: false };
+}
+
+/**
+ * Update a previously imported fighter with the changes between it and the new import data
+ * Changes are applied in place, so item ids, actor effects and flags survive the update
+ * @param {Actor} actor - The previously imported fighter
+ * @param {object} charData - Character data from export
+ * @param {object} systemData - System data built by buildActorSystemData
+ * @param {object[]} itemsToCreate - Item data built by buildEmbeddedItems
+ * @param {object} options
+ * @param {boolean} options.preview - Let the user choose the changes to apply
+ * @returns {Promise<boolean>} False if there was nothing to change or the user cancelled
+ */
+async function reimportCharacter(actor, charData, systemData, itemsToCreate, { preview }) {
+  const changes = diffCharacter(actor, {
+    name: charData.name || charData.characterName || "Unnamed Fighter",
+    img: charData.imageBase64 ? `data:image/png;base64,${charData.imageBase64}` : null,
+    system: systemData,
+    items: itemsToCreate,
+  });
+  if (!changes.length) return false;
+
+  // Without the preview only the default choices apply, so nothing the file lacks is removed
+  const selected = preview ? await promptCharacterChanges(actor, changes) : changes.filter(change => change.selected);
+  if (!selected?.length) return false;
+
+  await applyCharacterChanges(actor, selected, {
+    "system.importData": systemData.importData,
+    [`flags.street-fighter.${APPLIED_EFFECTS_FLAG}`]: charData.appliedEffectGroups || [],
+  });
+
+  // Traits made non-optional since the last import
+  if (game.settings.get("street-fighter", "autoAddTraitsOnImport")) {
+    const existingSourceIds = new Set(actor.items.map(i => i.system.sourceId).filter(Boolean));
+    await addNonOptionalTraitsToActor(actor, existingSourceIds);
+  }
+
+  return true;
 }
 
 /**
  * Build the system data for an actor from imported character data
  * @param {object} charData - Character data from export
  * @param {string} version - Export version
- * @returns {object} - System data for the actor
+ * @returns {object} - System data for the actor, cleaned by the fighter data model
+ * @throws {Error} If the character data fails validation
  */
-function buildActorSystemData(charData, version) {
-  return {
+export function buildActorSystemData(charData, version) {
+  const characterName = charData.name || charData.characterName || "Unnamed Fighter";
+  const systemData = {
     importData: {
       isImported: true,
       characterId: charData.characterId || "",
@@ -181,49 +221,66 @@ function buildActorSystemData(charData, version) {
     appearanceNotes: charData.appearance || "",
     equipment: charData.equipment || "",
   };
+
+  // Keep only the imported fields, so updating an existing actor leaves its ledger and power points alone
+  const cleaned = validateSystemData("Actor", "fighter", systemData, characterName);
+  return foundry.utils.filterObject(cleaned, systemData);
 }
 
 /**
- * Add embedded items to an actor based on imported data
- * @param {Actor} actor - The actor to add items to
+ * Collect the trait bonuses and granted maneuvers of a character's applied effect groups
+ * The Fighter Sheet app stores base trait values, so bonuses are added on import and removed on export
+ * @param {object[]} [appliedEffectGroups] - Applied effect groups from export
+ * @returns {{traitBonuses: Map<string, number>, grantedManeuverIds: string[]}}
+ */
+export function collectEffectGrants(appliedEffectGroups) {
+  const traitBonuses = new Map();
+  const grantedManeuverIds = [];
+  if (!Array.isArray(appliedEffectGroups)) return { traitBonuses, grantedManeuverIds };
+
+  for (const group of appliedEffectGroups) {
+    if (!group.effects || !Array.isArray(group.effects)) continue;
+
+    for (const effect of group.effects) {
+      if (!effect.targets || !Array.isArray(effect.targets)) continue;
+
+      // Handle traitBonus effects
+      if (effect.type === "traitBonus") {
+        for (const targetId of effect.targets) {
+          const currentBonus = traitBonuses.get(targetId) || 0;
+          traitBonuses.set(targetId, currentBonus + (effect.value || 0));
+        }
+      }
+
+      // Handle grantManeuver effects
+      if (effect.type === "grantManeuver") {
+        for (const maneuverId of effect.targets) {
+          if (!grantedManeuverIds.includes(maneuverId)) grantedManeuverIds.push(maneuverId);
+        }
+      }
+    }
+  }
+
+  return { traitBonuses, grantedManeuverIds };
+}
+
+/**
+ * Build the embedded items of an imported character from world items
+ * Each item's system data is validated against its data model
  * @param {object} charData - Character data from export
+ * @returns {object[]} - Item data to create on the actor
+ * @throws {Error} If an item fails validation
  */
-async function addEmbeddedItems(actor, charData) {
+export function buildEmbeddedItems(charData) {
   const itemsToCreate = [];
-  const traitBonuses = new Map(); // Track bonuses from effects
 
   // Process appliedEffectGroups first to collect trait bonuses and granted maneuvers
-  if (charData.appliedEffectGroups && Array.isArray(charData.appliedEffectGroups)) {
-    for (const group of charData.appliedEffectGroups) {
-      if (!group.effects || !Array.isArray(group.effects)) continue;
-      
-      for (const effect of group.effects) {
-        // Handle traitBonus effects
-        if (effect.type === "traitBonus" && effect.targets && Array.isArray(effect.targets)) {
-          for (const targetId of effect.targets) {
-            const currentBonus = traitBonuses.get(targetId) || 0;
-            traitBonuses.set(targetId, currentBonus + (effect.value || 0));
-          }
-          console.log(`Street Fighter | Applied traitBonus: ${effect.value} to ${effect.targets.join(", ")}`);
-        }
-        
-        // Handle grantManeuver effects
-        if (effect.type === "grantManeuver" && effect.targets && Array.isArray(effect.targets)) {
-          for (const maneuverId of effect.targets) {
-            const maneuverItem = findWorldItemBySourceId(maneuverId, "specialManeuver");
-            if (maneuverItem) {
-              // Check if not already added
-              const alreadyAdded = itemsToCreate.some(
-                i => i.system?.sourceId === maneuverId && i.type === "specialManeuver"
-              );
-              if (!alreadyAdded) {
-                itemsToCreate.push(maneuverItem.toObject());
-                console.log(`Street Fighter | Granted maneuver from effect: ${maneuverId}`);
-              }
-            }
-          }
-        }
-      }
+  const { traitBonuses, grantedManeuverIds } = collectEffectGrants(charData.appliedEffectGroups);
+  for (const maneuverId of grantedManeuverIds) {
+    const maneuverItem = findWorldItemBySourceId(maneuverId, "specialManeuver");
+    if (maneuverItem) {
+      itemsToCreate.push(getItemSourceData(maneuverItem));
+      console.log(`Street Fighter | Granted maneuver from effect: ${maneuverId}`);
     }
   }
 
@@ -231,7 +288,7 @@ async function addEmbeddedItems(actor, charData) {
   if (charData.styleId) {
     const styleItem = findWorldItemBySourceId(charData.styleId, "fightingStyle");
     if (styleItem) {
-      itemsToCreate.push(styleItem.toObject());
+      itemsToCreate.push(getItemSourceData(styleItem));
     }
   }
 
@@ -247,7 +304,7 @@ async function addEmbeddedItems(actor, charData) {
       // Try to find the trait in world items (could be attribute, ability, technique, or background)
       const traitItem = findWorldItemBySourceId(traitSourceId, ["attribute", "ability", "technique", "background"]);
       if (traitItem) {
-        const traitData = traitItem.toObject();
+        const traitData = getItemSourceData(traitItem);
         traitData.system.value = totalValue;
         itemsToCreate.push(traitData);
         console.log(`Street Fighter | Adding trait: ${traitSourceId} with value ${value} + bonus ${bonus} = ${totalValue}`);
@@ -267,7 +324,7 @@ async function addEmbeddedItems(actor, charData) {
       if (!alreadyAdded) {
         const maneuverItem = findWorldItemBySourceId(maneuverId, "specialManeuver");
         if (maneuverItem) {
-          itemsToCreate.push(maneuverItem.toObject());
+          itemsToCreate.push(getItemSourceData(maneuverItem));
         }
       }
     }
@@ -278,7 +335,7 @@ async function addEmbeddedItems(actor, charData) {
     for (const weaponId of charData.selectedWeaponIds) {
       const weaponItem = findWorldItemBySourceId(weaponId, "weapon");
       if (weaponItem) {
-        itemsToCreate.push(weaponItem.toObject());
+        itemsToCreate.push(getItemSourceData(weaponItem));
       }
     }
   }
@@ -288,7 +345,7 @@ async function addEmbeddedItems(actor, charData) {
     for (const record of charData.divisionRecords) {
       const divisionItem = findWorldItemBySourceId(record.divisionId, "division");
       if (divisionItem) {
-        const divisionData = divisionItem.toObject();
+        const divisionData = getItemSourceData(divisionItem);
         divisionData.system.rank = record.rank || "";
         divisionData.system.wins = record.wins || 0;
         divisionData.system.draws = record.draws || 0;
@@ -299,6 +356,19 @@ async function addEmbeddedItems(actor, charData) {
     }
   }
 
+  for (const itemData of itemsToCreate) {
+    itemData.system = validateSystemData("Item", itemData.type, itemData.system, itemData.name);
+  }
+
+  return itemsToCreate;
+}
+
+/**
+ * Add embedded items to an actor based on imported data
+ * @param {Actor} actor - The actor to add items to
+ * @param {object[]} itemsToCreate - Item data built by buildEmbeddedItems
+ */
+async function addEmbeddedItems(actor, itemsToCreate) {
   // Create all embedded items
   if (itemsToCreate.length > 0) {
     await actor.createEmbeddedDocuments("Item", itemsToCreate);
@@ -318,12 +388,16 @@ async function addEmbeddedItems(actor, charData) {
 
 /**
  * Import a character into an existing actor (for player self-import)
- * Validates that the file contains only one character and matches the actor name if already imported
+ * Validates that the file contains only one character and matches the actor's character if already imported.
+ * The actor is restored if the import fails halfway
  * @param {File} file - The file to import
  * @param {Actor} targetActor - The actor to import into
- * @returns {Promise<{success: boolean, error: string|null}>}
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only validate the file and report
+ * @returns {Promise<{success: boolean, error: string|null, isSkipped: boolean, report?: ImportReport}>}
  */
-export async function importCharacterIntoActor(file, targetActor) {
+export async function importCharacterIntoActor(file, targetActor, { dryRun = false } = {}) {
+  const transaction = new ImportTransaction();
   try {
     const text = await file.text();
     const data = JSON.parse(text);
@@ -349,40 +423,40 @@ export async function importCharacterIntoActor(file, targetActor) {
     const characterName = charData.name || charData.characterName || "Unnamed Fighter";
     const isAlreadyImported = targetActor.system.importData?.isImported || false;
 
-    // If actor was already imported, only allow reimporting the same character (by name)
+    // If actor was already imported, only allow reimporting the same character (by id, or by name without one)
     if (isAlreadyImported) {
-      const existingName = targetActor.name;
-      if (existingName !== characterName) {
+      const existingId = targetActor.system.importData.characterId;
+      const isSameCharacter = existingId && charData.characterId
+        ? existingId === charData.characterId
+        : targetActor.name === characterName;
+      if (!isSameCharacter) {
         return { 
           success: false, 
           error: game.i18n.format("STREET_FIGHTER.Character.reimportNameMismatch", {
-            expected: existingName,
+            expected: targetActor.name,
             found: characterName
           })
         };
       }
     }
 
+    const report = validateCharacterData(data, { name: file.name });
+    if (dryRun || !report.valid) {
+      const errors = getReportErrors(report);
+      return { success: report.valid, error: errors.length ? errors.join("\n") : null, isSkipped: false, report };
+    }
+
     const version = data.version || "unknown";
 
-    // Build system data
+    // Build and validate system data and items before touching the actor
     const newSystemData = buildActorSystemData(charData, version);
+    const itemsToCreate = buildEmbeddedItems(charData);
+    transaction.snapshot(targetActor);
 
-    // Preserve current resource values if updating (clamped to new max)
+    // Update a previous import in place, after previewing the changes
     if (isAlreadyImported) {
-      const currentSystem = targetActor.system;
-      newSystemData.resources.health.value = Math.min(
-        currentSystem.resources?.health?.value ?? newSystemData.resources.health.max,
-        newSystemData.resources.health.max
-      );
-      newSystemData.resources.chi.value = Math.min(
-        currentSystem.resources?.chi?.value ?? newSystemData.resources.chi.max,
-        newSystemData.resources.chi.max
-      );
-      newSystemData.resources.willpower.value = Math.min(
-        currentSystem.resources?.willpower?.value ?? newSystemData.resources.willpower.max,
-        newSystemData.resources.willpower.max
-      );
+      const isApplied = await reimportCharacter(targetActor, charData, newSystemData, itemsToCreate, { preview: true });
+      return { success: true, error: null, isSkipped: !isApplied };
     }
 
     // Update actor data
@@ -390,20 +464,22 @@ export async function importCharacterIntoActor(file, targetActor) {
       name: characterName,
       img: charData.imageBase64 ? `data:image/png;base64,${charData.imageBase64}` : targetActor.img,
       system: newSystemData,
+      [`flags.street-fighter.${APPLIED_EFFECTS_FLAG}`]: charData.appliedEffectGroups || [],
     });
 
-    // Remove all existing embedded items and re-add them
+    // Replace the items of the manually created sheet with the imported ones
     const existingItemIds = targetActor.items.map(i => i.id);
     if (existingItemIds.length > 0) {
       await targetActor.deleteEmbeddedDocuments("Item", existingItemIds);
     }
 
     // Add embedded items (special maneuvers, weapons, etc.)
-    await addEmbeddedItems(targetActor, charData);
+    await addEmbeddedItems(targetActor, itemsToCreate);
 
-    return { success: true, error: null };
+    return { success: true, error: null, isSkipped: false };
   } catch (e) {
     console.error("Street Fighter | Character import error:", e);
+    await transaction.rollback();
     return { 
       success: false, 
       error: game.i18n.format("STREET_FIGHTER.Character.importParseError", { message: e.message })
@@ -456,11 +532,22 @@ export async function showPlayerCharacterImportDialog(targetActor) {
         }
 
         const file = fileInput.files[0];
+
+        // Validate the file before anything is written
+        const dryRun = await importCharacterIntoActor(file, targetActor, { dryRun: true });
+        if (!dryRun.report) {
+          ui.notifications.error(dryRun.error);
+          return;
+        }
+        if (!await confirmImportReport(dryRun.report)) return;
+
         ui.notifications.info(game.i18n.format("STREET_FIGHTER.Character.importingFile", { name: file.name }));
 
         const result = await importCharacterIntoActor(file, targetActor);
 
-        if (result.success) {
+        if (result.isSkipped) {
+          ui.notifications.info(game.i18n.localize("STREET_FIGHTER.Reimport.NoChanges"));
+        } else if (result.success) {
           ui.notifications.info(game.i18n.localize("STREET_FIGHTER.Character.playerImportSuccess"));
         } else {
           ui.notifications.error(result.error);
@@ -510,6 +597,15 @@ export async function showCharacterImportDialog() {
         }
 
         const file = fileInput.files[0];
+
+        // Validate the file before anything is written
+        const dryRun = await importCharacters(file, null, { dryRun: true });
+        if (!dryRun.report) {
+          ui.notifications.error(dryRun.errors[0]);
+          return;
+        }
+        if (!await confirmImportReport(dryRun.report)) return;
+
         ui.notifications.info(`Importing characters from: ${file.name}...`);
 
         const result = await importCharacters(file);
@@ -522,11 +618,18 @@ export async function showCharacterImportDialog() {
           if (result.counts.updated > 0) {
             parts.push(`${result.counts.updated} updated`);
           }
+          if (result.counts.skipped > 0) {
+            parts.push(`${result.counts.skipped} unchanged`);
+          }
           ui.notifications.info(
             `${game.i18n.localize("STREET_FIGHTER.Character.importSuccess")}: ${parts.join(", ")}`
           );
         }
 
+        if (result.rolledBack) {
+          ui.notifications.error(game.i18n.localize("STREET_FIGHTER.ImportReport.RolledBack"));
+        }
+
         if (result.errors.length > 0) {
           console.warn("Character import errors:", result.errors);
           ui.notifications.warn(
@@ -0,0 +1,396 @@
+/**
+ * Street Fighter Character Re-import
+ * Compares an imported fighter with a new export of the same character and applies the chosen changes in place,
+ * so item ids, actor effects, other items and sheet flags survive the update
+ * @author Kirlian Silvestre
+ */
+
+/**
+ * Item types stored as trait values
+ * @type {string[]}
+ */
+const TRAIT_TYPES = ["attribute", "ability", "technique", "background"];
+
+/**
+ * Item types listed in the items section
+ * @type {string[]}
+ */
+const OTHER_ITEM_TYPES = ["fightingStyle", "weapon", "division"];
+
+/**
+ * Division record fields kept on division items
+ * @type {string[]}
+ */
+const DIVISION_FIELDS = ["rank", "wins", "draws", "losses", "knockouts"];
+
+/**
+ * Compared system fields, with the localization keys of their label
+ * @type {object}
+ */
+const PROFILE_FIELDS = {
+  "profile.characterName": ["STREET_FIGHTER.Profile.characterName"],
+  "profile.playerName": ["STREET_FIGHTER.Profile.playerName"],
+  "profile.chronicleName": ["STREET_FIGHTER.Profile.chronicleName"],
+  "profile.schoolName": ["STREET_FIGHTER.Profile.schoolName"],
+  "profile.fightingTeam": ["STREET_FIGHTER.Profile.fightingTeam"],
+  "profile.stable": ["STREET_FIGHTER.Profile.stable"],
+  "profile.concept": ["STREET_FIGHTER.Profile.concept"],
+  "profile.signature": ["STREET_FIGHTER.Profile.signature"],
+  "renown.honor.permanent": ["STREET_FIGHTER.Renown.honor", "STREET_FIGHTER.Resources.permanent"],
+  "renown.honor.temporary": ["STREET_FIGHTER.Renown.honor", "STREET_FIGHTER.Reimport.Temporary"],
+  "renown.glory.permanent": ["STREET_FIGHTER.Renown.glory", "STREET_FIGHTER.Resources.permanent"],
+  "renown.glory.temporary": ["STREET_FIGHTER.Renown.glory", "STREET_FIGHTER.Reimport.Temporary"],
+  "experience.total": ["STREET_FIGHTER.Experience.title", "STREET_FIGHTER.Experience.total"],
+  "experience.spent": ["STREET_FIGHTER.Experience.title", "STREET_FIGHTER.Experience.spent"],
+  "languages": ["STREET_FIGHTER.Profile.languages"],
+  "divisionRecords": ["STREET_FIGHTER.Reimport.DivisionRecords"],
+  "sessionRecords": ["STREET_FIGHTER.Reimport.SessionRecords"],
+  "background": ["STREET_FIGHTER.Profile.background"],
+  "motivations": ["STREET_FIGHTER.Profile.motivations"],
+  "appearanceNotes": ["STREET_FIGHTER.Profile.appearanceNotes"],
+  "equipment": ["STREET_FIGHTER.Reimport.Equipment"],
+};
+
+/**
+ * Sections of the preview, in display order
+ * @enum {string}
+ */
+export const REIMPORT_SECTIONS = Object.freeze({
+  PROFILE: "profile",
+  RESOURCES: "resources",
+  TRAITS: "traits",
+  MANEUVERS: "maneuvers",
+  ITEMS: "items",
+  COMBOS: "combos",
+});
+
+/**
+ * @typedef {object} CharacterChange
+ * @property {string} id - Stable identifier of the change
+ * @property {string} section - Section from REIMPORT_SECTIONS
+ * @property {string} kind - "add", "remove" or "update"
+ * @property {string} label - What changes
+ * @property {*} from - Current value
+ * @property {*} to - Imported value
+ * @property {boolean} selected - Whether the change is chosen by default; removals are opt-in, since the actor
+ *   may hold items and combos added by hand or bought with experience that the file does not list
+ * @property {object} [actorUpdate] - Actor update data
+ * @property {object} [createItem] - Item data to create
+ * @property {object} [updateItem] - Item update data, with the item's _id
+ * @property {string} [deleteItem] - Id of the item to delete
+ * @property {string} [comboId] - Id of the combo to add, replace or remove
+ * @property {object|null} [combo] - Imported combo, null to remove it
+ */
+
+/**
+ * Find the fighter a character was previously imported into
+ * Matches by the Fighter Sheet character id; fighters imported without one are matched by name
+ * @param {object} charData - Character data from export
+ * @returns {Actor|null}
+ */
+export function findImportedActor(charData) {
+  const imported = game.actors.filter(a => a.type === "fighter" && a.system.importData?.isImported);
+
+  if (charData.characterId) {
+    const match = imported.find(a => a.system.importData.characterId === charData.characterId);
+    if (match) return match;
+  }
+
+  const characterName = charData.name || charData.characterName || "Unnamed Fighter";
+  return imported.find(a => !a.system.importData.characterId && a.name === characterName) ?? null;
+}
+
+/**
+ * Compare an imported fighter with newly built import data
+ * @param {Actor} actor - The previously imported fighter
+ * @param {object} imported - Data built by the character importer
+ * @param {string} imported.name - Actor name
+ * @param {string|null} imported.img - Actor image, null to keep the current one
+ * @param {object} imported.system - System data from buildActorSystemData
+ * @param {object[]} imported.items - Item data from buildEmbeddedItems
+ * @returns {CharacterChange[]}
+ */
+export function diffCharacter(actor, { name, img, system, items }) {
+  const changes = [];
+  const { PROFILE, RESOURCES } = REIMPORT_SECTIONS;
+
+  if (name !== actor.name) {
+    changes.push(_change(PROFILE, "name", game.i18n.localize("Name"), actor.name, name, { actorUpdate: { name } }));
+  }
+  if (img && img !== actor.img) {
+    changes.push(_change(PROFILE, "img", game.i18n.localize("STREET_FIGHTER.Reimport.Portrait"), null, null, { actorUpdate: { img } }));
+  }
+
+  for (const [path, labelKeys] of Object.entries(PROFILE_FIELDS)) {
+    const from = foundry.utils.getProperty(actor.system, path);
+    const to = foundry.utils.getProperty(system, path);
+    if (to === undefined || _isEqual(from, to)) continue;
+    const label = labelKeys.map(key => game.i18n.localize(key)).join(" ");
+    changes.push(_change(PROFILE, path, label, from, to, { actorUpdate: { [`system.${path}`]: to } }));
+  }
+
+  for (const resource of ["health", "chi", "willpower"]) {
+    const from = actor.system.resources[resource].max;
+    const to = system.resources[resource].max;
+    if (from === to) continue;
+
+    // Keep the current value, clamped to the new maximum
+    const value = Math.min(actor.system.resources[resource].value, to);
+    changes.push(_change(RESOURCES, resource, game.i18n.localize(`STREET_FIGHTER.Resources.${resource}`), from, to, {
+      actorUpdate: { [`system.resources.${resource}.max`]: to, [`system.resources.${resource}.value`]: value },
+    }));
+  }
+
+  changes.push(..._diffItems(actor, items));
+  changes.push(..._diffCombos(actor, system.combos ?? [], items));
+
+  return changes;
+}
+
+/**
+ * Compare the actor's items with the newly built items, matched by type and sourceId
+ * Only the item types the importer creates are compared; items of other types are never touched
+ * @param {Actor} actor
+ * @param {object[]} items - Item data from buildEmbeddedItems
+ * @returns {CharacterChange[]}
+ * @private
+ */
+function _diffItems(actor, items) {
+  const changes = [];
+  const key = (type, sourceId) => `${type}.${sourceId}`;
+  const current = new Map(actor.items.filter(i => i.system.sourceId).map(i => [key(i.type, i.system.sourceId), i]));
+  const incoming = new Map(items.map(data => [key(data.type, data.system.sourceId), data]));
+
+  for (const [itemKey, data] of incoming) {
+    const section = _itemSection(data.type);
+    if (!section) continue;
+    const item = current.get(itemKey);
+
+    if (!item) {
+      const to = TRAIT_TYPES.includes(data.type) ? data.system.value : null;
+      changes.push({ ..._change(section, itemKey, data.name, null, to, { createItem: data }), kind: "add" });
+      continue;
+    }
+
+    if (TRAIT_TYPES.includes(data.type) && item.system.value !== data.system.value) {
+      changes.push(_change(section, itemKey, item.name, item.system.value, data.system.value, {
+        updateItem: { _id: item.id, "system.value": data.system.value },
+      }));
+    } else if (data.type === "division") {
+      const from = Object.fromEntries(DIVISION_FIELDS.map(field => [field, item.system[field]]));
+      const to = Object.fromEntries(DIVISION_FIELDS.map(field => [field, data.system[field]]));
+      if (_isEqual(from, to)) continue;
+      const updateItem = { _id: item.id };
+      for (const field of DIVISION_FIELDS) updateItem[`system.${field}`] = to[field];
+      changes.push(_change(section, itemKey, item.name, _formatRecord(from), _formatRecord(to), { updateItem }));
+    }
+  }
+
+  for (const [itemKey, item] of current) {
+    const section = _itemSection(item.type);
+    if (!section || incoming.has(itemKey)) continue;
+
+    // Non-optional traits are added to every fighter, whether or not the file lists them
+    if (TRAIT_TYPES.includes(item.type) && item.system.isOptional === false) continue;
+
+    const from = TRAIT_TYPES.includes(item.type) ? item.system.value : null;
+    changes.push({ ..._change(section, itemKey, item.name, from, null, { deleteItem: item.id }), kind: "remove", selected: false });
+  }
+
+  return changes;
+}
+
+/**
+ * Compare the actor's combos with the imported combos
+ * @param {Actor} actor
+ * @param {object[]} combos - Imported combos
+ * @param {object[]} items - Imported items, used to name the combo's maneuvers
+ * @returns {CharacterChange[]}
+ * @private
+ */
+function _diffCombos(actor, combos, items) {
+  const changes = [];
+  const current = new Map((actor.system.combos ?? []).map(combo => [_comboId(combo), combo]));
+  const incoming = new Map(combos.map(combo => [_comboId(combo), combo]));
+  const names = new Map([...actor.items, ...items].map(i => [i.system.sourceId, i.name]));
+  const describe = combo => combo ? combo.maneuverIds.map(id => names.get(id) ?? id).join(" → ") : null;
+
+  for (const [comboId, combo] of incoming) {
+    const existing = current.get(comboId);
+    if (existing && _isEqual(existing, combo)) continue;
+    const kind = existing ? "update" : "add";
+    changes.push({
+      ..._change(REIMPORT_SECTIONS.COMBOS, comboId, describe(combo), describe(existing), describe(combo), { comboId, combo }),
+      kind,
+    });
+  }
+
+  for (const [comboId, combo] of current) {
+    if (incoming.has(comboId)) continue;
+    changes.push({
+      ..._change(REIMPORT_SECTIONS.COMBOS, comboId, describe(combo), describe(combo), null, { comboId, combo: null }),
+      kind: "remove",
+      selected: false,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Apply re-import changes to a fighter
+ * Items are updated in place; only removed items are deleted
+ * @param {Actor} actor - The fighter to update
+ * @param {CharacterChange[]} changes - Changes to apply
+ * @param {object} [actorUpdate] - Actor update data applied with the changes, such as import metadata
+ * @returns {Promise<void>}
+ */
+export async function applyCharacterChanges(actor, changes, actorUpdate = {}) {
+  const update = { ...actorUpdate };
+  const toCreate = [];
+  const toUpdate = [];
+  const toDelete = [];
+  let combos = null;
+
+  for (const change of changes) {
+    if (change.actorUpdate) Object.assign(update, change.actorUpdate);
+    if (change.createItem) toCreate.push(change.createItem);
+    if (change.updateItem) toUpdate.push(change.updateItem);
+    if (change.deleteItem) toDelete.push(change.deleteItem);
+
+    if (change.comboId) {
+      combos ??= foundry.utils.deepClone(actor.system.combos ?? []);
+      const index = combos.findIndex(combo => _comboId(combo) === change.comboId);
+      if (!change.combo) {
+        if (index >= 0) combos.splice(index, 1);
+      } else if (index >= 0) {
+        combos[index] = foundry.utils.deepClone(change.combo);
+      } else {
+        combos.push(foundry.utils.deepClone(change.combo));
+      }
+    }
+  }
+  if (combos) update["system.combos"] = combos;
+
+  if (!foundry.utils.isEmpty(update)) await actor.update(update);
+  if (toDelete.length) await actor.deleteEmbeddedDocuments("Item", toDelete);
+  if (toUpdate.length) await actor.updateEmbeddedDocuments("Item", toUpdate);
+  if (toCreate.length) await actor.createEmbeddedDocuments("Item", toCreate);
+}
+
+/**
+ * Show the re-import preview and let the user choose the changes to apply
+ * @param {Actor} actor - The fighter being updated
+ * @param {CharacterChange[]} changes - Changes found by diffCharacter
+ * @returns {Promise<CharacterChange[]|null>} The chosen changes, or null if the dialog was closed
+ */
+export async function promptCharacterChanges(actor, changes) {
+  const sections = Object.values(REIMPORT_SECTIONS)
+    .map(section => ({
+      label: game.i18n.localize(`STREET_FIGHTER.Reimport.Sections.${section}`),
+      changes: changes.filter(change => change.section === section).map(change => ({
+        id: change.id,
+        label: change.label,
+        kind: change.kind,
+        kindLabel: game.i18n.localize(`STREET_FIGHTER.Reimport.Kinds.${change.kind}`),
+        selected: change.selected,
+        hasValues: change.from != null || change.to != null,
+        from: _formatValue(change.from),
+        to: _formatValue(change.to),
+      })),
+    }))
+    .filter(section => section.changes.length);
+
+  const content = await foundry.applications.handlebars.renderTemplate(
+    "systems/street-fighter/templates/dialog/character-reimport.hbs",
+    { name: actor.name, sections }
+  );
+
+  const selectedIds = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.format("STREET_FIGHTER.Reimport.Title", { name: actor.name }), icon: "fas fa-code-compare" },
+    classes: ["street-fighter", "sf-reimport-dialog"],
+    position: { width: 520 },
+    content,
+    ok: {
+      label: game.i18n.localize("STREET_FIGHTER.Reimport.Apply"),
+      icon: "fas fa-check",
+      callback: (event, button) => Array.from(button.form.querySelectorAll('input[name="changeIds"]:checked'), input => input.value),
+    },
+    rejectClose: false,
+  });
+
+  if (!selectedIds) return null;
+  return changes.filter(change => selectedIds.includes(change.id));
+}
+
+/**
+ * Build a change entry
+ * @param {string} section
+ * @param {string} key - Identifier of the changed field or item within the section
+ * @param {string} label
+ * @param {*} from
+ * @param {*} to
+ * @param {object} apply - How to apply the change
+ * @returns {CharacterChange}
+ * @private
+ */
+function _change(section, key, label, from, to, apply) {
+  return { id: `${section}.${key}`, section, kind: "update", label, from, to, selected: true, ...apply };
+}
+
+/**
+ * Preview section of an item type
+ * @param {string} type
+ * @returns {string|null}
+ * @private
+ */
+function _itemSection(type) {
+  if (TRAIT_TYPES.includes(type)) return REIMPORT_SECTIONS.TRAITS;
+  if (type === "specialManeuver") return REIMPORT_SECTIONS.MANEUVERS;
+  if (OTHER_ITEM_TYPES.includes(type)) return REIMPORT_SECTIONS.ITEMS;
+  return null;
+}
+
+/**
+ * Identify a combo, by its id or by its maneuvers for combos saved without one
+ * @param {object} combo
+ * @returns {string}
+ * @private
+ */
+function _comboId(combo) {
+  return combo.id || combo.maneuverIds.join("+");
+}
+
+/**
+ * Compare two plain data values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ * @private
+ */
+function _isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Describe a division record in one line
+ * @param {object} record
+ * @returns {string}
+ * @private
+ */
+function _formatRecord({ rank, wins, draws, losses, knockouts }) {
+  return `${rank || "—"} · ${wins}/${draws}/${losses} (${knockouts} KO)`;
+}
+
+/**
+ * Describe a value for the preview
+ * @param {*} value
+ * @returns {string}
+ * @private
+ */
+function _formatValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value) && value.every(v => typeof v !== "object")) return value.join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
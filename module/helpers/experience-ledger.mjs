@@ -0,0 +1,333 @@
+/**
+ * Street Fighter Experience Ledger
+ * Prices trait purchases, deducts them from available experience and keeps a dated history
+ * @author Kirlian Silvestre
+ */
+
+import { EXPERIENCE_COSTS, getTraitMaxValue } from "../config/constants.mjs";
+import { getManeuverPowerPointCost } from "./power-points.mjs";
+
+/**
+ * Kinds of purchase recorded in the ledger
+ * @enum {string}
+ */
+export const LEDGER_KIND = Object.freeze({
+  TRAIT: "trait",
+  RESOURCE: "resource",
+  MANEUVER: "maneuver"
+});
+
+/**
+ * Status of a ledger entry
+ * @enum {string}
+ */
+export const LEDGER_STATUS = Object.freeze({
+  PENDING: "pending",
+  APPROVED: "approved",
+  REVERTED: "reverted"
+});
+
+/**
+ * Resources that can be bought with experience
+ * @constant {string[]}
+ */
+export const PURCHASABLE_RESOURCES = ["chi", "willpower"];
+
+/**
+ * Highest rating chi and willpower can be bought to
+ * @constant {number}
+ */
+export const RESOURCE_MAX_RATING = 10;
+
+/**
+ * @typedef {object} LedgerEntry
+ * @property {string} id - Entry ID
+ * @property {string} date - ISO timestamp of the purchase
+ * @property {string} kind - Kind from LEDGER_KIND
+ * @property {string|null} itemId - Embedded item bought or raised
+ * @property {string|null} resource - Resource raised (chi, willpower)
+ * @property {string} name - Display name of what was bought
+ * @property {number} from - Rating before the purchase
+ * @property {number} to - Rating after the purchase
+ * @property {number} cost - Experience spent
+ * @property {number} [powerPoints] - Power points a maneuver purchase added to the fighter's total
+ * @property {string} status - Status from LEDGER_STATUS
+ * @property {string} userId - User who made the purchase
+ */
+
+/* -------------------------------------------- */
+/*  Pricing                                     */
+/* -------------------------------------------- */
+
+/**
+ * Check if purchases on an actor go through the ledger
+ * Imported characters are priced by Fighter Sheet, and NPCs have no experience
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function isLedgerEnabled(actor) {
+  return actor.type === "fighter"
+    && !actor.system.importData?.isImported
+    && game.settings.get("street-fighter", "experienceLedger");
+}
+
+/**
+ * Get the experience an actor can still spend
+ * @param {Actor} actor
+ * @returns {number}
+ */
+export function getAvailableExperience(actor) {
+  const { total = 0, spent = 0 } = actor.system.experience ?? {};
+  return total - spent;
+}
+
+/**
+ * Get the cost of raising a rated trait or resource by one dot
+ * @param {string} type - Item type, or "chi" / "willpower"
+ * @param {number} currentValue - Rating before the increase
+ * @returns {number|null} Null if the type cannot be bought
+ */
+export function getIncreaseCost(type, currentValue) {
+  const costs = EXPERIENCE_COSTS[type];
+  if (!costs) return null;
+  if (currentValue <= 0) return costs.newCost ?? costs.multiplier;
+  return currentValue * costs.multiplier;
+}
+
+/**
+ * Get the experience cost of learning a special maneuver
+ * @param {Actor} actor
+ * @param {Item|object} maneuver - Maneuver item or item data
+ * @returns {number|null} Null if the maneuver is unavailable to the actor's style
+ */
+export function getManeuverCost(actor, maneuver) {
+  const { cost } = getManeuverPowerPointCost(actor, maneuver);
+  return cost === null ? null : cost * EXPERIENCE_COSTS.specialManeuver.multiplier;
+}
+
+/* -------------------------------------------- */
+/*  Purchases                                   */
+/* -------------------------------------------- */
+
+/**
+ * Raise a trait item by one dot, paying for it with experience
+ * @param {Actor} actor
+ * @param {Item} item - Attribute, ability, technique or background
+ * @returns {Promise<LedgerEntry|null>} The ledger entry, or null if the purchase was refused
+ */
+export async function purchaseTraitIncrease(actor, item) {
+  const from = item.system.value || 0;
+  if (from >= getTraitMaxValue(item.type)) return null;
+
+  const cost = getIncreaseCost(item.type, from);
+  if (cost === null || !_canAfford(actor, cost, item.name)) return null;
+
+  await item.update({ "system.value": from + 1 });
+  return _recordPurchase(actor, {
+    kind: LEDGER_KIND.TRAIT,
+    itemId: item.id,
+    name: item.name,
+    from,
+    to: from + 1,
+    cost,
+  });
+}
+
+/**
+ * Raise chi or willpower by one dot, paying for it with experience
+ * @param {Actor} actor
+ * @param {string} resource - "chi" or "willpower"
+ * @returns {Promise<LedgerEntry|null>}
+ */
+export async function purchaseResourceIncrease(actor, resource) {
+  if (!PURCHASABLE_RESOURCES.includes(resource)) return null;
+
+  const from = actor.system.resources[resource]?.max ?? 0;
+  if (from >= RESOURCE_MAX_RATING) return null;
+
+  const name = game.i18n.localize(`STREET_FIGHTER.Resources.${resource}`);
+  const cost = getIncreaseCost(resource, from);
+  if (!_canAfford(actor, cost, name)) return null;
+
+  await actor.update({ [`system.resources.${resource}.max`]: from + 1 });
+  return _recordPurchase(actor, {
+    kind: LEDGER_KIND.RESOURCE,
+    resource,
+    name,
+    from,
+    to: from + 1,
+    cost,
+  });
+}
+
+/**
+ * Learn a special maneuver, paying its power point cost in experience
+ * The power points bought are added to the fighter's total, so spent and available stay balanced.
+ * Maneuvers with no power point cost are added without a ledger entry
+ * @param {Actor} actor
+ * @param {object} itemData - Maneuver item data to create on the actor
+ * @returns {Promise<Item[]|null>} Created items, or null if the purchase was refused
+ */
+export async function purchaseManeuver(actor, itemData) {
+  const { available, cost: powerPoints } = getManeuverPowerPointCost(actor, itemData);
+  if (!available) {
+    ui.notifications.warn(game.i18n.format("STREET_FIGHTER.PowerPoints.Unavailable", { name: itemData.name }));
+    return null;
+  }
+
+  const cost = powerPoints * EXPERIENCE_COSTS.specialManeuver.multiplier;
+  if (cost > 0 && !_canAfford(actor, cost, itemData.name)) return null;
+
+  const created = await actor.createEmbeddedDocuments("Item", [itemData]);
+  if (cost > 0 && created[0]) {
+    await actor.update({ "system.powerPoints.total": (actor.system.powerPoints?.total ?? 0) + powerPoints });
+    await _recordPurchase(actor, {
+      kind: LEDGER_KIND.MANEUVER,
+      itemId: created[0].id,
+      name: itemData.name,
+      from: 0,
+      to: 1,
+      cost,
+      powerPoints,
+    });
+  }
+  return created;
+}
+
+/**
+ * Check the actor has enough experience, warning the user if not
+ * @param {Actor} actor
+ * @param {number} cost
+ * @param {string} name - What is being bought
+ * @returns {boolean}
+ * @private
+ */
+function _canAfford(actor, cost, name) {
+  const available = getAvailableExperience(actor);
+  if (cost <= available) return true;
+
+  ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Experience.NotEnough", { name, cost, available }));
+  return false;
+}
+
+/**
+ * Deduct a purchase from available experience and add it to the history
+ * Purchases made by the GM are approved straight away
+ * @param {Actor} actor
+ * @param {object} purchase - Entry fields besides id, date, status and userId
+ * @returns {Promise<LedgerEntry>}
+ * @private
+ */
+async function _recordPurchase(actor, purchase) {
+  const entry = {
+    id: foundry.utils.randomID(),
+    date: new Date().toISOString(),
+    itemId: null,
+    resource: null,
+    ...purchase,
+    status: game.user.isGM ? LEDGER_STATUS.APPROVED : LEDGER_STATUS.PENDING,
+    userId: game.user.id,
+  };
+
+  const history = [...(actor.system.experience.history ?? []), entry];
+  await actor.update({
+    "system.experience.spent": (actor.system.experience.spent || 0) + entry.cost,
+    "system.experience.history": history,
+  });
+
+  return entry;
+}
+
+/* -------------------------------------------- */
+/*  Approval                                    */
+/* -------------------------------------------- */
+
+/**
+ * Check if the current user may revert a ledger entry
+ * The GM may revert anything; owners only their own pending purchases
+ * @param {Actor} actor
+ * @param {LedgerEntry} entry
+ * @returns {boolean}
+ */
+export function canRevertEntry(actor, entry) {
+  if (entry.status === LEDGER_STATUS.REVERTED) return false;
+  if (game.user.isGM) return true;
+  return actor.isOwner && entry.status === LEDGER_STATUS.PENDING;
+}
+
+/**
+ * Approve a pending purchase (GM only)
+ * @param {Actor} actor
+ * @param {string} entryId
+ * @returns {Promise<void>}
+ */
+export async function approvePurchase(actor, entryId) {
+  if (!game.user.isGM) return;
+
+  const history = foundry.utils.deepClone(actor.system.experience.history ?? []);
+  const entry = history.find(e => e.id === entryId);
+  if (entry?.status !== LEDGER_STATUS.PENDING) return;
+
+  entry.status = LEDGER_STATUS.APPROVED;
+  await actor.update({ "system.experience.history": history });
+}
+
+/**
+ * Undo a purchase: restore the previous rating and refund its experience
+ * A trait raised again since the purchase must have the later purchase reverted first
+ * @param {Actor} actor
+ * @param {string} entryId
+ * @returns {Promise<boolean>} Whether the purchase was reverted
+ */
+export async function revertPurchase(actor, entryId) {
+  const history = foundry.utils.deepClone(actor.system.experience.history ?? []);
+  const entry = history.find(e => e.id === entryId);
+  if (!entry || !canRevertEntry(actor, entry)) return false;
+
+  const updates = {};
+  const item = entry.itemId ? actor.items.get(entry.itemId) : null;
+
+  if (entry.kind === LEDGER_KIND.TRAIT && item) {
+    if ((item.system.value || 0) !== entry.to) {
+      ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Experience.RevertLaterFirst", { name: entry.name }));
+      return false;
+    }
+    await item.update({ "system.value": entry.from });
+  } else if (entry.kind === LEDGER_KIND.RESOURCE) {
+    if ((actor.system.resources[entry.resource]?.max ?? 0) !== entry.to) {
+      ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Experience.RevertLaterFirst", { name: entry.name }));
+      return false;
+    }
+    const value = Math.min(actor.system.resources[entry.resource].value, entry.from);
+    updates[`system.resources.${entry.resource}.max`] = entry.from;
+    updates[`system.resources.${entry.resource}.value`] = value;
+  } else if (entry.kind === LEDGER_KIND.MANEUVER) {
+    if (item) await item.delete();
+    if (entry.powerPoints) {
+      updates["system.powerPoints.total"] = Math.max(0, (actor.system.powerPoints?.total ?? 0) - entry.powerPoints);
+    }
+  }
+
+  entry.status = LEDGER_STATUS.REVERTED;
+  updates["system.experience.spent"] = Math.max(0, (actor.system.experience.spent || 0) - entry.cost);
+  updates["system.experience.history"] = history;
+  await actor.update(updates);
+
+  return true;
+}
+
+/**
+ * Find the purchase that produced an item's current rating, so lowering it can refund it
+ * @param {Actor} actor
+ * @param {Item} item
+ * @returns {LedgerEntry|null}
+ */
+export function findLatestTraitPurchase(actor, item) {
+  const history = actor.system.experience?.history ?? [];
+  return history.findLast(e =>
+    e.kind === LEDGER_KIND.TRAIT
+    && e.itemId === item.id
+    && e.status !== LEDGER_STATUS.REVERTED
+    && e.to === (item.system.value || 0)
+  ) ?? null;
+}
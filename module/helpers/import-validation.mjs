@@ -0,0 +1,748 @@
+/**
+ * Street Fighter Import Validation
+ * Checks .fslibrary and .fscharacters files against their declared schema and resolves every referenced
+ * sourceId before anything is written, and rolls back imports that fail halfway
+ * @author Kirlian Silvestre
+ */
+
+import { LIBRARY_SECTIONS } from "./library-importer.mjs";
+import { collectEffectGrants } from "./character-importer.mjs";
+import { findWorldItemBySourceId } from "./utils.mjs";
+import { validateSystemData } from "../data/index.mjs";
+
+/**
+ * Severity of an import issue; errors block the import
+ * @enum {string}
+ */
+export const ISSUE_SEVERITY = Object.freeze({
+  ERROR: "error",
+  WARNING: "warning",
+});
+
+/**
+ * Kinds of import issue
+ * @enum {string}
+ */
+export const ISSUE_CODE = Object.freeze({
+  MISSING_FIELD: "missingField",
+  WRONG_TYPE: "wrongType",
+  BAD_NUMBER: "badNumber",
+  UNKNOWN_CATEGORY: "unknownCategory",
+  DUPLICATE_ID: "duplicateId",
+  MISSING_REFERENCE: "missingReference",
+  INVALID_DATA: "invalidData",
+});
+
+/**
+ * Item types a reference of each kind resolves to
+ * @type {object}
+ */
+const REFERENCE_TYPES = {
+  trait: ["attribute", "ability", "technique", "background"],
+  technique: ["technique"],
+  background: ["background"],
+  fightingStyle: ["fightingStyle"],
+  specialManeuver: ["specialManeuver"],
+  weapon: ["weapon"],
+  division: ["division"],
+};
+
+/**
+ * Library trait categories the importer maps to an item type
+ * @type {string[]}
+ */
+const TRAIT_CATEGORIES = ["physical", "social", "mental", "talents", "skills", "knowledge", "techniques", "backgrounds"];
+
+/**
+ * @typedef {object} FieldSchema
+ * @property {string|string[]} type - "string", "number", "boolean", "array" or "object"
+ * @property {boolean} [required] - Whether the field must be present
+ * @property {boolean} [integer] - Whether a number must be whole
+ * @property {number} [min] - Lowest valid number
+ * @property {string[]|function(): string[]} [choices] - Valid categories
+ * @property {FieldSchema} [items] - Schema of each array element
+ * @property {object<string, FieldSchema>} [fields] - Schema of each known object field
+ * @property {FieldSchema} [values] - Schema of each value of a keyed object
+ */
+
+/**
+ * Schema of a library or applied effect
+ * @type {FieldSchema}
+ */
+const EFFECT_SCHEMA = {
+  type: "object",
+  fields: {
+    type: { type: "string", required: true },
+    targets: { type: "array", items: { type: "string" } },
+    value: { type: "number" },
+  },
+};
+
+/**
+ * Schema of a rating or cost
+ * @type {FieldSchema}
+ */
+const RATING = { type: "number", integer: true, min: 0 };
+
+/**
+ * Declared schema of a .fslibrary file
+ * @type {FieldSchema}
+ */
+export const LIBRARY_SCHEMA = {
+  type: "object",
+  fields: {
+    name: { type: "string" },
+    traits: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          id: { type: "string", required: true },
+          name: { type: "string", required: true },
+          category: { type: "string", choices: TRAIT_CATEGORIES },
+          isOptional: { type: "boolean" },
+          isWeaponTechnique: { type: "boolean" },
+          isFirearmTechnique: { type: "boolean" },
+          unique: { type: "boolean" },
+          description: { type: "string" },
+          effects: { type: "array", items: EFFECT_SCHEMA },
+        },
+      },
+    },
+    divisions: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          id: { type: "string", required: true },
+          name: { type: "string", required: true },
+          description: { type: "string" },
+        },
+      },
+    },
+    fighting_styles: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          id: { type: "string", required: true },
+          name: { type: "string", required: true },
+          initialChi: RATING,
+          initialWillpower: RATING,
+          motto: { type: "string" },
+          description: { type: "string" },
+          effects: { type: "array", items: EFFECT_SCHEMA },
+        },
+      },
+    },
+    special_maneuvers: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          id: { type: "string", required: true },
+          name: { type: "string", required: true },
+          category: { type: "string", choices: () => Object.keys(CONFIG.STREET_FIGHTER.maneuverCategories) },
+          prerequisites: {
+            type: "array",
+            items: {
+              type: "object",
+              fields: {
+                type: { type: "string" },
+                traitId: { type: "string" },
+                requiredManeuverId: { type: "string" },
+                minimumValue: RATING,
+              },
+            },
+          },
+          defaultPowerPointCost: RATING,
+          stylePowerPointCosts: { type: "object", values: RATING },
+          backgroundPowerPointCosts: { type: "object", values: RATING },
+          chiCost: RATING,
+          willpowerCost: RATING,
+          speedModifier: { type: "string" },
+          damageModifier: { type: "string" },
+          movementModifier: { type: "string" },
+          damageTraitOverride: { type: "string" },
+          damageAttributeOverride: { type: "string" },
+          speedTraitOverride: { type: "string" },
+          movementTraitOverride: { type: "string" },
+          notes: { type: "string" },
+          ruleSummary: { type: "string" },
+          description: { type: "string" },
+          effects: { type: "array", items: EFFECT_SCHEMA },
+        },
+      },
+    },
+    weapons: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          id: { type: "string", required: true },
+          name: { type: "string", required: true },
+          techniqueId: { type: "string" },
+          speed: { type: "string" },
+          damage: { type: "string" },
+          movement: { type: "string" },
+          special: { type: "string" },
+          description: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Declared schema of a .fscharacters file
+ * @type {FieldSchema}
+ */
+export const CHARACTERS_SCHEMA = {
+  type: "object",
+  fields: {
+    version: { type: "string" },
+    characters: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        fields: {
+          characterId: { type: "string" },
+          name: { type: "string" },
+          characterName: { type: "string" },
+          playerName: { type: "string" },
+          chronicleName: { type: "string" },
+          schoolName: { type: "string" },
+          fightingTeam: { type: "string" },
+          stable: { type: "string" },
+          concept: { type: "string" },
+          signature: { type: "string" },
+          health: RATING,
+          chi: RATING,
+          willpower: RATING,
+          permanentHonor: RATING,
+          temporaryHonor: RATING,
+          permanentGlory: RATING,
+          temporaryGlory: RATING,
+          experienceTotal: RATING,
+          experienceSpent: RATING,
+          styleId: { type: "string" },
+          traitValues: { type: "object", values: RATING },
+          specialManeuverIds: { type: "array", items: { type: "string" } },
+          selectedWeaponIds: { type: "array", items: { type: "string" } },
+          divisionRecords: {
+            type: "array",
+            items: {
+              type: "object",
+              fields: {
+                divisionId: { type: "string", required: true },
+                rank: { type: ["string", "number"] },
+                wins: RATING,
+                draws: RATING,
+                losses: RATING,
+                knockouts: RATING,
+              },
+            },
+          },
+          sessionRecords: { type: "array", items: { type: "object" } },
+          languages: { type: "array", items: { type: "string" } },
+          combos: {
+            type: "array",
+            items: {
+              type: "object",
+              fields: {
+                id: { type: "string" },
+                isDizzy: { type: "boolean" },
+                maneuverIds: { type: "array", items: { type: "string" } },
+              },
+            },
+          },
+          appliedEffectGroups: {
+            type: "array",
+            items: {
+              type: "object",
+              fields: {
+                sourceId: { type: "string" },
+                effects: { type: "array", items: EFFECT_SCHEMA },
+              },
+            },
+          },
+          background: { type: "string" },
+          motivations: { type: "string" },
+          appearance: { type: "string" },
+          equipment: { type: "string" },
+          imageBase64: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * @typedef {object} ImportIssue
+ * @property {string} severity - Severity from ISSUE_SEVERITY
+ * @property {string} code - Kind from ISSUE_CODE
+ * @property {string} path - Location in the file, e.g. "special_maneuvers[1].prerequisites[0].traitId"
+ * @property {*} [value] - Offending value
+ * @property {string} [expected] - What the value should have been
+ */
+
+/**
+ * @typedef {object} ImportReport
+ * @property {string} kind - "library" or "characters"
+ * @property {string} name - Library name or file name
+ * @property {Array<{label: string, count: number}>} summary - Entries the import would write
+ * @property {ImportIssue[]} issues
+ * @property {boolean} valid - Whether the file has no errors and can be imported
+ */
+
+/* -------------------------------------------- */
+/*  Schema                                      */
+/* -------------------------------------------- */
+
+/**
+ * Check a value against a declared schema
+ * Missing optional fields and null values are accepted; fields the schema does not declare are ignored
+ * @param {*} value
+ * @param {FieldSchema} schema
+ * @param {string} path - Location of the value
+ * @param {ImportIssue[]} issues - Issues found are added here
+ */
+export function checkSchema(value, schema, path, issues) {
+  const { ERROR } = ISSUE_SEVERITY;
+
+  if (value === undefined || value === null) {
+    if (schema.required) issues.push({ severity: ERROR, code: ISSUE_CODE.MISSING_FIELD, path });
+    return;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const valueType = Array.isArray(value) ? "array" : typeof value;
+  if (!types.includes(valueType)) {
+    const code = types.includes("number") ? ISSUE_CODE.BAD_NUMBER : ISSUE_CODE.WRONG_TYPE;
+    issues.push({ severity: ERROR, code, path, value, expected: types.join(" | ") });
+    return;
+  }
+
+  if (valueType === "number") {
+    const isBad = !Number.isFinite(value) || (schema.integer && !Number.isInteger(value)) || (schema.min !== undefined && value < schema.min);
+    if (isBad) {
+      const expected = [schema.integer ? "integer" : "number", schema.min !== undefined ? `≥ ${schema.min}` : ""].join(" ").trim();
+      issues.push({ severity: ERROR, code: ISSUE_CODE.BAD_NUMBER, path, value, expected });
+    }
+    return;
+  }
+
+  if (schema.choices) {
+    const choices = typeof schema.choices === "function" ? schema.choices() : schema.choices;
+    if (!choices.includes(value)) {
+      issues.push({ severity: ERROR, code: ISSUE_CODE.UNKNOWN_CATEGORY, path, value, expected: choices.join(", ") });
+    }
+    return;
+  }
+
+  if (valueType === "array" && schema.items) {
+    value.forEach((element, index) => checkSchema(element, schema.items, `${path}[${index}]`, issues));
+  } else if (valueType === "object") {
+    for (const [key, fieldSchema] of Object.entries(schema.fields ?? {})) {
+      checkSchema(value[key], fieldSchema, path ? `${path}.${key}` : key, issues);
+    }
+    if (schema.values) {
+      for (const [key, element] of Object.entries(value)) {
+        checkSchema(element, schema.values, path ? `${path}.${key}` : key, issues);
+      }
+    }
+  }
+}
+
+/* -------------------------------------------- */
+/*  Libraries                                   */
+/* -------------------------------------------- */
+
+/**
+ * Validate parsed library data without writing anything
+ * References resolve against the library's own entries first, then against world and library compendium items.
+ * A reference the world cannot resolve yet is a warning, since libraries may build on one another
+ * @param {object} library - Parsed .fslibrary contents
+ * @param {object} [options]
+ * @param {string} [options.fallbackName] - Library name when the data has none
+ * @returns {ImportReport}
+ */
+export function validateLibraryData(library, { fallbackName = "Library" } = {}) {
+  const issues = [];
+  const name = library?.name || fallbackName;
+
+  checkSchema(library, { ...LIBRARY_SCHEMA, required: true }, "", issues);
+  if (_isMalformed(issues)) return _buildReport("library", name, [], issues);
+
+  // Item data every entry would be created with, keyed by type and sourceId
+  const built = new Map();
+  const summary = [];
+  for (const { key, build } of LIBRARY_SECTIONS) {
+    const entries = library[key] ?? [];
+    summary.push({ label: `STREET_FIGHTER.ImportReport.Sections.${key}`, count: entries.length });
+
+    entries.forEach((entry, index) => {
+      const path = `${key}[${index}]`;
+      if (!entry?.id) return;
+
+      const data = build(entry);
+      const builtKey = `${data.type}.${entry.id}`;
+      if (built.has(builtKey)) {
+        issues.push({ severity: ISSUE_SEVERITY.ERROR, code: ISSUE_CODE.DUPLICATE_ID, path: `${path}.id`, value: entry.id });
+        return;
+      }
+      built.set(builtKey, data);
+
+      try {
+        validateSystemData("Item", data.type, data.system, entry.name);
+      } catch (err) {
+        issues.push({ severity: ISSUE_SEVERITY.ERROR, code: ISSUE_CODE.INVALID_DATA, path, value: err.message });
+      }
+    });
+  }
+
+  const resolve = (kind, sourceId) => REFERENCE_TYPES[kind].some(type => built.has(`${type}.${sourceId}`))
+    || !!findWorldItemBySourceId(sourceId, REFERENCE_TYPES[kind]);
+  const check = (kind, sourceId, path) => {
+    if (sourceId && !resolve(kind, sourceId)) {
+      issues.push({ severity: ISSUE_SEVERITY.WARNING, code: ISSUE_CODE.MISSING_REFERENCE, path, value: sourceId, expected: kind });
+    }
+  };
+
+  for (const [key, entries] of Object.entries(library)) {
+    if (!Array.isArray(entries)) continue;
+    entries.forEach((entry, index) => _checkEffectReferences(entry?.effects, `${key}[${index}].effects`, check));
+  }
+
+  (library.special_maneuvers ?? []).forEach((maneuver, index) => {
+    const path = `special_maneuvers[${index}]`;
+    (maneuver.prerequisites ?? []).forEach((prereq, i) => {
+      if (prereq.type === "maneuver" || prereq.requiredManeuverId) {
+        check("specialManeuver", prereq.requiredManeuverId || prereq.id, `${path}.prerequisites[${i}].requiredManeuverId`);
+      } else {
+        check("trait", prereq.traitId || prereq.id, `${path}.prerequisites[${i}].traitId`);
+      }
+    });
+    for (const styleId of Object.keys(maneuver.stylePowerPointCosts ?? {})) {
+      check("fightingStyle", styleId, `${path}.stylePowerPointCosts.${styleId}`);
+    }
+    for (const backgroundId of Object.keys(maneuver.backgroundPowerPointCosts ?? {})) {
+      check("background", backgroundId, `${path}.backgroundPowerPointCosts.${backgroundId}`);
+    }
+    for (const field of ["damageTraitOverride", "damageAttributeOverride", "speedTraitOverride", "movementTraitOverride"]) {
+      check("trait", maneuver[field], `${path}.${field}`);
+    }
+  });
+
+  (library.weapons ?? []).forEach((weapon, index) => check("technique", weapon.techniqueId, `weapons[${index}].techniqueId`));
+
+  return _buildReport("library", name, summary, issues);
+}
+
+/* -------------------------------------------- */
+/*  Characters                                  */
+/* -------------------------------------------- */
+
+/**
+ * Validate parsed .fscharacters data without writing anything
+ * Every referenced sourceId must resolve to a world or library compendium item, or the import would drop it
+ * @param {object} data - Parsed .fscharacters contents
+ * @param {object} [options]
+ * @param {string} [options.name] - File name shown in the report
+ * @returns {ImportReport}
+ */
+export function validateCharacterData(data, { name = "" } = {}) {
+  const issues = [];
+
+  checkSchema(data, { ...CHARACTERS_SCHEMA, required: true }, "", issues);
+  if (_isMalformed(issues)) return _buildReport("characters", name, [], issues);
+
+  const check = (kind, sourceId, path) => {
+    if (sourceId && !findWorldItemBySourceId(sourceId, REFERENCE_TYPES[kind])) {
+      issues.push({ severity: ISSUE_SEVERITY.ERROR, code: ISSUE_CODE.MISSING_REFERENCE, path, value: sourceId, expected: kind });
+    }
+  };
+
+  data.characters.forEach((charData, index) => {
+    const path = `characters[${index}]`;
+
+    const bonusTargets = new Set(collectEffectGrants(charData.appliedEffectGroups).traitBonuses.keys());
+
+    check("fightingStyle", charData.styleId, `${path}.styleId`);
+    // Traits at 0 are not imported, unless an effect raises them
+    for (const [traitId, value] of Object.entries(charData.traitValues ?? {})) {
+      if (value !== 0 || bonusTargets.has(traitId)) check("trait", traitId, `${path}.traitValues.${traitId}`);
+    }
+    (charData.specialManeuverIds ?? []).forEach((id, i) => check("specialManeuver", id, `${path}.specialManeuverIds[${i}]`));
+    (charData.selectedWeaponIds ?? []).forEach((id, i) => check("weapon", id, `${path}.selectedWeaponIds[${i}]`));
+    (charData.divisionRecords ?? []).forEach((record, i) => check("division", record.divisionId, `${path}.divisionRecords[${i}].divisionId`));
+    (charData.appliedEffectGroups ?? []).forEach((group, i) => {
+      _checkEffectReferences(group.effects, `${path}.appliedEffectGroups[${i}].effects`, check);
+    });
+  });
+
+  const summary = [{ label: "STREET_FIGHTER.ImportReport.Sections.characters", count: data.characters.length }];
+  return _buildReport("characters", name, summary, issues);
+}
+
+/**
+ * Check the targets of trait bonus and granted maneuver effects
+ * @param {object[]} [effects]
+ * @param {string} path - Location of the effects
+ * @param {function(string, string, string): void} check - Reports a missing reference of a kind
+ * @private
+ */
+function _checkEffectReferences(effects, path, check) {
+  if (!Array.isArray(effects)) return;
+
+  effects.forEach((effect, index) => {
+    const kind = { traitBonus: "trait", grantManeuver: "specialManeuver" }[effect?.type];
+    if (!kind || !Array.isArray(effect.targets)) return;
+    effect.targets.forEach((target, i) => check(kind, target, `${path}[${index}].targets[${i}]`));
+  });
+}
+
+/**
+ * Check whether schema issues leave data too malformed to check entries and references
+ * Bad numbers and unknown categories only affect their own field, so checking goes on past them
+ * @param {ImportIssue[]} issues
+ * @returns {boolean}
+ * @private
+ */
+function _isMalformed(issues) {
+  return issues.some(issue => issue.code === ISSUE_CODE.MISSING_FIELD || issue.code === ISSUE_CODE.WRONG_TYPE);
+}
+
+/**
+ * Assemble an import report
+ * @param {string} kind
+ * @param {string} name
+ * @param {Array<{label: string, count: number}>} summary
+ * @param {ImportIssue[]} issues
+ * @returns {ImportReport}
+ * @private
+ */
+function _buildReport(kind, name, summary, issues) {
+  return {
+    kind,
+    name,
+    summary,
+    issues,
+    valid: !issues.some(issue => issue.severity === ISSUE_SEVERITY.ERROR),
+  };
+}
+
+/* -------------------------------------------- */
+/*  Report                                      */
+/* -------------------------------------------- */
+
+/**
+ * Describe an import issue
+ * @param {ImportIssue} issue
+ * @returns {string}
+ */
+export function formatImportIssue(issue) {
+  const expected = issue.code === ISSUE_CODE.MISSING_REFERENCE
+    ? game.i18n.localize(`STREET_FIGHTER.ImportReport.References.${issue.expected}`)
+    : issue.expected;
+  return game.i18n.format(`STREET_FIGHTER.ImportReport.Codes.${issue.code}`, {
+    path: issue.path || "—",
+    value: typeof issue.value === "object" ? JSON.stringify(issue.value) : String(issue.value ?? ""),
+    expected: expected ?? "",
+  });
+}
+
+/**
+ * Get the errors of a report as messages
+ * @param {ImportReport} report
+ * @returns {string[]}
+ */
+export function getReportErrors(report) {
+  return report.issues.filter(issue => issue.severity === ISSUE_SEVERITY.ERROR).map(issue => formatImportIssue(issue));
+}
+
+/**
+ * Show an import's dry-run report and ask whether to import
+ * A clean report is accepted without asking; a report with errors can only be closed
+ * @param {ImportReport} report
+ * @returns {Promise<boolean>} Whether to go on with the import
+ */
+export async function confirmImportReport(report) {
+  if (!report.issues.length) return true;
+
+  const { ERROR, WARNING } = ISSUE_SEVERITY;
+  const content = await foundry.applications.handlebars.renderTemplate(
+    "systems/street-fighter/templates/dialog/import-report.hbs",
+    {
+      name: report.name,
+      valid: report.valid,
+      summary: report.summary,
+      errors: report.issues.filter(issue => issue.severity === ERROR).map(issue => formatImportIssue(issue)),
+      warnings: report.issues.filter(issue => issue.severity === WARNING).map(issue => formatImportIssue(issue)),
+    }
+  );
+
+  const { DialogV2 } = foundry.applications.api;
+  const options = {
+    window: { title: game.i18n.format("STREET_FIGHTER.ImportReport.Title", { name: report.name }), icon: "fas fa-clipboard-check" },
+    classes: ["street-fighter", "sf-import-report-dialog"],
+    position: { width: 520 },
+    content,
+    rejectClose: false,
+  };
+
+  if (!report.valid) {
+    await DialogV2.prompt({ ...options, ok: { label: game.i18n.localize("STREET_FIGHTER.ImportReport.Close"), icon: "fas fa-times" } });
+    return false;
+  }
+
+  const confirmed = await DialogV2.confirm({
+    ...options,
+    yes: { label: game.i18n.localize("STREET_FIGHTER.ImportReport.Commit"), icon: "fas fa-file-import", default: true },
+    no: { label: game.i18n.localize("STREET_FIGHTER.ImportReport.Cancel"), icon: "fas fa-times" },
+  });
+  return !!confirmed;
+}
+
+/* -------------------------------------------- */
+/*  Rollback                                    */
+/* -------------------------------------------- */
+
+/**
+ * Records what an import writes so a failed import can be undone
+ * Created documents are deleted, updated actors and items are restored from a snapshot taken before their
+ * first change, and deleted items are created again
+ */
+export class ImportTransaction {
+  constructor() {
+    /** @type {Array<Document|CompendiumCollection>} */
+    this._created = [];
+
+    /** @type {Map<Actor|Item, object>} */
+    this._snapshots = new Map();
+
+    /** @type {Array<{item: Item, data: object}>} */
+    this._deleted = [];
+  }
+
+  /**
+   * Record a document or world compendium created by the import
+   * @template T
+   * @param {T} created
+   * @returns {T}
+   */
+  track(created) {
+    if (created) this._created.push(created);
+    return created;
+  }
+
+  /**
+   * Snapshot an existing actor or item before the import changes it
+   * @param {Actor|Item} document
+   */
+  snapshot(document) {
+    if (!this._snapshots.has(document)) this._snapshots.set(document, document.toObject());
+  }
+
+  /**
+   * Delete an item, keeping its data so the rollback can create it again
+   * @param {Item} item - World, compendium or embedded item
+   * @returns {Promise<void>}
+   */
+  async delete(item) {
+    const data = this._snapshots.get(item) ?? item.toObject();
+    await item.delete();
+    this._snapshots.delete(item);
+    this._deleted.push({ item, data });
+  }
+
+  /**
+   * Undo the import: delete what it created, newest first, and restore the actors it changed
+   * @returns {Promise<string[]>} Errors of the steps that could not be undone
+   */
+  async rollback() {
+    const errors = [];
+
+    for (const created of this._created.reverse()) {
+      try {
+        if (created instanceof foundry.documents.collections.CompendiumCollection) await created.deleteCompendium();
+        else await created.delete();
+      } catch (err) {
+        errors.push(`${created.name ?? created.collection}: ${err.message}`);
+      }
+    }
+
+    for (const [document, data] of this._snapshots) {
+      try {
+        if (document.documentName === "Actor") await _restoreActor(document, data);
+        else await _restoreItem(document, data);
+      } catch (err) {
+        errors.push(`${document.name}: ${err.message}`);
+      }
+    }
+
+    for (const { item, data } of this._deleted.reverse()) {
+      try {
+        if (item.parent) await item.parent.createEmbeddedDocuments("Item", [data], { keepId: true });
+        else await item.constructor.create(data, { keepId: true, pack: item.pack });
+      } catch (err) {
+        errors.push(`${item.name}: ${err.message}`);
+      }
+    }
+
+    this._created = [];
+    this._snapshots.clear();
+    this._deleted = [];
+    if (errors.length) console.error("Street Fighter | Import rollback errors:", errors);
+    return errors;
+  }
+}
+
+/**
+ * Restore an actor from a snapshot taken with toObject, items, effects and prototype token included
+ * @param {Actor} actor
+ * @param {object} data
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _restoreActor(actor, data) {
+  await _replaceEmbedded(actor, "Item", data.items);
+  await _replaceEmbedded(actor, "ActiveEffect", data.effects);
+
+  await actor.update(
+    { name: data.name, img: data.img, system: data.system, flags: data.flags, prototypeToken: data.prototypeToken },
+    { diff: false, recursive: false }
+  );
+}
+
+/**
+ * Restore an item from a snapshot taken with toObject, effects included
+ * @param {Item} item
+ * @param {object} data
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _restoreItem(item, data) {
+  await _replaceEmbedded(item, "ActiveEffect", data.effects);
+
+  await item.update(
+    { name: data.name, img: data.img, system: data.system, flags: data.flags },
+    { diff: false, recursive: false }
+  );
+}
+
+/**
+ * Replace a document's embedded documents with the ones of a snapshot, keeping their ids
+ * @param {Actor|Item} document
+ * @param {string} embeddedName - "Item" or "ActiveEffect"
+ * @param {object[]} data - Embedded documents of the snapshot
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _replaceEmbedded(document, embeddedName, data) {
+  const collection = document.getEmbeddedCollection(embeddedName);
+  const ids = collection.map(embedded => embedded.id);
+  if (ids.length) await document.deleteEmbeddedDocuments(embeddedName, ids);
+  if (data.length) await document.createEmbeddedDocuments(embeddedName, data, { keepId: true });
+}
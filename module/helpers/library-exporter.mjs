@@ -0,0 +1,272 @@
+/**
+ * Library Exporter for Street Fighter RPG
+ * Exports world items to .fslibrary files in the format the library importer reads
+ * @author Kirlian Silvestre
+ */
+
+/**
+ * Library trait category of each trait item type without its own category field
+ * @type {object}
+ */
+const TRAIT_CATEGORIES = {
+  technique: "techniques",
+  background: "backgrounds",
+};
+
+/**
+ * Export world items to a .fslibrary file
+ * @param {object} [options]
+ * @param {Folder|null} [options.folder] - Library folder to export, with its subfolders; every world item when omitted
+ * @returns {object} The exported library
+ */
+export function exportLibrary({ folder = null } = {}) {
+  const items = folder ? getFolderItems(folder) : game.items.contents;
+  const name = folder?.name || game.world.title;
+  const library = buildLibraryData(items, name);
+
+  foundry.utils.saveDataToFile(JSON.stringify(library, null, 2), "application/json", `${name.slugify({ strict: true })}.fslibrary`);
+  return library;
+}
+
+/**
+ * Get the items of a folder and all of its subfolders
+ * @param {Folder} folder
+ * @returns {Item[]}
+ */
+export function getFolderItems(folder) {
+  const folderIds = new Set([folder, ...folder.getSubfolders(true)].map(f => f.id));
+  return game.items.filter(item => folderIds.has(item.folder?.id));
+}
+
+/**
+ * Build the contents of a .fslibrary file
+ * Items without a sourceId cannot be linked by characters and are left out
+ * @param {Item[]} items - Items to export
+ * @param {string} name - Library name
+ * @returns {object}
+ */
+export function buildLibraryData(items, name) {
+  const library = {
+    name,
+    traits: [],
+    divisions: [],
+    fighting_styles: [],
+    special_maneuvers: [],
+    weapons: [],
+  };
+
+  for (const item of items) {
+    if (!item.system.sourceId) continue;
+
+    switch (item.type) {
+      case "attribute":
+      case "ability":
+      case "technique":
+      case "background":
+        library.traits.push(exportTrait(item));
+        break;
+      case "division":
+        library.divisions.push(exportDivision(item));
+        break;
+      case "fightingStyle":
+        library.fighting_styles.push(exportFightingStyle(item));
+        break;
+      case "specialManeuver":
+        library.special_maneuvers.push(exportSpecialManeuver(item, items));
+        break;
+      case "weapon":
+        library.weapons.push(exportWeapon(item));
+        break;
+    }
+  }
+
+  return library;
+}
+
+/**
+ * Convert a trait item to library data
+ * @param {Item} item - Attribute, ability, technique or background
+ * @returns {object}
+ */
+function exportTrait(item) {
+  const data = {
+    id: item.system.sourceId,
+    name: item.name,
+    category: TRAIT_CATEGORIES[item.type] ?? item.system.category,
+    isOptional: item.system.isOptional,
+    description: item.system.description,
+    effects: exportEffects(item),
+  };
+
+  if (item.type === "technique") {
+    data.isWeaponTechnique = item.system.isWeaponTechnique;
+    data.isFirearmTechnique = item.system.isFirearmTechnique;
+  } else if (item.type === "background") {
+    data.unique = item.system.isUnique;
+  }
+
+  return data;
+}
+
+/**
+ * Convert a division item to library data
+ * @param {Item} item
+ * @returns {object}
+ */
+function exportDivision(item) {
+  return {
+    id: item.system.sourceId,
+    name: item.name,
+    description: item.system.description,
+  };
+}
+
+/**
+ * Convert a fighting style item to library data
+ * @param {Item} item
+ * @returns {object}
+ */
+function exportFightingStyle(item) {
+  return {
+    id: item.system.sourceId,
+    name: item.name,
+    initialChi: item.system.initialChi,
+    initialWillpower: item.system.initialWillpower,
+    motto: item.system.motto,
+    description: item.system.description,
+    effects: exportEffects(item),
+  };
+}
+
+/**
+ * Convert a special maneuver item to library data
+ * Trait prerequisites are typed after the trait they require, looked up among the exported items first
+ * @param {Item} item
+ * @param {Item[]} items - All exported items
+ * @returns {object}
+ */
+function exportSpecialManeuver(item, items) {
+  const system = item.system;
+
+  const prerequisites = (system.prerequisites ?? []).map(prereq => {
+    if (prereq.type === "maneuver") {
+      return { type: "maneuver", requiredManeuverId: prereq.id };
+    }
+    const trait = items.find(i => i.system.sourceId === prereq.id) ?? game.items.find(i => i.system.sourceId === prereq.id);
+    return {
+      type: `${trait?.type ?? "technique"}Rating`,
+      traitId: prereq.id,
+      minimumValue: prereq.value ?? 1,
+    };
+  });
+
+  return {
+    id: system.sourceId,
+    name: item.name,
+    category: system.category,
+    prerequisites,
+    defaultPowerPointCost: system.defaultPowerPointCost,
+    stylePowerPointCosts: foundry.utils.deepClone(system.stylePowerPointCosts ?? {}),
+    backgroundPowerPointCosts: foundry.utils.deepClone(system.backgroundPowerPointCosts ?? {}),
+    chiCost: system.chiCost,
+    willpowerCost: system.willpowerCost,
+    speedModifier: system.speedModifier,
+    damageModifier: system.damageModifier,
+    movementModifier: system.movementModifier,
+    notes: system.notes,
+    ruleSummary: system.ruleSummary,
+    damageTraitOverride: system.damageTraitOverride,
+    damageAttributeOverride: system.damageAttributeOverride,
+    speedTraitOverride: system.speedTraitOverride,
+    movementTraitOverride: system.movementTraitOverride,
+    positionRules: foundry.utils.deepClone(system.positionRules),
+    description: system.description,
+    effects: exportEffects(item),
+  };
+}
+
+/**
+ * Convert a weapon item to library data
+ * @param {Item} item
+ * @returns {object}
+ */
+function exportWeapon(item) {
+  return {
+    id: item.system.sourceId,
+    name: item.name,
+    techniqueId: item.system.techniqueId,
+    speed: item.system.speed,
+    damage: item.system.damage,
+    movement: item.system.movement,
+    special: item.system.special,
+    description: item.system.description,
+  };
+}
+
+/**
+ * Convert an item's active effects back to library effects
+ * Only changes written by createActiveEffectsFromData ("system.<type>" keys with a JSON value) are exported
+ * @param {Item} item
+ * @returns {object[]}
+ */
+export function exportEffects(item) {
+  const effects = [];
+
+  for (const effect of item.effects ?? []) {
+    for (const change of effect.changes ?? []) {
+      if (!change.key?.startsWith("system.")) continue;
+      try {
+        const { targets, value } = JSON.parse(change.value);
+        effects.push({ type: change.key.slice("system.".length), targets, value });
+      } catch (e) {
+        // Not a library effect
+      }
+    }
+  }
+
+  return effects;
+}
+
+/**
+ * Show the library export dialog
+ * Offers every top-level item folder, which is where the library importer puts each library
+ */
+export async function showLibraryExportDialog() {
+  const { DialogV2 } = foundry.applications.api;
+
+  const folders = game.folders.filter(f => f.type === "Item" && !f.folder);
+  const options = folders.map(f => `<option value="${f.id}">${f.name}</option>`).join("");
+
+  const content = `
+    <form>
+      <div class="form-group">
+        <label>${game.i18n.localize("STREET_FIGHTER.Library.exportFolder")}</label>
+        <select name="folderId">
+          <option value="">${game.i18n.localize("STREET_FIGHTER.Library.exportAllItems")}</option>
+          ${options}
+        </select>
+      </div>
+      <p class="hint">${game.i18n.localize("STREET_FIGHTER.Library.exportHint")}</p>
+    </form>
+  `;
+
+  await DialogV2.prompt({
+    window: {
+      title: game.i18n.localize("STREET_FIGHTER.Library.export"),
+      icon: "fas fa-file-export",
+    },
+    content,
+    ok: {
+      label: game.i18n.localize("STREET_FIGHTER.Library.export"),
+      icon: "fas fa-file-export",
+      callback: async (event, button) => {
+        const folder = game.folders.get(button.form.elements.folderId.value) ?? null;
+        const library = exportLibrary({ folder });
+        const count = ["traits", "divisions", "fighting_styles", "special_maneuvers", "weapons"]
+          .reduce((total, key) => total + library[key].length, 0);
+        ui.notifications.info(game.i18n.format("STREET_FIGHTER.Library.exportSuccess", { name: library.name, count }));
+      },
+    },
+    rejectClose: false,
+  });
+}
@@ -5,54 +5,95 @@
  */
 
 import { findWorldItemBySourceId, getWorldItemId, createActiveEffectsFromData } from "./utils.mjs";
+import { getLibraryPack, getOrCreateLibraryPack, loadLibraryPackItems } from "./library-packs.mjs";
+import { ImportTransaction, validateLibraryData, getReportErrors, confirmImportReport } from "./import-validation.mjs";
+import { LIBRARY_ENTRY_STATUS, planLibraryUpdate, promptLibraryUpdate, applyLibraryUpdate } from "./library-update.mjs";
+
+/**
+ * Library sections, in import order, with the builder of their item data
+ * @type {Array<{key: string, build: function(object): object}>}
+ */
+export const LIBRARY_SECTIONS = [
+  { key: "traits", build: buildTraitItemData },
+  { key: "divisions", build: buildDivisionItemData },
+  { key: "fighting_styles", build: buildFightingStyleItemData },
+  { key: "special_maneuvers", build: buildSpecialManeuverItemData },
+  { key: "weapons", build: buildWeaponItemData },
+];
 
 /**
  * Import a .fslibrary file and create items in Foundry
- * Uses library name from JSON as main folder, creates subfolders by item type
+ * Uses library name from JSON as main folder, creates subfolders by item type.
+ * The file is validated first and nothing is written if it has errors
  * @param {File} file - The .fslibrary file to import
- * @returns {Promise<{success: boolean, counts: object, errors: string[]}>}
+ * @param {object} [options]
+ * @param {boolean} [options.compendium=false] - Import into the library's world compendium instead of world items
+ * @param {boolean} [options.dryRun=false] - Only validate the file and report
+ * @returns {Promise<{success: boolean, counts: object, errors: string[], report?: ImportReport}>}
  */
-export async function importLibrary(file) {
-  const errors = [];
-  const counts = {
-    fightingStyles: 0,
-    specialManeuvers: 0,
-    attributes: 0,
-    abilities: 0,
-    techniques: 0,
-    backgrounds: 0,
-    weapons: 0,
-    divisions: 0,
-  };
-
+export async function importLibrary(file, { compendium = false, dryRun = false } = {}) {
+  let library;
   try {
     const text = await file.text();
-    const library = JSON.parse(text);
+    library = JSON.parse(text);
+  } catch (e) {
+    return { success: false, counts: _emptyCounts(), errors: [`Failed to parse library file: ${e.message}`] };
+  }
+
+  const fallbackName = file.name.replace(/\.[^/.]+$/, "");
+  const report = validateLibraryData(library, { fallbackName });
+  if (dryRun || !report.valid) {
+    return { success: report.valid, counts: _emptyCounts(), errors: getReportErrors(report), libraryName: report.name, report };
+  }
+
+  return { ...await importLibraryData(library, { fallbackName, compendium }), report };
+}
+
+/**
+ * Create the items of parsed library data
+ * In a compendium the pack stands for the library folder, so type folders sit at its root.
+ * If any item fails, everything this import created is deleted again
+ * @param {object} library - Parsed .fslibrary contents
+ * @param {object} [options]
+ * @param {string} [options.fallbackName] - Library name when the data has none
+ * @param {Set<object>|null} [options.entries] - Only create these library entries; all of them when omitted
+ * @param {boolean} [options.compendium=false] - Create the items in the library's world compendium
+ * @param {ImportTransaction} [options.transaction] - Transaction of a larger update to record the items in and roll back
+ * @returns {Promise<{success: boolean, counts: object, errors: string[], libraryName: string, rolledBack?: boolean}>}
+ */
+export async function importLibraryData(library, { fallbackName = "Library", entries = null, compendium = false, transaction = new ImportTransaction() } = {}) {
+  const errors = [];
+  const counts = _emptyCounts();
+  const include = entry => !entries || entries.has(entry);
+  const libraryName = library.name || fallbackName;
 
+  try {
     // Use library name from JSON as main folder
-    const libraryName = library.name || file.name.replace(/\.[^/.]+$/, "");
-    const mainFolder = await getOrCreateFolder(libraryName);
+    let pack = compendium ? getLibraryPack(libraryName) : null;
+    if (compendium && !pack) pack = transaction.track(await getOrCreateLibraryPack(libraryName));
+    const mainFolder = pack ? null : await getOrCreateFolder(libraryName, null, null, transaction);
 
     // Create subfolders for each item type
     const folders = {
-      attributes: await getOrCreateSubfolder("Attributes", mainFolder),
-      abilitys: await getOrCreateSubfolder("Abilities", mainFolder),
-      techniques: await getOrCreateSubfolder("Techniques", mainFolder),
-      backgrounds: await getOrCreateSubfolder("Backgrounds", mainFolder),
-      divisions: await getOrCreateSubfolder("Divisions", mainFolder),
-      fightingStyles: await getOrCreateSubfolder("Fighting Styles", mainFolder),
-      specialManeuvers: await getOrCreateSubfolder("Special Maneuvers", mainFolder),
-      weapons: await getOrCreateSubfolder("Weapons", mainFolder),
+      attributes: await getOrCreateSubfolder("Attributes", mainFolder, pack, transaction),
+      abilitys: await getOrCreateSubfolder("Abilities", mainFolder, pack, transaction),
+      techniques: await getOrCreateSubfolder("Techniques", mainFolder, pack, transaction),
+      backgrounds: await getOrCreateSubfolder("Backgrounds", mainFolder, pack, transaction),
+      divisions: await getOrCreateSubfolder("Divisions", mainFolder, pack, transaction),
+      fightingStyles: await getOrCreateSubfolder("Fighting Styles", mainFolder, pack, transaction),
+      specialManeuvers: await getOrCreateSubfolder("Special Maneuvers", mainFolder, pack, transaction),
+      weapons: await getOrCreateSubfolder("Weapons", mainFolder, pack, transaction),
     };
 
     // PHASE 1: Import traits FIRST (attributes, abilities, techniques, backgrounds)
     // These are needed for linking in other items
     if (library.traits && Array.isArray(library.traits)) {
       for (const trait of library.traits) {
+        if (!include(trait)) continue;
         try {
-          const itemType = await createTraitItem(trait, folders);
+          const item = transaction.track(await createTraitItem(trait, folders, pack));
           // Map itemType to correct count key (ability -> abilities, not abilitys)
-          const countKey = itemType === "ability" ? "abilities" : itemType + "s";
+          const countKey = item.type === "ability" ? "abilities" : item.type + "s";
           counts[countKey]++;
         } catch (e) {
           errors.push(`Trait ${trait.id}: ${e.message}`);
@@ -63,8 +104,9 @@ export async function importLibrary(file) {
     // PHASE 2: Import divisions
     if (library.divisions && Array.isArray(library.divisions)) {
       for (const division of library.divisions) {
+        if (!include(division)) continue;
         try {
-          await createDivisionItem(division, folders.divisions);
+          transaction.track(await createDivisionItem(division, folders.divisions, pack));
           counts.divisions++;
         } catch (e) {
           errors.push(`Division ${division.id}: ${e.message}`);
@@ -75,8 +117,9 @@ export async function importLibrary(file) {
     // PHASE 3: Import fighting styles
     if (library.fighting_styles && Array.isArray(library.fighting_styles)) {
       for (const style of library.fighting_styles) {
+        if (!include(style)) continue;
         try {
-          await createFightingStyleItem(style, folders.fightingStyles);
+          transaction.track(await createFightingStyleItem(style, folders.fightingStyles, pack));
           counts.fightingStyles++;
         } catch (e) {
           errors.push(`Fighting Style ${style.id}: ${e.message}`);
@@ -87,8 +130,9 @@ export async function importLibrary(file) {
     // PHASE 4: Import special maneuvers (links to techniques, traits, styles, backgrounds)
     if (library.special_maneuvers && Array.isArray(library.special_maneuvers)) {
       for (const maneuver of library.special_maneuvers) {
+        if (!include(maneuver)) continue;
         try {
-          await createSpecialManeuverItem(maneuver, folders.specialManeuvers);
+          transaction.track(await createSpecialManeuverItem(maneuver, folders.specialManeuvers, pack));
           counts.specialManeuvers++;
         } catch (e) {
           errors.push(`Special Maneuver ${maneuver.id}: ${e.message}`);
@@ -99,8 +143,9 @@ export async function importLibrary(file) {
     // PHASE 5: Import weapons (links to techniques)
     if (library.weapons && Array.isArray(library.weapons)) {
       for (const weapon of library.weapons) {
+        if (!include(weapon)) continue;
         try {
-          await createWeaponItem(weapon, folders.weapons);
+          transaction.track(await createWeaponItem(weapon, folders.weapons, pack));
           counts.weapons++;
         } catch (e) {
           errors.push(`Weapon ${weapon.id}: ${e.message}`);
@@ -108,27 +153,55 @@ export async function importLibrary(file) {
       }
     }
 
+    if (errors.length) throw new Error(`${errors.length} entries failed`);
+
+    // Make the new compendium items available to sourceId lookups
+    if (pack) await loadLibraryPackItems();
+
     return { success: true, counts, errors, libraryName };
   } catch (e) {
-    errors.push(`Failed to parse library file: ${e.message}`);
-    return { success: false, counts, errors };
+    errors.push(`Failed to import library: ${e.message}`);
+    errors.push(...await transaction.rollback());
+    if (compendium) await loadLibraryPackItems();
+    return { success: false, counts: _emptyCounts(), errors, libraryName, rolledBack: true };
   }
 }
 
+/**
+ * Item counts of an import, by item kind
+ * @returns {object}
+ * @private
+ */
+function _emptyCounts() {
+  return {
+    fightingStyles: 0,
+    specialManeuvers: 0,
+    attributes: 0,
+    abilities: 0,
+    techniques: 0,
+    backgrounds: 0,
+    weapons: 0,
+    divisions: 0,
+  };
+}
+
 /**
  * Get or create a folder for items
  * @param {string} name - Folder name
  * @param {Folder} parent - Optional parent folder
+ * @param {CompendiumCollection|null} pack - Compendium holding the folder; the world when omitted
+ * @param {ImportTransaction|null} transaction - Import recording the folder if it is created
  * @returns {Promise<Folder>}
  */
-async function getOrCreateFolder(name, parent = null) {
+async function getOrCreateFolder(name, parent = null, pack = null, transaction = null) {
   const parentId = parent?.id || null;
-  let folder = game.folders.find(f => {
+  let folder = (pack ? pack.folders : game.folders).find(f => {
     const folderId = f.folder?.id ?? f.folder ?? null;
     return f.name === name && f.type === "Item" && folderId === parentId;
   });
   if (!folder) {
-    folder = await Folder.create({ name, type: "Item", folder: parentId });
+    folder = await Folder.create({ name, type: "Item", folder: parentId }, { pack: pack?.collection });
+    transaction?.track(folder);
   }
   return folder;
 }
@@ -136,42 +209,53 @@ async function getOrCreateFolder(name, parent = null) {
 /**
  * Get or create a subfolder inside a parent folder
  * @param {string} name - Subfolder name
- * @param {Folder} parent - Parent folder
+ * @param {Folder|null} parent - Parent folder
+ * @param {CompendiumCollection|null} pack - Compendium holding the folder
+ * @param {ImportTransaction|null} transaction - Import recording the folder if it is created
  * @returns {Promise<Folder>}
  */
-async function getOrCreateSubfolder(name, parent) {
-  return getOrCreateFolder(name, parent);
+async function getOrCreateSubfolder(name, parent, pack = null, transaction = null) {
+  return getOrCreateFolder(name, parent, pack, transaction);
 }
 
 
 /**
- * Create a Division item from library data
+ * Build the item data of a Division from library data
  * @param {object} data - Division data from library
- * @param {Folder} folder - Folder to place item in
+ * @returns {object}
  */
-async function createDivisionItem(data, folder) {
-  const itemData = {
+export function buildDivisionItemData(data) {
+  return {
     name: data.name,
     type: "division",
-    folder: folder?.id || folder,
     system: {
       sourceId: data.id,
       description: data.description || "",
     },
   };
-  const item = await Item.create(itemData);
 }
 
 /**
- * Create a Fighting Style item from library data
- * @param {object} data - Fighting style data from library
+ * Create a Division item from library data
+ * @param {object} data - Division data from library
  * @param {Folder} folder - Folder to place item in
+ * @param {CompendiumCollection|null} pack - Compendium to create the item in
+ * @returns {Promise<Item>}
+ */
+async function createDivisionItem(data, folder, pack = null) {
+  const itemData = { ...buildDivisionItemData(data), folder: folder?.id || folder };
+  return createLibraryItem(itemData, [], pack);
+}
+
+/**
+ * Build the item data of a Fighting Style from library data
+ * @param {object} data - Fighting style data from library
+ * @returns {object}
  */
-async function createFightingStyleItem(data, folder) {
-  const itemData = {
+export function buildFightingStyleItemData(data) {
+  return {
     name: data.name,
     type: "fightingStyle",
-    folder: folder,
     system: {
       sourceId: data.id,
       initialChi: data.initialChi ?? 3,
@@ -180,17 +264,27 @@ async function createFightingStyleItem(data, folder) {
       description: data.description || "",
     },
   };
-  const item = await Item.create(itemData);
-  await createActiveEffectsFromData(item, data.effects);
 }
 
 /**
- * Create a Special Maneuver item from library data
+ * Create a Fighting Style item from library data
+ * @param {object} data - Fighting style data from library
+ * @param {Folder} folder - Folder to place item in
+ * @param {CompendiumCollection|null} pack - Compendium to create the item in
+ * @returns {Promise<Item>}
+ */
+async function createFightingStyleItem(data, folder, pack = null) {
+  const itemData = { ...buildFightingStyleItemData(data), folder: folder };
+  return createLibraryItem(itemData, data.effects, pack);
+}
+
+/**
+ * Build the item data of a Special Maneuver from library data
  * Links category, prerequisites, costs, and overrides to world items
  * @param {object} data - Special maneuver data from library
- * @param {Folder} folder - Folder to place item in
+ * @returns {object}
  */
-async function createSpecialManeuverItem(data, folder) {
+export function buildSpecialManeuverItemData(data) {
   // Keep sourceId as link values for portability between worlds
   const category = data.category || "punch";
   
@@ -221,10 +315,9 @@ async function createSpecialManeuverItem(data, folder) {
   const speedTraitOverride = data.speedTraitOverride || null;
   const movementTraitOverride = data.movementTraitOverride || null;
 
-  const itemData = {
+  return {
     name: data.name,
     type: "specialManeuver",
-    folder: folder,
     system: {
       sourceId: data.id,
       category,
@@ -243,21 +336,31 @@ async function createSpecialManeuverItem(data, folder) {
       damageAttributeOverride,
       speedTraitOverride,
       movementTraitOverride,
+      positionRules: data.positionRules,
       description: data.description || "",
     },
   };
-  const item = await Item.create(itemData);
-  await createActiveEffectsFromData(item, data.effects);
 }
 
 /**
- * Create a Trait item from library data
+ * Create a Special Maneuver item from library data
+ * @param {object} data - Special maneuver data from library
+ * @param {Folder} folder - Folder to place item in
+ * @param {CompendiumCollection|null} pack - Compendium to create the item in
+ * @returns {Promise<Item>}
+ */
+async function createSpecialManeuverItem(data, folder, pack = null) {
+  const itemData = { ...buildSpecialManeuverItemData(data), folder: folder };
+  return createLibraryItem(itemData, data.effects, pack);
+}
+
+/**
+ * Build the item data of a Trait from library data
  * Determines the correct item type based on category
  * @param {object} data - Trait data from library
- * @param {object} folders - Object with folders for each item type
- * @returns {Promise<string>} - The item type created
+ * @returns {object}
  */
-async function createTraitItem(data, folders) {
+export function buildTraitItemData(data) {
   const category = data.category || "physical";
   
   // Determine item type based on category
@@ -272,14 +375,10 @@ async function createTraitItem(data, folders) {
     itemType = "background";
   }
 
-  // Get the correct folder for this item type
-  const folder = folders[itemType + "s"];
-
   // Build item data based on type
   const baseData = {
     name: data.name,
     type: itemType,
-    folder: folder,
     system: {
       sourceId: data.id,
       isOptional: data.isOptional ?? false,
@@ -304,25 +403,37 @@ async function createTraitItem(data, folders) {
       break;
   }
 
-  const item = await Item.create(baseData);
-  await createActiveEffectsFromData(item, data.effects);
+  return baseData;
+}
 
-  return itemType;
+/**
+ * Create a Trait item from library data
+ * @param {object} data - Trait data from library
+ * @param {object} folders - Object with folders for each item type
+ * @param {CompendiumCollection|null} pack - Compendium to create the item in
+ * @returns {Promise<Item>}
+ */
+async function createTraitItem(data, folders, pack = null) {
+  const baseData = buildTraitItemData(data);
+
+  // Get the correct folder for this item type
+  const folder = folders[baseData.type + "s"];
+
+  return createLibraryItem({ ...baseData, folder: folder }, data.effects, pack);
 }
 
 /**
- * Create a Weapon item from library data
+ * Build the item data of a Weapon from library data
  * @param {object} data - Weapon data from library
- * @param {Folder} folder - Folder to place item in
+ * @returns {object}
  */
-async function createWeaponItem(data, folder) {
+export function buildWeaponItemData(data) {
   // Keep sourceId as link value for portability
   const techniqueId = data.techniqueId || "";
 
-  const itemData = {
+  return {
     name: data.name,
     type: "weapon",
-    folder: folder,
     system: {
       sourceId: data.id,
       techniqueId,
@@ -333,7 +444,36 @@ async function createWeaponItem(data, folder) {
       description: data.description || "",
     },
   };
-  await Item.create(itemData);
+}
+
+/**
+ * Create a Weapon item from library data
+ * @param {object} data - Weapon data from library
+ * @param {Folder} folder - Folder to place item in
+ * @param {CompendiumCollection|null} pack - Compendium to create the item in
+ * @returns {Promise<Item>}
+ */
+async function createWeaponItem(data, folder, pack = null) {
+  return createLibraryItem({ ...buildWeaponItemData(data), folder: folder }, [], pack);
+}
+
+/**
+ * Create a library item with its effects
+ * An item whose effects fail is deleted again, so it never lingers half-created
+ * @param {object} itemData - Item data with its folder
+ * @param {object[]} [effects] - Library effects of the item
+ * @param {CompendiumCollection|null} pack - Compendium to create the item in
+ * @returns {Promise<Item>}
+ */
+async function createLibraryItem(itemData, effects, pack) {
+  const item = await Item.create(itemData, { pack: pack?.collection });
+  try {
+    await createActiveEffectsFromData(item, effects);
+  } catch (e) {
+    await item.delete();
+    throw e;
+  }
+  return item;
 }
 
 /**
@@ -348,6 +488,10 @@ export async function showImportDialog() {
         <label>Library File (.fslibrary)</label>
         <input type="file" name="libraryFile" accept=".fslibrary,.json" />
       </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("STREET_FIGHTER.Library.importToCompendium")}</label>
+        <input type="checkbox" name="toCompendium" />
+      </div>
       <p style="font-size: 11px; color: #888; margin-top: 8px;">
         Items will be organized in folders by library name and item type.
       </p>
@@ -368,16 +512,33 @@ export async function showImportDialog() {
     ok: {
       label: game.i18n.localize("STREET_FIGHTER.Library.import"),
       icon: "fas fa-file-import",
-      callback: async () => {
+      callback: async (event, button) => {
         if (!fileInput?.files.length) {
           ui.notifications.error(game.i18n.localize("STREET_FIGHTER.Errors.noFileSelected"));
           return;
         }
 
         const file = fileInput.files[0];
+        const compendium = button.form.elements.toCompendium.checked;
+
+        // Validate the whole file before anything is written
+        const dryRun = await importLibrary(file, { dryRun: true });
+        if (!dryRun.report) {
+          ui.notifications.error(dryRun.errors[0]);
+          return;
+        }
+        if (!await confirmImportReport(dryRun.report)) return;
+
+        // A library imported before is updated in place instead of duplicated
+        const plan = planLibraryUpdate(JSON.parse(await file.text()), { fallbackName: file.name.replace(/\.[^/.]+$/, "") });
+        if (plan.entries.some(entry => entry.status !== LIBRARY_ENTRY_STATUS.NEW)) {
+          await updateLibrary(plan);
+          return;
+        }
+
         ui.notifications.info(`Importing library: ${file.name}...`);
 
-        const result = await importLibrary(file);
+        const result = await importLibrary(file, { compendium });
 
         if (result.success) {
           ui.notifications.info(
@@ -393,6 +554,10 @@ export async function showImportDialog() {
           );
         }
 
+        if (result.rolledBack) {
+          ui.notifications.error(game.i18n.localize("STREET_FIGHTER.ImportReport.RolledBack"));
+        }
+
         if (result.errors.length > 0) {
           console.warn("Library import errors:", result.errors);
           ui.notifications.warn(
@@ -404,3 +569,27 @@ export async function showImportDialog() {
     rejectClose: false,
   });
 }
+
+/**
+ * Update a previously imported library after the GM resolves its conflicts
+ * @param {LibraryUpdatePlan} plan - Plan from planLibraryUpdate
+ * @returns {Promise<void>}
+ */
+async function updateLibrary(plan) {
+  const choices = await promptLibraryUpdate(plan);
+  if (!choices) return;
+
+  const result = await applyLibraryUpdate(plan, choices);
+  if (result.rolledBack) {
+    ui.notifications.error(game.i18n.localize("STREET_FIGHTER.ImportReport.RolledBack"));
+  } else {
+    ui.notifications.info(game.i18n.format("STREET_FIGHTER.LibraryUpdate.Success", { name: plan.libraryName, ...result }));
+  }
+
+  if (result.errors.length > 0) {
+    console.warn("Library update errors:", result.errors);
+    ui.notifications.warn(
+      `${game.i18n.localize("STREET_FIGHTER.Library.importError")}: ${result.errors.length} errors. Check console for details.`
+    );
+  }
+}
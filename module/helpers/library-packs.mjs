@@ -0,0 +1,90 @@
+/**
+ * Library Compendium Packs for Street Fighter RPG
+ * Keeps libraries imported into world compendia available to sourceId lookups, which are synchronous
+ * @author Kirlian Silvestre
+ */
+
+/**
+ * Pack metadata flag marking a compendium created by the library importer
+ * @type {string}
+ */
+export const LIBRARY_PACK_FLAG = "library";
+
+/**
+ * Loaded items of every library pack
+ * @type {Item[]}
+ */
+let _packItems = [];
+
+/**
+ * Register the hooks that keep the loaded library pack items current
+ */
+export function registerLibraryPackHooks() {
+  Hooks.on("updateCompendium", pack => {
+    if (isLibraryPack(pack)) loadLibraryPackItems();
+  });
+}
+
+/**
+ * Check whether a compendium holds an imported library
+ * @param {CompendiumCollection} pack
+ * @returns {boolean}
+ */
+export function isLibraryPack(pack) {
+  return pack.documentName === "Item" && !!pack.metadata.flags?.["street-fighter"]?.[LIBRARY_PACK_FLAG];
+}
+
+/**
+ * Get every compendium holding an imported library
+ * @returns {CompendiumCollection[]}
+ */
+export function getLibraryPacks() {
+  return game.packs.filter(pack => isLibraryPack(pack));
+}
+
+/**
+ * Get the compendium of a library
+ * @param {string} name - Library name
+ * @returns {CompendiumCollection|null}
+ */
+export function getLibraryPack(name) {
+  return getLibraryPacks().find(pack => pack.metadata.label === name) ?? null;
+}
+
+/**
+ * Get the compendium of a library, creating a world compendium for it if needed
+ * @param {string} name - Library name
+ * @returns {Promise<CompendiumCollection>}
+ */
+export async function getOrCreateLibraryPack(name) {
+  const existing = getLibraryPack(name);
+  if (existing) return existing;
+
+  return foundry.documents.collections.CompendiumCollection.createCompendium({
+    type: "Item",
+    label: name,
+    name: `library-${name.slugify({ strict: true })}`,
+    flags: { "street-fighter": { [LIBRARY_PACK_FLAG]: true } },
+  });
+}
+
+/**
+ * Load the items of every library pack so lookups can find them
+ * @returns {Promise<Item[]>}
+ */
+export async function loadLibraryPackItems() {
+  const items = [];
+  for (const pack of getLibraryPacks()) {
+    items.push(...await pack.getDocuments());
+  }
+  _packItems = items;
+  return items;
+}
+
+/**
+ * Get the loaded items of every library pack
+ * @returns {Item[]}
+ */
+export function getLibraryPackItems() {
+  return _packItems;
+}
@@ -0,0 +1,448 @@
+/**
+ * Library Update Mode for Street Fighter RPG
+ * Compares a newer version of an imported .fslibrary with the world items it created, matched by sourceId,
+ * and applies the chosen resolution of each conflict to the world items and to the copies owned by actors
+ * @author Kirlian Silvestre
+ */
+
+import { LIBRARY_SECTIONS, importLibraryData } from "./library-importer.mjs";
+import { exportEffects, getFolderItems } from "./library-exporter.mjs";
+import { getLibraryPack, getLibraryPackItems, loadLibraryPackItems } from "./library-packs.mjs";
+import { findWorldItemBySourceId, createActiveEffectsFromData } from "./utils.mjs";
+import { ImportTransaction } from "./import-validation.mjs";
+
+/**
+ * How an update entry relates to the world
+ * @enum {string}
+ */
+export const LIBRARY_ENTRY_STATUS = Object.freeze({
+  NEW: "new",
+  CHANGED: "changed",
+  REMOVED: "removed",
+  UNCHANGED: "unchanged",
+});
+
+/**
+ * What to do with an entry that differs from its world item
+ * @enum {string}
+ */
+export const CONFLICT_RESOLUTION = Object.freeze({
+  /** Leave the world item as it is */
+  KEEP: "keep",
+  /** Replace the world item's data with the library's; delete it if the library removed it */
+  OVERWRITE: "overwrite",
+  /** Keep the world item's values and only fill in what it lacks from the library */
+  MERGE: "merge",
+});
+
+/**
+ * @typedef {object} LibraryUpdateEntry
+ * @property {string} key - Unique key of the entry ("<type>.<sourceId>")
+ * @property {string} status - Status from LIBRARY_ENTRY_STATUS
+ * @property {string} name - Entry name
+ * @property {string} type - Item type
+ * @property {string} sourceId
+ * @property {object|null} source - Library entry, null for removed entries
+ * @property {object|null} data - Item data built from the library entry
+ * @property {object[]} effects - Library effects of the entry
+ * @property {Item|null} item - Matching world item
+ * @property {Array<{path: string, from: *, to: *}>} changes - Differing fields ("name", "effects" or a system field)
+ * @property {number} actorCopies - Number of actor items copied from the world item
+ */
+
+/**
+ * @typedef {object} LibraryUpdatePlan
+ * @property {object} library - Parsed library data
+ * @property {string} libraryName
+ * @property {CompendiumCollection|null} pack - Compendium the library was imported into, if any
+ * @property {LibraryUpdateEntry[]} entries
+ */
+
+/**
+ * Compare library data with the world
+ * Entries are matched to world and library compendium items by type and sourceId. Items in the library's
+ * folder or compendium that the library no longer lists are reported as removed
+ * @param {object} library - Parsed .fslibrary contents
+ * @param {object} [options]
+ * @param {string} [options.fallbackName] - Library name when the data has none
+ * @returns {LibraryUpdatePlan}
+ */
+export function planLibraryUpdate(library, { fallbackName = "Library" } = {}) {
+  const libraryName = library.name || fallbackName;
+  const entries = [];
+
+  for (const { key, build } of LIBRARY_SECTIONS) {
+    if (!Array.isArray(library[key])) continue;
+
+    for (const source of library[key]) {
+      const data = build(source);
+      const effects = _normalizeEffects(source.effects);
+      const item = findWorldItemBySourceId(source.id, data.type);
+      const changes = item ? _diffItem(item, data, effects) : [];
+
+      let status = LIBRARY_ENTRY_STATUS.NEW;
+      if (item) status = changes.length ? LIBRARY_ENTRY_STATUS.CHANGED : LIBRARY_ENTRY_STATUS.UNCHANGED;
+
+      entries.push({
+        key: `${data.type}.${source.id}`,
+        status,
+        name: data.name,
+        type: data.type,
+        sourceId: source.id,
+        source,
+        data,
+        effects,
+        item,
+        changes,
+        actorCopies: item ? _findActorCopies(item).length : 0,
+      });
+    }
+  }
+
+  const listed = new Set(entries.map(entry => entry.key));
+  const pack = getLibraryPack(libraryName);
+  const folder = game.folders.find(f => f.type === "Item" && f.name === libraryName && !f.folder);
+  const libraryItems = [...(folder ? getFolderItems(folder) : []), ...getLibraryPackItems().filter(item => item.pack === pack?.collection)];
+  for (const item of libraryItems) {
+    const sourceId = item.system.sourceId;
+    if (!sourceId || listed.has(`${item.type}.${sourceId}`)) continue;
+
+    entries.push({
+      key: `${item.type}.${sourceId}`,
+      status: LIBRARY_ENTRY_STATUS.REMOVED,
+      name: item.name,
+      type: item.type,
+      sourceId,
+      source: null,
+      data: null,
+      effects: [],
+      item,
+      changes: [],
+      actorCopies: _findActorCopies(item).length,
+    });
+  }
+
+  return { library, libraryName, pack, entries };
+}
+
+/**
+ * Apply a library update
+ * New entries are imported, changed entries are overwritten or merged, and removed entries are deleted
+ * when overwritten. Entries without a resolution use the default of their status.
+ * If any write fails, the whole update is rolled back, actor copies included
+ * @param {LibraryUpdatePlan} plan
+ * @param {object} [options]
+ * @param {object} [options.resolutions] - Resolution from CONFLICT_RESOLUTION by entry key
+ * @param {boolean} [options.updateActors=false] - Also update the copies of changed items owned by actors
+ * @returns {Promise<{created: number, updated: number, removed: number, actorItems: number, errors: string[], rolledBack?: boolean}>}
+ */
+export async function applyLibraryUpdate(plan, { resolutions = {}, updateActors = false } = {}) {
+  const summary = { created: 0, updated: 0, removed: 0, actorItems: 0, errors: [] };
+  const { NEW, CHANGED, REMOVED } = LIBRARY_ENTRY_STATUS;
+  const transaction = new ImportTransaction();
+  const isApplied = entry => (resolutions[entry.key] ?? getDefaultResolution(entry)) !== CONFLICT_RESOLUTION.KEEP;
+
+  for (const entry of plan.entries.filter(isApplied)) {
+    const resolution = resolutions[entry.key] ?? getDefaultResolution(entry);
+
+    try {
+      if (entry.status === CHANGED) {
+        const { update, effects } = _buildItemUpdate(entry, resolution);
+        const copies = updateActors ? _findActorCopies(entry.item) : [];
+        for (const item of [entry.item, ...copies]) transaction.snapshot(item);
+
+        await _updateItem(entry.item, update, effects, resolution);
+        summary.updated++;
+
+        for (const copy of copies) {
+          await _updateItem(copy, update, effects, resolution);
+          summary.actorItems++;
+        }
+      } else if (entry.status === REMOVED) {
+        // Actors still find their copies' definition by sourceId
+        const copies = _findActorCopies(entry.item).length;
+        if (copies) throw new Error(`still used by ${copies} actor items`);
+
+        await transaction.delete(entry.item);
+        summary.removed++;
+      }
+    } catch (e) {
+      summary.errors.push(`${entry.name} (${entry.sourceId}): ${e.message}`);
+      break;
+    }
+  }
+
+  const newEntries = plan.entries.filter(entry => entry.status === NEW && isApplied(entry));
+  if (!summary.errors.length && newEntries.length) {
+    const result = await importLibraryData(plan.library, {
+      fallbackName: plan.libraryName,
+      entries: new Set(newEntries.map(entry => entry.source)),
+      compendium: !!plan.pack,
+      transaction,
+    });
+    summary.created += Object.values(result.counts).reduce((total, count) => total + count, 0);
+    summary.errors.push(...result.errors);
+    if (result.rolledBack) return _rolledBack(plan, summary.errors);
+  }
+
+  if (summary.errors.length) {
+    summary.errors.push(...await transaction.rollback());
+    return _rolledBack(plan, summary.errors);
+  }
+
+  if (plan.pack) await loadLibraryPackItems();
+  return summary;
+}
+
+/**
+ * Default resolution of an entry: add new entries, overwrite changed ones and keep removed ones
+ * @param {LibraryUpdateEntry} entry
+ * @returns {string}
+ */
+export function getDefaultResolution(entry) {
+  if (entry.status === LIBRARY_ENTRY_STATUS.REMOVED) return CONFLICT_RESOLUTION.KEEP;
+  return CONFLICT_RESOLUTION.OVERWRITE;
+}
+
+/**
+ * Show the library update preview and let the GM resolve each conflict
+ * @param {LibraryUpdatePlan} plan
+ * @returns {Promise<{resolutions: object, updateActors: boolean}|null>} The choices, or null if the dialog was closed
+ */
+export async function promptLibraryUpdate(plan) {
+  const { NEW, CHANGED, REMOVED, UNCHANGED } = LIBRARY_ENTRY_STATUS;
+  const resolutionOptions = allowed => allowed.map(value => ({
+    value,
+    label: game.i18n.localize(`STREET_FIGHTER.LibraryUpdate.Resolutions.${value}`),
+  }));
+
+  const groups = [NEW, CHANGED, REMOVED].map(status => ({
+    status,
+    label: game.i18n.localize(`STREET_FIGHTER.LibraryUpdate.Status.${status}`),
+    entries: plan.entries.filter(entry => entry.status === status).map(entry => ({
+      key: entry.key,
+      name: entry.name,
+      typeLabel: game.i18n.localize(`STREET_FIGHTER.Item.Types.${entry.type}`),
+      actorCopies: entry.actorCopies,
+      changes: entry.changes.map(change => change.path).join(", "),
+      resolution: getDefaultResolution(entry),
+      options: resolutionOptions(_getResolutionChoices(entry)),
+    })),
+  })).filter(group => group.entries.length);
+
+  const content = await foundry.applications.handlebars.renderTemplate(
+    "systems/street-fighter/templates/dialog/library-update.hbs",
+    {
+      libraryName: plan.libraryName,
+      groups,
+      unchanged: plan.entries.filter(entry => entry.status === UNCHANGED).length,
+      actorCopies: plan.entries.some(entry => entry.status === CHANGED && entry.actorCopies > 0),
+    }
+  );
+
+  return foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.format("STREET_FIGHTER.LibraryUpdate.Title", { name: plan.libraryName }), icon: "fas fa-code-merge" },
+    classes: ["street-fighter", "sf-library-update-dialog"],
+    position: { width: 560 },
+    content,
+    ok: {
+      label: game.i18n.localize("STREET_FIGHTER.LibraryUpdate.Apply"),
+      icon: "fas fa-check",
+      callback: (event, button) => {
+        const resolutions = {};
+        for (const select of button.form.querySelectorAll("select[data-entry-key]")) {
+          resolutions[select.dataset.entryKey] = select.value;
+        }
+        return { resolutions, updateActors: button.form.elements.updateActors?.checked ?? false };
+      },
+    },
+    rejectClose: false,
+  });
+}
+
+/**
+ * Summarize an update that was rolled back
+ * @param {LibraryUpdatePlan} plan
+ * @param {string[]} errors
+ * @returns {Promise<object>}
+ * @private
+ */
+async function _rolledBack(plan, errors) {
+  if (plan.pack) await loadLibraryPackItems();
+  return { created: 0, updated: 0, removed: 0, actorItems: 0, errors, rolledBack: true };
+}
+
+/**
+ * Resolutions the GM can choose for an entry
+ * A removed entry whose item actors still hold copies of can only be kept
+ * @param {LibraryUpdateEntry} entry
+ * @returns {string[]}
+ * @private
+ */
+function _getResolutionChoices(entry) {
+  const { KEEP, OVERWRITE } = CONFLICT_RESOLUTION;
+  if (entry.status === LIBRARY_ENTRY_STATUS.CHANGED) return Object.values(CONFLICT_RESOLUTION);
+  if (entry.status === LIBRARY_ENTRY_STATUS.REMOVED && entry.actorCopies) return [KEEP];
+  return [KEEP, OVERWRITE];
+}
+
+/**
+ * Compare a world item with the item data built from its library entry
+ * Only the fields the library sets are compared
+ * @param {Item} item
+ * @param {object} data - Item data built from the library entry
+ * @param {object[]} effects - Library effects of the entry
+ * @returns {Array<{path: string, from: *, to: *}>}
+ * @private
+ */
+function _diffItem(item, data, effects) {
+  const changes = [];
+  if (item.name !== data.name) changes.push({ path: "name", from: item.name, to: data.name });
+
+  for (const [path, to] of Object.entries(data.system)) {
+    if (to === undefined) continue;
+    const from = item.system[path];
+    if (!_isEqual(from, to)) changes.push({ path, from, to });
+  }
+
+  const currentEffects = exportEffects(item);
+  if (!_isEqual(currentEffects, effects)) changes.push({ path: "effects", from: currentEffects, to: effects });
+
+  return changes;
+}
+
+/**
+ * Build the update of a changed entry for a resolution
+ * @param {LibraryUpdateEntry} entry
+ * @param {string} resolution - CONFLICT_RESOLUTION.OVERWRITE or MERGE
+ * @returns {{update: object, effects: object[]|null}} Item update data, and the library effects to write (null to leave them)
+ * @private
+ */
+function _buildItemUpdate(entry, resolution) {
+  const isMerge = resolution === CONFLICT_RESOLUTION.MERGE;
+  const update = {};
+  let effects = null;
+
+  for (const { path, from, to } of entry.changes) {
+    if (path === "effects") {
+      // Merging only adds the library effects the item lacks
+      effects = isMerge ? to.filter(effect => !from.some(existing => _isEqual(existing, effect))) : to;
+      if (!effects.length && isMerge) effects = null;
+      continue;
+    }
+
+    const value = isMerge ? _mergeValue(from, to) : to;
+    if (_isEqual(value, from)) continue;
+
+    if (path === "name") {
+      update.name = value;
+    } else {
+      update[`system.${path}`] = value;
+
+      // Cost tables are keyed objects: drop the keys the library no longer lists
+      if (!isMerge && foundry.utils.getType(from) === "Object" && foundry.utils.getType(to) === "Object") {
+        for (const key of Object.keys(from)) {
+          if (!(key in to)) update[`system.${path}.-=${key}`] = null;
+        }
+      }
+    }
+  }
+
+  return { update, effects };
+}
+
+/**
+ * Update a world item or an actor's copy of it
+ * @param {Item} item
+ * @param {object} update - Item update data
+ * @param {object[]|null} effects - Library effects to write
+ * @param {string} resolution - CONFLICT_RESOLUTION.OVERWRITE or MERGE
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _updateItem(item, update, effects, resolution) {
+  if (!foundry.utils.isEmpty(update)) await item.update(update);
+  if (!effects) return;
+
+  // Overwriting replaces the library effects; effects added by hand are kept
+  if (resolution === CONFLICT_RESOLUTION.OVERWRITE) {
+    const libraryEffectIds = item.effects.filter(effect => _isLibraryEffect(effect)).map(effect => effect.id);
+    if (libraryEffectIds.length) await item.deleteEmbeddedDocuments("ActiveEffect", libraryEffectIds);
+  }
+  await createActiveEffectsFromData(item, effects);
+}
+
+/**
+ * Find the items owned by actors that were copied from a world item
+ * @param {Item} item - World item
+ * @returns {Item[]}
+ * @private
+ */
+function _findActorCopies(item) {
+  const sourceId = item.system.sourceId;
+  return game.actors.contents.flatMap(actor => actor.items.filter(i => i.type === item.type && i.system.sourceId === sourceId));
+}
+
+/**
+ * Merge a library value into a world value, keeping what the world item already has
+ * Blank values are filled in, keyed objects gain the missing keys and lists gain the missing entries
+ * @param {*} from - World value
+ * @param {*} to - Library value
+ * @returns {*}
+ * @private
+ */
+function _mergeValue(from, to) {
+  if (from === undefined || from === null || from === "") return foundry.utils.deepClone(to);
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const missing = to.filter(value => !from.some(existing => _isEqual(existing, value)));
+    return [...foundry.utils.deepClone(from), ...foundry.utils.deepClone(missing)];
+  }
+
+  if (foundry.utils.getType(from) === "Object" && foundry.utils.getType(to) === "Object") {
+    const merged = foundry.utils.deepClone(from);
+    for (const [key, value] of Object.entries(to)) merged[key] = _mergeValue(from[key], value);
+    return merged;
+  }
+
+  return from;
+}
+
+/**
+ * Check whether an active effect was created from library effect data
+ * @param {ActiveEffect} effect
+ * @returns {boolean}
+ * @private
+ */
+function _isLibraryEffect(effect) {
+  return effect.changes.length > 0 && effect.changes.every(change => {
+    if (!change.key?.startsWith("system.")) return false;
+    try {
+      return "targets" in JSON.parse(change.value);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Normalize library effects to the shape exportEffects reads back
+ * @param {object[]} [effects]
+ * @returns {object[]}
+ * @private
+ */
+function _normalizeEffects(effects) {
+  if (!Array.isArray(effects)) return [];
+  return effects.map(({ type, targets, value }) => ({ type, targets, value }));
+}
+
+/**
+ * Compare two plain data values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ * @private
+ */
+function _isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
@@ -6,6 +6,12 @@
 
 import { MANEUVER_STAT_TYPES } from "../effects/effect-types.mjs";
 import { getEffectiveTraitValue, getEffectiveManeuverStat } from "./effect-helpers.mjs";
+import {
+  POSITION_STATE,
+  calculateSpeedTiebreaker,
+  getPositionSpeedModifier,
+  isManeuverUsableAgainst,
+} from "../combat/combat-phases.mjs";
 
 /**
  * Get character stats needed for maneuver calculations
@@ -13,25 +19,25 @@ import { getEffectiveTraitValue, getEffectiveManeuverStat } from "./effect-helpe
  * @returns {object} Character stats object
  */
 export function getCharacterStatsForManeuver(actor) {
+  const traits = actor.getTraits();
+
   const findTraitValue = (sourceId) => {
     if (!sourceId) return 0;
-    const item = actor.items.find(i => i.system.sourceId === sourceId);
-    if (!item) return 0;
-    const baseValue = item.system.value || 0;
-    const effective = getEffectiveTraitValue(actor, sourceId, baseValue);
+    const trait = traits.find(t => t.sourceId === sourceId);
+    if (!trait) return 0;
+    const effective = getEffectiveTraitValue(actor, sourceId, trait.value);
     return effective.value;
   };
 
-  const techniques = actor.items.filter(i => i.type === "technique");
+  const techniques = traits.filter(t => t.type === "technique");
   const techniquesMap = {};
   for (const t of techniques) {
-    const key = t.system.sourceId || t.name.toLowerCase();
-    const baseValue = t.system.value || 0;
-    const effective = getEffectiveTraitValue(actor, key, baseValue);
+    const key = t.sourceId || t.name.toLowerCase();
+    const effective = getEffectiveTraitValue(actor, key, t.value);
     techniquesMap[key] = {
       value: effective.value,
-      isWeaponTechnique: t.system.isWeaponTechnique || false,
-      isFirearmTechnique: t.system.isFirearmTechnique || false,
+      isWeaponTechnique: t.isWeaponTechnique,
+      isFirearmTechnique: t.isFirearmTechnique,
     };
   }
 
@@ -88,6 +94,23 @@ export function formatOriginalModifier(modifierStr) {
   return "*";
 }
 
+/**
+ * Get the positions of an actor and its current target in the active combat
+ * @param {Actor} actor - The actor
+ * @returns {{position: string, targetPosition: string|null}}
+ */
+export function getCombatPositions(actor) {
+  const combat = game.combat;
+  const combatant = combat?.combatants.find(c => c.actor?.uuid === actor.uuid);
+  const targetToken = game.user?.targets?.first();
+  const targetCombatant = targetToken ? combat?.combatants.find(c => c.tokenId === targetToken.id) : null;
+
+  return {
+    position: combatant?.position ?? POSITION_STATE.STANDING,
+    targetPosition: targetCombatant?.position ?? null,
+  };
+}
+
 /**
  * Calculate maneuver statistics with all modifiers applied
  * This is the SSOT for maneuver stat calculations
@@ -95,10 +118,12 @@ export function formatOriginalModifier(modifierStr) {
  * @param {Item} maneuver - The maneuver item
  * @param {object} [options] - Optional parameters
  * @param {object} [options.characterStats] - Pre-calculated character stats (for performance)
+ * @param {object} [options.positions] - Pre-calculated combat positions (see getCombatPositions)
  * @returns {ManeuverStats}
  */
 export function calculateManeuverStats(actor, maneuver, options = {}) {
   const characterStats = options.characterStats || getCharacterStatsForManeuver(actor);
+  const positions = options.positions || getCombatPositions(actor);
   const { findTraitValue } = characterStats;
 
   const category = maneuver.system.category || "";
@@ -156,7 +181,8 @@ export function calculateManeuverStats(actor, maneuver, options = {}) {
   }
   const baseMovement = calculateModifierValue(maneuver.system.movementModifier, movementBase + weaponMovementMod);
 
-  const speedEffective = getEffectiveManeuverStat(actor, maneuver, MANEUVER_STAT_TYPES.SPEED, baseSpeed);
+  const positionSpeedModifier = getPositionSpeedModifier(positions.position);
+  const speedEffective = getEffectiveManeuverStat(actor, maneuver, MANEUVER_STAT_TYPES.SPEED, baseSpeed + positionSpeedModifier);
   const damageEffective = getEffectiveManeuverStat(actor, maneuver, MANEUVER_STAT_TYPES.DAMAGE, baseDamage);
   const movementEffective = getEffectiveManeuverStat(actor, maneuver, MANEUVER_STAT_TYPES.MOVEMENT, baseMovement);
 
@@ -200,6 +226,11 @@ export function calculateManeuverStats(actor, maneuver, options = {}) {
     isWeaponTechnique,
     isFirearmTechnique,
 
+    position: positions.position,
+    positionSpeedModifier,
+    targetPosition: positions.targetPosition,
+    isUsableAgainstTarget: isManeuverUsableAgainst(maneuver.system.positionRules, positions.targetPosition),
+
     equippedWeapons: equippedWeapons.map(w => ({
       id: w.id,
       name: w.name,
@@ -215,6 +246,7 @@ export function calculateManeuverStats(actor, maneuver, options = {}) {
  * @param {Actor} actor - The actor
  * @param {object} [options] - Optional parameters
  * @param {boolean} [options.sortBySpeed] - Sort by calculated speed (default: true)
+ * @param {object} [options.positions] - Combat positions to calculate for (see getCombatPositions)
  * @returns {Array<ManeuverStats>}
  */
 export function prepareActorManeuvers(actor, options = {}) {
@@ -222,9 +254,10 @@ export function prepareActorManeuvers(actor, options = {}) {
 
   const maneuvers = actor.items.filter(item => item.type === "specialManeuver");
   const characterStats = getCharacterStatsForManeuver(actor);
+  const positions = options.positions || getCombatPositions(actor);
 
   const prepared = maneuvers.map(maneuver =>
-    calculateManeuverStats(actor, maneuver, { characterStats })
+    calculateManeuverStats(actor, maneuver, { characterStats, positions })
   );
 
   if (sortBySpeed) {
@@ -264,26 +297,21 @@ export function prepareManeuverRollData(actor, maneuver) {
   const category = maneuver.system.category || "";
   const categoryKey = category.toLowerCase();
 
-  let strengthItem = null;
-  let techniqueItem = null;
+  let strengthTrait = null;
+  let techniqueTrait = null;
 
-  for (const item of actor.items) {
-    if (item.type === "attribute") {
-      const sourceId = item.system.sourceId || "";
-      if (sourceId === "strength") {
-        strengthItem = item;
-      }
+  for (const trait of actor.getTraits()) {
+    const sourceId = trait.sourceId || "";
+    if (trait.type === "attribute" && sourceId === "strength") {
+      strengthTrait = trait;
     }
-    if (item.type === "technique") {
-      const sourceId = item.system.sourceId || "";
-      if (sourceId === categoryKey) {
-        techniqueItem = item;
-      }
+    if (trait.type === "technique" && sourceId === categoryKey) {
+      techniqueTrait = trait;
     }
   }
 
-  const isWeaponTechnique = techniqueItem?.system.isWeaponTechnique || techniqueItem?.system.isFirearmTechnique || false;
-  const attributeItem = isWeaponTechnique ? null : strengthItem;
+  const isWeaponTechnique = techniqueTrait?.isWeaponTechnique || techniqueTrait?.isFirearmTechnique || false;
+  const attributeTrait = isWeaponTechnique ? null : strengthTrait;
 
   let damageModValue = null;
   const damageModStr = maneuver.system.damageModifier || "";
@@ -313,22 +341,25 @@ export function prepareManeuverRollData(actor, maneuver) {
 
   let targetSoak = null;
   let targetName = null;
+  let targetDefense = null;
   const firstTarget = game.user.targets.first();
   if (firstTarget?.actor) {
     const targetActor = firstTarget.actor;
     targetSoak = targetActor.getEffectiveSoak?.() ?? targetActor.system.combat?.soak ?? 0;
     targetName = targetActor.name;
+    targetDefense = game.combat?.getActiveDefense?.(firstTarget.id) ?? null;
   }
 
   return {
-    selectedTraitId: attributeItem?.id,
+    selectedTraitId: attributeTrait?.id,
     selectedTraitType: "attribute",
-    preSelectedSecondTrait: techniqueItem?.id,
+    preSelectedSecondTrait: techniqueTrait?.id,
     maneuverName: maneuver.name,
     maneuverDamageModifier: damageModValue,
     equippedWeapons,
     targetSoak,
     targetName,
+    targetDefense,
     rollTitle: maneuver.name,
     isDamageRoll: true,
   };
@@ -349,3 +380,29 @@ export function canAffordManeuver(actor, maneuver) {
 
   return currentChi >= chiCost && currentWillpower >= willpowerCost;
 }
+
+/**
+ * Build the data a combatant selects a single maneuver with
+ * The speed tiebreaker is rolled here, from the actor's wits and perception
+ * @param {Actor} actor - The actor
+ * @param {ManeuverStats} stats - The maneuver's calculated stats
+ * @param {object} [options]
+ * @param {Function} [options.random] - Random source for the tiebreaker roll
+ * @returns {object} Data for Combatant#selectManeuver
+ */
+export function buildManeuverSelection(actor, stats, { random = Math.random } = {}) {
+  const { findTraitValue } = getCharacterStatsForManeuver(actor);
+
+  return {
+    itemId: stats.id,
+    name: stats.name,
+    speed: stats.calculatedSpeed,
+    speedTiebreaker: calculateSpeedTiebreaker(stats.calculatedSpeed, findTraitValue("wits"), findTraitValue("perception"), random),
+    damage: stats.calculatedDamage,
+    movement: stats.calculatedMovement,
+    category: stats.category,
+    chiCost: stats.chiCost,
+    willpowerCost: stats.willpowerCost,
+    notes: stats.notes
+  };
+}
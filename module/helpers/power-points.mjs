@@ -0,0 +1,105 @@
+/**
+ * Street Fighter Power Points
+ * Resolves what a fighter pays for a special maneuver from their style and backgrounds
+ * @author Kirlian Silvestre
+ */
+
+/**
+ * Where a resolved power point cost comes from
+ * @enum {string}
+ */
+export const POWER_POINT_SOURCE = Object.freeze({
+  STYLE: "style",
+  BACKGROUND: "background",
+  DEFAULT: "default"
+});
+
+/**
+ * @typedef {object} PowerPointCost
+ * @property {boolean} available - Whether the fighter can learn the maneuver at all
+ * @property {number|null} cost - Power points paid, null when unavailable
+ * @property {string|null} source - Source from POWER_POINT_SOURCE
+ * @property {string|null} sourceId - sourceId of the style or background giving the price
+ */
+
+/**
+ * @typedef {object} CostContext
+ * @property {string|null} styleSourceId - sourceId of the fighter's fighting style
+ * @property {string[]} backgroundSourceIds - sourceIds of the backgrounds the fighter has dots in
+ */
+
+/**
+ * Resolve a special maneuver's power point cost for a style and set of backgrounds
+ * The cheapest applicable price wins. The default cost only applies to maneuvers that list no
+ * style prices, or to fighters without a style; a listed maneuver is unavailable to other styles
+ * unless one of the fighter's backgrounds prices it.
+ * A negative price means the maneuver cannot be bought that way.
+ * @param {Item|object} maneuver - Maneuver item or item data
+ * @param {CostContext} context
+ * @returns {PowerPointCost}
+ */
+export function resolvePowerPointCost(maneuver, { styleSourceId = null, backgroundSourceIds = [] } = {}) {
+  const styleCosts = maneuver.system?.stylePowerPointCosts ?? {};
+  const backgroundCosts = maneuver.system?.backgroundPowerPointCosts ?? {};
+  const candidates = [];
+
+  const addCandidate = (value, source, sourceId) => {
+    if (value === undefined || value === null || value === "") return;
+    const cost = Number(value);
+    if (Number.isFinite(cost) && cost >= 0) candidates.push({ available: true, cost, source, sourceId });
+  };
+
+  if (styleSourceId) addCandidate(styleCosts[styleSourceId], POWER_POINT_SOURCE.STYLE, styleSourceId);
+  for (const backgroundId of backgroundSourceIds) {
+    addCandidate(backgroundCosts[backgroundId], POWER_POINT_SOURCE.BACKGROUND, backgroundId);
+  }
+  if (!styleSourceId || !Object.keys(styleCosts).length) {
+    addCandidate(maneuver.system?.defaultPowerPointCost ?? 0, POWER_POINT_SOURCE.DEFAULT, null);
+  }
+
+  if (!candidates.length) return { available: false, cost: null, source: null, sourceId: null };
+  return candidates.reduce((best, candidate) => candidate.cost < best.cost ? candidate : best);
+}
+
+/**
+ * Get the style and backgrounds that price maneuvers for an actor
+ * @param {Actor} actor
+ * @returns {CostContext}
+ */
+export function getCostContext(actor) {
+  const style = actor.items.find(i => i.type === "fightingStyle");
+  return {
+    styleSourceId: style ? style.system.sourceId || style.id : null,
+    backgroundSourceIds: actor.items
+      .filter(i => i.type === "background" && (i.system.value || 0) > 0)
+      .map(i => i.system.sourceId || i.id),
+  };
+}
+
+/**
+ * Resolve what an actor pays for a special maneuver
+ * @param {Actor} actor
+ * @param {Item|object} maneuver - Maneuver item or item data
+ * @returns {PowerPointCost}
+ */
+export function getManeuverPowerPointCost(actor, maneuver) {
+  return resolvePowerPointCost(maneuver, getCostContext(actor));
+}
+
+/**
+ * Get the power points a fighter has spent on maneuvers and has available
+ * Maneuvers unavailable to the fighter count at no cost
+ * @param {Actor} actor
+ * @returns {{spent: number, available: number}}
+ */
+export function getPowerPointSummary(actor) {
+  const context = getCostContext(actor);
+  const spent = actor.items
+    .filter(i => i.type === "specialManeuver")
+    .reduce((total, maneuver) => total + (resolvePowerPointCost(maneuver, context).cost ?? 0), 0);
+
+  return {
+    spent,
+    available: actor.system.powerPoints?.total ?? 0,
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Street Fighter Maneuver Prerequisites
+ * Checks special maneuver prerequisites against an actor's effective traits and known maneuvers
+ * @author Kirlian Silvestre
+ */
+
+import { getEffectiveTraitValue } from "./effect-helpers.mjs";
+
+/**
+ * How unmet prerequisites are handled when a maneuver is added
+ * @enum {string}
+ */
+export const PREREQUISITE_ENFORCEMENT = Object.freeze({
+  OFF: "off",
+  WARN: "warn",
+  BLOCK: "block"
+});
+
+/**
+ * @typedef {object} UnmetPrerequisite
+ * @property {string} type - Prerequisite type ("maneuver", or a trait rating type)
+ * @property {string} id - sourceId of the required maneuver or trait
+ * @property {string} name - Display name of the requirement
+ * @property {number|null} required - Minimum rating, null for maneuvers
+ * @property {number|null} current - Actor's effective rating, null for maneuvers
+ */
+
+/**
+ * Get the configured prerequisite enforcement mode
+ * @returns {string} One of PREREQUISITE_ENFORCEMENT
+ */
+export function getPrerequisiteEnforcement() {
+  return game.settings.get("street-fighter", "maneuverPrerequisiteEnforcement");
+}
+
+/**
+ * Check a special maneuver's prerequisites against an actor
+ * Trait ratings include active effect modifiers; maneuvers are matched by sourceId.
+ * Ratings and known maneuvers not yet on the actor, such as a fighter being created, can be given instead
+ * @param {Actor} actor
+ * @param {Item|object} maneuver - Maneuver item or item data
+ * @param {object} [options]
+ * @param {Array<{sourceId: string, name: string, value: number}>} [options.traits] - Ratings to check instead of the actor's
+ * @param {string[]} [options.knownManeuvers] - Maneuver sourceIds known instead of the actor's
+ * @returns {{met: boolean, unmet: UnmetPrerequisite[]}}
+ */
+export function evaluatePrerequisites(actor, maneuver, { traits = actor.getTraits(), knownManeuvers } = {}) {
+  const prerequisites = maneuver.system?.prerequisites ?? [];
+  const known = new Set(knownManeuvers ?? actor.items
+    .filter(i => i.type === "specialManeuver" && i.id !== maneuver._id)
+    .map(i => i.system.sourceId || i.id));
+  const unmet = [];
+
+  for (const prereq of prerequisites) {
+    if (!prereq?.id) continue;
+
+    if (prereq.type === "maneuver") {
+      if (known.has(prereq.id)) continue;
+      unmet.push({ type: prereq.type, id: prereq.id, name: _getRequirementName(prereq.id), required: null, current: null });
+      continue;
+    }
+
+    const required = Number(prereq.value) || 0;
+    const trait = traits.find(t => t.sourceId === prereq.id);
+    const current = trait ? getEffectiveTraitValue(actor, trait.sourceId, trait.value).value : 0;
+    if (current >= required) continue;
+
+    unmet.push({ type: prereq.type, id: prereq.id, name: trait?.name ?? _getRequirementName(prereq.id), required, current });
+  }
+
+  return { met: unmet.length === 0, unmet };
+}
+
+/**
+ * Find the display name of a required trait or maneuver among world items
+ * @param {string} sourceId
+ * @returns {string}
+ * @private
+ */
+function _getRequirementName(sourceId) {
+  return game.items.find(i => (i.system.sourceId || i.id) === sourceId)?.name ?? sourceId;
+}
+
+/**
+ * Format unmet prerequisites as a localized, comma separated list
+ * @param {UnmetPrerequisite[]} unmet
+ * @returns {string}
+ */
+export function formatUnmetPrerequisites(unmet) {
+  return unmet
+    .map(entry => entry.type === "maneuver"
+      ? game.i18n.format("STREET_FIGHTER.Prerequisite.MissingManeuver", { name: entry.name })
+      : game.i18n.format("STREET_FIGHTER.Prerequisite.MissingRating", entry))
+    .join(", ");
+}
+
+/**
+ * Decide whether a maneuver may be added to an actor under the enforcement setting
+ * Block mode refuses with a notification; warn mode asks the user to confirm
+ * @param {Actor} actor
+ * @param {Item|object} maneuver - Maneuver item or item data
+ * @returns {Promise<boolean>} Whether the maneuver may be added
+ */
+export async function confirmPrerequisites(actor, maneuver) {
+  const enforcement = getPrerequisiteEnforcement();
+  if (enforcement === PREREQUISITE_ENFORCEMENT.OFF) return true;
+
+  const { met, unmet } = evaluatePrerequisites(actor, maneuver);
+  if (met) return true;
+
+  const list = formatUnmetPrerequisites(unmet);
+  if (enforcement === PREREQUISITE_ENFORCEMENT.BLOCK) {
+    ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Prerequisite.Blocked", { actor: actor.name, name: maneuver.name, list }));
+    return false;
+  }
+
+  const items = unmet.map(entry => `<li>${formatUnmetPrerequisites([entry])}</li>`).join("");
+  return foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("STREET_FIGHTER.Prerequisite.UnmetTitle") },
+    content: `<p>${game.i18n.format("STREET_FIGHTER.Prerequisite.UnmetIntro", { actor: actor.name, name: maneuver.name })}</p>`
+      + `<ul>${items}</ul><p>${game.i18n.localize("STREET_FIGHTER.Prerequisite.AddAnyway")}</p>`
+  });
+}
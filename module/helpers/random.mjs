@@ -0,0 +1,55 @@
+/**
+ * Street Fighter Random Numbers
+ * Seeded random number generators, so rolls and choices can be reproduced
+ * @author Kirlian Silvestre
+ */
+
+/**
+ * A function returning a number in [0, 1), like Math.random
+ * @callback RandomSource
+ * @returns {number}
+ */
+
+/**
+ * Turn a string or number seed into a 32-bit integer
+ * @param {string|number} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random source (mulberry32)
+ * The same seed always produces the same sequence
+ * @param {string|number} seed
+ * @returns {RandomSource}
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Roll a die with a random source
+ * @param {number} faces
+ * @param {RandomSource} [random]
+ * @returns {number} A result from 1 to faces
+ */
+export function rollDie(faces, random = Math.random) {
+  return Math.floor(random() * faces) + 1;
+}
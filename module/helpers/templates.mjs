@@ -10,6 +10,7 @@
 export async function preloadHandlebarsTemplates() {
   const templatePaths = [
     "systems/street-fighter/templates/actor/actor-fighter-sheet.hbs",
+    "systems/street-fighter/templates/actor/actor-npc-sheet.hbs",
     "systems/street-fighter/templates/item/item-fightingStyle-sheet.hbs",
     "systems/street-fighter/templates/item/item-specialManeuver-sheet.hbs",
     "systems/street-fighter/templates/item/item-attribute-sheet.hbs",
@@ -24,13 +25,24 @@ export async function preloadHandlebarsTemplates() {
     "systems/street-fighter/templates/chat/trait-chat-card.hbs",
     "systems/street-fighter/templates/chat/maneuver-chat-card.hbs",
     "systems/street-fighter/templates/chat/maneuver-reveal-card.hbs",
+    "systems/street-fighter/templates/chat/damage-resolution-card.hbs",
+    "systems/street-fighter/templates/chat/tournament-result-card.hbs",
+    "systems/street-fighter/templates/chat/round-replay-card.hbs",
     "systems/street-fighter/templates/dialog/roll-dialog.hbs",
+    "systems/street-fighter/templates/dialog/character-creation-wizard.hbs",
+    "systems/street-fighter/templates/dialog/migration-report.hbs",
+    "systems/street-fighter/templates/dialog/character-reimport.hbs",
+    "systems/street-fighter/templates/dialog/library-update.hbs",
+    "systems/street-fighter/templates/dialog/import-report.hbs",
+    "systems/street-fighter/templates/dialog/partials/creation-trait-group.hbs",
+    "systems/street-fighter/templates/dialog/partials/creation-trait-rows.hbs",
     "systems/street-fighter/templates/effects/effect-config.hbs",
     "systems/street-fighter/templates/effects/effect-changes-tab.hbs",
     "systems/street-fighter/templates/item/partials/item-effects-tab.hbs",
     "systems/street-fighter/templates/combat/combat-tracker.hbs",
     "systems/street-fighter/templates/combat/maneuver-selection-dialog.hbs",
     "systems/street-fighter/templates/combat/action-turn-dialog.hbs",
+    "systems/street-fighter/templates/tournament/tournament-manager.hbs",
   ];
 
   return foundry.applications.handlebars.loadTemplates(templatePaths);
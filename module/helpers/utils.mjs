@@ -3,6 +3,8 @@
  * @author Kirlian Silvestre
  */
 
+import { getLibraryPackItems } from "./library-packs.mjs";
+
 /**
  * Check if the current user can interact with a chat message's buttons
  * Returns true if user is GM or the message author
@@ -16,6 +18,7 @@ export function canInteractWithChatMessage(message) {
 
 /**
  * Find a world item by its sourceId
+ * Library compendia are searched when no world item matches
  * @param {string} sourceId - The sourceId to search for
  * @param {string|string[]} types - Optional item type(s) to filter by
  * @returns {Item|null}
@@ -24,12 +27,33 @@ export function findWorldItemBySourceId(sourceId, types = null) {
   if (!sourceId) return null;
   
   const typeArray = types ? (Array.isArray(types) ? types : [types]) : null;
-  
-  return game.items.find((item) => {
+  const matches = (item) => {
     const matchesSourceId = item.system.sourceId === sourceId;
     const matchesType = !typeArray || typeArray.includes(item.type);
     return matchesSourceId && matchesType;
-  }) || null;
+  };
+  
+  return game.items.find(matches) || getLibraryPackItems().find(matches) || null;
+}
+
+/**
+ * Get the items sourceIds resolve against: world items, then library compendium items not overridden by a world item
+ * @returns {Item[]}
+ */
+export function getSourceItems() {
+  const worldItems = game.items.contents;
+  const worldKeys = new Set(worldItems.map(item => `${item.type}.${item.system.sourceId}`));
+  const packItems = getLibraryPackItems().filter(item => !worldKeys.has(`${item.type}.${item.system.sourceId}`));
+  return [...worldItems, ...packItems];
+}
+
+/**
+ * Get the data to copy a world or compendium item onto an actor
+ * @param {Item} item
+ * @returns {object}
+ */
+export function getItemSourceData(item) {
+  return item.pack ? game.items.fromCompendium(item, { clearFolder: true }) : item.toObject();
 }
 
 /**
@@ -153,13 +177,13 @@ export function generateSourceId(name, suffix = "foundry") {
 }
 
 /**
- * Get all non-optional traits from world items
- * @returns {Item[]} Array of world items that are non-optional traits
+ * Get all non-optional traits from world items and library compendia
+ * @returns {Item[]} Array of items that are non-optional traits
  */
 export function getNonOptionalTraits() {
   const traitTypes = ["attribute", "ability", "technique", "background"];
   
-  return game.items.filter((item) => {
+  return getSourceItems().filter((item) => {
     if (!traitTypes.includes(item.type)) return false;
     return item.system.isOptional === false;
   });
@@ -180,7 +204,7 @@ export async function addNonOptionalTraitsToActor(actor, existingSourceIds = new
     
     if (existingSourceIds.has(sourceId)) continue;
     
-    const traitData = trait.toObject();
+    const traitData = getItemSourceData(trait);
     traitData.system.value = trait.type === "attribute" ? 1 : 0;
     itemsToCreate.push(traitData);
   }
@@ -0,0 +1,23 @@
+/**
+ * Street Fighter Migration Module
+ * Exports the world migration steps and the runner that applies them
+ * @author Kirlian Silvestre
+ */
+
+export { MIGRATIONS } from "./migrations.mjs";
+export {
+  MIGRATION_VERSION_SETTING,
+  getMigrationVersion,
+  getPendingMigrations,
+  migrateActorData,
+  migrateItemData,
+  migrateEffectData,
+  migrateCombatData,
+  planMigration,
+  buildMigrationReport,
+  exportMigrationBackup,
+  applyMigration,
+  migrateWorld,
+  promptMigration,
+  runMigrations
+} from "./migration-runner.mjs";
@@ -0,0 +1,411 @@
+/**
+ * Street Fighter Migration Runner
+ * Compares the world's migration version to the system version, plans the pending steps as a dry run,
+ * exports a backup of every document about to change and applies the updates with a progress bar
+ * @author Kirlian Silvestre
+ */
+
+import { MIGRATIONS } from "./migrations.mjs";
+
+/**
+ * Setting holding the system version the world was last migrated to
+ * @type {string}
+ */
+export const MIGRATION_VERSION_SETTING = "systemMigrationVersion";
+
+/**
+ * Document types that world compendia are migrated for
+ * @type {string[]}
+ */
+const MIGRATED_PACK_TYPES = ["Actor", "Item"];
+
+/**
+ * @typedef {object} MigrationEntry
+ * @property {Document} document - Document to update
+ * @property {object} updateData - Update data built by the pending steps
+ * @property {string[]} changes - Changed paths, embedded ones prefixed with their document name
+ */
+
+/**
+ * @typedef {object} MigrationReport
+ * @property {string} fromVersion - World migration version before migrating
+ * @property {string} toVersion - System version migrated to
+ * @property {string[]} steps - Localized labels of the pending steps
+ * @property {Array<{documentName: string, name: string, uuid: string, pack: string|null, changes: string[]}>} documents
+ * @property {string[]} errors - Documents that failed to update
+ * @property {boolean} dryRun - Whether nothing was written
+ */
+
+/* -------------------------------------------- */
+/*  Versions                                    */
+/* -------------------------------------------- */
+
+/**
+ * Get the system version the world was last migrated to
+ * @returns {string} Empty for worlds never migrated
+ */
+export function getMigrationVersion() {
+  return game.settings.get("street-fighter", MIGRATION_VERSION_SETTING);
+}
+
+/**
+ * Get the steps newer than a migration version, in order
+ * @param {string} fromVersion - World migration version, empty to get every step
+ * @returns {MigrationStep[]}
+ */
+export function getPendingMigrations(fromVersion) {
+  return MIGRATIONS.filter(step => !fromVersion || foundry.utils.isNewerVersion(step.version, fromVersion));
+}
+
+/* -------------------------------------------- */
+/*  Source Migration                            */
+/* -------------------------------------------- */
+
+/**
+ * Run one handler of every step over a document's source data
+ * Each step sees the source as updated by the steps before it
+ * @param {object} source - Document source data
+ * @param {MigrationStep[]} steps
+ * @param {string} handler - Step handler name (migrateActor, migrateItem...)
+ * @param {object} [context] - Extra argument passed to the handler
+ * @returns {object} Combined update data
+ * @private
+ */
+function _migrateSource(source, steps, handler, context) {
+  const working = foundry.utils.deepClone(source);
+  const updateData = {};
+
+  for (const step of steps) {
+    const update = step[handler]?.(working, context);
+    if (!update || foundry.utils.isEmpty(update)) continue;
+
+    const expanded = foundry.utils.expandObject(update);
+    foundry.utils.mergeObject(updateData, expanded);
+    foundry.utils.mergeObject(working, expanded, { performDeletions: true });
+  }
+
+  return updateData;
+}
+
+/**
+ * Add the update data of embedded documents that changed
+ * @param {object} updateData - Parent update data
+ * @param {string} collection - Embedded collection name (items, effects, combatants)
+ * @param {object[]} sources - Embedded source data
+ * @param {function(object): object} migrate
+ * @private
+ */
+function _migrateEmbedded(updateData, collection, sources, migrate) {
+  const updates = (sources ?? [])
+    .map(source => ({ _id: source._id, ...migrate(source) }))
+    .filter(update => Object.keys(update).length > 1);
+  if (updates.length) updateData[collection] = updates;
+}
+
+/**
+ * Build the update data migrating an active effect
+ * @param {object} source
+ * @param {MigrationStep[]} steps
+ * @returns {object}
+ */
+export function migrateEffectData(source, steps) {
+  return _migrateSource(source, steps, "migrateEffect");
+}
+
+/**
+ * Build the update data migrating an item and its effects
+ * @param {object} source
+ * @param {MigrationStep[]} steps
+ * @param {object|null} [actor] - Source data of the owning actor
+ * @returns {object}
+ */
+export function migrateItemData(source, steps, actor = null) {
+  const updateData = _migrateSource(source, steps, "migrateItem", { actor });
+  _migrateEmbedded(updateData, "effects", source.effects, effect => migrateEffectData(effect, steps));
+  return updateData;
+}
+
+/**
+ * Build the update data migrating an actor, its items and its effects
+ * @param {object} source
+ * @param {MigrationStep[]} steps
+ * @returns {object}
+ */
+export function migrateActorData(source, steps) {
+  const updateData = _migrateSource(source, steps, "migrateActor");
+  _migrateEmbedded(updateData, "items", source.items, item => migrateItemData(item, steps, source));
+  _migrateEmbedded(updateData, "effects", source.effects, effect => migrateEffectData(effect, steps));
+  return updateData;
+}
+
+/**
+ * Build the update data migrating a combat and its combatants' flags
+ * @param {object} source
+ * @param {MigrationStep[]} steps
+ * @returns {object}
+ */
+export function migrateCombatData(source, steps) {
+  const updateData = _migrateSource(source, steps, "migrateCombat");
+  _migrateEmbedded(updateData, "combatants", source.combatants, combatant => _migrateSource(combatant, steps, "migrateCombatant"));
+  return updateData;
+}
+
+/* -------------------------------------------- */
+/*  Planning                                    */
+/* -------------------------------------------- */
+
+/**
+ * List the paths an update changes, embedded ones prefixed with their document's name
+ * @param {object} updateData
+ * @param {object} source - Source data, to name embedded documents
+ * @returns {string[]}
+ * @private
+ */
+function _describeChanges(updateData, source) {
+  const changes = [];
+  for (const [key, value] of Object.entries(updateData)) {
+    if (Array.isArray(value) && value.every(update => update?._id)) {
+      for (const { _id, ...update } of value) {
+        const embedded = source[key]?.find(d => d._id === _id);
+        const name = embedded?.name || _id;
+        changes.push(..._describeChanges(update, embedded ?? {}).map(path => `${name}: ${path}`));
+      }
+    } else {
+      changes.push(...Object.keys(foundry.utils.flattenObject({ [key]: value })));
+    }
+  }
+  return changes;
+}
+
+/**
+ * Get the raw data a world document was loaded from
+ * Data models drop fields they no longer define, so removed fields only show up in the raw data
+ * @param {string} collection - World collection name (actors, items, combats)
+ * @param {Document} document
+ * @returns {object}
+ * @private
+ */
+function _getWorldSource(collection, document) {
+  const raw = game.data[collection]?.find(d => d._id === document.id);
+  return foundry.utils.deepClone(raw ?? document.toObject());
+}
+
+/**
+ * Plan a migration without writing anything
+ * Covers world actors, items and combats, and the actors and items of unlocked or locked world compendia
+ * @param {MigrationStep[]} steps
+ * @returns {Promise<MigrationEntry[]>}
+ */
+export async function planMigration(steps) {
+  const plan = [];
+  const add = (document, source, updateData) => {
+    if (foundry.utils.isEmpty(updateData)) return;
+    plan.push({ document, updateData, changes: _describeChanges(updateData, source) });
+  };
+
+  for (const actor of game.actors) {
+    const source = _getWorldSource("actors", actor);
+    add(actor, source, migrateActorData(source, steps));
+  }
+  for (const item of game.items) {
+    const source = _getWorldSource("items", item);
+    add(item, source, migrateItemData(source, steps));
+  }
+  for (const combat of game.combats) {
+    const source = _getWorldSource("combats", combat);
+    add(combat, source, migrateCombatData(source, steps));
+  }
+
+  const packs = game.packs.filter(pack =>
+    pack.metadata.packageType === "world" && MIGRATED_PACK_TYPES.includes(pack.documentName)
+  );
+  for (const pack of packs) {
+    const migrate = pack.documentName === "Actor" ? migrateActorData : migrateItemData;
+    for (const document of await pack.getDocuments()) {
+      const source = document.toObject();
+      add(document, source, migrate(source, steps));
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Build the report of a planned migration
+ * @param {MigrationStep[]} steps
+ * @param {MigrationEntry[]} plan
+ * @param {object} [options]
+ * @param {string[]} [options.errors]
+ * @param {boolean} [options.dryRun]
+ * @returns {MigrationReport}
+ */
+export function buildMigrationReport(steps, plan, { errors = [], dryRun = true } = {}) {
+  return {
+    fromVersion: getMigrationVersion(),
+    toVersion: game.system.version,
+    steps: steps.map(step => game.i18n.localize(step.label)),
+    documents: plan.map(({ document, changes }) => ({
+      documentName: document.documentName,
+      name: document.name,
+      uuid: document.uuid,
+      pack: document.pack ?? null,
+      changes,
+    })),
+    errors,
+    dryRun,
+  };
+}
+
+/* -------------------------------------------- */
+/*  Backup and Apply                            */
+/* -------------------------------------------- */
+
+/**
+ * Download a JSON backup of every document a migration is about to change
+ * @param {MigrationEntry[]} plan
+ */
+export function exportMigrationBackup(plan) {
+  const date = new Date().toISOString();
+  const backup = {
+    world: game.world.id,
+    system: game.system.id,
+    systemVersion: game.system.version,
+    migrationVersion: getMigrationVersion(),
+    date,
+    documents: plan.map(({ document }) => ({
+      documentName: document.documentName,
+      uuid: document.uuid,
+      pack: document.pack ?? null,
+      data: document.toObject(),
+    })),
+  };
+
+  const filename = `${game.world.id}-migration-backup-${date.slice(0, 10)}.json`;
+  foundry.utils.saveDataToFile(JSON.stringify(backup, null, 2), "application/json", filename);
+}
+
+/**
+ * Apply a planned migration, unlocking the compendia it touches for the duration
+ * A document that fails to update is reported and skipped
+ * @param {MigrationEntry[]} plan
+ * @param {object} [options]
+ * @param {function(number, number): void} [options.onProgress] - Called with the documents done and the total
+ * @returns {Promise<string[]>} Errors, one per failed document
+ */
+export async function applyMigration(plan, { onProgress } = {}) {
+  const errors = [];
+  const lockedPacks = [...new Set(plan.map(({ document }) => document.compendium).filter(pack => pack?.locked))];
+  for (const pack of lockedPacks) await pack.configure({ locked: false });
+
+  try {
+    for (const [index, { document, updateData }] of plan.entries()) {
+      try {
+        await document.update(updateData, { diff: false, render: false });
+      } catch (err) {
+        console.error(`Street Fighter | Failed to migrate ${document.uuid}:`, err);
+        errors.push(`${document.name} (${document.uuid}): ${err.message}`);
+      }
+      onProgress?.(index + 1, plan.length);
+    }
+  } finally {
+    for (const pack of lockedPacks) await pack.configure({ locked: true });
+  }
+
+  return errors;
+}
+
+/**
+ * Migrate the world to the current system version
+ * The world's migration version only moves forward once every document migrated
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only plan and report the migration
+ * @param {boolean} [options.backup] - Download a backup of the changed documents before writing
+ * @param {MigrationEntry[]} [options.plan] - A plan already built for the pending steps
+ * @returns {Promise<MigrationReport>}
+ */
+export async function migrateWorld({ dryRun = false, backup = true, plan = null } = {}) {
+  const i18n = game.i18n;
+  const steps = getPendingMigrations(getMigrationVersion());
+  plan ??= await planMigration(steps);
+
+  if (dryRun) return buildMigrationReport(steps, plan);
+
+  if (backup && plan.length) exportMigrationBackup(plan);
+
+  const progress = ui.notifications.info(
+    i18n.format("STREET_FIGHTER.Migration.Started", { version: game.system.version }),
+    { permanent: true, progress: true }
+  );
+  const errors = await applyMigration(plan, {
+    onProgress: (done, total) => progress.update({
+      pct: done / total,
+      message: i18n.format("STREET_FIGHTER.Migration.Progress", { done, total }),
+    }),
+  });
+  progress.update({ pct: 1 });
+
+  const report = buildMigrationReport(steps, plan, { errors, dryRun: false });
+  if (errors.length) {
+    console.warn("Street Fighter | Migration errors:", errors);
+    ui.notifications.error(i18n.format("STREET_FIGHTER.Migration.Failed", { count: errors.length }), { permanent: true });
+  } else {
+    await game.settings.set("street-fighter", MIGRATION_VERSION_SETTING, game.system.version);
+    ui.notifications.info(i18n.format("STREET_FIGHTER.Migration.Complete", { version: game.system.version }));
+  }
+
+  return report;
+}
+
+/* -------------------------------------------- */
+/*  Ready                                       */
+/* -------------------------------------------- */
+
+/**
+ * Show a migration's dry-run report and ask the GM to migrate now
+ * @param {MigrationReport} report
+ * @returns {Promise<boolean>}
+ */
+export async function promptMigration(report) {
+  const content = await foundry.applications.handlebars.renderTemplate(
+    "systems/street-fighter/templates/dialog/migration-report.hbs",
+    report
+  );
+
+  return foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("STREET_FIGHTER.Migration.Title"), icon: "fas fa-database" },
+    classes: ["street-fighter", "sf-migration-dialog"],
+    content,
+    yes: { label: game.i18n.localize("STREET_FIGHTER.Migration.BackupAndMigrate"), icon: "fas fa-download", default: true },
+    no: { label: game.i18n.localize("STREET_FIGHTER.Migration.Later"), icon: "fas fa-clock" },
+    rejectClose: false,
+  });
+}
+
+/**
+ * Check the world's migration version when the game is ready and migrate if needed
+ * Only the active GM migrates; a new world is simply stamped with the current version
+ */
+export async function runMigrations() {
+  if (!game.user.isActiveGM) return;
+
+  const currentVersion = getMigrationVersion();
+  const isNewWorld = !currentVersion && !game.actors.size && !game.items.size;
+  const steps = isNewWorld ? [] : getPendingMigrations(currentVersion);
+
+  if (!steps.length) {
+    if (currentVersion !== game.system.version) {
+      await game.settings.set("street-fighter", MIGRATION_VERSION_SETTING, game.system.version);
+    }
+    return;
+  }
+
+  const plan = await planMigration(steps);
+  if (!plan.length) {
+    await game.settings.set("street-fighter", MIGRATION_VERSION_SETTING, game.system.version);
+    return;
+  }
+
+  if (await promptMigration(buildMigrationReport(steps, plan))) {
+    await migrateWorld({ plan });
+  }
+}
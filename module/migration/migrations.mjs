@@ -0,0 +1,116 @@
+/**
+ * Street Fighter World Migrations
+ * Ordered steps bringing world data saved by older system versions up to date
+ * @author Kirlian Silvestre
+ */
+
+import { FLAG_SCOPE, getDefaultCombatFlags, getDefaultCombatantFlags } from "../combat/combat-phases.mjs";
+
+/**
+ * @typedef {object} MigrationStep
+ * Each handler receives a copy of a document's source data, already updated by the previous steps,
+ * and returns update data for it (dot-notation and "-=" deletion keys allowed), or nothing.
+ * Handlers must be safe to run again on data they already migrated.
+ * @property {string} version - System version that introduced the step
+ * @property {string} label - Localization key describing the step
+ * @property {function(object): object|void} [migrateActor] - World and compendium actors
+ * @property {function(object, {actor: object|null}): object|void} [migrateItem] - World, compendium and embedded items
+ * @property {function(object): object|void} [migrateEffect] - Active effects on actors and items
+ * @property {function(object): object|void} [migrateCombat] - Combats
+ * @property {function(object): object|void} [migrateCombatant] - Combatants of a combat
+ */
+
+/**
+ * Special maneuver fields added after the first libraries were imported
+ * @type {string[]}
+ */
+const MANEUVER_OVERRIDE_FIELDS = ["damageTraitOverride", "damageAttributeOverride", "speedTraitOverride", "movementTraitOverride"];
+
+/**
+ * Migration steps, in the order they run
+ * @type {MigrationStep[]}
+ */
+export const MIGRATIONS = [
+  {
+    version: "1.2.0",
+    label: "STREET_FIGHTER.Migration.Steps.ManeuverFields",
+    migrateItem(source) {
+      if (source.type !== "specialManeuver") return;
+      const system = source.system ?? {};
+      const update = {};
+
+      for (const field of MANEUVER_OVERRIDE_FIELDS) {
+        if (system[field] === undefined) update[`system.${field}`] = null;
+      }
+      for (const field of ["chiCost", "willpowerCost"]) {
+        if (system[field] === "" || system[field] === undefined) update[`system.${field}`] = null;
+      }
+      if (!system.positionRules) {
+        update["system.positionRules"] = { selfPosition: "", targetPosition: "", unusableAgainst: [] };
+      }
+      return update;
+    },
+  },
+  {
+    version: "1.2.0",
+    label: "STREET_FIGHTER.Migration.Steps.DataModels",
+    migrateActor(source) {
+      const system = source.system ?? {};
+      const update = {};
+
+      // Initiative and soak are derived by the data models and no longer stored
+      if ("combat" in system) update["system.-=combat"] = null;
+      if (typeof system.languages === "string") {
+        update["system.languages"] = system.languages.split(",").map(s => s.trim()).filter(s => s);
+      }
+      return update;
+    },
+    migrateItem(source) {
+      if (source.type !== "technique" || !("techniqueType" in (source.system ?? {}))) return;
+      const techniqueType = source.system.techniqueType;
+      return {
+        "system.isWeaponTechnique": techniqueType === "weapon",
+        "system.isFirearmTechnique": techniqueType === "firearm",
+        "system.-=techniqueType": null,
+      };
+    },
+  },
+  {
+    version: "1.2.0",
+    label: "STREET_FIGHTER.Migration.Steps.EffectChanges",
+    migrateEffect(source) {
+      const changes = source.changes ?? [];
+      const kept = changes.filter(change => change.key?.trim());
+      if (kept.length !== changes.length) return { changes: kept };
+    },
+  },
+  {
+    version: "1.2.0",
+    label: "STREET_FIGHTER.Migration.Steps.CombatFlags",
+    migrateCombat(source) {
+      return _fillMissingFlags(source, getDefaultCombatFlags());
+    },
+    migrateCombatant(source) {
+      return _fillMissingFlags(source, getDefaultCombatantFlags());
+    },
+  },
+];
+
+/**
+ * Add the flags a started combat or combatant is missing, with their default values
+ * Combats that never started have no system flags and are initialized when they start
+ * @param {object} source - Combat or combatant source data
+ * @param {object} defaults - Default flag values
+ * @returns {object|void}
+ * @private
+ */
+function _fillMissingFlags(source, defaults) {
+  const flags = source.flags?.[FLAG_SCOPE];
+  if (!flags) return;
+
+  const update = {};
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!(key in flags)) update[`flags.${FLAG_SCOPE}.${key}`] = value;
+  }
+  return update;
+}
@@ -14,6 +14,26 @@ import {
   prepareManeuverRollData,
 } from "../helpers/maneuver-calculator.mjs";
 import { showPlayerCharacterImportDialog } from "../helpers/character-importer.mjs";
+import { exportCharacter } from "../helpers/character-exporter.mjs";
+import { findWorldItemBySourceId, getItemSourceData } from "../helpers/utils.mjs";
+import { CREATION_COMPLETE_FLAG } from "../helpers/character-creation.mjs";
+import { CharacterCreationWizard } from "./character-creation-wizard.mjs";
+import {
+  LEDGER_STATUS,
+  PURCHASABLE_RESOURCES,
+  approvePurchase,
+  canRevertEntry,
+  findLatestTraitPurchase,
+  getAvailableExperience,
+  getIncreaseCost,
+  isLedgerEnabled,
+  purchaseManeuver,
+  purchaseResourceIncrease,
+  purchaseTraitIncrease,
+  revertPurchase,
+} from "../helpers/experience-ledger.mjs";
+import { confirmPrerequisites, evaluatePrerequisites, formatUnmetPrerequisites } from "../helpers/prerequisites.mjs";
+import { getCostContext, getPowerPointSummary, resolvePowerPointCost } from "../helpers/power-points.mjs";
 
 const { ActorSheetV2 } = foundry.applications.sheets;
 const { HandlebarsApplicationMixin } = foundry.applications.api;
@@ -50,6 +70,11 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
       deleteCombo: StreetFighterActorSheet._onDeleteCombo,
       addBasicManeuvers: StreetFighterActorSheet._onAddBasicManeuvers,
       importCharacter: StreetFighterActorSheet._onImportCharacter,
+      exportCharacter: StreetFighterActorSheet._onExportCharacter,
+      openCreationWizard: StreetFighterActorSheet._onOpenCreationWizard,
+      buyResource: StreetFighterActorSheet._onBuyResource,
+      approvePurchase: StreetFighterActorSheet._onApprovePurchase,
+      revertPurchase: StreetFighterActorSheet._onRevertPurchase,
     },
     form: {
       submitOnChange: true,
@@ -163,7 +188,7 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     const isOwner = this.actor.isOwner;
     const isGM = game.user.isGM;
     
-    if (isOwner && !isGM) {
+    if (isOwner && !isGM && this.actor.type === "fighter") {
       controls.unshift({
         icon: "fas fa-file-import",
         label: "STREET_FIGHTER.Character.importMyCharacter",
@@ -171,6 +196,27 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
         visible: true,
       });
     }
+
+    if (isOwner && this.actor.type === "fighter") {
+      controls.push({
+        icon: "fas fa-file-export",
+        label: "STREET_FIGHTER.Character.exportMyCharacter",
+        action: "exportCharacter",
+        visible: true,
+      });
+    }
+
+    // Offer the creation wizard until a manually created fighter has finished it
+    const isImported = this.actor.system.importData?.isImported;
+    const isCreated = this.actor.getFlag("street-fighter", CREATION_COMPLETE_FLAG);
+    if (isOwner && this.actor.type === "fighter" && !isImported && !isCreated) {
+      controls.unshift({
+        icon: "fas fa-hat-wizard",
+        label: "STREET_FIGHTER.Creation.Title",
+        action: "openCreationWizard",
+        visible: true,
+      });
+    }
     
     return controls;
   }
@@ -184,6 +230,7 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     context.systemData = this.actor.system;
     context.config = CONFIG.STREET_FIGHTER;
     context.isOwner = this.actor.isOwner;
+    context.isGM = game.user.isGM;
     
     // Check if character is imported (read-only) or manual (editable)
     context.isImported = this.actor.system.importData?.isImported || false;
@@ -192,6 +239,9 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     context.items = this._prepareItems(context);
     context.effects = this._prepareEffects(context);
     context.effectiveResources = this._prepareEffectiveResources();
+    context.experience = this._prepareExperience();
+    context.canEditResourceMax = !context.isImported && (game.user.isGM || !context.experience.enabled);
+    context.powerPoints = this._preparePowerPoints();
     context.tabs = this._prepareTabs(options);
 
     // Enrich HTML fields
@@ -249,6 +299,55 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     return context;
   }
 
+  /**
+   * Prepare experience totals and the purchase history, newest first
+   * @returns {object}
+   * @protected
+   */
+  _prepareExperience() {
+    const experience = this.actor.system.experience ?? {};
+    const enabled = isLedgerEnabled(this.actor);
+    const statusLabels = {
+      [LEDGER_STATUS.PENDING]: "STREET_FIGHTER.Experience.Status.pending",
+      [LEDGER_STATUS.APPROVED]: "STREET_FIGHTER.Experience.Status.approved",
+      [LEDGER_STATUS.REVERTED]: "STREET_FIGHTER.Experience.Status.reverted",
+    };
+
+    const history = (experience.history ?? []).map(entry => ({
+      ...entry,
+      dateLabel: new Date(entry.date).toLocaleDateString(game.i18n.lang),
+      statusLabel: game.i18n.localize(statusLabels[entry.status]),
+      userName: game.users.get(entry.userId)?.name ?? "",
+      canApprove: game.user.isGM && entry.status === LEDGER_STATUS.PENDING,
+      canRevert: canRevertEntry(this.actor, entry),
+    })).reverse();
+
+    const resourceCosts = {};
+    for (const resource of PURCHASABLE_RESOURCES) {
+      resourceCosts[resource] = getIncreaseCost(resource, this.actor.system.resources[resource]?.max ?? 0);
+    }
+
+    return {
+      enabled,
+      total: experience.total ?? 0,
+      spent: experience.spent ?? 0,
+      available: getAvailableExperience(this.actor),
+      history,
+      resourceCosts,
+    };
+  }
+
+  /**
+   * Prepare the power points spent on maneuvers against the fighter's total
+   * @returns {{spent: number, available: number, isOver: boolean}|null} Null for NPCs
+   * @protected
+   */
+  _preparePowerPoints() {
+    if (this.actor.type !== "fighter") return null;
+    const summary = getPowerPointSummary(this.actor);
+    return { ...summary, isOver: summary.spent > summary.available };
+  }
+
   /**
    * Prepare tab data for rendering
    * @param {object} options
@@ -353,8 +452,18 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
 
     // Calculate maneuver stats using centralized calculator (SSOT)
     const characterStats = getCharacterStatsForManeuver(this.actor);
+    const costContext = getCostContext(this.actor);
     const preparedManeuvers = specialManeuvers.map(maneuver => {
-      return calculateManeuverStats(this.actor, maneuver, { characterStats });
+      const prepared = calculateManeuverStats(this.actor, maneuver, { characterStats });
+      const powerPointCost = resolvePowerPointCost(maneuver, costContext);
+      prepared.powerPointCost = powerPointCost.cost;
+      prepared.powerPointUnavailable = !powerPointCost.available;
+      const { met, unmet } = evaluatePrerequisites(this.actor, maneuver);
+      prepared.prerequisitesUnmet = !met;
+      prepared.prerequisitesTooltip = met ? "" : game.i18n.format("STREET_FIGHTER.Prerequisite.NoLongerMet", {
+        list: formatUnmetPrerequisites(unmet)
+      });
+      return prepared;
     });
 
     return {
@@ -454,6 +563,14 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
 
     // Create the new item
     const itemData = item.toObject();
+
+    if (item.type === "specialManeuver" && !(await confirmPrerequisites(this.actor, itemData))) return false;
+
+    // Maneuvers learned after creation are paid for with experience
+    if (item.type === "specialManeuver" && isLedgerEnabled(this.actor)) {
+      return purchaseManeuver(this.actor, itemData);
+    }
+
     return this.actor.createEmbeddedDocuments("Item", [itemData]);
   }
 
@@ -527,15 +644,7 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
   static async _onIncrementTrait(event, target) {
     event.preventDefault();
     const itemId = target.closest("[data-item-id]")?.dataset.itemId;
-    const item = this.actor.items.get(itemId);
-    if (!item) return;
-
-    const maxValue = getTraitMaxValue(item.type);
-    const currentValue = item.system.value || 0;
-    
-    if (currentValue < maxValue) {
-      await item.update({ "system.value": currentValue + 1 });
-    }
+    if (itemId) await this._incrementTraitById(itemId);
   }
 
   /**
@@ -547,15 +656,7 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
   static async _onDecrementTrait(event, target) {
     event.preventDefault();
     const itemId = target.closest("[data-item-id]")?.dataset.itemId;
-    const item = this.actor.items.get(itemId);
-    if (!item) return;
-
-    const currentValue = item.system.value || 0;
-    const minValue = getTraitMinValue(item.type);
-    
-    if (currentValue > minValue) {
-      await item.update({ "system.value": currentValue - 1 });
-    }
+    if (itemId) await this._decrementTraitById(itemId);
   }
 
   /**
@@ -835,6 +936,11 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     const item = this.actor.items.get(itemId);
     if (!item) return;
 
+    if (isLedgerEnabled(this.actor)) {
+      await purchaseTraitIncrease(this.actor, item);
+      return;
+    }
+
     const maxValue = getTraitMaxValue(item.type);
     const currentValue = item.system.value || 0;
     
@@ -852,6 +958,19 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     const item = this.actor.items.get(itemId);
     if (!item) return;
 
+    // Lowering a bought trait refunds its purchase; otherwise only the GM may lower it
+    if (isLedgerEnabled(this.actor)) {
+      const purchase = findLatestTraitPurchase(this.actor, item);
+      if (purchase && canRevertEntry(this.actor, purchase)) {
+        await revertPurchase(this.actor, purchase.id);
+        return;
+      }
+      if (!game.user.isGM) {
+        ui.notifications.warn(game.i18n.format("STREET_FIGHTER.Experience.CannotLower", { name: item.name }));
+        return;
+      }
+    }
+
     const currentValue = item.system.value || 0;
     const minValue = getTraitMinValue(item.type);
     
@@ -982,14 +1101,14 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     event.preventDefault();
     
     const itemId = target.closest("[data-item-id]")?.dataset.itemId;
-    const item = this.actor.items.get(itemId);
+    const trait = this.actor.getTrait(itemId);
 
-    if (!item) return;
+    if (!trait) return;
 
     const rollData = await StreetFighterRollDialog.create(this.actor, {
-      selectedTraitId: item.id,
-      selectedTraitType: item.type,
-      rollTitle: item.name,
+      selectedTraitId: trait.id,
+      selectedTraitType: trait.type,
+      rollTitle: trait.name,
     });
 
     if (rollData) {
@@ -1056,6 +1175,12 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     
     const resourceType = target.dataset.resource;
     if (!resourceType || !["health", "chi", "willpower"].includes(resourceType)) return;
+
+    // Players buy chi and willpower through the experience ledger
+    if (PURCHASABLE_RESOURCES.includes(resourceType) && isLedgerEnabled(this.actor) && !game.user.isGM) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Experience.UseLedger"));
+      return;
+    }
     
     const currentMax = this.actor.system.resources[resourceType]?.max ?? 10;
     const resourceLabel = game.i18n.localize(`STREET_FIGHTER.Resources.${resourceType}`);
@@ -1088,6 +1213,62 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     }
   }
 
+  /**
+   * Handle opening the character creation wizard
+   * @this {StreetFighterActorSheet}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async _onOpenCreationWizard(event, target) {
+    new CharacterCreationWizard(this.actor).render({ force: true });
+  }
+
+  /**
+   * Handle buying a dot of chi or willpower with experience
+   * @this {StreetFighterActorSheet}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async _onBuyResource(event, target) {
+    event.preventDefault();
+    const resource = target.dataset.resource;
+    if (!isLedgerEnabled(this.actor)) return;
+
+    await purchaseResourceIncrease(this.actor, resource);
+  }
+
+  /**
+   * Handle the GM approving a pending experience purchase
+   * @this {StreetFighterActorSheet}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async _onApprovePurchase(event, target) {
+    event.preventDefault();
+    const entryId = target.closest("[data-entry-id]")?.dataset.entryId;
+    if (entryId) await approvePurchase(this.actor, entryId);
+  }
+
+  /**
+   * Handle reverting an experience purchase and refunding it
+   * @this {StreetFighterActorSheet}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   */
+  static async _onRevertPurchase(event, target) {
+    event.preventDefault();
+    const entryId = target.closest("[data-entry-id]")?.dataset.entryId;
+    const entry = this.actor.system.experience.history?.find(e => e.id === entryId);
+    if (!entry) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STREET_FIGHTER.Experience.Revert") },
+      content: game.i18n.format("STREET_FIGHTER.Experience.RevertConfirm", { name: entry.name, cost: entry.cost }),
+    });
+
+    if (confirmed) await revertPurchase(this.actor, entryId);
+  }
+
   /**
    * Handle editing a renown's permanent value (honor, glory)
    * @this {StreetFighterActorSheet}
@@ -1255,11 +1436,10 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
       return;
     }
     
-    // Busca os itens no diretório
-    const items = await game.items.contents;
-    const maneuvers = items.filter(i => 
-      i.type === 'specialManeuver' && maneuversToAdd.includes(i.system.sourceId)
-    );
+    // Busca os itens no diretório e nos compêndios de bibliotecas
+    const maneuvers = maneuversToAdd
+      .map(id => findWorldItemBySourceId(id, 'specialManeuver'))
+      .filter(Boolean);
     
     if (maneuvers.length === 0) {
       ui.notifications.warn(game.i18n.localize('STREET_FIGHTER.Maneuvers.basicNotFound'));
@@ -1268,7 +1448,7 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     
     // Adiciona as manobras
     try {
-      await this.actor.createEmbeddedDocuments('Item', maneuvers.map(m => m.toObject()));
+      await this.actor.createEmbeddedDocuments('Item', maneuvers.map(m => getItemSourceData(m)));
       ui.notifications.info(game.i18n.format('STREET_FIGHTER.Maneuvers.addedBasic', {
         count: maneuvers.length
       }));
@@ -1289,6 +1469,17 @@ export class StreetFighterActorSheet extends HandlebarsApplicationMixin(ActorShe
     await showPlayerCharacterImportDialog(this.actor);
   }
 
+  /**
+   * Handle exporting the character to a .fscharacters file
+   * @param {Event} event - The triggering event
+   * @param {HTMLElement} target - The target element
+   * @private
+   */
+  static async _onExportCharacter(event, target) {
+    event.preventDefault();
+    await exportCharacter(this.actor);
+  }
+
   /**
    * Open a dialog to create or edit a combo
    * @param {object|null} existingCombo - The existing combo to edit, or null for new
@@ -0,0 +1,328 @@
+/**
+ * Street Fighter Character Creation Wizard
+ * Step-by-step allocation of a new fighter's starting points
+ * @author Kirlian Silvestre
+ */
+
+import { CREATION_POINTS, FREEBIE_COSTS, getTraitMaxValue } from "../config/constants.mjs";
+import {
+  PRIORITY,
+  applyCreation,
+  confirmCreationPrerequisites,
+  createCreationState,
+  getCreationCostContext,
+  getCreationPools,
+  getCreationTraitValue,
+  validateCreation,
+} from "../helpers/character-creation.mjs";
+import { resolvePowerPointCost } from "../helpers/power-points.mjs";
+
+/**
+ * Wizard steps in order
+ * @constant {string[]}
+ */
+const STEPS = ["concept", "attributes", "abilities", "techniques", "backgrounds", "maneuvers", "freebies", "review"];
+
+/**
+ * Freebie dots that are not tied to a trait
+ * @constant {string[]}
+ */
+const FREEBIE_RESOURCES = ["chi", "willpower", "powerPoints"];
+
+/**
+ * Wizard guiding a manually created fighter through starting point allocation
+ * @extends {foundry.applications.api.ApplicationV2}
+ */
+export class CharacterCreationWizard extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  /**
+   * @param {Actor} actor - The fighter being created
+   * @param {object} options - Application options
+   */
+  constructor(actor, options = {}) {
+    super(options);
+    this.actor = actor;
+    this.state = createCreationState(actor);
+    this.step = 0;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "character-creation-wizard-{id}",
+    classes: ["street-fighter", "character-creation-wizard"],
+    tag: "form",
+    window: {
+      frame: true,
+      positioned: true,
+      title: "STREET_FIGHTER.Creation.Title",
+      icon: "fas fa-hat-wizard",
+      resizable: true
+    },
+    position: {
+      width: 560,
+      height: 640
+    },
+    form: {
+      handler: CharacterCreationWizard._onSubmitForm,
+      submitOnChange: true,
+      closeOnSubmit: false
+    },
+    actions: {
+      nextStep: CharacterCreationWizard._onNextStep,
+      previousStep: CharacterCreationWizard._onPreviousStep,
+      goToStep: CharacterCreationWizard._onGoToStep,
+      addDot: CharacterCreationWizard._onAddDot,
+      removeDot: CharacterCreationWizard._onRemoveDot,
+      finish: CharacterCreationWizard._onFinish
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    content: {
+      template: "systems/street-fighter/templates/dialog/character-creation-wizard.hbs"
+    }
+  };
+
+  /** @override */
+  get title() {
+    return game.i18n.format("STREET_FIGHTER.Creation.TitleFor", { name: this.actor.name });
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const stepId = STEPS[this.step];
+    const pools = getCreationPools(this.state).map(pool => ({
+      ...pool,
+      remaining: pool.allowed - pool.spent,
+      isOver: pool.spent > pool.allowed
+    }));
+    const errors = validateCreation(this.state, this.actor);
+
+    return {
+      step: stepId,
+      steps: STEPS.map((id, index) => ({
+        id,
+        index,
+        label: `STREET_FIGHTER.Creation.Steps.${id}`,
+        active: index === this.step
+      })),
+      isFirst: this.step === 0,
+      isLast: this.step === STEPS.length - 1,
+      state: this.state,
+      pools,
+      poolsById: Object.fromEntries(pools.map(pool => [pool.id, pool])),
+      styles: game.items.filter(i => i.type === "fightingStyle").map(i => ({ id: i.id, name: i.name })),
+      attributeGroups: this._prepareGroups("attribute", this.state.attributePriority, CREATION_POINTS.attributes),
+      abilityGroups: this._prepareGroups("ability", this.state.abilityPriority, CREATION_POINTS.abilities),
+      techniques: this._prepareTraits(t => t.type === "technique"),
+      backgrounds: this._prepareTraits(t => t.type === "background"),
+      maneuvers: this._prepareManeuvers(),
+      freebieTraits: this._prepareTraits(() => true),
+      freebieResources: FREEBIE_RESOURCES.map(id => ({
+        id,
+        label: id === "powerPoints" ? "STREET_FIGHTER.Creation.PowerPoints" : `STREET_FIGHTER.Resources.${id}`,
+        value: this.state.freebies[id],
+        cost: FREEBIE_COSTS[id === "powerPoints" ? "powerPoint" : id]
+      })),
+      abilityMax: CREATION_POINTS.abilityMax,
+      errors,
+      isValid: errors.length === 0
+    };
+  }
+
+  /**
+   * Prepare attribute or ability categories with their priority and traits
+   * @param {string} type - "attribute" or "ability"
+   * @param {Object<string, number>} priorities - Category to PRIORITY
+   * @param {number[]} points - Dots per priority
+   * @returns {object[]}
+   * @private
+   */
+  _prepareGroups(type, priorities, points) {
+    return Object.entries(priorities).map(([category, priority]) => ({
+      category,
+      label: type === "attribute"
+        ? `STREET_FIGHTER.Attributes.Categories.${category}`
+        : `STREET_FIGHTER.Trait.Categories.${category}`,
+      priority,
+      priorityOptions: Object.values(PRIORITY).map(value => ({
+        value,
+        label: game.i18n.format(`STREET_FIGHTER.Creation.Priority.${value}`, { count: points[value] }),
+        selected: value === priority
+      })),
+      traits: this._prepareTraits(t => t.type === type && t.category === category)
+    }));
+  }
+
+  /**
+   * Prepare traits for display, sorted by name
+   * @param {Function} filter - Trait filter
+   * @returns {object[]}
+   * @private
+   */
+  _prepareTraits(filter) {
+    return Object.values(this.state.traits)
+      .filter(filter)
+      .map(trait => ({
+        ...trait,
+        value: getCreationTraitValue(trait),
+        startingValue: trait.base + trait.dots,
+        max: getTraitMaxValue(trait.type),
+        freebieCost: FREEBIE_COSTS[trait.type]
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Prepare world special maneuvers priced for the chosen style and backgrounds
+   * Maneuvers the style cannot learn are listed last
+   * @returns {object[]}
+   * @private
+   */
+  _prepareManeuvers() {
+    const context = getCreationCostContext(this.state);
+    return game.items
+      .filter(i => i.type === "specialManeuver")
+      .map(i => {
+        const { available, cost } = resolvePowerPointCost(i, context);
+        return {
+          id: i.id,
+          name: i.name,
+          cost,
+          available,
+          selected: this.state.maneuverIds.includes(i.id)
+        };
+      })
+      .sort((a, b) => (b.available - a.available) || (a.cost - b.cost) || a.name.localeCompare(b.name));
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handlers                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Store the fields of the current step in the creation state
+   * @param {SubmitEvent} event
+   * @param {HTMLFormElement} form
+   * @param {FormDataExtended} formData
+   * @this {CharacterCreationWizard}
+   */
+  static async _onSubmitForm(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+
+    if (data.concept !== undefined) this.state.concept = data.concept;
+    if (data.styleId !== undefined) this.state.styleId = data.styleId || null;
+
+    for (const key of ["attributePriority", "abilityPriority"]) {
+      for (const [category, priority] of Object.entries(data[key] ?? {})) {
+        this.state[key][category] = Number(priority);
+      }
+    }
+
+    if (data.maneuvers) {
+      this.state.maneuverIds = Object.entries(data.maneuvers).filter(([, checked]) => checked).map(([id]) => id);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Handle moving to the next step
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {CharacterCreationWizard}
+   */
+  static async _onNextStep(event, target) {
+    this.step = Math.min(this.step + 1, STEPS.length - 1);
+    this.render();
+  }
+
+  /**
+   * Handle moving to the previous step
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {CharacterCreationWizard}
+   */
+  static async _onPreviousStep(event, target) {
+    this.step = Math.max(this.step - 1, 0);
+    this.render();
+  }
+
+  /**
+   * Handle jumping to a step from the step list
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {CharacterCreationWizard}
+   */
+  static async _onGoToStep(event, target) {
+    const index = Number(target.dataset.step);
+    if (Number.isInteger(index)) this.step = Math.clamp(index, 0, STEPS.length - 1);
+    this.render();
+  }
+
+  /**
+   * Handle adding a starting or freebie dot
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {CharacterCreationWizard}
+   */
+  static async _onAddDot(event, target) {
+    this._changeDots(target, 1);
+  }
+
+  /**
+   * Handle removing a starting or freebie dot
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {CharacterCreationWizard}
+   */
+  static async _onRemoveDot(event, target) {
+    this._changeDots(target, -1);
+  }
+
+  /**
+   * Change the dots of a trait or freebie resource
+   * @param {HTMLElement} target - Control with data-key or data-resource, and data-pool
+   * @param {number} delta - +1 or -1
+   * @private
+   */
+  _changeDots(target, delta) {
+    const { key, resource, pool } = target.dataset;
+
+    if (resource) {
+      this.state.freebies[resource] = Math.max(0, this.state.freebies[resource] + delta);
+    } else {
+      const trait = this.state.traits[key];
+      const field = pool === "freebies" ? "freebies" : "dots";
+      if (!trait) return;
+      if (delta > 0 && getCreationTraitValue(trait) >= getTraitMaxValue(trait.type)) return;
+      trait[field] = Math.max(0, trait[field] + delta);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Handle finishing the wizard
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {CharacterCreationWizard}
+   */
+  static async _onFinish(event, target) {
+    const errors = validateCreation(this.state, this.actor);
+    if (errors.length) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Creation.Invalid"));
+      this.step = STEPS.indexOf("review");
+      this.render();
+      return;
+    }
+
+    if (!(await confirmCreationPrerequisites(this.actor, this.state))) return;
+
+    await applyCreation(this.actor, this.state);
+    ui.notifications.info(game.i18n.format("STREET_FIGHTER.Creation.Complete", { name: this.actor.name }));
+    this.close();
+  }
+}
@@ -122,6 +122,14 @@ export class StreetFighterItemSheet extends HandlebarsApplicationMixin(ItemSheet
     
     const formData = new foundry.applications.ux.FormDataExtended(form);
     const data = foundry.utils.expandObject(formData.object);
+
+    // Convert the techniqueType select to the technique's weapon and firearm flags
+    if (data.system?.techniqueType !== undefined) {
+      const techniqueType = data.system.techniqueType;
+      data.system.isWeaponTechnique = techniqueType === "weapon";
+      data.system.isFirearmTechnique = techniqueType === "firearm";
+      delete data.system.techniqueType;
+    }
     
     await this.document.update(data);
   }
@@ -353,6 +361,12 @@ export class StreetFighterItemSheet extends HandlebarsApplicationMixin(ItemSheet
       .map((i) => ({ id: i.system.sourceId || i.id, name: i.name }))
       .sort((a, b) => a.name.localeCompare(b.name));
 
+    // Position states for the position rules (a maneuver is always usable against a standing target)
+    context.positionStates = CONFIG.STREET_FIGHTER.positionStates;
+    context.targetPositionStates = Object.fromEntries(
+      Object.entries(context.positionStates).filter(([state]) => state !== "standing")
+    );
+
     // Parse current stylePowerPointCosts and backgroundPowerPointCosts for display
     const styleCosts = context.systemData.stylePowerPointCosts || {};
     context.styleCostEntries = Object.entries(styleCosts).map(([styleId, cost]) => {
@@ -0,0 +1,94 @@
+/**
+ * Street Fighter NPC Sheet
+ * Streamlined sheet for mooks: flat ratings, a short maneuver list and health
+ * @author Kirlian Silvestre
+ * @extends {StreetFighterActorSheet}
+ */
+
+import { StreetFighterActorSheet } from "./actor-sheet.mjs";
+import { getTraitMaxValue, getTraitMinValue } from "../config/constants.mjs";
+import { getEffectiveTraitValue } from "../helpers/effect-helpers.mjs";
+import { confirmPrerequisites } from "../helpers/prerequisites.mjs";
+
+export class StreetFighterNpcSheet extends StreetFighterActorSheet {
+  /** @inheritDoc */
+  static DEFAULT_OPTIONS = {
+    classes: ["npc"],
+    position: {
+      width: 600,
+      height: 560,
+    },
+  };
+
+  /** @inheritDoc */
+  static PARTS = {
+    form: {
+      template: "systems/street-fighter/templates/actor/actor-npc-sheet.hbs",
+    },
+  };
+
+  /** @inheritDoc */
+  static TABS = {
+    primary: {
+      stats: { id: "stats", group: "primary", label: "STREET_FIGHTER.Tabs.stats" },
+      maneuvers: { id: "maneuvers", group: "primary", label: "STREET_FIGHTER.Tabs.maneuvers" },
+      biography: { id: "biography", group: "primary", label: "STREET_FIGHTER.Tabs.biography" },
+    },
+  };
+
+  /** @inheritDoc */
+  tabGroups = {
+    primary: "stats",
+  };
+
+  /** @inheritDoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    const traits = this.actor.getTraits().map(trait => {
+      const effective = getEffectiveTraitValue(this.actor, trait.sourceId, trait.value);
+      return {
+        ...trait,
+        baseValue: trait.value,
+        effectiveValue: effective.value,
+        hasModifiers: effective.hasModifiers,
+      };
+    });
+
+    context.npcAttributes = traits.filter(t => t.type === "attribute");
+    context.npcTechniques = traits.filter(t => t.type === "technique");
+    context.attributeMin = getTraitMinValue("attribute");
+    context.attributeMax = getTraitMaxValue("attribute");
+    context.techniqueMin = getTraitMinValue("technique");
+    context.techniqueMax = getTraitMaxValue("technique");
+    context.aggressionProfiles = CONFIG.STREET_FIGHTER.aggressionProfiles;
+
+    return context;
+  }
+
+  /**
+   * NPC ratings are edited inline, so trait rows get no context menu
+   * @param {HTMLElement} html - The rendered HTML
+   * @private
+   */
+  _setupTraitContextMenu(html) {}
+
+  /** @inheritDoc */
+  async _onDropItem(event, data) {
+    if (!this.isEditable) return false;
+
+    const item = await Item.implementation.fromDropData(data);
+    if (!item) return false;
+
+    // NPCs keep their ratings on the actor; only maneuvers can be added
+    if (item.type !== "specialManeuver") {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Npc.onlyManeuvers"));
+      return false;
+    }
+
+    const itemData = item.toObject();
+    if (!(await confirmPrerequisites(this.actor, itemData))) return false;
+
+    return this.actor.createEmbeddedDocuments("Item", [itemData]);
+  }
+}
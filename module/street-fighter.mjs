@@ -11,19 +11,28 @@ import { registerHandlebarsHelpers } from "./helpers/handlebars-helpers.mjs";
 
 import { StreetFighterActor } from "./documents/actor.mjs";
 import { StreetFighterItem } from "./documents/item.mjs";
+import { registerDataModels } from "./data/index.mjs";
 
 import { StreetFighterActorSheet } from "./sheets/actor-sheet.mjs";
+import { StreetFighterNpcSheet } from "./sheets/npc-sheet.mjs";
 import { StreetFighterItemSheet } from "./sheets/item-sheet.mjs";
 
 import { StreetFighterCombat } from "./combat/combat.mjs";
 import { StreetFighterCombatant } from "./combat/combatant.mjs";
 import { StreetFighterCombatTracker } from "./combat/combat-tracker.mjs";
 import { registerCombatSockets } from "./combat/combat-socket.mjs";
+import { registerCombatLogHooks, exportCombatLog } from "./combat/combat-log.mjs";
+import { FighterBrain, autoSelectForNPCs } from "./combat/fighter-brain.mjs";
 
 import { registerEffects } from "./effects/index.mjs";
+import { registerTournamentHooks, showTournamentManager } from "./tournament/index.mjs";
+import { runMigrations, migrateWorld } from "./migration/index.mjs";
 
 import { showImportDialog } from "./helpers/library-importer.mjs";
 import { showCharacterImportDialog } from "./helpers/character-importer.mjs";
+import { showLibraryExportDialog, exportLibrary } from "./helpers/library-exporter.mjs";
+import { registerLibraryPackHooks, loadLibraryPackItems } from "./helpers/library-packs.mjs";
+import { showCharacterExportDialog, exportCharacters } from "./helpers/character-exporter.mjs";
 import { executeRoll } from "./dice/roll-dialog.mjs";
 import { createImportButton, canInteractWithChatMessage } from "./helpers/utils.mjs";
 import { DIFFICULTY } from "./config/constants.mjs";
@@ -37,9 +46,18 @@ Hooks.once("init", async () => {
     config: STREET_FIGHTER,
     showImportDialog,
     showCharacterImportDialog,
+    showLibraryExportDialog,
+    showCharacterExportDialog,
+    exportLibrary,
+    exportCharacters,
+    showTournamentManager,
+    exportCombatLog,
+    autoSelectForNPCs,
+    migrateWorld,
   };
 
   CONFIG.STREET_FIGHTER = STREET_FIGHTER;
+  CONFIG.STREET_FIGHTER.fighterBrain = FighterBrain;
 
   CONFIG.Actor.typeLabels = STREET_FIGHTER.actorTypes;
   CONFIG.Item.typeLabels = STREET_FIGHTER.itemTypes;
@@ -49,6 +67,8 @@ Hooks.once("init", async () => {
   CONFIG.Combat.documentClass = StreetFighterCombat;
   CONFIG.Combatant.documentClass = StreetFighterCombatant;
 
+  registerDataModels();
+
   CONFIG.ui.combat = StreetFighterCombatTracker;
 
   registerEffects();
@@ -60,6 +80,12 @@ Hooks.once("init", async () => {
     label: "STREET_FIGHTER.SheetLabels.Actor",
   });
 
+  foundry.documents.collections.Actors.registerSheet("street-fighter", StreetFighterNpcSheet, {
+    types: ["npc"],
+    makeDefault: true,
+    label: "STREET_FIGHTER.SheetLabels.Npc",
+  });
+
   foundry.documents.collections.Items.registerSheet("street-fighter", StreetFighterItemSheet, {
     makeDefault: true,
     label: "STREET_FIGHTER.SheetLabels.Item",
@@ -71,10 +97,17 @@ Hooks.once("init", async () => {
   await preloadHandlebarsTemplates();
 });
 
-Hooks.once("ready", () => {
+Hooks.once("ready", async () => {
   console.log("Street Fighter | System Ready");
 
   registerCombatSockets();
+  registerCombatLogHooks();
+  registerTournamentHooks();
+  registerLibraryPackHooks();
+
+  await loadLibraryPackItems();
+
+  await runMigrations();
 });
 
 // Global click handler for chat message accordions
@@ -113,9 +146,16 @@ Hooks.on("renderItemDirectory", (app, html, data) => {
     () => game.streetfighter.showImportDialog()
   );
 
+  const exportButton = createImportButton(
+    "sf-export-library",
+    "STREET_FIGHTER.Library.export",
+    "fas fa-file-export",
+    () => game.streetfighter.showLibraryExportDialog()
+  );
+
   const actionButtons = html.querySelector(".directory-header .action-buttons");
   if (actionButtons) {
-    actionButtons.prepend(button);
+    actionButtons.prepend(button, exportButton);
   }
 });
 
@@ -129,9 +169,23 @@ Hooks.on("renderActorDirectory", (app, html, data) => {
     () => game.streetfighter.showCharacterImportDialog()
   );
 
+  const exportButton = createImportButton(
+    "sf-export-characters",
+    "STREET_FIGHTER.Character.export",
+    "fas fa-file-export",
+    () => game.streetfighter.showCharacterExportDialog()
+  );
+
+  const tournamentButton = createImportButton(
+    "sf-tournaments",
+    "STREET_FIGHTER.Tournament.Title",
+    "fas fa-trophy",
+    () => game.streetfighter.showTournamentManager()
+  );
+
   const actionButtons = html.querySelector(".directory-header .action-buttons");
   if (actionButtons) {
-    actionButtons.prepend(button);
+    actionButtons.prepend(button, exportButton, tournamentButton);
   }
 });
 
@@ -225,11 +279,14 @@ Hooks.on("renderChatMessageHTML", (message, html, data) => {
     // Parse modifiers from JSON
     let fixedModifiers = [];
     let effectModifiers = [];
+    let targetDefense = null;
     try {
       const fixedModifiersStr = card.dataset.fixedModifiers;
       const effectModifiersStr = card.dataset.effectModifiers;
+      const targetDefenseStr = card.dataset.targetDefense;
       if (fixedModifiersStr) fixedModifiers = JSON.parse(fixedModifiersStr);
       if (effectModifiersStr) effectModifiers = JSON.parse(effectModifiersStr);
+      if (targetDefenseStr) targetDefense = JSON.parse(targetDefenseStr);
     } catch (e) {
       console.warn("Street Fighter | Failed to parse modifiers for reroll", e);
     }
@@ -253,6 +310,7 @@ Hooks.on("renderChatMessageHTML", (message, html, data) => {
       targetTokenId,
       targetActorId,
       targetName,
+      targetDefense,
       isDamageRoll,
     };
 
@@ -0,0 +1,23 @@
+/**
+ * Street Fighter Tournament Module
+ * Exports tournament brackets, match handling and the manager application
+ * @author Kirlian Silvestre
+ */
+
+export * from "./tournament-bracket.mjs";
+export {
+  TOURNAMENTS_SETTING,
+  TOURNAMENT_FLAG,
+  MATCH_OUTCOME,
+  getTournaments,
+  getTournament,
+  addTournament,
+  deleteTournament,
+  getCombatTournamentMatch,
+  startTournamentMatch,
+  concludeTournamentMatch,
+  recordDivisionResult,
+  promptMatchResult,
+  registerTournamentHooks
+} from "./tournament.mjs";
+export { TournamentManager, showTournamentManager } from "./tournament-manager.mjs";
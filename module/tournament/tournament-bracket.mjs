@@ -0,0 +1,365 @@
+/**
+ * Street Fighter Tournament Brackets
+ * Pure seeding and advancement logic for tournament brackets
+ * @author Kirlian Silvestre
+ */
+
+/**
+ * Tournament formats
+ * @enum {string}
+ */
+export const TOURNAMENT_FORMAT = Object.freeze({
+  SINGLE_ELIMINATION: "singleElimination",
+  ROUND_ROBIN: "roundRobin"
+});
+
+/**
+ * Tournament status values
+ * @enum {string}
+ */
+export const TOURNAMENT_STATUS = Object.freeze({
+  IN_PROGRESS: "inProgress",
+  COMPLETED: "completed"
+});
+
+/**
+ * Match status values
+ * @enum {string}
+ */
+export const MATCH_STATUS = Object.freeze({
+  PENDING: "pending",
+  ACTIVE: "active",
+  COMPLETED: "completed",
+  BYE: "bye"
+});
+
+/**
+ * Standing points awarded per match outcome (round-robin)
+ * @constant {object}
+ */
+export const STANDING_POINTS = Object.freeze({
+  win: 2,
+  draw: 1,
+  loss: 0
+});
+
+/**
+ * @typedef {object} TournamentMatch
+ * @property {string} id - Match ID, unique within the tournament
+ * @property {number} round - Round number (1-based)
+ * @property {number} slot - Position of the match within its round
+ * @property {string|null} fighterA - Actor ID of the first fighter
+ * @property {string|null} fighterB - Actor ID of the second fighter
+ * @property {string} status - Match status from MATCH_STATUS
+ * @property {string|null} combatId - Combat running the match
+ * @property {string|null} winner - Actor ID of the winner
+ * @property {boolean} isDraw - Whether the match ended in a draw
+ * @property {boolean} knockout - Whether the winner won by knockout
+ */
+
+/**
+ * @typedef {object} Tournament
+ * @property {string} id - Tournament ID
+ * @property {string} name - Display name
+ * @property {string} divisionId - sourceId of the division the tournament counts for
+ * @property {string} format - Format from TOURNAMENT_FORMAT
+ * @property {string[]} fighters - Actor IDs in seeding order
+ * @property {TournamentMatch[]} matches - All matches of the bracket
+ * @property {string} status - Status from TOURNAMENT_STATUS
+ * @property {string|null} champion - Actor ID of the winner once completed
+ */
+
+/**
+ * Create a tournament and seed its bracket
+ * @param {object} params
+ * @param {string} params.id - Tournament ID
+ * @param {string} params.name - Display name
+ * @param {string} params.divisionId - Division sourceId
+ * @param {string} params.format - Format from TOURNAMENT_FORMAT
+ * @param {string[]} params.fighters - Actor IDs in seeding order
+ * @returns {Tournament}
+ */
+export function createTournament({ id, name, divisionId, format, fighters }) {
+  const matches = format === TOURNAMENT_FORMAT.ROUND_ROBIN
+    ? seedRoundRobin(fighters)
+    : seedSingleElimination(fighters);
+
+  const tournament = {
+    id,
+    name,
+    divisionId,
+    format,
+    fighters: [...fighters],
+    matches,
+    status: TOURNAMENT_STATUS.IN_PROGRESS,
+    champion: null
+  };
+
+  return _updateTournamentStatus(tournament);
+}
+
+/**
+ * Create an empty match
+ * @param {number} round
+ * @param {number} slot
+ * @param {string|null} fighterA
+ * @param {string|null} fighterB
+ * @returns {TournamentMatch}
+ * @private
+ */
+function _createMatch(round, slot, fighterA = null, fighterB = null) {
+  return {
+    id: `r${round}m${slot}`,
+    round,
+    slot,
+    fighterA,
+    fighterB,
+    status: MATCH_STATUS.PENDING,
+    combatId: null,
+    winner: null,
+    isDraw: false,
+    knockout: false
+  };
+}
+
+/**
+ * Get the standard seed order for a bracket so top seeds meet last
+ * @param {number} size - Bracket size (power of two)
+ * @returns {number[]} Seed indexes in bracket position order
+ * @private
+ */
+function _getSeedOrder(size) {
+  let order = [0];
+  while (order.length < size) {
+    const count = order.length * 2;
+    order = order.flatMap(seed => [seed, count - 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Seed a single-elimination bracket
+ * Missing seeds become byes that advance their opponent automatically
+ * @param {string[]} fighters - Actor IDs in seeding order
+ * @returns {TournamentMatch[]}
+ */
+export function seedSingleElimination(fighters) {
+  if (fighters.length < 2) return [];
+
+  let size = 2;
+  while (size < fighters.length) size *= 2;
+
+  const rounds = Math.log2(size);
+  const order = _getSeedOrder(size);
+  const matches = [];
+
+  for (let slot = 0; slot < size / 2; slot++) {
+    matches.push(_createMatch(1, slot, fighters[order[slot * 2]] ?? null, fighters[order[slot * 2 + 1]] ?? null));
+  }
+
+  for (let round = 2; round <= rounds; round++) {
+    const count = size / 2 ** round;
+    for (let slot = 0; slot < count; slot++) {
+      matches.push(_createMatch(round, slot));
+    }
+  }
+
+  // Byes advance straight to the next round
+  for (const match of matches.filter(m => m.round === 1)) {
+    if (!match.fighterA || !match.fighterB) {
+      match.status = MATCH_STATUS.BYE;
+      match.winner = match.fighterA ?? match.fighterB;
+      _advanceWinner(matches, match);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Seed a round-robin schedule using the circle method
+ * @param {string[]} fighters - Actor IDs
+ * @returns {TournamentMatch[]}
+ */
+export function seedRoundRobin(fighters) {
+  if (fighters.length < 2) return [];
+
+  const pool = fighters.length % 2 ? [...fighters, null] : [...fighters];
+  const rounds = pool.length - 1;
+  const matches = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    let slot = 0;
+    for (let i = 0; i < pool.length / 2; i++) {
+      const fighterA = pool[i];
+      const fighterB = pool[pool.length - 1 - i];
+      if (fighterA && fighterB) {
+        matches.push(_createMatch(round, slot++, fighterA, fighterB));
+      }
+    }
+
+    // Rotate every fighter but the first
+    pool.splice(1, 0, pool.pop());
+  }
+
+  return matches;
+}
+
+/**
+ * Move the winner of a single-elimination match into the next round
+ * @param {TournamentMatch[]} matches
+ * @param {TournamentMatch} match - The decided match
+ * @private
+ */
+function _advanceWinner(matches, match) {
+  const next = matches.find(m => m.round === match.round + 1 && m.slot === Math.floor(match.slot / 2));
+  if (!next) return;
+
+  if (match.slot % 2 === 0) {
+    next.fighterA = match.winner;
+  } else {
+    next.fighterB = match.winner;
+  }
+}
+
+/**
+ * Get a match by ID
+ * @param {Tournament} tournament
+ * @param {string} matchId
+ * @returns {TournamentMatch|null}
+ */
+export function getMatch(tournament, matchId) {
+  return tournament.matches.find(m => m.id === matchId) ?? null;
+}
+
+/**
+ * Check if a match can be fought now
+ * @param {TournamentMatch} match
+ * @returns {boolean}
+ */
+export function isMatchPlayable(match) {
+  return match.status === MATCH_STATUS.PENDING && !!match.fighterA && !!match.fighterB;
+}
+
+/**
+ * Check if a tournament allows draws
+ * @param {Tournament} tournament
+ * @returns {boolean}
+ */
+export function allowsDraws(tournament) {
+  return tournament.format === TOURNAMENT_FORMAT.ROUND_ROBIN;
+}
+
+/**
+ * Mark a match as being fought in a combat
+ * @param {Tournament} tournament
+ * @param {string} matchId
+ * @param {string} combatId
+ * @returns {Tournament} Updated copy of the tournament
+ */
+export function startMatch(tournament, matchId, combatId) {
+  const updated = structuredClone(tournament);
+  const match = getMatch(updated, matchId);
+  if (!match) return updated;
+
+  match.status = MATCH_STATUS.ACTIVE;
+  match.combatId = combatId;
+  return updated;
+}
+
+/**
+ * Record the result of a match and advance the bracket
+ * @param {Tournament} tournament
+ * @param {string} matchId
+ * @param {object} result
+ * @param {string|null} result.winner - Actor ID of the winner (null for a draw)
+ * @param {boolean} [result.knockout] - Whether the winner won by knockout
+ * @returns {Tournament} Updated copy of the tournament
+ */
+export function recordMatchResult(tournament, matchId, { winner, knockout = false }) {
+  const updated = structuredClone(tournament);
+  const match = getMatch(updated, matchId);
+  if (!match) return updated;
+
+  match.status = MATCH_STATUS.COMPLETED;
+  match.winner = winner ?? null;
+  match.isDraw = !winner;
+  match.knockout = !!winner && knockout;
+
+  if (updated.format === TOURNAMENT_FORMAT.SINGLE_ELIMINATION && winner) {
+    _advanceWinner(updated.matches, match);
+  }
+
+  return _updateTournamentStatus(updated);
+}
+
+/**
+ * Get the loser of a decided match
+ * @param {TournamentMatch} match
+ * @returns {string|null}
+ */
+export function getMatchLoser(match) {
+  if (!match.winner || match.isDraw) return null;
+  return match.winner === match.fighterA ? match.fighterB : match.fighterA;
+}
+
+/**
+ * Compute round-robin style standings (also meaningful for elimination brackets)
+ * @param {Tournament} tournament
+ * @returns {Array<{actorId: string, wins: number, draws: number, losses: number, knockouts: number, points: number}>}
+ */
+export function getStandings(tournament) {
+  const table = new Map(tournament.fighters.map(actorId => [actorId, {
+    actorId, wins: 0, draws: 0, losses: 0, knockouts: 0, points: 0
+  }]));
+
+  for (const match of tournament.matches) {
+    if (match.status !== MATCH_STATUS.COMPLETED) continue;
+
+    const a = table.get(match.fighterA);
+    const b = table.get(match.fighterB);
+    if (!a || !b) continue;
+
+    if (match.isDraw) {
+      a.draws++;
+      b.draws++;
+      continue;
+    }
+
+    const winner = match.winner === match.fighterA ? a : b;
+    const loser = winner === a ? b : a;
+    winner.wins++;
+    loser.losses++;
+    if (match.knockout) winner.knockouts++;
+  }
+
+  const standings = [...table.values()];
+  for (const entry of standings) {
+    entry.points = entry.wins * STANDING_POINTS.win + entry.draws * STANDING_POINTS.draw + entry.losses * STANDING_POINTS.loss;
+  }
+
+  return standings.sort((a, b) => b.points - a.points || b.knockouts - a.knockouts);
+}
+
+/**
+ * Update the tournament status and champion once every match is decided
+ * @param {Tournament} tournament
+ * @returns {Tournament}
+ * @private
+ */
+function _updateTournamentStatus(tournament) {
+  const decided = tournament.matches.every(m => m.status === MATCH_STATUS.COMPLETED || m.status === MATCH_STATUS.BYE);
+  if (!decided || !tournament.matches.length) return tournament;
+
+  tournament.status = TOURNAMENT_STATUS.COMPLETED;
+
+  if (tournament.format === TOURNAMENT_FORMAT.SINGLE_ELIMINATION) {
+    const lastRound = Math.max(...tournament.matches.map(m => m.round));
+    tournament.champion = tournament.matches.find(m => m.round === lastRound)?.winner ?? null;
+  } else {
+    const [leader, runnerUp] = getStandings(tournament);
+    tournament.champion = (leader && (!runnerUp || leader.points > runnerUp.points)) ? leader.actorId : null;
+  }
+
+  return tournament;
+}
@@ -0,0 +1,276 @@
+/**
+ * Street Fighter Tournament Manager
+ * Lists tournaments, their brackets and standings, and launches matches
+ * @author Kirlian Silvestre
+ */
+
+import {
+  MATCH_STATUS,
+  TOURNAMENT_FORMAT,
+  TOURNAMENT_STATUS,
+  getMatch,
+  getStandings,
+  isMatchPlayable,
+} from "./tournament-bracket.mjs";
+import {
+  addTournament,
+  concludeTournamentMatch,
+  deleteTournament,
+  getTournament,
+  getTournaments,
+  promptMatchResult,
+  startTournamentMatch,
+} from "./tournament.mjs";
+
+/**
+ * Application managing tournaments and their brackets
+ * @extends {foundry.applications.api.ApplicationV2}
+ */
+export class TournamentManager extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "sf-tournament-manager",
+    classes: ["street-fighter", "tournament-manager"],
+    window: {
+      frame: true,
+      positioned: true,
+      title: "STREET_FIGHTER.Tournament.Title",
+      icon: "fas fa-trophy",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 640,
+      height: 600
+    },
+    actions: {
+      createTournament: TournamentManager._onCreateTournament,
+      deleteTournament: TournamentManager._onDeleteTournament,
+      startMatch: TournamentManager._onStartMatch,
+      recordResult: TournamentManager._onRecordResult,
+      viewCombat: TournamentManager._onViewCombat
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    content: {
+      template: "systems/street-fighter/templates/tournament/tournament-manager.hbs"
+    }
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const tournaments = getTournaments().map(tournament => this._prepareTournament(tournament));
+
+    return {
+      tournaments,
+      hasTournaments: tournaments.length > 0
+    };
+  }
+
+  /**
+   * Prepare a tournament for display
+   * @param {Tournament} tournament
+   * @returns {object}
+   * @private
+   */
+  _prepareTournament(tournament) {
+    const actorName = id => game.actors.get(id)?.name ?? game.i18n.localize("STREET_FIGHTER.Tournament.Tbd");
+    const division = game.items.find(i => i.type === "division" && i.system.sourceId === tournament.divisionId);
+    const isRoundRobin = tournament.format === TOURNAMENT_FORMAT.ROUND_ROBIN;
+
+    const rounds = new Map();
+    for (const match of tournament.matches) {
+      if (!rounds.has(match.round)) rounds.set(match.round, []);
+      rounds.get(match.round).push({
+        ...match,
+        fighterAName: match.fighterA ? actorName(match.fighterA) : game.i18n.localize("STREET_FIGHTER.Tournament.Tbd"),
+        fighterBName: match.fighterB ? actorName(match.fighterB) : game.i18n.localize("STREET_FIGHTER.Tournament.Tbd"),
+        winnerName: match.winner ? actorName(match.winner) : null,
+        isPlayable: isMatchPlayable(match),
+        isActive: match.status === MATCH_STATUS.ACTIVE,
+        isBye: match.status === MATCH_STATUS.BYE,
+        isCompleted: match.status === MATCH_STATUS.COMPLETED,
+        hasCombat: !!game.combats.get(match.combatId)
+      });
+    }
+
+    return {
+      ...tournament,
+      divisionName: division?.name ?? tournament.divisionId,
+      formatLabel: game.i18n.localize(`STREET_FIGHTER.Tournament.Formats.${tournament.format}`),
+      isCompleted: tournament.status === TOURNAMENT_STATUS.COMPLETED,
+      championName: tournament.champion ? actorName(tournament.champion) : null,
+      rounds: [...rounds.entries()].map(([round, matches]) => ({ round, matches })),
+      standings: isRoundRobin
+        ? getStandings(tournament).map(entry => ({ ...entry, name: actorName(entry.actorId) }))
+        : null
+    };
+  }
+
+  /**
+   * Show the new tournament form and return its data
+   * @returns {Promise<object|null>}
+   * @private
+   */
+  async _promptNewTournament() {
+    const divisions = game.items.filter(i => i.type === "division");
+    const fighters = game.actors.filter(a => a.type === "fighter").sort((a, b) => a.name.localeCompare(b.name));
+
+    if (!divisions.length) {
+      ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Tournament.NoDivisions"));
+      return null;
+    }
+
+    const divisionOptions = divisions
+      .map(d => `<option value="${d.system.sourceId}">${d.name}</option>`)
+      .join("");
+    const formatOptions = Object.values(TOURNAMENT_FORMAT)
+      .map(f => `<option value="${f}">${game.i18n.localize(`STREET_FIGHTER.Tournament.Formats.${f}`)}</option>`)
+      .join("");
+    const fighterOptions = fighters
+      .map(a => `<label class="sf-tournament-fighter-option"><input type="checkbox" name="fighters" value="${a.id}" /> ${a.name}</label>`)
+      .join("");
+
+    const content = `
+      <div class="form-group">
+        <label>${game.i18n.localize("STREET_FIGHTER.Common.name")}</label>
+        <input type="text" name="name" value="${game.i18n.localize("STREET_FIGHTER.Tournament.DefaultName")}" />
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("STREET_FIGHTER.Item.Types.division")}</label>
+        <select name="divisionId">${divisionOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("STREET_FIGHTER.Tournament.Format")}</label>
+        <select name="format">${formatOptions}</select>
+      </div>
+      <p class="hint">${game.i18n.localize("STREET_FIGHTER.Tournament.SeedingHint")}</p>
+      <div class="sf-tournament-fighter-options">${fighterOptions}</div>
+    `;
+
+    return foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize("STREET_FIGHTER.Tournament.Create"), icon: "fas fa-trophy" },
+      content,
+      ok: {
+        label: game.i18n.localize("STREET_FIGHTER.Tournament.Create"),
+        callback: (event, button) => {
+          const form = button.form;
+          return {
+            name: form.elements.name.value.trim(),
+            divisionId: form.elements.divisionId.value,
+            format: form.elements.format.value,
+            fighters: [...form.querySelectorAll('input[name="fighters"]:checked')].map(input => input.value)
+          };
+        }
+      },
+      rejectClose: false
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handlers                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Handle creating a new tournament
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {TournamentManager}
+   */
+  static async _onCreateTournament(event, target) {
+    event.preventDefault();
+
+    const data = await this._promptNewTournament();
+    if (!data) return;
+
+    await addTournament(data);
+    this.render();
+  }
+
+  /**
+   * Handle deleting a tournament
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {TournamentManager}
+   */
+  static async _onDeleteTournament(event, target) {
+    event.preventDefault();
+    const tournamentId = target.closest("[data-tournament-id]")?.dataset.tournamentId;
+    const tournament = getTournament(tournamentId);
+    if (!tournament) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STREET_FIGHTER.Tournament.Delete") },
+      content: game.i18n.format("STREET_FIGHTER.Tournament.DeleteConfirm", { name: tournament.name })
+    });
+
+    if (confirmed) {
+      await deleteTournament(tournamentId);
+      this.render();
+    }
+  }
+
+  /**
+   * Handle launching the combat for a match
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {TournamentManager}
+   */
+  static async _onStartMatch(event, target) {
+    event.preventDefault();
+    const tournamentId = target.closest("[data-tournament-id]")?.dataset.tournamentId;
+    const matchId = target.closest("[data-match-id]")?.dataset.matchId;
+
+    await startTournamentMatch(tournamentId, matchId);
+    this.render();
+  }
+
+  /**
+   * Handle recording a match result by hand
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {TournamentManager}
+   */
+  static async _onRecordResult(event, target) {
+    event.preventDefault();
+    const tournamentId = target.closest("[data-tournament-id]")?.dataset.tournamentId;
+    const matchId = target.closest("[data-match-id]")?.dataset.matchId;
+    const tournament = getTournament(tournamentId);
+    const match = tournament ? getMatch(tournament, matchId) : null;
+    if (!match) return;
+
+    const result = await promptMatchResult(tournament, match);
+    if (!result) return;
+
+    await concludeTournamentMatch(tournamentId, matchId, result);
+    this.render();
+  }
+
+  /**
+   * Handle switching the tracker to a match's combat
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @this {TournamentManager}
+   */
+  static async _onViewCombat(event, target) {
+    event.preventDefault();
+    const combatId = target.closest("[data-combat-id]")?.dataset.combatId;
+    const combat = game.combats.get(combatId);
+    if (combat) await combat.activate();
+  }
+}
+
+/**
+ * Open the tournament manager, reusing the open window if there is one
+ * @returns {TournamentManager}
+ */
+export function showTournamentManager() {
+  const existing = foundry.applications.instances.get(TournamentManager.DEFAULT_OPTIONS.id);
+  const manager = existing ?? new TournamentManager();
+  manager.render({ force: true });
+  return manager;
+}
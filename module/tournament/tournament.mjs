@@ -0,0 +1,453 @@
+/**
+ * Street Fighter Tournaments
+ * Persists tournaments, runs their matches as combats and writes results back to division records
+ * @author Kirlian Silvestre
+ */
+
+import { FLAG_SCOPE, SF_HOOKS } from "../combat/combat-phases.mjs";
+import { findWorldItemBySourceId, getItemSourceData } from "../helpers/utils.mjs";
+import {
+  MATCH_STATUS,
+  TOURNAMENT_STATUS,
+  allowsDraws,
+  createTournament,
+  getMatch,
+  getMatchLoser,
+  isMatchPlayable,
+  recordMatchResult,
+  startMatch,
+} from "./tournament-bracket.mjs";
+
+/**
+ * World setting that stores every tournament, keyed by ID
+ * @constant {string}
+ */
+export const TOURNAMENTS_SETTING = "tournaments";
+
+/**
+ * Combat flag linking a combat to the tournament match it runs
+ * @constant {string}
+ */
+export const TOURNAMENT_FLAG = "tournament";
+
+/**
+ * Outcome of a match from one fighter's point of view
+ * @enum {string}
+ */
+export const MATCH_OUTCOME = Object.freeze({
+  WIN: "win",
+  DRAW: "draw",
+  LOSS: "loss"
+});
+
+/* -------------------------------------------- */
+/*  Storage                                     */
+/* -------------------------------------------- */
+
+/**
+ * Get all stored tournaments
+ * @returns {Tournament[]}
+ */
+export function getTournaments() {
+  return Object.values(game.settings.get("street-fighter", TOURNAMENTS_SETTING) ?? {});
+}
+
+/**
+ * Get a stored tournament by ID
+ * @param {string} tournamentId
+ * @returns {Tournament|null}
+ */
+export function getTournament(tournamentId) {
+  return game.settings.get("street-fighter", TOURNAMENTS_SETTING)?.[tournamentId] ?? null;
+}
+
+/**
+ * Save a tournament
+ * @param {Tournament} tournament
+ * @returns {Promise<Tournament>}
+ * @private
+ */
+async function _saveTournament(tournament) {
+  const tournaments = foundry.utils.deepClone(game.settings.get("street-fighter", TOURNAMENTS_SETTING) ?? {});
+  tournaments[tournament.id] = tournament;
+  await game.settings.set("street-fighter", TOURNAMENTS_SETTING, tournaments);
+  return tournament;
+}
+
+/**
+ * Create, seed and store a new tournament
+ * @param {object} params
+ * @param {string} params.name - Display name
+ * @param {string} params.divisionId - Division sourceId
+ * @param {string} params.format - Format from TOURNAMENT_FORMAT
+ * @param {string[]} params.fighters - Actor IDs in seeding order
+ * @returns {Promise<Tournament|null>}
+ */
+export async function addTournament({ name, divisionId, format, fighters }) {
+  if (fighters.length < 2) {
+    ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Tournament.NotEnoughFighters"));
+    return null;
+  }
+
+  const tournament = createTournament({
+    id: foundry.utils.randomID(),
+    name: name || game.i18n.localize("STREET_FIGHTER.Tournament.DefaultName"),
+    divisionId,
+    format,
+    fighters,
+  });
+
+  return _saveTournament(tournament);
+}
+
+/**
+ * Delete a stored tournament
+ * @param {string} tournamentId
+ * @returns {Promise<void>}
+ */
+export async function deleteTournament(tournamentId) {
+  const tournaments = foundry.utils.deepClone(game.settings.get("street-fighter", TOURNAMENTS_SETTING) ?? {});
+  delete tournaments[tournamentId];
+  await game.settings.set("street-fighter", TOURNAMENTS_SETTING, tournaments);
+}
+
+/**
+ * Get the tournament match a combat is running
+ * @param {Combat} combat
+ * @returns {{tournamentId: string, matchId: string}|null}
+ */
+export function getCombatTournamentMatch(combat) {
+  return combat?.getFlag(FLAG_SCOPE, TOURNAMENT_FLAG) ?? null;
+}
+
+/* -------------------------------------------- */
+/*  Matches                                     */
+/* -------------------------------------------- */
+
+/**
+ * Launch a combat for a tournament match on the current scene
+ * Fighters without a token on the scene get one, and everyone starts at full health
+ * @param {string} tournamentId
+ * @param {string} matchId
+ * @returns {Promise<Combat|null>}
+ */
+export async function startTournamentMatch(tournamentId, matchId) {
+  const tournament = getTournament(tournamentId);
+  const match = tournament ? getMatch(tournament, matchId) : null;
+  if (!match || !isMatchPlayable(match)) return null;
+
+  const scene = canvas.scene;
+  if (!scene) {
+    ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Tournament.NoScene"));
+    return null;
+  }
+
+  const actors = [match.fighterA, match.fighterB].map(id => game.actors.get(id));
+  if (actors.some(actor => !actor)) {
+    ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Errors.actorNotFound"));
+    return null;
+  }
+
+  const tokens = [];
+  for (const [index, actor] of actors.entries()) {
+    const token = actor.getActiveTokens(false, true)[0] ?? await _placeFighterToken(actor, index);
+    await token.actor.update({ "system.resources.health.value": token.actor.system.resources.health.max });
+    tokens.push(token);
+  }
+
+  const combat = await Combat.implementation.create({
+    scene: scene.id,
+    active: true,
+    flags: { [FLAG_SCOPE]: { [TOURNAMENT_FLAG]: { tournamentId, matchId } } },
+  });
+  await combat.createEmbeddedDocuments("Combatant", tokens.map(token => ({
+    tokenId: token.id,
+    sceneId: scene.id,
+    actorId: token.actorId,
+  })));
+
+  await _saveTournament(startMatch(tournament, matchId, combat.id));
+
+  ui.notifications.info(game.i18n.format("STREET_FIGHTER.Tournament.MatchStarted", {
+    fighterA: actors[0].name,
+    fighterB: actors[1].name,
+  }));
+
+  return combat;
+}
+
+/**
+ * Place a token for a fighter on either side of the scene centre
+ * @param {Actor} actor
+ * @param {number} index - 0 for the first fighter, 1 for the second
+ * @returns {Promise<TokenDocument>}
+ * @private
+ */
+async function _placeFighterToken(actor, index) {
+  const { sceneRect } = canvas.dimensions;
+  const offset = (index === 0 ? -2 : 1) * canvas.grid.size;
+  const point = canvas.grid.getTopLeftPoint({
+    x: sceneRect.x + sceneRect.width / 2 + offset,
+    y: sceneRect.y + sceneRect.height / 2,
+  });
+
+  const tokenData = await actor.getTokenDocument(point);
+  const [token] = await canvas.scene.createEmbeddedDocuments("Token", [tokenData.toObject()]);
+  return token;
+}
+
+/**
+ * Record the result of a match, advance the bracket and update both fighters' division records
+ * @param {string} tournamentId
+ * @param {string} matchId
+ * @param {object} result
+ * @param {string|null} result.winner - Actor ID of the winner (null for a draw)
+ * @param {boolean} [result.knockout] - Whether the winner won by knockout
+ * @returns {Promise<Tournament|null>}
+ */
+export async function concludeTournamentMatch(tournamentId, matchId, { winner, knockout = false }) {
+  const tournament = getTournament(tournamentId);
+  const match = tournament ? getMatch(tournament, matchId) : null;
+  if (!match || match.status === MATCH_STATUS.COMPLETED || match.status === MATCH_STATUS.BYE) return null;
+
+  if (!winner && !allowsDraws(tournament)) {
+    ui.notifications.warn(game.i18n.localize("STREET_FIGHTER.Tournament.NoDraws"));
+    return null;
+  }
+
+  const updated = await _saveTournament(recordMatchResult(tournament, matchId, { winner, knockout }));
+  const decided = getMatch(updated, matchId);
+  const loser = getMatchLoser(decided);
+
+  for (const actorId of [decided.fighterA, decided.fighterB]) {
+    const actor = game.actors.get(actorId);
+    if (!actor) continue;
+
+    const outcome = !decided.winner ? MATCH_OUTCOME.DRAW : (actorId === decided.winner ? MATCH_OUTCOME.WIN : MATCH_OUTCOME.LOSS);
+    await recordDivisionResult(actor, tournament.divisionId, outcome, { knockout: outcome === MATCH_OUTCOME.WIN && knockout });
+  }
+
+  await _postMatchResultToChat(updated, decided, loser);
+  return updated;
+}
+
+/**
+ * Reopen an active match whose combat went away without a result
+ * @param {string} tournamentId
+ * @param {string} matchId
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _resetMatch(tournamentId, matchId) {
+  const tournament = foundry.utils.deepClone(getTournament(tournamentId));
+  const match = tournament ? getMatch(tournament, matchId) : null;
+  if (!match) return;
+
+  match.status = MATCH_STATUS.PENDING;
+  match.combatId = null;
+  await _saveTournament(tournament);
+}
+
+/* -------------------------------------------- */
+/*  Division Records                            */
+/* -------------------------------------------- */
+
+/**
+ * Add a match outcome to an actor's division item and divisionRecords
+ * The division item is copied from the world library when the actor does not have it yet
+ * @param {Actor} actor
+ * @param {string} divisionId - Division sourceId
+ * @param {string} outcome - Outcome from MATCH_OUTCOME
+ * @param {object} [options]
+ * @param {boolean} [options.knockout] - Whether the actor won by knockout
+ * @returns {Promise<void>}
+ */
+export async function recordDivisionResult(actor, divisionId, outcome, { knockout = false } = {}) {
+  if (!divisionId) return;
+
+  const increments = {
+    wins: outcome === MATCH_OUTCOME.WIN ? 1 : 0,
+    draws: outcome === MATCH_OUTCOME.DRAW ? 1 : 0,
+    losses: outcome === MATCH_OUTCOME.LOSS ? 1 : 0,
+    knockouts: knockout ? 1 : 0,
+  };
+
+  const divisionItem = actor.items.find(i => i.type === "division" && i.system.sourceId === divisionId);
+  if (divisionItem) {
+    await divisionItem.update({
+      "system.wins": divisionItem.system.wins + increments.wins,
+      "system.draws": divisionItem.system.draws + increments.draws,
+      "system.losses": divisionItem.system.losses + increments.losses,
+      "system.knockouts": divisionItem.system.knockouts + increments.knockouts,
+    });
+  } else {
+    const worldDivision = findWorldItemBySourceId(divisionId, "division");
+    if (worldDivision) {
+      const divisionData = getItemSourceData(worldDivision);
+      Object.assign(divisionData.system, increments);
+      await actor.createEmbeddedDocuments("Item", [divisionData]);
+    }
+  }
+
+  // NPCs keep no division records
+  if (!Array.isArray(actor.system.divisionRecords)) return;
+
+  const records = foundry.utils.deepClone(actor.system.divisionRecords);
+  let record = records.find(r => r.divisionId === divisionId);
+  if (!record) {
+    record = { divisionId, rank: "", wins: 0, draws: 0, losses: 0, knockouts: 0 };
+    records.push(record);
+  }
+  for (const [key, value] of Object.entries(increments)) {
+    record[key] = (record[key] || 0) + value;
+  }
+
+  await actor.update({ "system.divisionRecords": records });
+}
+
+/* -------------------------------------------- */
+/*  Chat                                        */
+/* -------------------------------------------- */
+
+/**
+ * Post a match result, and the champion once the tournament is over
+ * @param {Tournament} tournament
+ * @param {TournamentMatch} match
+ * @param {string|null} loser - Actor ID of the loser
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _postMatchResultToChat(tournament, match, loser) {
+  const content = await foundry.applications.handlebars.renderTemplate(
+    "systems/street-fighter/templates/chat/tournament-result-card.hbs",
+    {
+      tournamentName: tournament.name,
+      round: match.round,
+      fighterAName: game.actors.get(match.fighterA)?.name ?? "",
+      fighterBName: game.actors.get(match.fighterB)?.name ?? "",
+      winnerName: game.actors.get(match.winner)?.name ?? null,
+      loserName: game.actors.get(loser)?.name ?? null,
+      isDraw: match.isDraw,
+      knockout: match.knockout,
+      championName: tournament.status === TOURNAMENT_STATUS.COMPLETED
+        ? (game.actors.get(tournament.champion)?.name ?? null)
+        : null,
+      isCompleted: tournament.status === TOURNAMENT_STATUS.COMPLETED,
+    }
+  );
+
+  await ChatMessage.create({ content });
+}
+
+/* -------------------------------------------- */
+/*  Dialogs                                     */
+/* -------------------------------------------- */
+
+/**
+ * Ask the GM for the result of a match
+ * @param {Tournament} tournament
+ * @param {TournamentMatch} match
+ * @returns {Promise<{winner: string|null, knockout: boolean}|null>} Null if dismissed
+ */
+export async function promptMatchResult(tournament, match) {
+  const fighterA = game.actors.get(match.fighterA);
+  const fighterB = game.actors.get(match.fighterB);
+
+  const content = `
+    <p>${game.i18n.format("STREET_FIGHTER.Tournament.RecordResultPrompt", {
+      fighterA: fighterA?.name ?? "",
+      fighterB: fighterB?.name ?? "",
+    })}</p>
+    <div class="form-group">
+      <label>${game.i18n.localize("STREET_FIGHTER.Tournament.Knockout")}</label>
+      <input type="checkbox" name="knockout" />
+    </div>
+  `;
+
+  const winnerButton = (actor, action) => ({
+    action,
+    label: game.i18n.format("STREET_FIGHTER.Tournament.Wins", { name: actor?.name ?? "" }),
+    icon: "fas fa-trophy",
+    callback: (event, button) => ({ winner: actor?.id ?? null, knockout: button.form.elements.knockout.checked }),
+  });
+
+  const buttons = [winnerButton(fighterA, "fighterA"), winnerButton(fighterB, "fighterB")];
+  if (allowsDraws(tournament)) {
+    buttons.push({
+      action: "draw",
+      label: game.i18n.localize("STREET_FIGHTER.Tournament.Draw"),
+      icon: "fas fa-handshake",
+      callback: () => ({ winner: null, knockout: false }),
+    });
+  }
+
+  return foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize("STREET_FIGHTER.Tournament.RecordResult") },
+    content,
+    buttons,
+    rejectClose: false,
+  });
+}
+
+/* -------------------------------------------- */
+/*  Hooks                                       */
+/* -------------------------------------------- */
+
+/**
+ * Conclude a tournament match by knockout when a fighter's health hits zero
+ * Fired by Actor#applyDamage, so knockouts from resolved maneuvers and from the apply damage button both count
+ * @param {Actor} actor - The knocked out fighter
+ * @private
+ */
+async function _onKnockedOut(actor) {
+  if (!game.user.isGM) return;
+
+  for (const combat of game.combats.filter(c => c.started)) {
+    const link = getCombatTournamentMatch(combat);
+    const loser = link ? combat.combatants.find(c => c.actor?.uuid === actor.uuid) : null;
+    const tournament = loser ? getTournament(link.tournamentId) : null;
+    const match = tournament ? getMatch(tournament, link.matchId) : null;
+    if (!match) continue;
+
+    const winner = [match.fighterA, match.fighterB].find(actorId => actorId && actorId !== loser.actorId) ?? null;
+    const updated = await concludeTournamentMatch(link.tournamentId, link.matchId, { winner, knockout: true });
+
+    if (updated) {
+      ui.notifications.info(game.i18n.format("STREET_FIGHTER.Tournament.KnockoutVictory", {
+        winner: game.actors.get(winner)?.name ?? "",
+        loser: actor.name,
+      }));
+    }
+  }
+}
+
+/**
+ * Ask for a result when a tournament combat is ended before anyone was knocked out
+ * @param {Combat} combat
+ * @param {object} options
+ * @param {string} userId
+ * @private
+ */
+async function _onDeleteCombat(combat, options, userId) {
+  if (game.user.id !== userId || !game.user.isGM) return;
+
+  const link = getCombatTournamentMatch(combat);
+  const tournament = link ? getTournament(link.tournamentId) : null;
+  const match = tournament ? getMatch(tournament, link.matchId) : null;
+  if (match?.status !== MATCH_STATUS.ACTIVE) return;
+
+  const result = await promptMatchResult(tournament, match);
+  if (result) {
+    await concludeTournamentMatch(link.tournamentId, link.matchId, result);
+  } else {
+    await _resetMatch(link.tournamentId, link.matchId);
+  }
+}
+
+/**
+ * Register tournament hooks
+ */
+export function registerTournamentHooks() {
+  Hooks.on(SF_HOOKS.KNOCKED_OUT, _onKnockedOut);
+  Hooks.on("deleteCombat", _onDeleteCombat);
+}
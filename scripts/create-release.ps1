@@ -42,7 +42,6 @@ $IncludeItems = @(
     "lang",
     "assets",
     "system.json",
-    "template.json",
     "README.md",
     "LICENSE"
 )
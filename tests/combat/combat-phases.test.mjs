@@ -0,0 +1,142 @@
+import "../harness/foundry.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ACTIVE_DEFENSE,
+  POSITION_STATE,
+  sortByInitiative,
+  canInterrupt,
+  calculateSpeedTiebreaker,
+  calculateDamagePool,
+  applyDefenseToSoak,
+  applyDefenseToSuccesses,
+  getActiveDefenseType,
+  getNextHit,
+  getManeuverReach,
+  getPositionSpeedModifier,
+  isManeuverUsableAgainst,
+  createSelectedManeuver
+} from "../../module/combat/combat-phases.mjs";
+
+describe("sortByInitiative", () => {
+  it("orders combatants by speed tiebreaker, lowest first", () => {
+    const sorted = sortByInitiative([
+      { name: "Ken", speed: 5, speedTiebreaker: 5.321 },
+      { name: "Ryu", speed: 3, speedTiebreaker: 3.221 },
+      { name: "Chun-Li", speed: 5, speedTiebreaker: 5.231 }
+    ]);
+
+    assert.deepEqual(sorted.map(c => c.name), ["Ryu", "Chun-Li", "Ken"]);
+  });
+
+  it("falls back to the speed when there is no tiebreaker", () => {
+    const sorted = sortByInitiative([
+      { name: "Ken", speed: 6 },
+      { name: "Ryu", speed: 4, speedTiebreaker: 4.5 }
+    ]);
+
+    assert.deepEqual(sorted.map(c => c.name), ["Ryu", "Ken"]);
+  });
+
+  it("does not reorder the array it is given", () => {
+    const combatants = [{ name: "Ken", speed: 6 }, { name: "Ryu", speed: 4 }];
+    sortByInitiative(combatants);
+
+    assert.deepEqual(combatants.map(c => c.name), ["Ken", "Ryu"]);
+  });
+});
+
+describe("canInterrupt", () => {
+  it("lets only a strictly higher speed tiebreaker interrupt", () => {
+    assert.equal(canInterrupt(5.2, 4.9), true);
+    assert.equal(canInterrupt(4.9, 5.2), false);
+    assert.equal(canInterrupt(5.2, 5.2), false);
+  });
+});
+
+describe("calculateSpeedTiebreaker", () => {
+  it("adds wits, perception and a d9 roll as decreasing decimals", () => {
+    assert.equal(calculateSpeedTiebreaker(4, 3, 2, () => 0), 4 + 0.3 + 0.02 + 0.001);
+    assert.equal(calculateSpeedTiebreaker(4, 3, 2, () => 0.999), 4 + 0.3 + 0.02 + 0.009);
+  });
+
+  it("lets wits outweigh perception and perception outweigh the roll", () => {
+    const quickWits = calculateSpeedTiebreaker(4, 3, 0, () => 0);
+    const sharpEyes = calculateSpeedTiebreaker(4, 2, 5, () => 0.999);
+    assert.ok(quickWits > sharpEyes);
+
+    const sharper = calculateSpeedTiebreaker(4, 2, 3, () => 0);
+    const lucky = calculateSpeedTiebreaker(4, 2, 2, () => 0.999);
+    assert.ok(sharper > lucky);
+  });
+
+  it("never changes the integer speed", () => {
+    assert.equal(Math.floor(calculateSpeedTiebreaker(4, 5, 5, () => 0.999)), 4);
+  });
+});
+
+describe("damage pools and active defenses", () => {
+  it("subtracts soak from damage but always rolls one die", () => {
+    assert.equal(calculateDamagePool(7, 3), 4);
+    assert.equal(calculateDamagePool(3, 5), 1);
+    assert.equal(calculateDamagePool(undefined, undefined), 1);
+  });
+
+  it("adds a block's soak bonus and subtracts a dodge's negated successes", () => {
+    const block = { type: ACTIVE_DEFENSE.BLOCK, soakBonus: 2, negatedSuccesses: 0 };
+    const dodge = { type: ACTIVE_DEFENSE.DODGE, soakBonus: 0, negatedSuccesses: 2 };
+
+    assert.equal(applyDefenseToSoak(3, block), 5);
+    assert.equal(applyDefenseToSoak(3, null), 3);
+    assert.equal(applyDefenseToSuccesses(3, dodge), 1);
+    assert.equal(applyDefenseToSuccesses(1, dodge), 0);
+  });
+
+  it("recognizes block maneuvers and the athletics dodge", () => {
+    assert.equal(getActiveDefenseType("Block", "block"), ACTIVE_DEFENSE.BLOCK);
+    assert.equal(getActiveDefenseType("Athletics", "Dodge"), ACTIVE_DEFENSE.DODGE);
+    assert.equal(getActiveDefenseType("Athletics", "jump"), null);
+    assert.equal(getActiveDefenseType("Punch", "jab"), null);
+  });
+});
+
+describe("getNextHit", () => {
+  const jab = createSelectedManeuver({ itemId: "jab", name: "Jab", speed: 4, damage: 3, movement: 0, category: "Punch" });
+
+  it("resolves a single maneuver once", () => {
+    assert.equal(getNextHit(jab, 0), jab);
+    assert.equal(getNextHit(jab, 1), null);
+  });
+
+  it("walks through a combo's hits in order", () => {
+    const combo = createSelectedManeuver({
+      ...jab,
+      name: "Jab, Jab",
+      combo: { index: 0, isDizzy: false, hits: [{ itemId: "jab", name: "Jab" }, { itemId: "strong", name: "Strong" }] }
+    });
+
+    assert.equal(getNextHit(combo, 0).name, "Jab");
+    assert.equal(getNextHit(combo, 1).name, "Strong");
+    assert.equal(getNextHit(combo, 2), null);
+  });
+});
+
+describe("positions and reach", () => {
+  it("slows down only a knocked down fighter", () => {
+    assert.equal(getPositionSpeedModifier(POSITION_STATE.KNOCKED_DOWN), -2);
+    assert.equal(getPositionSpeedModifier(POSITION_STATE.AERIAL), 0);
+  });
+
+  it("blocks maneuvers against the positions they cannot hit", () => {
+    const rules = { unusableAgainst: [POSITION_STATE.AERIAL] };
+    assert.equal(isManeuverUsableAgainst(rules, POSITION_STATE.AERIAL), false);
+    assert.equal(isManeuverUsableAgainst(rules, POSITION_STATE.CROUCHING), true);
+    assert.equal(isManeuverUsableAgainst(rules, null), true);
+  });
+
+  it("reaches one hex past the maneuver's movement", () => {
+    assert.equal(getManeuverReach(3), 4);
+    assert.equal(getManeuverReach(-1), 1);
+  });
+});
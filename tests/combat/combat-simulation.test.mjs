@@ -0,0 +1,389 @@
+import { resetHarness, notifications } from "../harness/foundry.mjs";
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  COMBAT_PHASE,
+  ACTION_STATUS,
+  POSITION_STATE,
+  SF_HOOKS
+} from "../../module/combat/combat-phases.mjs";
+import { getTiebreakerRandom } from "../../module/combat/combat-random.mjs";
+import { checkManeuverReach } from "../../module/combat/combat-range.mjs";
+import { calculateManeuverStats, buildManeuverSelection } from "../../module/helpers/maneuver-calculator.mjs";
+import { createFighter, maneuverData, createCombat, combatantOf } from "../harness/fixtures.mjs";
+
+const STANDING = { position: POSITION_STATE.STANDING, targetPosition: null };
+
+/**
+ * Create Ryu, who throws a fast jab, and Ken, who spends chi on a slower, heavier punch
+ * @returns {{ryu: Actor, ken: Actor}}
+ */
+function createFighters() {
+  return {
+    ryu: createFighter("Ryu", { maneuvers: [maneuverData("Jab", { speedModifier: "+2" })] }),
+    ken: createFighter("Ken", { maneuvers: [maneuverData("Fierce", { speedModifier: "-1", damageModifier: "+3", chiCost: 1 })] })
+  };
+}
+
+/**
+ * Select a fighter's maneuver the way the selection dialog does
+ * @param {Combat} combat
+ * @param {Actor} actor
+ * @param {string} itemId
+ */
+async function select(combat, actor, itemId) {
+  const combatant = combatantOf(combat, actor);
+  const stats = calculateManeuverStats(actor, actor.items.get(itemId), { positions: STANDING });
+  await combatant.selectManeuver(buildManeuverSelection(actor, stats, { random: getTiebreakerRandom(combatant) }));
+}
+
+/**
+ * Start a combat and take it to the execution phase of its first round
+ * @param {object} [options]
+ * @param {string} [options.seed]
+ * @returns {Promise<{combat: Combat, ryu: Actor, ken: Actor}>}
+ */
+async function startFight({ seed } = {}) {
+  const { ryu, ken } = createFighters();
+  const combat = await createCombat([ryu, ken], { seed });
+
+  await combat.startCombat();
+  await combat.startSelectionPhase();
+  await select(combat, ryu, "jab");
+  await select(combat, ken, "fierce");
+  await combat.startExecutionPhase();
+
+  return { combat, ryu, ken };
+}
+
+/**
+ * Resolve the acting combatant's maneuver against a fighter and complete the action
+ * @param {Combat} combat
+ * @param {Actor} target
+ * @returns {Promise<object>} The resolution
+ */
+async function strike(combat, target) {
+  const resolution = await combat.resolveManeuver(combatantOf(combat, target).tokenId);
+  await combat.completeCurrentAction();
+  return resolution;
+}
+
+/**
+ * Start a fight where Ryu executes a two-hit combo against a sturdy Ken
+ * Each hit rolls enough dice to connect but never deals more than Ken's Stamina, so only the combo can dizzy him
+ * @param {object} [options]
+ * @param {boolean} [options.isDizzy] - Whether Ryu's combo list marks the combo as a dizzy combo
+ * @returns {Promise<{combat: Combat, ryu: Actor, ken: Actor}>}
+ */
+async function startComboFight({ isDizzy }) {
+  const ryu = createFighter("Ryu", { maneuvers: [maneuverData("Jab"), maneuverData("Strong")] });
+  const ken = createFighter("Ken", {
+    traits: { attribute: { stamina: 20 } },
+    maneuvers: [maneuverData("Fierce")],
+    resources: { health: { value: 50, max: 50 } }
+  });
+  await ryu.update({ "system.combos": [{ id: "combo-1", isDizzy, maneuverIds: ["jab", "strong"] }] });
+
+  const combat = await createCombat([ryu, ken]);
+  await combat.startCombat();
+  await combat.startSelectionPhase();
+  await select(combat, ken, "fierce");
+
+  const hits = ["jab", "strong"].map(itemId => {
+    const stats = calculateManeuverStats(ryu, ryu.items.get(itemId), { positions: STANDING });
+    return { itemId, sourceId: itemId, name: stats.name, damage: 40, movement: stats.calculatedMovement, category: stats.category };
+  });
+  await combatantOf(combat, ryu).selectManeuver({
+    ...hits[0], speed: 1, speedTiebreaker: 0, chiCost: 0, willpowerCost: 0, notes: "",
+    name: "Jab, Strong",
+    combo: { index: 0, isDizzy, hits }
+  });
+  await combat.startExecutionPhase();
+
+  return { combat, ryu, ken };
+}
+
+/**
+ * Place the fighters' tokens in a row on the viewed scene, one hex apart per unit of x
+ * @param {Combat} combat
+ * @param {Map<Actor, number>} columns - Column of each fighter's token
+ */
+function placeTokens(combat, columns) {
+  const tokens = new Map();
+  canvas.scene = {};
+  canvas.grid = { measurePath: ([from, to]) => ({ spaces: Math.abs(to.x - from.x) }) };
+  canvas.tokens = { get: id => tokens.get(id) ?? null };
+
+  for (const [actor, x] of columns) {
+    const combatant = combatantOf(combat, actor);
+    const token = { name: actor.name, scene: canvas.scene, center: { x, y: 0 } };
+    combatant.token = { object: token };
+    tokens.set(combatant.tokenId, token);
+  }
+}
+
+describe("StreetFighterCombat turn simulation", () => {
+  beforeEach(() => resetHarness());
+
+  it("runs selection, execution and damage for a full turn", async () => {
+    const { combat, ryu, ken } = await startFight();
+
+    assert.equal(combat.phase, COMBAT_PHASE.EXECUTION);
+    assert.equal(combat.currentActingCombatant.actor, ken, "the lower speed acts first");
+
+    const kenHit = await strike(combat, ryu);
+    assert.equal(kenHit.dicePool, 9 - 3, "Fierce damage minus Ryu's soak");
+    assert.equal(kenHit.damage, kenHit.rolledSuccesses);
+    assert.equal(ryu.system.resources.health.value, 10 - kenHit.damage);
+    assert.equal(ken.system.resources.chi.value, 2, "revealing Fierce spends its chi");
+    assert.equal(combatantOf(combat, ken).actionStatus, ACTION_STATUS.COMPLETED);
+    assert.equal(combat.currentActingCombatant.actor, ryu);
+
+    const ryuHit = await strike(combat, ken);
+    assert.equal(ryuHit.dicePool, 6 - 3);
+    assert.equal(ken.system.resources.health.value, 10 - ryuHit.damage);
+    assert.equal(combat.currentActingCombatantId, null);
+    assert.equal(combat.allActionsComplete, true);
+
+    const damageHooks = Hooks.calls.filter(call => call.hook === SF_HOOKS.DAMAGE_APPLIED);
+    assert.equal(damageHooks.length, 2);
+
+    await combat.advanceToNextTurn();
+    assert.equal(combat.round, 2);
+    assert.equal(combat.phase, COMBAT_PHASE.SELECTION);
+    assert.equal(ken.system.resources.chi.value, 3, "chi regenerates at the end of the round");
+  });
+
+  it("dizzies a fighter hit for more than their Stamina", async () => {
+    const { combat, ryu } = await startFight();
+
+    const kenHit = await strike(combat, ryu);
+    assert.equal(combatantOf(combat, ryu).isDizzied, kenHit.damage > 3);
+  });
+
+  it("makes a dizzied fighter lose the next round's action", async () => {
+    const { combat, ryu, ken } = await startFight();
+    await combatantOf(combat, ryu).setDizzy();
+    await strike(combat, ryu);
+    await strike(combat, ken);
+
+    await combat.advanceToNextTurn();
+    assert.equal(combat.phase, COMBAT_PHASE.SELECTION);
+    assert.equal(combatantOf(combat, ryu).losesTurnToDizzy, true);
+
+    await select(combat, ken, "fierce");
+    await combat.startExecutionPhase();
+    assert.equal(combatantOf(combat, ryu).actionStatus, ACTION_STATUS.SKIPPED);
+    assert.equal(combat.currentActingCombatant.actor, ken);
+
+    await strike(combat, ryu);
+    await combat.advanceToNextTurn();
+    assert.equal(combatantOf(combat, ryu).isDizzied, false);
+  });
+
+  it("keeps a fighter knocked down through the next round", async () => {
+    const { combat, ryu, ken } = await startFight();
+    await combatantOf(combat, ryu).setPosition(POSITION_STATE.KNOCKED_DOWN);
+    await strike(combat, ryu);
+    await strike(combat, ken);
+
+    await combat.advanceToNextTurn();
+    assert.equal(combat.round, 2);
+    assert.equal(combatantOf(combat, ryu).position, POSITION_STATE.KNOCKED_DOWN);
+
+    await select(combat, ryu, "jab");
+    await select(combat, ken, "fierce");
+    await combat.startExecutionPhase();
+    await strike(combat, ryu);
+    await strike(combat, ken);
+    await combat.advanceToNextTurn();
+    assert.equal(combatantOf(combat, ryu).position, POSITION_STATE.STANDING);
+  });
+
+  it("returns to the interrupted fighter once the interruption completes", async () => {
+    const { combat, ryu, ken } = await startFight();
+    const kenCombatant = combatantOf(combat, ken);
+    const ryuCombatant = combatantOf(combat, ryu);
+
+    assert.equal(ryuCombatant.canInterrupt(kenCombatant), true);
+    await combat.handleInterruption(ryuCombatant.id);
+
+    assert.equal(combat.currentActingCombatant, ryuCombatant);
+    assert.equal(kenCombatant.actionStatus, ACTION_STATUS.INTERRUPTED);
+    assert.deepEqual(combat.interruptionStack, [kenCombatant.id]);
+
+    await combat.completeCurrentAction();
+    assert.equal(combat.currentActingCombatant, kenCombatant);
+    assert.deepEqual(combat.interruptionStack, []);
+  });
+
+  it("completes an action aborted into a block like any other action", async () => {
+    const { combat, ryu, ken } = await startFight();
+    await ryu.createEmbeddedDocuments("Item", [maneuverData("Block", { category: "Block" })]);
+    const ryuCombatant = combatantOf(combat, ryu);
+
+    await combat.abortToBlock(ryuCombatant.id);
+
+    assert.equal(ryuCombatant.actionStatus, ACTION_STATUS.COMPLETED);
+    assert.equal(ryu.system.resources.willpower.value, 2);
+    const completed = Hooks.calls.filter(call => call.hook === SF_HOOKS.ACTION_COMPLETED);
+    assert.deepEqual(completed.map(call => call.args[1]), [ryuCombatant]);
+    const ended = Hooks.calls.filter(call => call.hook === SF_HOOKS.TURN_ENDED);
+    assert.deepEqual(ended.map(call => call.args[1]), [ryuCombatant]);
+    assert.equal(combat.currentActingCombatant.actor, ken, "the acting fighter keeps the turn");
+  });
+
+  it("refuses to resolve a hit out of turn", async () => {
+    const { combat, ryu, ken } = await startFight();
+    const ryuCombatant = combatantOf(combat, ryu);
+
+    assert.equal(await combat.resolveManeuver(combatantOf(combat, ken).tokenId, { attackerId: ryuCombatant.id }), null);
+    await strike(combat, ryu);
+    assert.equal(await combat.resolveManeuver(ryuCombatant.tokenId, { attackerId: combatantOf(combat, ken).id }), null,
+      "a completed action cannot hit again");
+
+    assert.equal(ken.system.resources.health.value, 10);
+    assert.equal(notifications.warn.filter(message => message === "STREET_FIGHTER.Combat.NotActingCombatant").length, 2);
+  });
+
+  it("undoes a resolved hit, restoring health and spent chi", async () => {
+    const { combat, ryu, ken } = await startFight();
+
+    await combat.resolveManeuver(combatantOf(combat, ryu).tokenId);
+    await combat.undoLastAction();
+
+    assert.equal(ryu.system.resources.health.value, 10);
+    assert.equal(ken.system.resources.chi.value, 3);
+    assert.equal(combatantOf(combat, ken).attackResolved, false);
+  });
+
+  it("undoes damage dealt to a target outside the combat", async () => {
+    const { combat, ken } = await startFight();
+    const dan = createFighter("Dan");
+    game.actors.set(dan.id, dan);
+    canvas.tokens = { get: id => id === "dan-token" ? { name: "Dan", actor: dan } : null };
+
+    const hit = await combat.resolveManeuver("dan-token");
+    assert.equal(dan.system.resources.health.value, 10 - hit.damage);
+
+    await combat.undoLastAction();
+    assert.equal(dan.system.resources.health.value, 10);
+    assert.equal(ken.system.resources.chi.value, 3);
+  });
+
+  it("moves tokens back to where they stood when undoing", async () => {
+    const { combat, ryu, ken } = await startFight();
+    for (const [actor, x] of [[ken, 0], [ryu, 300]]) {
+      combatantOf(combat, actor).token = { x, y: 0, async update(changes) { Object.assign(this, changes); } };
+    }
+    await combat.skipCurrentAction();
+
+    const ryuToken = combatantOf(combat, ryu).token;
+    await ryuToken.update({ x: 100 });
+    await combat.undoLastAction();
+
+    assert.deepEqual({ x: ryuToken.x, y: ryuToken.y }, { x: 300, y: 0 });
+  });
+
+  it("repeats the same ordering and dice from the same seed", async () => {
+    const fight = async seed => {
+      resetHarness();
+      const { combat, ryu, ken } = await startFight({ seed });
+      const order = combat.combatantsByInitiative.map(c => c.selectedManeuverSpeedTiebreaker);
+      const hits = [await strike(combat, ryu), await strike(combat, ken)];
+      return { order, hits: hits.map(hit => [hit.dicePool, hit.rolledSuccesses, hit.damage]) };
+    };
+
+    assert.deepEqual(await fight("dispute"), await fight("dispute"));
+  });
+
+  it("replays a round with the same ordering and results", async () => {
+    const { combat, ryu, ken } = await startFight();
+    const order = combat.combatantsByInitiative.map(c => c.id);
+
+    const first = await strike(combat, ryu);
+    const healthAfterFirst = ryu.system.resources.health.value;
+
+    await combat.replayRound();
+    assert.equal(combat.phase, COMBAT_PHASE.SELECTION, "the round goes back to just before execution");
+    assert.equal(ryu.system.resources.health.value, 10);
+
+    await combat.startExecutionPhase();
+    assert.deepEqual(combat.combatantsByInitiative.map(c => c.id), order);
+    assert.equal(combat.currentActingCombatant.actor, ken);
+
+    const replayed = await strike(combat, ryu);
+    assert.equal(replayed.rolledSuccesses, first.rolledSuccesses);
+    assert.equal(ryu.system.resources.health.value, healthAfterFirst);
+  });
+});
+
+describe("maneuver range enforcement", () => {
+  beforeEach(() => resetHarness());
+
+  it("blocks a maneuver whose target is out of reach", async () => {
+    const { combat, ryu, ken } = await startFight();
+    await game.settings.set("street-fighter", "maneuverRangeEnforcement", "block");
+    placeTokens(combat, new Map([[ken, 0], [ryu, 20]]));
+
+    const resolution = await combat.resolveManeuver(combatantOf(combat, ryu).tokenId);
+
+    assert.equal(resolution, null);
+    assert.equal(notifications.warn.length, 1);
+    assert.match(notifications.warn[0], /^STREET_FIGHTER\.Combat\.Range\.OutOfReach .*"distance":20/);
+    assert.equal(ryu.system.resources.health.value, 10);
+    assert.equal(combatantOf(combat, ken).attackResolved, false);
+  });
+
+  it("resolves a maneuver whose target is within reach", async () => {
+    const { combat, ryu, ken } = await startFight();
+    await game.settings.set("street-fighter", "maneuverRangeEnforcement", "block");
+    placeTokens(combat, new Map([[ken, 0], [ryu, 1]]));
+
+    const resolution = await combat.resolveManeuver(combatantOf(combat, ryu).tokenId);
+
+    assert.notEqual(resolution, null);
+    assert.deepEqual(notifications.warn, []);
+  });
+
+  it("treats a maneuver without movement as striking adjacent hexes only", () => {
+    const token = { center: { x: 0, y: 0 } };
+    canvas.grid = { measurePath: ([from, to]) => ({ spaces: Math.abs(to.x - from.x) }) };
+
+    const adjacent = checkManeuverReach(token, { center: { x: 1, y: 0 } }, undefined);
+    assert.deepEqual(adjacent, { distance: 1, movement: 0, reach: 1, inReach: true, stepsNeeded: 0 });
+    assert.equal(checkManeuverReach(token, { center: { x: 2, y: 0 } }, undefined).inReach, false);
+  });
+});
+
+describe("dizzy combos", () => {
+  beforeEach(() => resetHarness());
+
+  it("dizzies the target when every hit of a dizzy combo connects", async () => {
+    const { combat, ryu, ken } = await startComboFight({ isDizzy: true });
+    const options = { attackerId: combatantOf(combat, ryu).id };
+    const kenTokenId = combatantOf(combat, ken).tokenId;
+
+    const first = await combat.resolveManeuver(kenTokenId, options);
+    assert.ok(first.damage > 0);
+    assert.equal(combatantOf(combat, ken).isDizzied, false);
+
+    const last = await combat.resolveManeuver(kenTokenId, options);
+    assert.ok(last.damage > 0);
+    assert.equal(last.combo.dizzy, true);
+    assert.equal(combatantOf(combat, ken).isDizzied, true);
+  });
+
+  it("leaves the target standing after a combo missing from the dizzy list", async () => {
+    const { combat, ryu, ken } = await startComboFight({ isDizzy: false });
+    const options = { attackerId: combatantOf(combat, ryu).id };
+    const kenTokenId = combatantOf(combat, ken).tokenId;
+
+    await combat.resolveManeuver(kenTokenId, options);
+    const last = await combat.resolveManeuver(kenTokenId, options);
+
+    assert.equal(last.combo.dizzy, false);
+    assert.equal(combatantOf(combat, ken).isDizzied, false);
+  });
+});
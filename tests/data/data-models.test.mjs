@@ -0,0 +1,60 @@
+import "../harness/foundry.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { FighterData, SpecialManeuverData } from "../../module/data/index.mjs";
+import { createFighter } from "../harness/fixtures.mjs";
+
+describe("FighterData", () => {
+  it("derives initiative and soak from the fighter's traits", () => {
+    const fighter = createFighter("Chun-Li", { traits: { attribute: { dexterity: 4, wits: 3, stamina: 2 } } });
+
+    assert.equal(fighter.system.combat.initiative, 4 + 3);
+    assert.equal(fighter.system.combat.soak, 2);
+    assert.equal(fighter.getEffectiveSoak(), 2);
+  });
+
+  it("fills in missing fields with their initial values", () => {
+    const fighter = createFighter("Guile");
+
+    assert.equal(fighter.system.powerPoints.total, 5);
+    assert.deepEqual(fighter.system.experience.history, []);
+    assert.equal(fighter.system.importData.isImported, false);
+  });
+
+  it("stores the sheet's rich text fields as HTML", () => {
+    const schema = FighterData.schema.fields;
+    for (const field of ["biography", "background", "motivations", "appearanceNotes"]) {
+      assert.ok(schema[field] instanceof foundry.data.fields.HTMLField, field);
+    }
+  });
+
+  it("cleans list fields stored in other shapes", () => {
+    const source = FighterData.migrateData({
+      languages: "English, Japanese, ",
+      combos: [null, { isDizzy: true, maneuverIds: "jab" }],
+      divisionRecords: {},
+      experience: { total: 3, history: null }
+    });
+
+    assert.deepEqual(source.languages, ["English", "Japanese"]);
+    assert.equal(source.combos.length, 1);
+    assert.deepEqual(source.combos[0].maneuverIds, []);
+    assert.deepEqual(source.divisionRecords, []);
+    assert.deepEqual(source.experience.history, []);
+  });
+});
+
+describe("SpecialManeuverData", () => {
+  it("treats blank costs as no cost and drops prerequisites without an id", () => {
+    const source = SpecialManeuverData.migrateData({
+      chiCost: "",
+      willpowerCost: 1,
+      prerequisites: [{ type: "maneuver", id: "jab" }, { type: "trait", value: 2 }, null]
+    });
+
+    assert.equal(source.chiCost, null);
+    assert.equal(source.willpowerCost, 1);
+    assert.deepEqual(source.prerequisites, [{ type: "maneuver", id: "jab" }]);
+  });
+});
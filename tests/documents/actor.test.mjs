@@ -0,0 +1,53 @@
+import { resetHarness } from "../harness/foundry.mjs";
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { createFighter } from "../harness/fixtures.mjs";
+
+const STYLE = { name: "Shotokan", type: "fightingStyle", system: { sourceId: "shotokan", initialChi: 2, initialWillpower: 3 } };
+
+/**
+ * Let the resource updates started by the descendant document callbacks finish
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Read a fighter's chi and willpower maximums
+ * @param {Actor} actor
+ * @returns {number[]}
+ */
+function maximums(actor) {
+  return [actor.system.resources.chi.max, actor.system.resources.willpower.max];
+}
+
+describe("fighting style resources", () => {
+  beforeEach(() => resetHarness());
+
+  it("adds and removes the style's chi and willpower on a hand-built fighter", async () => {
+    const ryu = createFighter("Ryu");
+
+    const [style] = await ryu.createEmbeddedDocuments("Item", [STYLE]);
+    await settle();
+    assert.deepEqual(maximums(ryu), [7, 8]);
+
+    await ryu.deleteEmbeddedDocuments("Item", [style.id]);
+    await settle();
+    assert.deepEqual(maximums(ryu), [5, 5]);
+  });
+
+  it("leaves the imported maximums of an imported fighter alone", async () => {
+    const ryu = createFighter("Ryu");
+    await ryu.update({ "system.importData.isImported": true });
+
+    const [style] = await ryu.createEmbeddedDocuments("Item", [STYLE]);
+    await settle();
+    assert.deepEqual(maximums(ryu), [5, 5]);
+
+    await ryu.deleteEmbeddedDocuments("Item", [style.id]);
+    await settle();
+    assert.deepEqual(maximums(ryu), [5, 5]);
+  });
+});
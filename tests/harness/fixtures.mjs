@@ -0,0 +1,220 @@
+/**
+ * Street Fighter Test Fixtures
+ * Builders for fighters, maneuvers and combats running on the harness stand-ins
+ * @author Kirlian Silvestre
+ */
+
+import { Collection } from "./foundry.mjs";
+import { StreetFighterActor } from "../../module/documents/actor.mjs";
+import { StreetFighterItem } from "../../module/documents/item.mjs";
+import { StreetFighterCombat } from "../../module/combat/combat.mjs";
+import { StreetFighterCombatant } from "../../module/combat/combatant.mjs";
+import { registerDataModels } from "../../module/data/index.mjs";
+
+CONFIG.Actor.documentClass = StreetFighterActor;
+CONFIG.Item.documentClass = StreetFighterItem;
+registerDataModels();
+
+/**
+ * Default trait ratings of a test fighter
+ * @constant {object}
+ */
+const DEFAULT_TRAITS = Object.freeze({
+  attribute: { strength: 3, dexterity: 3, stamina: 3, perception: 2, wits: 2 },
+  ability: { athletics: 2 },
+  technique: { punch: 3, kick: 2, block: 2 }
+});
+
+/**
+ * Build the data of a special maneuver item
+ * @param {string} name - Maneuver name, also used for its source ID and item ID
+ * @param {object} [system] - System data overrides (category, modifiers, costs, position rules)
+ * @returns {object}
+ */
+export function maneuverData(name, system = {}) {
+  const sourceId = name.toLowerCase().replace(/\s+/g, "-");
+  return {
+    _id: sourceId,
+    name,
+    type: "specialManeuver",
+    system: {
+      sourceId,
+      category: "Punch",
+      speedModifier: "+0",
+      damageModifier: "+0",
+      movementModifier: "+0",
+      chiCost: 0,
+      willpowerCost: 0,
+      ...system
+    }
+  };
+}
+
+/**
+ * Create a fighter with trait items and maneuvers
+ * @param {string} name
+ * @param {object} [options]
+ * @param {object} [options.traits] - Ratings by item type and source ID, merged over the defaults
+ * @param {object[]} [options.maneuvers] - Maneuver item data (see maneuverData)
+ * @param {object[]} [options.effects] - Active effect data
+ * @param {object} [options.resources] - Resource overrides
+ * @returns {StreetFighterActor}
+ */
+export function createFighter(name, { traits = {}, maneuvers = [], effects = [], resources = {} } = {}) {
+  const items = [];
+  for (const [type, defaults] of Object.entries(DEFAULT_TRAITS)) {
+    for (const [sourceId, value] of Object.entries({ ...defaults, ...traits[type] })) {
+      items.push({ _id: `${type}-${sourceId}`, name: sourceId, type, system: { sourceId, value } });
+    }
+  }
+
+  return new StreetFighterActor({
+    _id: name.toLowerCase(),
+    name,
+    type: "fighter",
+    items: [...items, ...maneuvers],
+    effects,
+    system: {
+      resources: {
+        health: { value: 10, max: 10 },
+        chi: { value: 3, max: 5 },
+        willpower: { value: 3, max: 5 },
+        ...resources
+      },
+      combos: []
+    }
+  });
+}
+
+/**
+ * Create a combat between fighters and register it as the active combat
+ * Combatant IDs are derived from the fighters' names, so seeded streams repeat between runs
+ * @param {StreetFighterActor[]} fighters
+ * @param {object} [options]
+ * @param {string} [options.seed] - Seed stored in the combat flags
+ * @returns {Promise<StreetFighterCombat>}
+ */
+export async function createCombat(fighters, { seed = "test-seed" } = {}) {
+  const combat = new StreetFighterCombat({
+    _id: "combat",
+    flags: { "street-fighter": { seed } }
+  });
+  await combat._preCreate({}, {}, game.user);
+
+  combat.combatants = new Collection(fighters.map(actor => {
+    const combatant = new StreetFighterCombatant({ _id: `c-${actor.id}`, actor }, { parent: combat });
+    return [combatant.id, combatant];
+  }));
+  combat.setupTurns();
+
+  game.combats.set(combat.id, combat);
+  return combat;
+}
+
+/**
+ * Find a fighter's combatant in a combat
+ * @param {StreetFighterCombat} combat
+ * @param {StreetFighterActor} actor
+ * @returns {StreetFighterCombatant}
+ */
+export function combatantOf(combat, actor) {
+  return combat.combatants.find(c => c.actor === actor);
+}
+
+/**
+ * Wrap data as the File the importers read
+ * @param {string} name - File name
+ * @param {object} data - JSON contents
+ * @returns {{name: string, text: function(): Promise<string>}}
+ */
+export function jsonFile(name, data) {
+  return { name, text: async () => JSON.stringify(data) };
+}
+
+/**
+ * Build a small .fslibrary library with one item of every kind
+ * @returns {object}
+ */
+export function libraryData() {
+  return {
+    name: "Test Library",
+    traits: [
+      { id: "strength", name: "Strength", category: "physical", isOptional: false, description: "", effects: [] },
+      { id: "athletics", name: "Athletics", category: "talents", isOptional: true, description: "", effects: [] },
+      { id: "punch", name: "Punch", category: "techniques", isOptional: false, description: "", effects: [] },
+      { id: "kali", name: "Kali", category: "techniques", isOptional: true, isWeaponTechnique: true, effects: [] },
+      { id: "allies", name: "Allies", category: "backgrounds", isOptional: true, unique: true, effects: [] }
+    ],
+    divisions: [{ id: "freestyle", name: "Freestyle", description: "Anything goes" }],
+    fighting_styles: [{
+      id: "shotokan",
+      name: "Shotokan",
+      initialChi: 2,
+      initialWillpower: 3,
+      motto: "Karate",
+      effects: [{ type: "traitBonus", targets: ["punch"], value: 1 }]
+    }],
+    special_maneuvers: [
+      { id: "jab", name: "Jab", category: "punch", defaultPowerPointCost: 1, chiCost: null, willpowerCost: null },
+      {
+        id: "fireball",
+        name: "Fireball",
+        category: "focus",
+        prerequisites: [
+          { type: "techniqueRating", traitId: "punch", minimumValue: 3 },
+          { type: "maneuver", requiredManeuverId: "jab" }
+        ],
+        defaultPowerPointCost: 3,
+        stylePowerPointCosts: { shotokan: 2 },
+        chiCost: 1,
+        willpowerCost: null,
+        damageModifier: "+3",
+        damageTraitOverride: "punch"
+      }
+    ],
+    weapons: [{ id: "bo", name: "Bo", techniqueId: "kali", speed: "+1", damage: "+2", movement: "+0" }]
+  };
+}
+
+/**
+ * Build a .fscharacters character using the items of libraryData
+ * @param {object} [overrides] - Fields to replace
+ * @returns {object}
+ */
+export function characterData(overrides = {}) {
+  return {
+    characterId: "char-ryu",
+    name: "Ryu",
+    characterName: "Ryu Hoshi",
+    playerName: "Ana",
+    concept: "Wanderer",
+    health: 12,
+    chi: 5,
+    willpower: 6,
+    permanentHonor: 4,
+    temporaryHonor: 2,
+    permanentGlory: 3,
+    experienceTotal: 10,
+    experienceSpent: 4,
+    styleId: "shotokan",
+    traitValues: { strength: 3, athletics: 2, punch: 3, allies: 1 },
+    specialManeuverIds: ["fireball"],
+    selectedWeaponIds: ["bo"],
+    divisionRecords: [{ divisionId: "freestyle", rank: "5", wins: 3, draws: 1, losses: 2, knockouts: 1 }],
+    languages: ["Japanese", "English"],
+    combos: [{ id: "combo-1", isDizzy: true, maneuverIds: ["jab", "fireball"] }],
+    appliedEffectGroups: [{
+      sourceId: "shotokan",
+      effects: [
+        { type: "traitBonus", targets: ["punch"], value: 1 },
+        { type: "grantManeuver", targets: ["jab"] }
+      ]
+    }],
+    background: "Trained by Gouken",
+    motivations: "The answer lies in the heart of battle",
+    appearance: "White gi",
+    equipment: "Headband",
+    imageBase64: "aGVsbG8=",
+    ...overrides
+  };
+}
@@ -0,0 +1,871 @@
+/**
+ * Street Fighter Test Harness
+ * Lightweight stand-ins for the Foundry globals the system modules use, so they run under plain Node.
+ * Import this module before any system module: several of them read Foundry globals when they load
+ * @author Kirlian Silvestre
+ */
+
+import { STREET_FIGHTER } from "../../module/config/config.mjs";
+import { registerSettings } from "../../module/config/settings.mjs";
+
+/* -------------------------------------------- */
+/*  Utilities                                   */
+/* -------------------------------------------- */
+
+/**
+ * Check for a plain object (not an array, class instance or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Check for an object that properties can be merged into, such as a data model
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMergeable(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+const utils = {
+  randomID(length = 16) {
+    const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+    return Array.from({ length }, () => chars[Math.floor(Math.random() * chars.length)]).join("");
+  },
+
+  deepClone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+  },
+
+  getType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "Array";
+    if (isPlainObject(value)) return value.constructor === Object ? "Object" : value.constructor.name;
+    return typeof value;
+  },
+
+  isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === "object") return Object.keys(value).length === 0;
+    return false;
+  },
+
+  getProperty(object, path) {
+    return path.split(".").reduce((target, key) => target?.[key], object);
+  },
+
+  setProperty(object, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    let target = object;
+    for (const key of keys) {
+      if (!isMergeable(target[key])) target[key] = {};
+      target = target[key];
+    }
+    target[last] = value;
+  },
+
+  mergeObject(original, other, { performDeletions = false } = {}) {
+    for (const [key, value] of Object.entries(other)) {
+      if (performDeletions && key.startsWith("-=")) delete original[key.slice(2)];
+      else if (isPlainObject(value) && isMergeable(original[key])) utils.mergeObject(original[key], value, { performDeletions });
+      else original[key] = utils.deepClone(value);
+    }
+    return original;
+  },
+
+  expandObject(object) {
+    const expanded = {};
+    for (const [path, value] of Object.entries(object)) {
+      utils.setProperty(expanded, path, isPlainObject(value) ? utils.expandObject(value) : value);
+    }
+    return expanded;
+  },
+
+  flattenObject(object, prefix = "") {
+    const flat = {};
+    for (const [key, value] of Object.entries(object)) {
+      if (isPlainObject(value) && !utils.isEmpty(value)) Object.assign(flat, utils.flattenObject(value, `${prefix}${key}.`));
+      else flat[`${prefix}${key}`] = value;
+    }
+    return flat;
+  },
+
+  filterObject(source, template) {
+    const filtered = {};
+    for (const [key, value] of Object.entries(template)) {
+      if (!(key in source)) continue;
+      filtered[key] = isPlainObject(value) && isPlainObject(source[key]) ? utils.filterObject(source[key], value) : source[key];
+    }
+    return filtered;
+  },
+
+  isNewerVersion(version, other) {
+    const parts = v => String(v).split(".").map(Number);
+    const [a, b] = [parts(version), parts(other)];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if ((a[i] ?? 0) !== (b[i] ?? 0)) return (a[i] ?? 0) > (b[i] ?? 0);
+    }
+    return false;
+  }
+};
+
+/* -------------------------------------------- */
+/*  Data Models                                 */
+/* -------------------------------------------- */
+
+/**
+ * Schema field that only knows its initial value; the harness does not clean or validate data
+ */
+class DataField {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  getInitialValue() {
+    return utils.deepClone(this.options.initial);
+  }
+}
+
+class SchemaField extends DataField {
+  constructor(fields, options = {}) {
+    super(options);
+    this.fields = fields;
+  }
+
+  getInitialValue() {
+    return Object.fromEntries(Object.entries(this.fields).map(([name, field]) => [name, field.getInitialValue()]));
+  }
+}
+
+class ArrayField extends DataField {
+  getInitialValue() {
+    return [];
+  }
+}
+
+class ObjectField extends DataField {
+  getInitialValue() {
+    return {};
+  }
+}
+
+class HTMLField extends DataField {}
+
+const fields = {
+  SchemaField,
+  ArrayField,
+  ObjectField,
+  TypedObjectField: ObjectField,
+  StringField: DataField,
+  HTMLField,
+  NumberField: DataField,
+  BooleanField: DataField
+};
+
+/**
+ * System data model: the schema's initial values overlaid with the migrated source
+ */
+class TypeDataModel {
+  constructor(data = {}, { parent = null } = {}) {
+    Object.defineProperty(this, "parent", { value: parent });
+    const source = this.constructor.migrateData(utils.deepClone(data));
+    utils.mergeObject(Object.assign(this, this.constructor.schema.getInitialValue()), source);
+  }
+
+  static get schema() {
+    if (!Object.hasOwn(this, "_schema")) this._schema = new SchemaField(this.defineSchema());
+    return this._schema;
+  }
+
+  static defineSchema() {
+    return {};
+  }
+
+  static migrateData(source) {
+    return source;
+  }
+
+  toObject() {
+    return utils.deepClone({ ...this });
+  }
+
+  prepareBaseData() {}
+
+  prepareDerivedData() {}
+}
+
+/* -------------------------------------------- */
+/*  Collections and Documents                   */
+/* -------------------------------------------- */
+
+/**
+ * Keyed collection with the array helpers of Foundry's Collection
+ */
+export class Collection extends Map {
+  /** Iterate values, as Foundry's Collection does */
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  get contents() {
+    return Array.from(super.values());
+  }
+
+  find(predicate) {
+    return this.contents.find(predicate);
+  }
+
+  filter(predicate) {
+    return this.contents.filter(predicate);
+  }
+
+  map(transform) {
+    return this.contents.map(transform);
+  }
+
+  some(predicate) {
+    return this.contents.some(predicate);
+  }
+
+  getName(name) {
+    return this.find(document => document.name === name);
+  }
+}
+
+/**
+ * World collection, with the import of compendium documents
+ */
+export class WorldCollection extends Collection {
+  fromCompendium(document, { clearFolder = false, keepId = false } = {}) {
+    const data = document.toObject();
+    if (!keepId) delete data._id;
+    if (clearFolder) delete data.folder;
+    data._stats = { compendiumSource: document.uuid };
+    return data;
+  }
+}
+
+/**
+ * World compendium holding every document it contains in memory
+ */
+export class CompendiumCollection extends Collection {
+  constructor(metadata) {
+    super();
+    this.metadata = metadata;
+    this.folders = new Collection();
+  }
+
+  static async createCompendium(metadata) {
+    const pack = new this({ ...metadata, id: `world.${metadata.name}`, packageType: "world", flags: metadata.flags ?? {} });
+    game.packs.set(pack.collection, pack);
+    return pack;
+  }
+
+  get collection() {
+    return this.metadata.id;
+  }
+
+  get documentName() {
+    return this.metadata.type;
+  }
+
+  async getDocuments() {
+    return this.contents;
+  }
+
+  async deleteCompendium() {
+    game.packs.delete(this.collection);
+  }
+}
+
+/**
+ * World collection of each primary document type
+ * @type {object}
+ */
+const WORLD_COLLECTIONS = {
+  Actor: "actors",
+  Item: "items",
+  Folder: "folders"
+};
+
+/**
+ * Embedded collection of each embedded document type
+ * @type {object}
+ */
+const EMBEDDED_COLLECTIONS = {
+  Item: "items",
+  ActiveEffect: "effects"
+};
+
+/**
+ * In-memory document: updates apply immediately and re-prepare the document
+ */
+class Document {
+  constructor(data = {}, { parent = null } = {}) {
+    this._id = data._id ?? utils.randomID();
+    this.name = data.name ?? "";
+    this.type = data.type ?? null;
+    this.img = data.img ?? null;
+    this.folder = typeof data.folder === "string" ? game.folders.get(data.folder) ?? null : data.folder ?? null;
+    const DataModel = CONFIG[this.constructor.documentName]?.dataModels?.[this.type];
+    this.system = DataModel ? new DataModel(data.system, { parent: this }) : utils.deepClone(data.system ?? {});
+    this.flags = utils.deepClone(data.flags ?? {});
+    this.parent = parent;
+    this.pack = null;
+  }
+
+  /**
+   * Create a world document with the configured document class, running its creation hooks
+   * @param {object} data
+   * @param {object} [options]
+   * @returns {Promise<Document>}
+   */
+  static async create(data, options = {}) {
+    const cls = CONFIG[this.documentName]?.documentClass ?? this;
+    const document = new cls(data);
+    const pack = options.pack ? game.packs.get(options.pack) : null;
+    if (pack) {
+      document.pack = pack.collection;
+      if (typeof data.folder === "string") document.folder = pack.folders.get(data.folder) ?? null;
+    }
+    await document._preCreate(data, options, game.user);
+    const collection = pack ? (this.documentName === "Folder" ? pack.folders : pack) : game[WORLD_COLLECTIONS[this.documentName]];
+    collection?.set(document.id, document);
+    await document._onCreate(data, options, game.user.id);
+    return document;
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  get documentName() {
+    return this.constructor.documentName;
+  }
+
+  get uuid() {
+    if (this.pack) return `Compendium.${this.pack}.${this.constructor.documentName}.${this.id}`;
+    return this.parent ? `${this.parent.uuid}.${this.constructor.name}.${this.id}` : `${this.constructor.name}.${this.id}`;
+  }
+
+  get isOwner() {
+    return true;
+  }
+
+  getFlag(scope, key) {
+    return utils.getProperty(this.flags, `${scope}.${key}`);
+  }
+
+  async setFlag(scope, key, value) {
+    return this.update({ [`flags.${scope}.${key}`]: value });
+  }
+
+  updateSource(changes) {
+    for (const [path, value] of Object.entries(changes)) {
+      const [, parentPath, deletedKey] = path.match(/^(?:(.*)\.)?-=(.+)$/) ?? [];
+      if (deletedKey) {
+        delete (parentPath ? utils.getProperty(this, parentPath) : this)?.[deletedKey];
+        continue;
+      }
+      const current = utils.getProperty(this, path);
+      if (isPlainObject(value) && isMergeable(current)) utils.mergeObject(current, value);
+      else utils.setProperty(this, path, utils.deepClone(value));
+    }
+  }
+
+  async update(changes, options = {}) {
+    this.updateSource(changes);
+    this.prepareData();
+    return this;
+  }
+
+  async delete(options = {}) {
+    const collection = this.parent ? this.parent[EMBEDDED_COLLECTIONS[this.constructor.documentName]]
+      : this.pack ? game.packs.get(this.pack) : game[WORLD_COLLECTIONS[this.constructor.documentName]];
+    collection?.delete(this.id);
+    this.parent?.prepareData();
+    return this;
+  }
+
+  getEmbeddedCollection(embeddedName) {
+    return this[EMBEDDED_COLLECTIONS[embeddedName]];
+  }
+
+  async createEmbeddedDocuments(embeddedName, data, options = {}) {
+    const collection = EMBEDDED_COLLECTIONS[embeddedName];
+    const cls = embeddedName === "Item" ? CONFIG.Item.documentClass : ActiveEffect;
+    const documents = data.map(d => new cls({ ...d, _id: options.keepId ? d._id : undefined }, { parent: this }));
+    for (const document of documents) this[collection].set(document.id, document);
+    this.prepareData();
+    this._onCreateDescendantDocuments(this, collection, documents, data, options, game.user.id);
+    return documents;
+  }
+
+  async updateEmbeddedDocuments(embeddedName, updates, options = {}) {
+    const collection = EMBEDDED_COLLECTIONS[embeddedName];
+    const documents = [];
+    for (const { _id, ...changes } of updates) {
+      const document = this[collection].get(_id);
+      if (!document) continue;
+      document.updateSource(changes);
+      document.prepareData();
+      documents.push(document);
+    }
+    this.prepareData();
+    return documents;
+  }
+
+  async deleteEmbeddedDocuments(embeddedName, ids, options = {}) {
+    const collection = EMBEDDED_COLLECTIONS[embeddedName];
+    const documents = ids.map(id => this[collection].get(id)).filter(Boolean);
+    for (const document of documents) this[collection].delete(document.id);
+    this.prepareData();
+    this._onDeleteDescendantDocuments(this, collection, documents, ids, options, game.user.id);
+    return documents;
+  }
+
+  toObject() {
+    const data = {
+      _id: this.id,
+      name: this.name,
+      type: this.type,
+      img: this.img,
+      folder: this.folder?.id ?? null,
+      system: this.system?.toObject?.() ?? utils.deepClone(this.system),
+      flags: utils.deepClone(this.flags)
+    };
+    if (this.changes) data.changes = utils.deepClone(this.changes);
+    if (this.prototypeToken) data.prototypeToken = utils.deepClone(this.prototypeToken);
+    for (const collection of Object.values(EMBEDDED_COLLECTIONS)) {
+      if (this[collection] instanceof Collection) data[collection] = this[collection].map(d => d.toObject());
+    }
+    return data;
+  }
+
+  prepareData() {
+    this.system.prepareBaseData?.();
+    this.prepareBaseData();
+    this.system.prepareDerivedData?.();
+    this.prepareDerivedData();
+  }
+
+  prepareBaseData() {}
+
+  prepareDerivedData() {}
+
+  async _preCreate(data, options, user) {}
+
+  async _onCreate(data, options, userId) {}
+
+  _onCreateDescendantDocuments(parent, collection, documents, data, options, userId) {}
+
+  _onDeleteDescendantDocuments(parent, collection, documents, ids, options, userId) {}
+}
+
+export class Folder extends Document {
+  static documentName = "Folder";
+
+  getSubfolders(recursive = false) {
+    const children = game.folders.filter(f => f.folder?.id === this.id);
+    return recursive ? children.flatMap(f => [f, ...f.getSubfolders(true)]) : children;
+  }
+}
+
+export class Item extends Document {
+  static documentName = "Item";
+
+  constructor(data = {}, context = {}) {
+    super(data, context);
+    this.effects = new Collection((data.effects ?? []).map(d => {
+      const effect = new ActiveEffect(d, { parent: this });
+      return [effect.id, effect];
+    }));
+    this.prepareData();
+  }
+}
+
+export class ActiveEffect extends Document {
+  constructor(data = {}, context = {}) {
+    super(data, context);
+    this.disabled = data.disabled ?? false;
+    this.changes = utils.deepClone(data.changes ?? []);
+  }
+}
+
+export class Actor extends Document {
+  static documentName = "Actor";
+
+  constructor(data = {}, context = {}) {
+    super(data, context);
+    this.prototypeToken = utils.deepClone(data.prototypeToken ?? { name: this.name });
+    const ItemClass = CONFIG.Item.documentClass;
+    this.items = new Collection((data.items ?? []).map(d => {
+      const item = new ItemClass(d, { parent: this });
+      return [item.id, item];
+    }));
+    this.effects = new Collection((data.effects ?? []).map(d => {
+      const effect = new ActiveEffect(d, { parent: this });
+      return [effect.id, effect];
+    }));
+    this.prepareData();
+  }
+}
+
+export class Combatant extends Document {
+  constructor(data = {}, context = {}) {
+    super(data, context);
+    this.actor = data.actor ?? null;
+    this.actorId = data.actorId ?? this.actor?.id ?? null;
+    this.tokenId = data.tokenId ?? this.id;
+    this.token = null;
+    this.initiative = data.initiative ?? null;
+    this._isNPC = data.isNPC ?? false;
+    if (!this.name) this.name = this.actor?.name ?? "";
+  }
+
+  get isNPC() {
+    return this._isNPC;
+  }
+}
+
+export class Combat extends Document {
+  constructor(data = {}, context = {}) {
+    super(data, context);
+    this.round = data.round ?? 0;
+    this.turn = data.turn ?? null;
+    this.turns = [];
+    this.previous = null;
+    this.current = null;
+    this.combatants = new Collection();
+  }
+
+  get started() {
+    return this.round > 0;
+  }
+
+  async startCombat() {
+    await this.update({ round: 1, turn: 0 });
+    return this;
+  }
+
+  async nextRound() {
+    await this.update({ round: this.round + 1, turn: 0 });
+    return this;
+  }
+
+  /**
+   * Update the combat, then run the turn events of a round or turn change the way Foundry's _onUpdate does
+   * unless the update passes turnEvents: false
+   * @param {object} changes
+   * @param {object} [options]
+   * @returns {Promise<Combat>}
+   */
+  async update(changes, options = {}) {
+    const prior = this._getCurrentState(this.turns[this.turn]);
+    await super.update(changes, options);
+    this.current = this._getCurrentState(this.turns[this.turn]);
+    if (this.current.round === prior.round && this.current.turn === prior.turn) return this;
+
+    this.previous = prior;
+    if (options.turnEvents !== false) await this._manageTurnEvents();
+    return this;
+  }
+
+  /**
+   * Run the end and start events between the previous and the current turn, as Foundry does for the active GM
+   * @returns {Promise<void>}
+   */
+  async _manageTurnEvents() {
+    if (!this.started || !this.turns.length) return;
+
+    const advanceRound = this.current.round > (this.previous.round ?? -1);
+    const advanceTurn = advanceRound || this.current.turn > (this.previous.turn ?? -1);
+    const changeCombatant = this.current.combatantId !== this.previous.combatantId;
+    if (!(advanceTurn || changeCombatant)) return;
+
+    const context = { round: this.round, turn: this.turn, skipped: false };
+    const prior = this.combatants.get(this.previous.combatantId);
+    if (prior) await this._onEndTurn(prior, context);
+    if (advanceRound && this.previous.round) await this._onEndRound(context);
+    if (advanceRound) await this._onStartRound(context);
+
+    const next = this.turns[this.turn];
+    if (next) await this._onStartTurn(next, context);
+  }
+
+  async _onStartTurn(combatant, context) {}
+
+  async _onEndTurn(combatant, context) {}
+
+  async _onStartRound(context) {}
+
+  async _onEndRound(context) {}
+
+  async updateEmbeddedDocuments(embeddedName, updates) {
+    for (const { _id, ...changes } of updates) {
+      await this.combatants.get(_id)?.update(changes);
+    }
+  }
+
+  prepareDerivedData() {
+    if (this.combatants?.size && !this.turns?.length) this.setupTurns();
+  }
+
+  setupTurns() {
+    return this.turns = this.combatants.contents;
+  }
+
+  _getCurrentState(combatant) {
+    return { round: this.round, turn: this.turn, combatantId: combatant?.id ?? null, tokenId: combatant?.tokenId ?? null };
+  }
+
+  async _preCreate(data, options, user) {}
+}
+
+/* -------------------------------------------- */
+/*  Dice                                        */
+/* -------------------------------------------- */
+
+/**
+ * A plain NdX roll, enough for the system's d10 pools
+ */
+export class Roll {
+  constructor(formula) {
+    this.formula = formula;
+    this.terms = [];
+    this._evaluated = false;
+    this._total = undefined;
+  }
+
+  get total() {
+    return this._total;
+  }
+
+  async evaluate() {
+    const [number, faces] = this.formula.split("d").map(Number);
+    const results = Array.from({ length: number }, () => ({ result: Math.floor(Math.random() * faces) + 1, active: true }));
+    this.terms = [{ number, faces, results }];
+    this._total = results.reduce((sum, r) => sum + r.result, 0);
+    this._evaluated = true;
+    return this;
+  }
+
+  static fromData(data) {
+    const roll = new this(data.formula);
+    roll.terms = data.terms.map(({ number, faces, results }) => ({ number, faces, results: utils.deepClone(results) }));
+    roll._total = data.total;
+    roll._evaluated = data.evaluated ?? true;
+    return roll;
+  }
+}
+
+/* -------------------------------------------- */
+/*  Applications and Chat                       */
+/* -------------------------------------------- */
+
+class ApplicationV2 {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  async render() {
+    return this;
+  }
+
+  async close() {}
+}
+
+class DialogV2 extends ApplicationV2 {
+  static async confirm() {
+    return true;
+  }
+
+  static async prompt() {
+    return null;
+  }
+}
+
+export class ChatMessage {
+  /** @type {object[]} */
+  static messages = [];
+
+  static async create(data) {
+    this.messages.push(data);
+    return data;
+  }
+
+  static getSpeaker({ actor, token } = {}) {
+    return { actor: actor?.id ?? null, token: token?.id ?? null, alias: actor?.name ?? null };
+  }
+
+  static getWhisperRecipients() {
+    return [];
+  }
+}
+
+/* -------------------------------------------- */
+/*  Hooks, Settings and Notifications           */
+/* -------------------------------------------- */
+
+export const Hooks = {
+  /** @type {Array<{hook: string, args: Array}>} */
+  calls: [],
+
+  /** @type {Map<string, Function[]>} */
+  listeners: new Map(),
+
+  callAll(hook, ...args) {
+    this.calls.push({ hook, args });
+    for (const listener of this.listeners.get(hook) ?? []) listener(...args);
+    return true;
+  },
+
+  call(hook, ...args) {
+    return this.callAll(hook, ...args);
+  },
+
+  on(hook, listener) {
+    if (!this.listeners.has(hook)) this.listeners.set(hook, []);
+    this.listeners.get(hook).push(listener);
+  },
+
+  once() {}
+};
+
+/**
+ * Notifications shown by the code under test, by level
+ */
+export const notifications = {
+  info: [],
+  warn: [],
+  error: []
+};
+
+const settings = {
+  _values: new Map(),
+
+  register(namespace, key, config) {
+    this._values.set(`${namespace}.${key}`, config.default);
+  },
+
+  get(namespace, key) {
+    return this._values.get(`${namespace}.${key}`);
+  },
+
+  async set(namespace, key, value) {
+    this._values.set(`${namespace}.${key}`, value);
+    return value;
+  }
+};
+
+/* -------------------------------------------- */
+/*  Globals                                     */
+/* -------------------------------------------- */
+
+Number.isNumeric ??= value => value !== null && value !== "" && Number.isFinite(Number(value));
+String.prototype.slugify ??= function ({ replacement = "-", strict = false } = {}) {
+  let slug = this.normalize("NFD").replace(/[\u0300-\u036f]/g, "").trim().toLowerCase();
+  if (strict) slug = slug.replace(/[^a-z0-9\s-]/g, "");
+  return slug.replace(/\s+/g, replacement);
+};
+
+Object.assign(globalThis, {
+  CONST: {
+    ACTIVE_EFFECT_MODES: { CUSTOM: 0, MULTIPLY: 1, ADD: 2, DOWNGRADE: 3, UPGRADE: 4, OVERRIDE: 5 },
+    CHAT_MESSAGE_STYLES: { OTHER: 0 }
+  },
+  CONFIG: {
+    STREET_FIGHTER,
+    Actor: { dataModels: {} },
+    Item: { documentClass: Item, dataModels: {} },
+    sounds: { dice: "" }
+  },
+  foundry: {
+    utils,
+    abstract: { TypeDataModel },
+    data: { fields },
+    documents: {
+      collections: { CompendiumCollection }
+    },
+    applications: {
+      api: {
+        ApplicationV2,
+        DialogV2,
+        HandlebarsApplicationMixin: Base => class extends Base {}
+      },
+      handlebars: {
+        renderTemplate: async (path, data) => path
+      },
+      instances: new Map()
+    }
+  },
+  Actor,
+  Item,
+  Folder,
+  Combat,
+  Combatant,
+  Roll,
+  ChatMessage,
+  Hooks,
+  game: {
+    user: { id: "gm", isGM: true },
+    system: { id: "street-fighter", version: "1.2.0" },
+    world: { id: "test-world", title: "Test World" },
+    settings,
+    i18n: {
+      localize: key => key,
+      format: (key, data) => `${key} ${JSON.stringify(data)}`
+    },
+    socket: { emit() {}, on() {} },
+    actors: new WorldCollection(),
+    items: new WorldCollection(),
+    folders: new WorldCollection(),
+    combats: new WorldCollection(),
+    packs: new Collection(),
+    get combat() {
+      return this.combats.contents[0] ?? null;
+    }
+  },
+  ui: {
+    notifications: {
+      info: message => notifications.info.push(message),
+      warn: message => notifications.warn.push(message),
+      error: message => notifications.error.push(message)
+    },
+    combat: null
+  },
+  canvas: {
+    scene: null,
+    grid: null,
+    tokens: { get: () => null }
+  },
+  fromUuidSync: uuid => [...game.actors, ...game.items].find(document => document.uuid === uuid) ?? null,
+  document: {
+    body: { appendChild() {} },
+    createElement() {
+      const element = { innerHTML: "", classList: { add() {} }, remove() {} };
+      element.firstElementChild = element;
+      return element;
+    }
+  }
+});
+
+registerSettings();
+
+/**
+ * Clear recorded hooks, notifications, chat messages, world documents, settings and the canvas between tests
+ */
+export function resetHarness() {
+  registerSettings();
+  Object.assign(canvas, { scene: null, grid: null, tokens: { get: () => null } });
+  Hooks.calls.length = 0;
+  Hooks.listeners.clear();
+  for (const level of Object.values(notifications)) level.length = 0;
+  ChatMessage.messages.length = 0;
+  for (const collection of ["actors", "items", "folders", "combats", "packs"]) game[collection].clear();
+}
@@ -0,0 +1,58 @@
+import { resetHarness } from "../harness/foundry.mjs";
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createCreationState,
+  getUnmetCreationPrerequisites,
+  validateCreation
+} from "../../module/helpers/character-creation.mjs";
+import { createFighter, maneuverData } from "../harness/fixtures.mjs";
+
+/**
+ * Add a special maneuver to the world items
+ * @param {string} name
+ * @param {object[]} prerequisites
+ * @returns {Item}
+ */
+function worldManeuver(name, prerequisites) {
+  const item = new CONFIG.Item.documentClass(maneuverData(name, { prerequisites }));
+  game.items.set(item.id, item);
+  return item;
+}
+
+describe("character creation prerequisites", () => {
+  let ryu;
+
+  beforeEach(() => {
+    resetHarness();
+    ryu = createFighter("Ryu");
+    worldManeuver("Jab", []);
+    worldManeuver("Dragon Punch", [
+      { type: "techniqueRating", id: "punch", value: 3 },
+      { type: "maneuver", id: "jab" }
+    ]);
+  });
+
+  it("checks the chosen maneuvers against the ratings being allocated", () => {
+    const state = createCreationState(ryu);
+    state.maneuverIds = ["dragon-punch"];
+
+    assert.deepEqual(getUnmetCreationPrerequisites(ryu, state)[0].unmet.map(entry => entry.id), ["punch", "jab"]);
+
+    state.traits.punch.dots = 3;
+    state.maneuverIds.push("jab");
+    assert.deepEqual(getUnmetCreationPrerequisites(ryu, state), []);
+  });
+
+  it("refuses a fighter with unmet prerequisites only when enforcement blocks", async () => {
+    const state = createCreationState(ryu);
+    state.maneuverIds = ["dragon-punch"];
+    const blocked = errors => errors.filter(error => error.startsWith("STREET_FIGHTER.Prerequisite.Blocked"));
+
+    assert.deepEqual(blocked(validateCreation(state, ryu)), []);
+
+    await game.settings.set("street-fighter", "maneuverPrerequisiteEnforcement", "block");
+    assert.equal(blocked(validateCreation(state, ryu)).length, 1);
+  });
+});
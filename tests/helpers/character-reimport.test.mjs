@@ -0,0 +1,142 @@
+import { resetHarness } from "../harness/foundry.mjs";
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { importLibrary } from "../../module/helpers/library-importer.mjs";
+import {
+  importCharacters,
+  buildActorSystemData,
+  buildEmbeddedItems
+} from "../../module/helpers/character-importer.mjs";
+import {
+  findImportedActor,
+  diffCharacter,
+  applyCharacterChanges
+} from "../../module/helpers/character-reimport.mjs";
+import { jsonFile, libraryData, characterData } from "../harness/fixtures.mjs";
+
+/**
+ * Import characters without the preview
+ * @param {object} charData
+ * @returns {Promise<object>} The import result
+ */
+async function importCharacter(charData) {
+  return importCharacters(jsonFile("ryu.fscharacters", { version: "2.4.0", characters: [charData] }), null, { preview: false });
+}
+
+/**
+ * Build the import data diffCharacter compares, the way the importer does
+ * @param {object} charData
+ * @returns {object}
+ */
+function importedData(charData) {
+  return {
+    name: charData.name,
+    img: null,
+    system: buildActorSystemData(charData, "2.4.0"),
+    items: buildEmbeddedItems(charData)
+  };
+}
+
+describe("findImportedActor", () => {
+  beforeEach(async () => {
+    resetHarness();
+    await importLibrary(jsonFile("test.fslibrary", libraryData()));
+  });
+
+  it("matches by character id, even after a rename", async () => {
+    await importCharacter(characterData());
+    const actor = game.actors.getName("Ryu");
+    await actor.update({ name: "Ryu (Street)" });
+
+    assert.equal(findImportedActor(characterData()), actor);
+    assert.equal(findImportedActor(characterData({ characterId: "other" })), null);
+  });
+});
+
+describe("diffCharacter", () => {
+  beforeEach(async () => {
+    resetHarness();
+    await importLibrary(jsonFile("test.fslibrary", libraryData()));
+    await importCharacter(characterData());
+  });
+
+  it("finds nothing to change for the same character", async () => {
+    const actor = game.actors.getName("Ryu");
+    const imported = importedData(characterData());
+
+    assert.deepEqual(diffCharacter(actor, imported), []);
+  });
+
+  it("reports profile, resource, trait, maneuver, item and combo changes", async () => {
+    const actor = game.actors.getName("Ryu");
+    const imported = importedData(characterData({
+      characterName: "Ryu Hoshi",
+      concept: "Master",
+      chi: 6,
+      traitValues: { strength: 4, athletics: 2, punch: 3, allies: 1 },
+      specialManeuverIds: [],
+      selectedWeaponIds: [],
+      combos: []
+    }));
+
+    const changes = Object.fromEntries(diffCharacter(actor, imported).map(c => [c.id, c]));
+
+    assert.equal(changes["profile.profile.concept"].to, "Master");
+    assert.deepEqual([changes["resources.chi"].from, changes["resources.chi"].to], [5, 6]);
+    assert.deepEqual([changes["traits.attribute.strength"].from, changes["traits.attribute.strength"].to], [3, 4]);
+    assert.equal(changes["maneuvers.specialManeuver.fireball"].kind, "remove");
+    assert.equal(changes["items.weapon.bo"].kind, "remove");
+    assert.equal(changes["combos.combo-1"].kind, "remove");
+    assert.equal(changes["maneuvers.specialManeuver.fireball"].selected, false, "removals are opt-in");
+    assert.equal(changes["traits.attribute.strength"].selected, true);
+    assert.equal(changes["maneuvers.specialManeuver.jab"], undefined, "maneuvers granted by effects stay");
+  });
+});
+
+describe("applyCharacterChanges", () => {
+  beforeEach(async () => {
+    resetHarness();
+    await importLibrary(jsonFile("test.fslibrary", libraryData()));
+    await importCharacter(characterData());
+  });
+
+  it("updates items in place and applies only the chosen changes", async () => {
+    const actor = game.actors.getName("Ryu");
+    const strength = actor.items.find(i => i.system.sourceId === "strength");
+    const imported = importedData(characterData({ concept: "Master", traitValues: { strength: 4, punch: 3 } }));
+    const changes = diffCharacter(actor, imported);
+
+    await applyCharacterChanges(actor, changes.filter(c => c.id !== "profile.profile.concept"));
+
+    assert.equal(actor.items.get(strength.id).system.value, 4, "the item keeps its id");
+    assert.equal(actor.system.profile.concept, "Wanderer");
+    assert.equal(actor.items.find(i => i.system.sourceId === "athletics"), undefined);
+  });
+
+  it("keeps item ids and flags when re-importing a file", async () => {
+    const actor = game.actors.getName("Ryu");
+    const ids = actor.items.map(i => i.id).sort();
+    await actor.update({ "flags.street-fighter.note": "kept" });
+
+    const result = await importCharacter(characterData({ name: "Ryu", experienceTotal: 14 }));
+
+    assert.deepEqual(result.counts, { imported: 0, updated: 1, skipped: 0 });
+    assert.equal(actor.system.experience.total, 14);
+    assert.deepEqual(actor.items.map(i => i.id).sort(), ids);
+    assert.equal(actor.getFlag("street-fighter", "note"), "kept");
+  });
+
+  it("keeps items and combos missing from the file with the default choices", async () => {
+    const actor = game.actors.getName("Ryu");
+    await actor.createEmbeddedDocuments("Item", [{ name: "Dragon Punch", type: "specialManeuver", system: { sourceId: "dragon-punch" } }]);
+
+    const result = await importCharacter(characterData({ concept: "Master", specialManeuverIds: [], combos: [] }));
+
+    assert.deepEqual(result.counts, { imported: 0, updated: 1, skipped: 0 });
+    assert.equal(actor.system.profile.concept, "Master");
+    assert.ok(actor.items.some(i => i.system.sourceId === "dragon-punch"), "the hand-added maneuver stays");
+    assert.ok(actor.items.some(i => i.system.sourceId === "fireball"));
+    assert.equal(actor.system.combos.length, 1);
+  });
+});
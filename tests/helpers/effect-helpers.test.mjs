@@ -0,0 +1,57 @@
+import "../harness/foundry.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  applyModifiers,
+  collectTraitModifiers,
+  getEffectiveTraitValue
+} from "../../module/helpers/effect-helpers.mjs";
+import { createFighter } from "../harness/fixtures.mjs";
+
+const { ADD, MULTIPLY, OVERRIDE } = CONST.ACTIVE_EFFECT_MODES;
+
+describe("applyModifiers", () => {
+  it("returns the base value without modifiers", () => {
+    assert.equal(applyModifiers(4, []), 4);
+  });
+
+  it("adds before multiplying", () => {
+    assert.equal(applyModifiers(3, [{ mode: MULTIPLY, value: 2 }, { mode: ADD, value: 1 }]), 8);
+  });
+
+  it("lets an override win over every other modifier", () => {
+    assert.equal(applyModifiers(3, [{ mode: ADD, value: 4 }, { mode: OVERRIDE, value: 1 }]), 1);
+  });
+
+  it("rounds the result down", () => {
+    assert.equal(applyModifiers(3, [{ mode: MULTIPLY, value: 1.5 }]), 4);
+  });
+});
+
+describe("trait modifiers from active effects", () => {
+  const fighter = createFighter("Guile", {
+    effects: [
+      { name: "Adrenaline", changes: [{ key: "sf.trait.strength", mode: ADD, value: "2" }] },
+      { name: "Exhausted", disabled: true, changes: [{ key: "sf.trait.strength", mode: ADD, value: "-3" }] },
+      { name: "Focus", changes: [{ key: "sf.trait.wits", mode: ADD, value: "1" }, { key: "sf.roll.all", mode: ADD, value: "1" }] }
+    ]
+  });
+
+  it("collects only enabled trait changes for the requested trait", () => {
+    const modifiers = collectTraitModifiers(fighter, "strength");
+
+    assert.equal(modifiers.length, 1);
+    assert.equal(modifiers[0].effectName, "Adrenaline");
+    assert.equal(modifiers[0].value, 2);
+  });
+
+  it("applies the modifiers to the trait's base value", () => {
+    const strength = getEffectiveTraitValue(fighter, "strength", 3);
+
+    assert.equal(strength.value, 5);
+    assert.equal(strength.baseValue, 3);
+    assert.equal(strength.hasModifiers, true);
+    assert.equal(getEffectiveTraitValue(fighter, "stamina", 3).hasModifiers, false);
+  });
+});
@@ -0,0 +1,107 @@
+import { resetHarness } from "../harness/foundry.mjs";
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { importLibrary } from "../../module/helpers/library-importer.mjs";
+import { importCharacters } from "../../module/helpers/character-importer.mjs";
+import { buildLibraryData } from "../../module/helpers/library-exporter.mjs";
+import { buildCharacterExport } from "../../module/helpers/character-exporter.mjs";
+import { jsonFile, libraryData, characterData } from "../harness/fixtures.mjs";
+
+/**
+ * Import the test library into an empty world
+ * @returns {Promise<void>}
+ */
+async function setupWorld() {
+  resetHarness();
+  await importLibrary(jsonFile("test.fslibrary", libraryData()));
+}
+
+/**
+ * Import characters and return the actor named Ryu
+ * @param {object} data - .fscharacters contents
+ * @returns {Promise<Actor>}
+ */
+async function importRyu(data) {
+  const result = await importCharacters(jsonFile("ryu.fscharacters", data), null, { preview: false });
+  assert.deepEqual(result.errors, []);
+  return game.actors.getName("Ryu");
+}
+
+/**
+ * Comparable view of an actor: its data without ids and import time, items in a stable order
+ * @param {Actor} actor
+ * @returns {object}
+ */
+function snapshot(actor) {
+  const { name, img, system, flags } = actor.toObject();
+  delete system.importData.importedAt;
+  const items = actor.items.map(i => ({ name: i.name, type: i.type, system: i.system.toObject() }))
+    .sort((a, b) => `${a.type}.${a.system.sourceId}`.localeCompare(`${b.type}.${b.system.sourceId}`));
+  return { name, img, system, flags, items };
+}
+
+describe("library export", () => {
+  beforeEach(setupWorld);
+
+  it("writes every world item in the format the importer reads", () => {
+    const library = buildLibraryData(game.items.contents, "Test Library");
+
+    assert.deepEqual(library.traits.map(t => [t.id, t.category]), [
+      ["strength", "physical"], ["athletics", "talents"], ["punch", "techniques"], ["kali", "techniques"], ["allies", "backgrounds"]
+    ]);
+    assert.deepEqual(library.fighting_styles[0].effects, [{ type: "traitBonus", targets: ["punch"], value: 1 }]);
+    assert.deepEqual(library.special_maneuvers[1].prerequisites, [
+      { type: "techniqueRating", traitId: "punch", minimumValue: 3 },
+      { type: "maneuver", requiredManeuverId: "jab" }
+    ]);
+  });
+
+  it("round-trips through the library importer", async () => {
+    const exported = buildLibraryData(game.items.contents, "Test Library");
+    resetHarness();
+    await importLibrary(jsonFile("export.fslibrary", exported));
+
+    assert.deepEqual(buildLibraryData(game.items.contents, "Test Library"), exported);
+  });
+});
+
+describe("character export", () => {
+  beforeEach(setupWorld);
+
+  it("exports base trait values and maneuvers without effect grants", async () => {
+    const actor = await importRyu({ version: "2.4.0", characters: [characterData()] });
+    assert.equal(actor.items.find(i => i.system.sourceId === "punch").system.value, 4, "the import adds the bonus");
+
+    const { version, characters: [exported] } = await buildCharacterExport([actor]);
+
+    assert.equal(version, "2.4.0");
+    assert.equal(exported.traitValues.punch, 3);
+    assert.deepEqual(exported.specialManeuverIds, ["fireball"]);
+    assert.equal(exported.chi, 5, "the style's chi is not added to imported fighters");
+    assert.equal(exported.imageBase64, "aGVsbG8=");
+  });
+
+  it("round-trips through the character importer", async () => {
+    const original = await importRyu({ version: "2.4.0", characters: [characterData()] });
+    const exported = await buildCharacterExport([original]);
+    const before = snapshot(original);
+
+    await setupWorld();
+    const reimported = await importRyu(exported);
+
+    assert.deepEqual(snapshot(reimported), before);
+  });
+
+  it("keeps the ledger and power points when re-importing over an existing fighter", async () => {
+    const actor = await importRyu({ version: "2.4.0", characters: [characterData()] });
+    await actor.update({ "system.powerPoints.total": 7, "system.experience.history": [{ id: "entry", kind: "purchase" }] });
+
+    await importRyu({ version: "2.4.0", characters: [characterData({ experienceTotal: 12 })] });
+
+    assert.equal(actor.system.experience.total, 12);
+    assert.equal(actor.system.powerPoints.total, 7);
+    assert.equal(actor.system.experience.history.length, 1);
+    assert.equal(actor.system.resources.chi.max, 5);
+  });
+});
@@ -0,0 +1,188 @@
+import { resetHarness } from "../harness/foundry.mjs";
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { importLibrary } from "../../module/helpers/library-importer.mjs";
+import { importCharacters } from "../../module/helpers/character-importer.mjs";
+import { validateLibraryData, validateCharacterData, ImportTransaction } from "../../module/helpers/import-validation.mjs";
+import { getLibraryPack, loadLibraryPackItems } from "../../module/helpers/library-packs.mjs";
+import { jsonFile, libraryData, characterData } from "../harness/fixtures.mjs";
+
+/**
+ * Wrap characters as a .fscharacters file
+ * @param {object[]} characters
+ * @returns {{name: string, text: function(): Promise<string>}}
+ */
+function charactersFile(characters) {
+  return jsonFile("fighters.fscharacters", { version: "2.4.0", characters });
+}
+
+/**
+ * List the codes of a report's issues with the given severity
+ * @param {object} report
+ * @param {string} severity
+ * @returns {string[]}
+ */
+function codesOf(report, severity) {
+  return report.issues.filter(issue => issue.severity === severity).map(issue => issue.code);
+}
+
+/**
+ * Make a static create method fail from its nth call on
+ * @param {Function} documentClass - Actor or Item
+ * @param {number} failAt - 1-based call that throws
+ */
+function failCreateAt(documentClass, failAt) {
+  const create = documentClass.create;
+  let calls = 0;
+  mock.method(documentClass, "create", async function(...args) {
+    if (++calls >= failAt) throw new Error("Write failed");
+    return create.apply(this, args);
+  });
+}
+
+describe("validateLibraryData", () => {
+  beforeEach(() => resetHarness());
+
+  it("accepts a well-formed library and counts its entries", () => {
+    const report = validateLibraryData(libraryData());
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.issues, []);
+    assert.deepEqual(report.summary.map(section => section.count), [5, 1, 1, 2, 1]);
+  });
+
+  it("reports unknown categories, bad numbers and duplicate ids as errors", () => {
+    const library = libraryData();
+    library.traits[0].category = "mystic";
+    library.special_maneuvers[1].chiCost = -1;
+    library.fighting_styles[0].initialChi = "two";
+    library.weapons.push({ ...library.weapons[0] });
+
+    const report = validateLibraryData(library);
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(codesOf(report, "error").sort(), ["badNumber", "badNumber", "duplicateId", "unknownCategory"]);
+  });
+
+  it("warns about references found neither in the library nor in the world", () => {
+    const library = libraryData();
+    library.weapons[0].techniqueId = "staff";
+
+    const report = validateLibraryData(library);
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.issues.map(issue => [issue.severity, issue.code, issue.value]), [["warning", "missingReference", "staff"]]);
+  });
+});
+
+describe("validateCharacterData", () => {
+  beforeEach(async () => {
+    resetHarness();
+    await importLibrary(jsonFile("test.fslibrary", libraryData()));
+  });
+
+  it("accepts a character whose references all resolve", () => {
+    const report = validateCharacterData({ version: "2.4.0", characters: [characterData()] });
+    assert.deepEqual(report.issues, []);
+  });
+
+  it("reports references missing from the world as errors", () => {
+    const report = validateCharacterData({
+      version: "2.4.0",
+      characters: [characterData({ specialManeuverIds: ["fireball", "hadoken"], traitValues: { strength: 3, kung_fu: 2 } })]
+    });
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.issues.map(issue => issue.value).sort(), ["hadoken", "kung_fu"]);
+  });
+
+  it("reports a file without characters", () => {
+    const report = validateCharacterData({ version: "2.4.0" });
+    assert.deepEqual(codesOf(report, "error"), ["missingField"]);
+  });
+});
+
+describe("import dry run and rollback", () => {
+  beforeEach(async () => {
+    resetHarness();
+    await importLibrary(jsonFile("test.fslibrary", libraryData()));
+  });
+
+  it("writes nothing on a dry run", async () => {
+    const result = await importCharacters(charactersFile([characterData()]), null, { dryRun: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.report.summary[0].count, 1);
+    assert.equal(game.actors.size, 0);
+  });
+
+  it("writes nothing when the file has errors", async () => {
+    const result = await importCharacters(charactersFile([
+      characterData({ characterId: "char-ken", name: "Ken" }),
+      characterData({ specialManeuverIds: ["hadoken"] })
+    ]), null, { preview: false });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors.length, 1);
+    assert.equal(game.actors.size, 0);
+  });
+
+  it("rolls back created and updated characters when one fails", async () => {
+    await importCharacters(charactersFile([characterData()]), null, { preview: false });
+    const ryu = game.actors.getName("Ryu");
+    const itemIds = ryu.items.map(item => item.id).sort();
+
+    failCreateAt(Actor, 2);
+    try {
+      const result = await importCharacters(charactersFile([
+        characterData({ characterId: "char-ken", name: "Ken" }),
+        characterData({ chi: 9, specialManeuverIds: [] }),
+        characterData({ characterId: "char-guile", name: "Guile" })
+      ]), null, { preview: false });
+
+      assert.equal(result.rolledBack, true);
+      assert.match(result.errors[0], /Guile: Write failed/);
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.deepEqual(game.actors.map(actor => actor.name), ["Ryu"]);
+    assert.equal(ryu.system.resources.chi.max, 5);
+    assert.ok(ryu.items.some(item => item.system.sourceId === "fireball"));
+    assert.deepEqual(ryu.items.map(item => item.id).sort(), itemIds);
+  });
+
+  it("restores a snapshot actor's effects and prototype token", async () => {
+    await importCharacters(charactersFile([characterData()]), null, { preview: false });
+    const ryu = game.actors.getName("Ryu");
+    const [focus] = await ryu.createEmbeddedDocuments("ActiveEffect", [{ name: "Focus", changes: [] }]);
+    await ryu.update({ prototypeToken: { name: "Ryu", disposition: 1 } });
+
+    const transaction = new ImportTransaction();
+    transaction.snapshot(ryu);
+    await ryu.deleteEmbeddedDocuments("ActiveEffect", [focus.id]);
+    await ryu.createEmbeddedDocuments("ActiveEffect", [{ name: "Rage", changes: [] }]);
+    await ryu.update({ prototypeToken: { name: "Hoshi", disposition: -1 } });
+
+    assert.deepEqual(await transaction.rollback(), []);
+    assert.deepEqual(ryu.effects.map(effect => [effect.id, effect.name]), [[focus.id, "Focus"]]);
+    assert.deepEqual(ryu.prototypeToken, { name: "Ryu", disposition: 1 });
+  });
+
+  it("removes a new library compendium when the import fails", async () => {
+    resetHarness();
+    await loadLibraryPackItems();
+
+    failCreateAt(Item, 8);
+    try {
+      const result = await importLibrary(jsonFile("test.fslibrary", libraryData()), { compendium: true });
+      assert.equal(result.rolledBack, true);
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.equal(getLibraryPack("Test Library"), null);
+    assert.equal(game.items.size, 0);
+  });
+});
@@ -0,0 +1,66 @@
+import { resetHarness } from "../harness/foundry.mjs";
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { importLibrary } from "../../module/helpers/library-importer.mjs";
+import { importCharacters } from "../../module/helpers/character-importer.mjs";
+import { getLibraryPack, loadLibraryPackItems } from "../../module/helpers/library-packs.mjs";
+import { planLibraryUpdate, applyLibraryUpdate } from "../../module/helpers/library-update.mjs";
+import { findWorldItemBySourceId, getNonOptionalTraits } from "../../module/helpers/utils.mjs";
+import { jsonFile, libraryData, characterData } from "../harness/fixtures.mjs";
+
+describe("library compendium packs", () => {
+  beforeEach(async () => {
+    resetHarness();
+    await loadLibraryPackItems();
+    await importLibrary(jsonFile("test.fslibrary", libraryData()), { compendium: true });
+  });
+
+  it("imports a library into its own compendium with a folder per type", () => {
+    const pack = getLibraryPack("Test Library");
+
+    assert.equal(pack.collection, "world.library-test-library");
+    assert.equal(game.items.size, 0);
+    assert.equal(game.folders.size, 0);
+    assert.equal(pack.size, 10);
+    assert.equal(pack.folders.size, 8);
+    assert.equal(pack.find(i => i.system.sourceId === "fireball").folder.name, "Special Maneuvers");
+  });
+
+  it("resolves sourceIds against the compendium, preferring world items", async () => {
+    assert.equal(findWorldItemBySourceId("punch", "technique").pack, "world.library-test-library");
+
+    await Item.create({ name: "Punch (House Rule)", type: "technique", system: { sourceId: "punch", isOptional: false } });
+
+    assert.equal(findWorldItemBySourceId("punch", "technique").name, "Punch (House Rule)");
+    assert.deepEqual(getNonOptionalTraits().map(t => t.name), ["Punch (House Rule)", "Strength"]);
+  });
+
+  it("builds imported characters from compendium items", async () => {
+    const charData = characterData({ traitValues: { athletics: 2, punch: 3 } });
+    const result = await importCharacters(jsonFile("ryu.fscharacters", { version: "2.4.0", characters: [charData] }), null, { preview: false });
+    assert.deepEqual(result.errors, []);
+
+    const actor = game.actors.getName("Ryu");
+    const style = actor.items.find(i => i.type === "fightingStyle");
+    assert.equal(style.name, "Shotokan");
+    assert.equal(actor.items.find(i => i.system.sourceId === "strength").system.value, 1, "non-optional traits come from the compendium");
+    assert.equal(actor.items.find(i => i.system.sourceId === "bo").name, "Bo");
+  });
+
+  it("updates the compendium when the library is imported again", async () => {
+    const library = libraryData();
+    library.divisions = [];
+    library.weapons.push({ id: "tonfa", name: "Tonfa", techniqueId: "kali" });
+
+    const plan = planLibraryUpdate(library);
+    assert.equal(plan.entries.find(e => e.sourceId === "freestyle").status, "removed");
+
+    await applyLibraryUpdate(plan, { resolutions: { "division.freestyle": "overwrite" } });
+
+    const pack = getLibraryPack("Test Library");
+    assert.equal(pack.find(i => i.system.sourceId === "tonfa").folder.name, "Weapons");
+    assert.equal(findWorldItemBySourceId("freestyle"), null);
+    assert.equal(game.items.size, 0);
+  });
+});
@@ -0,0 +1,141 @@
+import { resetHarness } from "../harness/foundry.mjs";
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { importLibrary } from "../../module/helpers/library-importer.mjs";
+import { importCharacters } from "../../module/helpers/character-importer.mjs";
+import { exportEffects } from "../../module/helpers/library-exporter.mjs";
+import { planLibraryUpdate, applyLibraryUpdate } from "../../module/helpers/library-update.mjs";
+import { findWorldItemBySourceId } from "../../module/helpers/utils.mjs";
+import { jsonFile, libraryData, characterData } from "../harness/fixtures.mjs";
+
+/**
+ * A newer version of the test library: Fireball and Shotokan changed, a weapon was added and the division dropped
+ * @returns {object}
+ */
+function updatedLibrary() {
+  const library = libraryData();
+  const fireball = library.special_maneuvers[1];
+  fireball.chiCost = 2;
+  fireball.stylePowerPointCosts = { ken: 3 };
+  library.fighting_styles[0].effects = [{ type: "traitBonus", targets: ["punch"], value: 2 }];
+  library.weapons.push({ id: "tonfa", name: "Tonfa", techniqueId: "kali", speed: "+0", damage: "+1", movement: "+0" });
+  library.divisions = [];
+  return library;
+}
+
+/**
+ * Find a plan entry by its item sourceId
+ * @param {object} plan
+ * @param {string} sourceId
+ * @returns {object}
+ */
+function entryFor(plan, sourceId) {
+  return plan.entries.find(entry => entry.sourceId === sourceId);
+}
+
+describe("library update", () => {
+  beforeEach(async () => {
+    resetHarness();
+    await importLibrary(jsonFile("test.fslibrary", libraryData()));
+  });
+
+  it("reports new, changed, removed and unchanged entries by sourceId", () => {
+    const plan = planLibraryUpdate(updatedLibrary());
+
+    assert.equal(entryFor(plan, "tonfa").status, "new");
+    assert.equal(entryFor(plan, "freestyle").status, "removed");
+    assert.equal(entryFor(plan, "jab").status, "unchanged");
+    assert.deepEqual(entryFor(plan, "fireball").changes.map(change => change.path), ["stylePowerPointCosts", "chiCost"]);
+    assert.deepEqual(entryFor(plan, "shotokan").changes.map(change => change.path), ["effects"]);
+  });
+
+  it("imports the unchanged library without conflicts", () => {
+    const plan = planLibraryUpdate(libraryData());
+    assert.ok(plan.entries.every(entry => entry.status === "unchanged"));
+  });
+
+  it("overwrites changed items, adds new ones and keeps removed ones by default", async () => {
+    const result = await applyLibraryUpdate(planLibraryUpdate(updatedLibrary()));
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual([result.created, result.updated, result.removed], [1, 2, 0]);
+
+    const fireball = findWorldItemBySourceId("fireball", "specialManeuver");
+    assert.equal(fireball.system.chiCost, 2);
+    assert.deepEqual(fireball.system.stylePowerPointCosts, { ken: 3 });
+    assert.deepEqual(exportEffects(findWorldItemBySourceId("shotokan")), [{ type: "traitBonus", targets: ["punch"], value: 2 }]);
+    assert.equal(findWorldItemBySourceId("tonfa").folder.name, "Weapons");
+    assert.ok(findWorldItemBySourceId("freestyle"));
+  });
+
+  it("keeps local values when merging and deletes removed items when overwriting", async () => {
+    const plan = planLibraryUpdate(updatedLibrary());
+    await applyLibraryUpdate(plan, {
+      resolutions: { "specialManeuver.fireball": "merge", "fightingStyle.shotokan": "keep", "division.freestyle": "overwrite" }
+    });
+
+    const fireball = findWorldItemBySourceId("fireball", "specialManeuver");
+    assert.equal(fireball.system.chiCost, 1);
+    assert.deepEqual(fireball.system.stylePowerPointCosts, { shotokan: 2, ken: 3 });
+    assert.deepEqual(exportEffects(findWorldItemBySourceId("shotokan")), [{ type: "traitBonus", targets: ["punch"], value: 1 }]);
+    assert.equal(findWorldItemBySourceId("freestyle"), null);
+  });
+
+  it("pushes changed definitions into the copies owned by actors", async () => {
+    await importCharacters(jsonFile("ryu.fscharacters", { version: "2.4.0", characters: [characterData()] }), null, { preview: false });
+    const actor = game.actors.getName("Ryu");
+
+    const plan = planLibraryUpdate(updatedLibrary());
+    assert.equal(entryFor(plan, "fireball").actorCopies, 1);
+
+    const result = await applyLibraryUpdate(plan, { updateActors: true });
+
+    assert.equal(result.actorItems, 2);
+    const copy = actor.items.find(i => i.system.sourceId === "fireball");
+    assert.equal(copy.system.chiCost, 2);
+    assert.deepEqual(exportEffects(actor.items.find(i => i.type === "fightingStyle")), [{ type: "traitBonus", targets: ["punch"], value: 2 }]);
+  });
+
+  it("rolls back every write, actor copies included, when an item actors still use would be deleted", async () => {
+    await importCharacters(jsonFile("ryu.fscharacters", { version: "2.4.0", characters: [characterData()] }), null, { preview: false });
+    const actor = game.actors.getName("Ryu");
+
+    const result = await applyLibraryUpdate(planLibraryUpdate(updatedLibrary()), {
+      resolutions: { "division.freestyle": "overwrite" },
+      updateActors: true
+    });
+
+    assert.equal(result.rolledBack, true);
+    assert.match(result.errors[0], /Freestyle \(freestyle\): still used/);
+    assert.equal(findWorldItemBySourceId("fireball", "specialManeuver").system.chiCost, 1);
+    assert.equal(actor.items.find(i => i.system.sourceId === "fireball").system.chiCost, 1);
+    assert.deepEqual(exportEffects(actor.items.find(i => i.type === "fightingStyle")), [{ type: "traitBonus", targets: ["punch"], value: 1 }]);
+    assert.ok(findWorldItemBySourceId("freestyle"));
+    assert.equal(findWorldItemBySourceId("tonfa"), null);
+  });
+
+  it("restores updated and deleted items when a new entry fails", async () => {
+    const freestyle = findWorldItemBySourceId("freestyle");
+    const create = Item.create;
+    let calls = 0;
+    mock.method(Item, "create", async function(...args) {
+      if (++calls === 1) throw new Error("Write failed");
+      return create.apply(this, args);
+    });
+
+    let result;
+    try {
+      result = await applyLibraryUpdate(planLibraryUpdate(updatedLibrary()), { resolutions: { "division.freestyle": "overwrite" } });
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.equal(result.rolledBack, true);
+    assert.deepEqual([result.created, result.updated, result.removed], [0, 0, 0]);
+    assert.equal(findWorldItemBySourceId("fireball", "specialManeuver").system.chiCost, 1);
+    assert.deepEqual(exportEffects(findWorldItemBySourceId("shotokan")), [{ type: "traitBonus", targets: ["punch"], value: 1 }]);
+    assert.equal(findWorldItemBySourceId("freestyle").id, freestyle.id, "the deleted item comes back with its id");
+    assert.equal(findWorldItemBySourceId("freestyle").folder.name, "Divisions");
+  });
+});
@@ -0,0 +1,103 @@
+import "../harness/foundry.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  calculateModifierValue,
+  formatOriginalModifier,
+  calculateManeuverStats
+} from "../../module/helpers/maneuver-calculator.mjs";
+import { POSITION_STATE } from "../../module/combat/combat-phases.mjs";
+import { createFighter, maneuverData } from "../harness/fixtures.mjs";
+
+const { ADD } = CONST.ACTIVE_EFFECT_MODES;
+const STANDING = { position: POSITION_STATE.STANDING, targetPosition: null };
+
+describe("calculateModifierValue", () => {
+  it("adds signed modifiers to the base", () => {
+    assert.equal(calculateModifierValue("+2", 3), 5);
+    assert.equal(calculateModifierValue("-1", 3), 2);
+    assert.equal(calculateModifierValue("2", 3), 5);
+  });
+
+  it("multiplies with an x or * prefix, rounding down", () => {
+    assert.equal(calculateModifierValue("x2", 3), 6);
+    assert.equal(calculateModifierValue("*1.5", 3), 4);
+  });
+
+  it("leaves the base unchanged for empty or unreadable modifiers", () => {
+    assert.equal(calculateModifierValue("", 3), 3);
+    assert.equal(calculateModifierValue(null, 3), 3);
+    assert.equal(calculateModifierValue("none", 3), 3);
+  });
+});
+
+describe("formatOriginalModifier", () => {
+  it("formats modifiers for display", () => {
+    assert.equal(formatOriginalModifier("+2"), "+2");
+    assert.equal(formatOriginalModifier(""), "—");
+    assert.equal(formatOriginalModifier("Nenhum"), "—");
+    assert.equal(formatOriginalModifier("two"), "2");
+    assert.equal(formatOriginalModifier("x2"), "*");
+  });
+});
+
+describe("calculateManeuverStats", () => {
+  const fierce = maneuverData("Fierce Punch", { speedModifier: "-1", damageModifier: "+3", movementModifier: "-2" });
+  const roundhouse = maneuverData("Roundhouse", { category: "Kick", speedModifier: "-1", damageModifier: "+3", movementModifier: "+0" });
+
+  it("bases speed on dexterity, damage on strength plus technique and movement on athletics", () => {
+    const fighter = createFighter("Ryu", { maneuvers: [fierce] });
+    const stats = calculateManeuverStats(fighter, fighter.items.get(fierce._id), { positions: STANDING });
+
+    assert.equal(stats.calculatedSpeed, 3 - 1);
+    assert.equal(stats.calculatedDamage, 3 + 3 + 3);
+    assert.equal(stats.calculatedMovement, 2 - 2);
+  });
+
+  it("uses the technique matching the maneuver's category", () => {
+    const fighter = createFighter("Ken", { maneuvers: [roundhouse] });
+    const stats = calculateManeuverStats(fighter, fighter.items.get(roundhouse._id), { positions: STANDING });
+
+    assert.equal(stats.calculatedDamage, 3 + 2 + 3);
+  });
+
+  it("slows a knocked down fighter", () => {
+    const fighter = createFighter("Ryu", { maneuvers: [fierce] });
+    const stats = calculateManeuverStats(fighter, fighter.items.get(fierce._id), {
+      positions: { position: POSITION_STATE.KNOCKED_DOWN, targetPosition: null }
+    });
+
+    assert.equal(stats.calculatedSpeed, 3 - 1 - 2);
+    assert.equal(stats.positionSpeedModifier, -2);
+  });
+
+  it("applies trait and maneuver effects", () => {
+    const fighter = createFighter("Ryu", {
+      maneuvers: [fierce],
+      effects: [{
+        name: "Power Up",
+        changes: [
+          { key: "sf.trait.strength", mode: ADD, value: "1" },
+          { key: "sf.maneuver.technique.damage.punch", mode: ADD, value: "2" },
+          { key: `sf.maneuver.specific.speed.${fierce._id}`, mode: ADD, value: "1" }
+        ]
+      }]
+    });
+    const stats = calculateManeuverStats(fighter, fighter.items.get(fierce._id), { positions: STANDING });
+
+    assert.equal(stats.calculatedDamage, 4 + 3 + 3 + 2);
+    assert.equal(stats.calculatedSpeed, 3 - 1 + 1);
+    assert.equal(stats.hasAnyModifiers, true);
+  });
+
+  it("flags maneuvers that cannot hit the target's position", () => {
+    const sweep = maneuverData("Sweep", { category: "Kick", positionRules: { unusableAgainst: [POSITION_STATE.AERIAL] } });
+    const fighter = createFighter("Ken", { maneuvers: [sweep] });
+    const stats = calculateManeuverStats(fighter, fighter.items.get(sweep._id), {
+      positions: { position: POSITION_STATE.STANDING, targetPosition: POSITION_STATE.AERIAL }
+    });
+
+    assert.equal(stats.isUsableAgainstTarget, false);
+  });
+});
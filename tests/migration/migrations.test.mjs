@@ -0,0 +1,120 @@
+import "../harness/foundry.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  MIGRATIONS,
+  getPendingMigrations,
+  migrateActorData,
+  migrateItemData,
+  migrateCombatData
+} from "../../module/migration/index.mjs";
+import { COMBAT_FLAGS, COMBATANT_FLAGS } from "../../module/combat/combat-phases.mjs";
+
+/**
+ * Source data of a special maneuver saved before the override and position fields existed
+ * @returns {object}
+ */
+function legacyManeuver() {
+  return {
+    _id: "fierce",
+    name: "Fierce",
+    type: "specialManeuver",
+    system: { sourceId: "fierce", chiCost: "", willpowerCost: 1 },
+    effects: [{
+      _id: "power",
+      name: "Power",
+      changes: [{ key: "sf.trait.strength", mode: 2, value: "1" }, { key: "", mode: 2, value: "1" }]
+    }]
+  };
+}
+
+describe("getPendingMigrations", () => {
+  it("runs every step on a world that was never migrated", () => {
+    assert.deepEqual(getPendingMigrations(""), MIGRATIONS);
+    assert.deepEqual(getPendingMigrations("1.0.0"), MIGRATIONS);
+  });
+
+  it("runs every step on a world stamped by the previous release", () => {
+    assert.deepEqual(getPendingMigrations("1.1.0"), MIGRATIONS);
+  });
+
+  it("skips the steps of versions the world already reached", () => {
+    assert.deepEqual(getPendingMigrations(game.system.version), []);
+  });
+
+  it("introduces no step past the system version", () => {
+    const { version } = JSON.parse(readFileSync(new URL("../../system.json", import.meta.url), "utf8"));
+    assert.equal(game.system.version, version);
+    assert.ok(MIGRATIONS.every(step => !foundry.utils.isNewerVersion(step.version, version)));
+  });
+});
+
+describe("migrateItemData", () => {
+  it("backfills maneuver fields and cleans effect changes", () => {
+    const update = migrateItemData(legacyManeuver(), MIGRATIONS);
+
+    assert.equal(update.system.damageTraitOverride, null);
+    assert.equal(update.system.chiCost, null);
+    assert.equal("willpowerCost" in update.system, false);
+    assert.deepEqual(update.system.positionRules.unusableAgainst, []);
+    assert.deepEqual(update.effects, [{ _id: "power", changes: [{ key: "sf.trait.strength", mode: 2, value: "1" }] }]);
+  });
+
+  it("leaves migrated data untouched", () => {
+    const source = legacyManeuver();
+    const update = migrateItemData(source, MIGRATIONS);
+    foundry.utils.mergeObject(source, update);
+
+    assert.deepEqual(migrateItemData(source, MIGRATIONS), {});
+  });
+
+  it("converts a leftover technique type into the technique flags", () => {
+    const update = migrateItemData({ _id: "kali", type: "technique", system: { techniqueType: "weapon" } }, MIGRATIONS);
+
+    assert.deepEqual(update.system, { isWeaponTechnique: true, isFirearmTechnique: false, "-=techniqueType": null });
+  });
+});
+
+describe("migrateActorData", () => {
+  it("removes stored derived data and migrates embedded items", () => {
+    const update = migrateActorData({
+      _id: "ryu",
+      name: "Ryu",
+      type: "fighter",
+      system: { combat: { initiative: 5 }, languages: "English, Japanese" },
+      items: [legacyManeuver(), { _id: "punch", type: "technique", system: { sourceId: "punch", value: 3 } }],
+      effects: []
+    }, MIGRATIONS);
+
+    assert.equal(update.system["-=combat"], null);
+    assert.deepEqual(update.system.languages, ["English", "Japanese"]);
+    assert.deepEqual(update.items.map(i => i._id), ["fierce"], "only items that change are updated");
+    assert.equal(update.effects, undefined);
+  });
+});
+
+describe("migrateCombatData", () => {
+  it("adds missing flags to started combats and their combatants", () => {
+    const update = migrateCombatData({
+      _id: "combat",
+      flags: { "street-fighter": { [COMBAT_FLAGS.PHASE]: "execution" } },
+      combatants: [
+        { _id: "ken", flags: { "street-fighter": { [COMBATANT_FLAGS.SELECTION_STATUS]: "selected" } } },
+        { _id: "ryu", flags: {} }
+      ]
+    }, MIGRATIONS);
+
+    const flags = update.flags["street-fighter"];
+    assert.equal(COMBAT_FLAGS.PHASE in flags, false, "existing flags are kept");
+    assert.deepEqual(flags[COMBAT_FLAGS.HISTORY], []);
+    assert.equal(update.combatants.length, 1);
+    assert.equal(update.combatants[0]._id, "ken");
+    assert.equal(update.combatants[0].flags["street-fighter"][COMBATANT_FLAGS.ROLL_COUNT], 0);
+  });
+
+  it("leaves combats that never started alone", () => {
+    assert.deepEqual(migrateCombatData({ _id: "combat", flags: {}, combatants: [] }, MIGRATIONS), {});
+  });
+});
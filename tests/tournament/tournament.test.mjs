@@ -0,0 +1,74 @@
+import { resetHarness, notifications } from "../harness/foundry.mjs";
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { FLAG_SCOPE } from "../../module/combat/combat-phases.mjs";
+import {
+  TOURNAMENT_FLAG,
+  addTournament,
+  getTournament,
+  registerTournamentHooks
+} from "../../module/tournament/tournament.mjs";
+import { MATCH_STATUS, TOURNAMENT_FORMAT, getMatch } from "../../module/tournament/tournament-bracket.mjs";
+import { createFighter, createCombat } from "../harness/fixtures.mjs";
+
+/**
+ * Start the first match of a two-fighter tournament as a combat
+ * @returns {Promise<{tournamentId: string, matchId: string, ryu: Actor, ken: Actor}>}
+ */
+async function startTournamentFight() {
+  const ryu = createFighter("Ryu");
+  const ken = createFighter("Ken");
+  for (const actor of [ryu, ken]) game.actors.set(actor.id, actor);
+
+  const tournament = await addTournament({
+    name: "World Warrior",
+    divisionId: "",
+    format: TOURNAMENT_FORMAT.SINGLE_ELIMINATION,
+    fighters: [ryu.id, ken.id]
+  });
+  const matchId = tournament.matches[0].id;
+
+  const combat = await createCombat([ryu, ken]);
+  await combat.setFlag(FLAG_SCOPE, TOURNAMENT_FLAG, { tournamentId: tournament.id, matchId });
+  await combat.startCombat();
+
+  return { tournamentId: tournament.id, matchId, ryu, ken };
+}
+
+/**
+ * Let the hook handlers started by the last call finish
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe("tournament knockouts", () => {
+  beforeEach(() => {
+    resetHarness();
+    registerTournamentHooks();
+  });
+
+  it("concludes the match when damage applied outside a maneuver knocks a fighter out", async () => {
+    const { tournamentId, matchId, ryu, ken } = await startTournamentFight();
+
+    await ken.applyDamage(ken.system.resources.health.value);
+    await settle();
+
+    const match = getMatch(getTournament(tournamentId), matchId);
+    assert.equal(match.status, MATCH_STATUS.COMPLETED);
+    assert.equal(match.winner, ryu.id);
+    assert.equal(match.knockout, true);
+    assert.ok(notifications.info.some(message => message.includes("KnockoutVictory")));
+  });
+
+  it("leaves the match running while the fighter is still standing", async () => {
+    const { tournamentId, matchId, ken } = await startTournamentFight();
+
+    await ken.applyDamage(3);
+    await settle();
+
+    assert.notEqual(getMatch(getTournament(tournamentId), matchId).status, MATCH_STATUS.COMPLETED);
+  });
+});